@@ -1,9 +1,14 @@
 /**
  * Next.js API Route: Proxy for CoinGecko Token Price API
- * This bypasses CORS issues and handles rate limiting server-side
+ * This bypasses CORS issues and shares the API gateway's CoinGecko rate limiter
+ * An optional `network` parameter picks the CoinGecko platform (default: active network)
  */
 
 import { NextResponse } from 'next/server';
+import { API_CONFIG, buildApiUrl } from '@/config/api-endpoints';
+import { getNetwork } from '@/config/networks';
+import { getServerCache } from '@/lib/server/cache';
+import { fetchUpstreamJson } from '@/lib/server/upstream';
 
 export async function GET(request) {
   try {
@@ -13,6 +18,7 @@ export async function GET(request) {
     const include24hrChange = searchParams.get('include_24hr_change') === 'true';
     const include24hrVol = searchParams.get('include_24hr_vol') === 'true';
     const includeMarketCap = searchParams.get('include_market_cap') === 'true';
+    const network = getNetwork(searchParams.get('network'));
 
     if (!contractAddresses) {
       return NextResponse.json(
@@ -31,44 +37,41 @@ export async function GET(request) {
     if (include24hrVol) params.append('include_24hr_vol', 'true');
     if (includeMarketCap) params.append('include_market_cap', 'true');
 
-    const coingeckoUrl = `https://api.coingecko.com/api/v3/simple/token_price/base?${params.toString()}`;
+    const coingeckoUrl = buildApiUrl(
+      'coingecko',
+      API_CONFIG.coingecko.endpoints.batchPrices(network.apis.coingeckoId),
+      Object.fromEntries(params)
+    );
+
+    // Serve from the shared cache; concurrent misses share one upstream fetch
+    const { value: data, status } = await getServerCache().fetch(
+      `coingecko:token-price:${network.name}:${params.toString().toLowerCase()}`,
+      () => fetchUpstreamJson('coingecko', network.name, coingeckoUrl),
+      { ttl: 'prices' }
+    );
 
-    // Make request to CoinGecko
-    const response = await fetch(coingeckoUrl, {
+    return NextResponse.json(data, {
       headers: {
-        'Accept': 'application/json',
+        'Cache-Control': 'public, s-maxage=30, stale-while-revalidate=60',
+        'X-Cache': status,
       },
-      // Add caching
-      next: { revalidate: 30 }, // Cache for 30 seconds
     });
 
-    if (!response.ok) {
-      console.error('CoinGecko API error:', response.status, response.statusText);
-      
-      // Handle specific error codes
-      if (response.status === 429) {
-        return NextResponse.json(
-          { error: 'Rate limit exceeded. Please try again in a moment.' },
-          { status: 429 }
-        );
-      }
-      
+  } catch (error) {
+    if (error.status === 429) {
       return NextResponse.json(
-        { error: `CoinGecko API error: ${response.status} ${response.statusText}` },
-        { status: response.status }
+        { error: 'Rate limit exceeded. Please try again in a moment.' },
+        {
+          status: 429,
+          headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : undefined,
+        }
       );
     }
 
-    const data = await response.json();
-
-    // Return the data with CORS headers
-    return NextResponse.json(data, {
-      headers: {
-        'Cache-Control': 'public, s-maxage=30, stale-while-revalidate=60',
-      },
-    });
+    if (error.status) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
 
-  } catch (error) {
     console.error('API Route error:', error.message);
     return NextResponse.json(
       { error: 'Internal server error', message: error.message },
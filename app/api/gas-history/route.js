@@ -0,0 +1,43 @@
+/**
+ * Next.js API Route: Recorded gas history
+ * Hourly averages of the server gas sampler (see lib/server/gas-history.js),
+ * used by the Gas Tracker's hour-of-week heatmap
+ *
+ * GET /api/gas-history?network=base&days=28
+ *
+ * Reading also records a sample when one is due, so history keeps growing
+ * even without a scheduler. The sample is taken after the response is sent,
+ * so it never holds up the read. `storage.persistent` is false when history is
+ * kept in memory and resets with the server.
+ */
+
+import { after, NextResponse } from 'next/server';
+import { getNetwork } from '@/config/networks';
+import { getGasHistory, recordGasSample, RETENTION_DAYS } from '@/lib/server/gas-history';
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const network = getNetwork(searchParams.get('network')).name;
+  const days = Number(searchParams.get('days')) || RETENTION_DAYS;
+
+  // A failed sample only means this reading is missing from the history
+  after(() => recordGasSample(network).catch((error) => {
+    console.error(`Gas sample failed for ${network}:`, error.message);
+  }));
+
+  try {
+    const history = await getGasHistory(network, days);
+
+    return NextResponse.json(history, {
+      headers: {
+        'Cache-Control': 'public, s-maxage=60, stale-while-revalidate=300',
+      },
+    });
+  } catch (error) {
+    console.error('Gas history error:', error.message);
+    return NextResponse.json(
+      { error: 'Failed to load gas history', message: error.message },
+      { status: 500 }
+    );
+  }
+}
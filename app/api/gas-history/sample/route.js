@@ -0,0 +1,50 @@
+/**
+ * Next.js API Route: Record gas samples
+ * Point a scheduler (e.g. a Vercel cron job every 5 minutes) here so gas
+ * history covers hours when nobody has the dashboard open
+ *
+ * GET /api/gas-history/sample            (every network)
+ * GET /api/gas-history/sample?network=base
+ *
+ * When CRON_SECRET is set, requests must send `Authorization: Bearer <secret>`.
+ * The response reports the storage adapter; samples kept in memory are lost
+ * on restart.
+ */
+
+import { NextResponse } from 'next/server';
+import { getAllNetworks, getNetwork } from '@/config/networks';
+import { getGasHistoryStorage, recordGasSample } from '@/lib/server/gas-history';
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+
+  if (secret && request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const names = searchParams.get('network')
+    ? [getNetwork(searchParams.get('network')).name]
+    : getAllNetworks().map(network => network.name);
+
+  const results = await Promise.allSettled(names.map(name => recordGasSample(name)));
+
+  const recorded = {};
+  const errors = {};
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      recorded[names[index]] = result.value;
+    } else {
+      errors[names[index]] = result.reason.message;
+      console.error(`Gas sample failed for ${names[index]}:`, result.reason.message);
+    }
+  });
+
+  return NextResponse.json(
+    { recorded, errors, storage: getGasHistoryStorage() },
+    {
+      status: Object.keys(recorded).length === 0 ? 502 : 200,
+      headers: { 'Cache-Control': 'no-store' },
+    }
+  );
+}
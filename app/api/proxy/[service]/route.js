@@ -0,0 +1,194 @@
+/**
+ * Next.js API Route: Gateway for external APIs
+ * Proxies the endpoints declared in API_CONFIG so API keys never reach the
+ * browser, and so the server's keys cannot be used for arbitrary calls.
+ * Upstream calls share one rate limiter per service across all users (see
+ * lib/server/upstream.js), and successful responses are cached centrally
+ * (see lib/server/cache).
+ *
+ * GET  /api/proxy/{service}?path=/endpoint&...params
+ * POST /api/proxy/{service}?path=/endpoint  (JSON body, e.g. JSON-RPC)
+ *
+ * An optional `network` parameter picks the host for services that differ
+ * per chain (explorer, RPC); it is not forwarded.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  API_CONFIG,
+  API_KEYS,
+  CACHE_DURATIONS,
+  getApiKeyParams,
+  getServiceBaseUrl,
+} from '@/config/api-endpoints';
+import { getNetwork } from '@/config/networks';
+import { getServerCache } from '@/lib/server/cache';
+import { fetchUpstream } from '@/lib/server/upstream';
+
+// How long successful responses are cached, per service
+const CACHE_TTL = {
+  coingecko: CACHE_DURATIONS.prices,
+  defiLlama: CACHE_DURATIONS.networkStats,
+  basescan: 15 * 1000,
+  dexScreener: 30 * 1000,
+  alternativeMe: 5 * 60 * 1000,
+  exchangeRate: CACHE_DURATIONS.historicalData,
+  zeroEx: 0, // Quotes are firm and taker-specific
+  baseRPC: 2 * 1000, // One block
+};
+const DEFAULT_CACHE_TTL = 30 * 1000;
+
+// Stands in for endpoint arguments when endpoint builders are turned into patterns
+const ENDPOINT_ARG = '__arg__';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Endpoint rules per service, built on first use
+const endpointRules = new Map();
+
+/**
+ * Path patterns and fixed query parameters of a service's declared endpoints
+ * Arguments of endpoint builders (and :placeholders) match one path segment.
+ * Endpoints on other hosts (e.g. CoinGecko's token lists) are not proxied.
+ */
+function getEndpointRules(service) {
+  if (!endpointRules.has(service)) {
+    const rules = Object.values(API_CONFIG[service].endpoints || {})
+      .map(endpoint => (typeof endpoint === 'function' ? endpoint(ENDPOINT_ARG, ENDPOINT_ARG, ENDPOINT_ARG) : endpoint))
+      .filter(endpoint => !/^https?:/.test(endpoint))
+      .map((endpoint) => {
+        const [path, query = ''] = endpoint.split('?');
+        const pattern = path
+          .split(ENDPOINT_ARG)
+          .map(part => escapeRegExp(part).replace(/:\w+/g, '[^/]+'))
+          .join('[^/]+');
+
+        return {
+          path: new RegExp(`^${pattern}$`),
+          query: [...new URLSearchParams(query).entries()],
+        };
+      });
+
+    endpointRules.set(service, rules);
+  }
+
+  return endpointRules.get(service);
+}
+
+/**
+ * Whether a request targets one of the service's declared endpoints
+ */
+function isDeclaredEndpoint(service, path, searchParams) {
+  return getEndpointRules(service).some(rule =>
+    rule.path.test(path) && rule.query.every(([key, value]) => searchParams.get(key) === value)
+  );
+}
+
+/**
+ * Build the upstream URL, or null if the path would leave the service
+ */
+function buildUpstreamUrl(service, network, path, searchParams) {
+  const baseUrl = getServiceBaseUrl(service, network);
+
+  if (path && (!path.startsWith('/') || path.includes('..') || path.includes('//'))) {
+    return null;
+  }
+
+  // Alchemy carries its key in the path
+  const base = service === 'alchemyBase' && API_KEYS.alchemy
+    ? `${baseUrl}/${API_KEYS.alchemy}`
+    : baseUrl;
+
+  const url = new URL(`${base}${path}`);
+  if (url.origin !== new URL(baseUrl).origin) {
+    return null;
+  }
+
+  searchParams.forEach((value, key) => url.searchParams.append(key, value));
+  Object.entries(getApiKeyParams(service)).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+
+  return url.toString();
+}
+
+function respond({ body, status, contentType, retryAfter }, { cacheStatus, ttl, method }) {
+  const seconds = Math.floor(ttl / 1000);
+
+  return new NextResponse(body, {
+    status,
+    headers: {
+      'Content-Type': contentType,
+      'X-Cache': cacheStatus,
+      'Cache-Control': method === 'GET' && seconds > 0
+        ? `public, s-maxage=${seconds}, stale-while-revalidate=${seconds * 2}`
+        : 'no-store',
+      ...(retryAfter ? { 'Retry-After': retryAfter } : {}),
+    },
+  });
+}
+
+async function handleRequest(request, params, method) {
+  const { service } = await params;
+
+  if (!API_CONFIG[service]?.baseUrl) {
+    return NextResponse.json({ error: `Unknown API service: ${service}` }, { status: 404 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const path = searchParams.get('path') || '';
+  const network = getNetwork(searchParams.get('network')).name;
+  searchParams.delete('path');
+  searchParams.delete('network');
+
+  if (!isDeclaredEndpoint(service, path, searchParams)) {
+    return NextResponse.json({ error: `Endpoint not available for ${service}` }, { status: 403 });
+  }
+
+  const upstreamUrl = buildUpstreamUrl(service, network, path, searchParams);
+  if (!upstreamUrl) {
+    return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
+  }
+
+  const body = method === 'POST' ? await request.text() : undefined;
+  const ttl = CACHE_TTL[service] ?? DEFAULT_CACHE_TTL;
+
+  // Keys are added server-side, so they are never part of the cache key
+  const cacheKey = `proxy:${method} ${network}:${service}${path}?${searchParams.toString()} ${body || ''}`;
+  const fetchFn = () => fetchUpstream(service, network, upstreamUrl, method, body);
+
+  try {
+    if (ttl === 0) {
+      return respond(await fetchFn(), { cacheStatus: 'BYPASS', ttl, method });
+    }
+
+    const { value, status } = await getServerCache().fetch(cacheKey, fetchFn, { ttl });
+    return respond(value, { cacheStatus: status, ttl, method });
+  } catch (error) {
+    if (error.upstream) {
+      console.error(error.message, path);
+      return respond(error.upstream, { cacheStatus: 'MISS', ttl: 0, method });
+    }
+
+    if (error.status === 429) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 429, headers: { 'Retry-After': String(error.retryAfter) } }
+      );
+    }
+
+    console.error('API gateway error:', error.message);
+    return NextResponse.json(
+      { error: 'Upstream request failed', message: error.message },
+      { status: 502 }
+    );
+  }
+}
+
+export async function GET(request, { params }) {
+  return handleRequest(request, params, 'GET');
+}
+
+export async function POST(request, { params }) {
+  return handleRequest(request, params, 'POST');
+}
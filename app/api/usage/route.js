@@ -0,0 +1,34 @@
+/**
+ * Next.js API Route: Server API usage
+ * Calls the server made to each provider this month, with budgets and
+ * projections (see lib/server/usage.js), for the diagnostics page
+ *
+ * GET /api/usage
+ *
+ * `persistent` is false when counters are kept in memory and reset with the
+ * server.
+ */
+
+import { NextResponse } from 'next/server';
+import { isFeatureEnabled } from '@/lib/config';
+import { getServerUsageReport } from '@/lib/server/usage';
+
+export async function GET() {
+  if (!isFeatureEnabled('diagnostics')) {
+    return NextResponse.json({ error: 'Diagnostics are disabled' }, { status: 404 });
+  }
+
+  try {
+    const report = await getServerUsageReport();
+
+    return NextResponse.json(report, {
+      headers: { 'Cache-Control': 'no-store' },
+    });
+  } catch (error) {
+    console.error('Usage report error:', error.message);
+    return NextResponse.json(
+      { error: 'Failed to load usage', message: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,225 @@
+'use client';
+
+import { useSyncExternalStore } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { isFeatureEnabled } from '@/lib/config';
+import { getCacheStats } from '@/lib/utils/cache';
+import { queryKeys } from '@/lib/hooks/useApiQueries';
+import Header from '@/components/shared/Header';
+
+// How often the counters are re-read
+const REFRESH_INTERVAL = 5000;
+
+const STATUS_STYLES = {
+  ok: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  exceeded: 'bg-red-500',
+};
+
+function formatCount(value) {
+  return Math.round(value).toLocaleString();
+}
+
+function formatBudget(limit) {
+  // Infinity arrives from the usage route as null (JSON has no Infinity)
+  if (limit === Infinity || limit === null) return 'Unlimited';
+  return typeof limit === 'number' ? formatCount(limit) : limit;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Calls the server made to each provider this month (see app/api/usage)
+ */
+async function fetchServerUsage() {
+  const response = await fetch('/api/usage');
+
+  if (!response.ok) {
+    throw new Error(`Usage report error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Cache stats live in this browser's storage: read them on the client only,
+// and keep one snapshot between refreshes so renders see a stable value
+let cacheSnapshot = null;
+
+function subscribeCacheStats(onChange) {
+  const interval = setInterval(() => {
+    cacheSnapshot = getCacheStats();
+    onChange();
+  }, REFRESH_INTERVAL);
+
+  return () => clearInterval(interval);
+}
+
+function getCacheSnapshot() {
+  if (!cacheSnapshot) cacheSnapshot = getCacheStats();
+  return cacheSnapshot;
+}
+
+const getServerCacheSnapshot = () => null;
+
+function StatTile({ label, value, detail }) {
+  return (
+    <div className="bg-white/5 rounded-3xl p-5">
+      <p className="text-xs text-white/50 uppercase font-semibold mb-2">{label}</p>
+      <p className="text-2xl font-bold text-white">{value}</p>
+      {detail && <p className="text-xs text-white/50 mt-1">{detail}</p>}
+    </div>
+  );
+}
+
+export default function DiagnosticsPage() {
+  const isEnabled = isFeatureEnabled('diagnostics');
+
+  const cache = useSyncExternalStore(subscribeCacheStats, getCacheSnapshot, getServerCacheSnapshot);
+
+  // The server's keys are shared by every user, so budgets come from its counters
+  const { data: usage, error: usageError } = useQuery({
+    queryKey: queryKeys.serverUsage(),
+    queryFn: fetchServerUsage,
+    enabled: isEnabled,
+    refetchInterval: REFRESH_INTERVAL,
+  });
+
+  const warnings = usage?.services.filter(row => row.status !== 'ok') ?? [];
+  const requests = cache?.requests;
+  const indexedDB = cache?.indexedDBCache;
+
+  return (
+    <div className="min-h-screen bg-dark">
+      <Header />
+
+      <div className="mx-auto px-4 py-8 sm:px-6 lg:px-8">
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-white mb-2">API Usage</h1>
+          <p className="text-white/60">Free-tier budgets of the server&apos;s API keys and cache efficiency for this browser</p>
+        </div>
+
+        {!isEnabled ? (
+          <div className="text-center py-16 text-white/50">
+            Diagnostics are not available right now.
+          </div>
+        ) : !cache ? (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            {[...Array(4)].map((_, i) => (
+              <div key={i} className="animate-pulse bg-white/10 rounded-3xl h-28" />
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {/* Budget warnings */}
+            {warnings.length > 0 && (
+              <div className="space-y-3">
+                {warnings.map(row => (
+                  <div
+                    key={row.service}
+                    className={`p-4 rounded-3xl border ${
+                      row.status === 'exceeded'
+                        ? 'bg-red-900/20 border-red-800'
+                        : 'bg-yellow-900/20 border-yellow-800'
+                    }`}
+                  >
+                    <p className={`text-sm ${row.status === 'exceeded' ? 'text-red-400' : 'text-yellow-400'}`}>
+                      {row.status === 'exceeded' ? '❌' : '⚠️'} {row.name}: {formatCount(row.callsThisMonth)} of{' '}
+                      {formatBudget(row.limit)} calls used this month
+                      {row.status === 'warning' && `, on pace for ${formatCount(row.projected)}`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Cache */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <StatTile
+                label="Cache hit ratio"
+                value={requests.hitRatio === null ? '—' : `${(requests.hitRatio * 100).toFixed(1)}%`}
+                detail={`${formatCount(requests.total)} requests since ${new Date(requests.since).toLocaleDateString()}`}
+              />
+              <StatTile
+                label="Served from cache"
+                value={formatCount(requests.hits + requests.stale)}
+                detail={`${formatCount(requests.stale)} stale, ${formatCount(requests.shared)} shared in flight`}
+              />
+              <StatTile
+                label="Cached entries"
+                value={formatCount(cache.memoryCache.size)}
+                detail={`${formatCount(cache.localStorageCache.size)} in localStorage, ${formatCount(indexedDB.size)} in IndexedDB`}
+              />
+              <StatTile
+                label="IndexedDB"
+                value={indexedDB.available ? formatBytes(indexedDB.bytes) : 'Unavailable'}
+                detail={indexedDB.available ? `of ${formatBytes(indexedDB.quota)} quota` : 'Large datasets stay in memory'}
+              />
+            </div>
+
+            {/* Per-service budgets */}
+            {usageError ? (
+              <div className="bg-white/5 rounded-3xl p-6 text-sm text-red-400">
+                Server usage is unavailable: {usageError.message}
+              </div>
+            ) : !usage ? (
+              <div className="animate-pulse bg-white/10 rounded-3xl h-64" />
+            ) : (
+              <div className="bg-white/5 rounded-3xl p-6 overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-white/50 uppercase">
+                      <th className="pb-3 font-semibold">Service</th>
+                      <th className="pb-3 font-semibold text-right">This minute</th>
+                      <th className="pb-3 font-semibold text-right">This month</th>
+                      <th className="pb-3 font-semibold text-right">Projected</th>
+                      <th className="pb-3 font-semibold text-right">Budget</th>
+                      <th className="pb-3 font-semibold pl-6 w-48">Used</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {usage.services.map(row => (
+                      <tr key={row.service} className="border-t border-white/10 text-white">
+                        <td className="py-3">{row.name}</td>
+                        <td className="py-3 text-right text-white/70">
+                          {row.callsThisMinute} / {row.rateLimit}
+                        </td>
+                        <td className="py-3 text-right">{formatCount(row.callsThisMonth)}</td>
+                        <td className="py-3 text-right text-white/70">{formatCount(row.projected)}</td>
+                        <td className="py-3 text-right text-white/70">{formatBudget(row.limit)}</td>
+                        <td className="py-3 pl-6">
+                          {row.percentage === null ? (
+                            <span className="text-white/30">—</span>
+                          ) : (
+                            <div className="flex items-center gap-2">
+                              <div className="flex-1 h-2 bg-white/10 rounded-full overflow-hidden">
+                                <div
+                                  className={`h-full ${STATUS_STYLES[row.status]}`}
+                                  style={{ width: `${Math.min(100, row.percentage)}%` }}
+                                />
+                              </div>
+                              <span className="text-xs text-white/50 w-12 text-right">
+                                {row.percentage.toFixed(1)}%
+                              </span>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!usage.persistent && (
+                  <p className="text-xs text-white/40 mt-4">
+                    Counted by this server instance since it started; set SERVER_CACHE_ADAPTER=file or redis to keep counts across restarts
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { Inter } from "next/font/google";
 import { WalletProvider } from "@/components/providers/WalletProvider";
 import { CurrencyProvider } from "@/lib/contexts/CurrencyContext";
+import { NetworkProvider } from "@/lib/contexts/NetworkContext";
 import { appConfig } from "@/lib/config";
 import Script from "next/script";
 import "./globals.css";
@@ -47,9 +48,11 @@ export default function RootLayout({ children }) {
         suppressHydrationWarning
       >
         <WalletProvider>
-          <CurrencyProvider>
-            {children}
-          </CurrencyProvider>
+          <NetworkProvider>
+            <CurrencyProvider>
+              {children}
+            </CurrencyProvider>
+          </NetworkProvider>
         </WalletProvider>
       </body>
     </html>
@@ -25,6 +25,8 @@ export default function Home() {
     updateLayoutWidgets,
     deleteLayout,
     duplicateLayout,
+    publishLayout,
+    importLayouts,
   } = useLayouts(user?.id);
 
   const [showOnboarding, setShowOnboarding] = useState(false);
@@ -36,13 +38,8 @@ export default function Home() {
   const handleAddWidget = (widget) => {
     if (!activeLayoutId) return;
     
-    const { id, ...widgetWithoutId } = widget;
-    const newWidget = {
-      ...widgetWithoutId,
-      id: `widget-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    };
-    
-    const updatedWidgets = [...widgets, newWidget];
+    // Widget instances come from createWidgetInstance with a unique ID
+    const updatedWidgets = [...widgets, widget];
     updateLayoutWidgets(activeLayoutId, updatedWidgets);
   };
 
@@ -74,6 +71,8 @@ export default function Home() {
         onRenameLayout={renameLayout}
         onDeleteLayout={deleteLayout}
         onDuplicateLayout={duplicateLayout}
+        onPublishLayout={publishLayout}
+        onImportLayouts={importLayouts}
         onAddWidget={handleAddWidget}
       />
 
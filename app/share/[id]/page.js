@@ -0,0 +1,140 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import { useUser } from '@/lib/hooks/useUser';
+import { useLayouts } from '@/lib/hooks/useLayouts';
+import { isFeatureEnabled } from '@/lib/config';
+import { decodeLayout } from '@/lib/utils/share';
+import { validateLayoutDocument } from '@/lib/utils/layout-io';
+import Header from '@/components/shared/Header';
+import { ConnectWallet } from '@/components/shared/ConnectWallet';
+import ResizableWidgetGrid from '@/components/dashboard/ResizableWidgetGrid';
+import Button from '@/components/ui/Button';
+
+export default function SharedLayoutPage() {
+  const { id } = useParams();
+  const { user, isAuthenticated } = useUser();
+  const {
+    layouts,
+    activeLayoutId,
+    switchLayout,
+    createLayout,
+    renameLayout,
+    deleteLayout,
+    duplicateLayout,
+    publishLayout,
+    importLayouts,
+  } = useLayouts(user?.id);
+
+  const [shared, setShared] = useState({ id: null, layout: null, report: null, error: null });
+  const [isImported, setIsImported] = useState(false);
+
+  const isEnabled = isFeatureEnabled('shareLinks');
+  const isLoading = isEnabled && shared.id !== id;
+
+  // Decode the layout carried in the link, and validate it like an imported file
+  useEffect(() => {
+    if (!isEnabled) return;
+
+    let cancelled = false;
+
+    decodeLayout(id)
+      .then((decoded) => {
+        const { layouts: [layout], report } = validateLayoutDocument(decoded);
+        if (!cancelled) setShared({ id, layout, report, error: null });
+      })
+      .catch((err) => {
+        console.error('Error decoding share link:', err);
+        if (!cancelled) setShared({ id, layout: null, report: null, error: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, isEnabled]);
+
+  const handleImport = () => {
+    if (!shared.layout) return;
+    createLayout(shared.layout.name, shared.layout.widgets, { activate: true });
+    setIsImported(true);
+  };
+
+  return (
+    <div className="min-h-screen bg-dark">
+      <Header
+        layouts={layouts}
+        activeLayoutId={activeLayoutId}
+        onSwitchLayout={switchLayout}
+        onCreateLayout={createLayout}
+        onRenameLayout={renameLayout}
+        onDeleteLayout={deleteLayout}
+        onDuplicateLayout={duplicateLayout}
+        onPublishLayout={publishLayout}
+        onImportLayouts={importLayouts}
+      />
+
+      <main className="mx-auto px-4 py-8 sm:px-6 lg:px-8 overflow-x-hidden">
+        {!isEnabled ? (
+          <div className="text-center py-16 text-white/50">
+            Share links are not available right now.
+          </div>
+        ) : isLoading ? (
+          <div className="flex items-center justify-center py-16 text-white/50">
+            Loading shared dashboard...
+          </div>
+        ) : shared.error ? (
+          <div className="text-center py-16">
+            <p className="text-red-500 text-sm mb-4">{shared.error}</p>
+            <Link href="/" className="text-sm text-white underline">
+              Go to your dashboard
+            </Link>
+          </div>
+        ) : (
+          <>
+            {/* Shared Layout Header */}
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+              <div>
+                <p className="text-xs text-white/50 uppercase tracking-wide mb-1">Shared dashboard</p>
+                <h1 className="text-3xl font-bold text-white">{shared.layout.name}</h1>
+                {(shared.report.skipped.length > 0 || shared.report.corrected.length > 0) && (
+                  <p className="text-xs text-yellow-400 mt-2">
+                    {shared.report.skipped.length > 0 && `${shared.report.skipped.length} invalid widget${shared.report.skipped.length === 1 ? ' was' : 's were'} left out. `}
+                    {shared.report.corrected.length > 0 && `${shared.report.corrected.length} setting${shared.report.corrected.length === 1 ? ' was' : 's were'} invalid and adjusted.`}
+                  </p>
+                )}
+              </div>
+
+              {isImported ? (
+                <div className="flex items-center gap-4">
+                  <p className="text-green-400 text-sm">✓ Added to your dashboards</p>
+                  <Link href="/" className="text-sm text-white underline">
+                    Open dashboard
+                  </Link>
+                </div>
+              ) : isAuthenticated ? (
+                <Button variant="primary" onClick={handleImport}>
+                  Import into my dashboards
+                </Button>
+              ) : (
+                <div className="flex items-center gap-4">
+                  <p className="text-white/60 text-sm">Connect your wallet to import this dashboard</p>
+                  <ConnectWallet />
+                </div>
+              )}
+            </div>
+
+            {shared.layout.widgets.length === 0 ? (
+              <div className="text-center py-16 text-white/50">
+                This dashboard has no widgets.
+              </div>
+            ) : (
+              <ResizableWidgetGrid widgets={shared.layout.widgets} readOnly />
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+'use client';
+
+import { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import Link from 'next/link';
+import { useUser } from '@/lib/hooks/useUser';
+import { useLayouts } from '@/lib/hooks/useLayouts';
+import { getPublicTemplates, copyTemplate, likeTemplate, isSupabaseAvailable } from '@/lib/supabase';
+import { isFeatureEnabled } from '@/lib/config';
+import { fromRemoteWidgets } from '@/lib/utils/layout-sync';
+import Header from '@/components/shared/Header';
+import ResizableWidgetGrid from '@/components/dashboard/ResizableWidgetGrid';
+import TemplateCard from '@/components/templates/TemplateCard';
+import Button from '@/components/ui/Button';
+import Modal from '@/components/ui/Modal';
+
+const SORT_OPTIONS = [
+  { value: 'likes', label: 'Most liked' },
+  { value: 'created_at', label: 'Newest' },
+];
+
+const TEMPLATES_LIMIT = 30;
+
+// Templates liked on this device, per user, so a like survives reloads
+const LIKED_KEY_PREFIX = 'liked_templates_';
+const likedListeners = new Set();
+
+function subscribeLikedTemplates(onChange) {
+  likedListeners.add(onChange);
+  window.addEventListener('storage', onChange);
+
+  return () => {
+    likedListeners.delete(onChange);
+    window.removeEventListener('storage', onChange);
+  };
+}
+
+function parseLikedTemplates(stored) {
+  try {
+    const ids = JSON.parse(stored);
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+function updateLikedTemplates(key, update) {
+  const ids = update(parseLikedTemplates(localStorage.getItem(key)));
+  localStorage.setItem(key, JSON.stringify(ids));
+  likedListeners.forEach(listener => listener());
+}
+
+export default function TemplatesPage() {
+  const { user, isAuthenticated } = useUser();
+  const {
+    layouts,
+    activeLayoutId,
+    switchLayout,
+    createLayout,
+    renameLayout,
+    deleteLayout,
+    duplicateLayout,
+    publishLayout,
+    importLayouts,
+    refreshLayouts,
+  } = useLayouts(user?.id);
+
+  const [sortBy, setSortBy] = useState('likes');
+  const [result, setResult] = useState({ sortBy: null, templates: [], error: null });
+  const [previewTemplate, setPreviewTemplate] = useState(null);
+  const [copyingId, setCopyingId] = useState(null);
+  const [copiedTemplate, setCopiedTemplate] = useState(null);
+  const [error, setError] = useState(null);
+
+  const likedKey = `${LIKED_KEY_PREFIX}${user?.id || 'guest'}`;
+  const storedLikedIds = useSyncExternalStore(
+    subscribeLikedTemplates,
+    () => localStorage.getItem(likedKey),
+    () => null
+  );
+  const likedIds = useMemo(() => parseLikedTemplates(storedLikedIds), [storedLikedIds]);
+
+  const isEnabled = isFeatureEnabled('templates') && isSupabaseAvailable();
+  const isLoading = isEnabled && result.sortBy !== sortBy;
+  const templates = result.templates;
+
+  // Fetch templates whenever the sort order changes
+  useEffect(() => {
+    if (!isEnabled) return;
+
+    let cancelled = false;
+
+    getPublicTemplates(TEMPLATES_LIMIT, sortBy)
+      .then((data) => {
+        if (!cancelled) setResult({ sortBy, templates: data, error: null });
+      })
+      .catch((err) => {
+        console.error('Error fetching templates:', err);
+        if (!cancelled) setResult({ sortBy, templates: [], error: 'Failed to load templates' });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sortBy, isEnabled]);
+
+  const updateTemplate = (templateId, updates) => {
+    setResult(prev => ({
+      ...prev,
+      templates: prev.templates.map(t => (t.id === templateId ? { ...t, ...updates } : t)),
+    }));
+  };
+
+  // Copy a template into the user's layouts and make it the active one
+  const handleUseTemplate = async (template) => {
+    if (!isAuthenticated) {
+      setError('Connect your wallet to use templates');
+      return;
+    }
+
+    setCopyingId(template.id);
+    setError(null);
+
+    try {
+      const layout = await copyTemplate(user.id, template.id, template.name);
+      await refreshLayouts({ activate: layout.id });
+      updateTemplate(template.id, { copies: (template.copies || 0) + 1 });
+      setCopiedTemplate(template);
+      setPreviewTemplate(null);
+    } catch (err) {
+      console.error('Error copying template:', err);
+      setError(err.message || 'Failed to copy template');
+    } finally {
+      setCopyingId(null);
+    }
+  };
+
+  const handleLike = async (template) => {
+    if (likedIds.includes(template.id)) return;
+
+    // Count the like right away, and take it back if it is not saved
+    updateLikedTemplates(likedKey, ids => [...ids, template.id]);
+    updateTemplate(template.id, { likes: (template.likes || 0) + 1 });
+
+    try {
+      await likeTemplate(template.id);
+    } catch (err) {
+      console.error('Error liking template:', err);
+      updateLikedTemplates(likedKey, ids => ids.filter(id => id !== template.id));
+      updateTemplate(template.id, { likes: template.likes || 0 });
+      setError(err.message || 'Failed to like template');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-dark">
+      <Header
+        layouts={layouts}
+        activeLayoutId={activeLayoutId}
+        onSwitchLayout={switchLayout}
+        onCreateLayout={createLayout}
+        onRenameLayout={renameLayout}
+        onDeleteLayout={deleteLayout}
+        onDuplicateLayout={duplicateLayout}
+        onPublishLayout={publishLayout}
+        onImportLayouts={importLayouts}
+      />
+
+      <div className="mx-auto px-4 py-8 sm:px-6 lg:px-8">
+        {/* Page Header */}
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Community Templates</h1>
+            <p className="text-white/60">Dashboards published by the community, ready to copy</p>
+          </div>
+
+          <div className="flex items-center gap-2">
+            {SORT_OPTIONS.map((option) => (
+              <Button
+                key={option.value}
+                variant={sortBy === option.value ? 'primary' : 'outline'}
+                size="sm"
+                onClick={() => setSortBy(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-900/20 border border-red-800 rounded-3xl">
+            <p className="text-red-400 text-sm">❌ {error}</p>
+          </div>
+        )}
+
+        {copiedTemplate && (
+          <div className="mb-6 p-4 bg-green-900/20 border border-green-800 rounded-3xl flex items-center justify-between gap-4">
+            <p className="text-green-400 text-sm">✓ &quot;{copiedTemplate.name}&quot; was added to your dashboards</p>
+            <Link href="/" className="text-sm text-white underline">
+              Open dashboard
+            </Link>
+          </div>
+        )}
+
+        {/* Gallery */}
+        {!isEnabled ? (
+          <div className="text-center py-16 text-white/50">
+            Templates are not available right now.
+          </div>
+        ) : isLoading ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[...Array(6)].map((_, i) => (
+              <div key={i} className="animate-pulse bg-white/10 rounded-3xl h-64" />
+            ))}
+          </div>
+        ) : result.error ? (
+          <div className="text-center py-16">
+            <p className="text-red-500 text-sm">{result.error}</p>
+          </div>
+        ) : templates.length === 0 ? (
+          <div className="text-center py-16 text-white/50">
+            No templates yet. Publish one of your dashboards to get things started.
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {templates.map((template) => (
+              <TemplateCard
+                key={template.id}
+                template={template}
+                isLiked={likedIds.includes(template.id)}
+                isCopying={copyingId === template.id}
+                onPreview={() => setPreviewTemplate(template)}
+                onUse={() => handleUseTemplate(template)}
+                onLike={() => handleLike(template)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Read-only Preview */}
+      <Modal
+        title={<span className="text-white">{previewTemplate?.name}</span>}
+        description={<span className="text-gray-400">{previewTemplate?.description}</span>}
+        showModal={Boolean(previewTemplate)}
+        closeModal={() => setPreviewTemplate(null)}
+        className="max-w-6xl"
+      >
+        {previewTemplate && (
+          <div className="space-y-6">
+            <ResizableWidgetGrid
+              widgets={fromRemoteWidgets(previewTemplate.template_widgets)}
+              readOnly
+            />
+            <Button
+              variant="primary"
+              onClick={() => handleUseTemplate(previewTemplate)}
+              disabled={copyingId === previewTemplate.id}
+              className="w-full"
+            >
+              {copyingId === previewTemplate.id ? 'Copying...' : 'Use this template'}
+            </Button>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
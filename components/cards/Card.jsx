@@ -7,6 +7,8 @@ import { DragDropHorizontalIcon, MoreVerticalIcon, Delete02Icon, PinIcon, Cancel
 import { motion, AnimatePresence, stagger } from 'motion/react';
 import Button from '@/components/ui/Button';
 import CardSettingsToggle from '@/components/cards/CardSettingsToggle';
+import CardSettingsForm from '@/components/cards/CardSettingsForm';
+import { useWidgetGrid } from '@/lib/contexts/WidgetGridContext';
 
 // Animation variants for the circular background reveal
 const backgroundVariants = {
@@ -84,8 +86,13 @@ const Card = ({
     onToggleFixed,
     onChangeVariant,
     customSettings, // Custom settings content from widgets
+    configSchema, // Registry schema, rendered as generated settings
+    config = {},
+    onUpdateConfig,
 }) => {
     const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const { readOnly } = useWidgetGrid(); // Previews hide drag and settings controls
+    const hasSchemaSettings = configSchema && Object.keys(configSchema).length > 0;
 
     // Theme options
     const themeOptions = [
@@ -114,7 +121,7 @@ const Card = ({
 
     return (
         <div className={`rounded-3xl p-6 relative overflow-hidden ${variantClasses[variant]} ${textColorClasses[variant]} ${className}`}>
-            {draggable && !isFixed && (
+            {draggable && !isFixed && !readOnly && (
                 <div className={`drag-handle absolute top-0 left-0 right-0 flex justify-center items-center py-2 transition-colors z-10 ${variant === 'white' ? 'text-black/50 hover:text-black/80' : 'text-white/50 hover:text-white/80'}`}>
                     <HugeiconsIcon icon={DragDropHorizontalIcon} className="w-5 h-5" />
                 </div>
@@ -137,16 +144,18 @@ const Card = ({
                                     <HugeiconsIcon icon={PinIcon} className="w-4 h-4" />
                                 </div>
                             )}
-                            <button
-                                className={`cursor-pointer transition-colors p-2 rounded-full relative z-30 ${variant === 'white' ? 'text-black/50 hover:text-black/80 hover:bg-black/5' : 'text-white/50 hover:text-white/80 hover:bg-white/5'}`}
-                                type="button"
-                                onClick={() => setIsSettingsOpen(!isSettingsOpen)}
-                            >
-                                <HugeiconsIcon
-                                    icon={isSettingsOpen ? Cancel01Icon : MoreVerticalIcon}
-                                    className="w-5 h-5"
-                                />
-                            </button>
+                            {!readOnly && (
+                                <button
+                                    className={`cursor-pointer transition-colors p-2 rounded-full relative z-30 ${variant === 'white' ? 'text-black/50 hover:text-black/80 hover:bg-black/5' : 'text-white/50 hover:text-white/80 hover:bg-white/5'}`}
+                                    type="button"
+                                    onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+                                >
+                                    <HugeiconsIcon
+                                        icon={isSettingsOpen ? Cancel01Icon : MoreVerticalIcon}
+                                        className="w-5 h-5"
+                                    />
+                                </button>
+                            )}
                         </div>
                     </div>
                 )}
@@ -246,6 +255,20 @@ const Card = ({
                                 </div>
                             </motion.div>
 
+                            {/* Generated Settings from configSchema */}
+                            {hasSchemaSettings && (
+                                <motion.div
+                                    variants={itemVariants}
+                                    className="border-t border-white/10 pt-4"
+                                >
+                                    <CardSettingsForm
+                                        schema={configSchema}
+                                        values={config}
+                                        onChange={(key, value) => onUpdateConfig?.({ ...config, [key]: value })}
+                                    />
+                                </motion.div>
+                            )}
+
                             {/* Custom Settings from Widget */}
                             {customSettings && (
                                 <motion.div
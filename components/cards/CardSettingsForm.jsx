@@ -0,0 +1,262 @@
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+import { HugeiconsIcon } from '@hugeicons/react';
+import { Cancel01Icon } from '@hugeicons-pro/core-solid-standard';
+import CardSettingsToggle from '@/components/cards/CardSettingsToggle';
+import { getNetworkTokens, getTokenOptions } from '@/config/tokens';
+import { useNetwork, useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { validateConfigValue } from '@/lib/widgets';
+
+const inputClass = 'w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:outline-none focus:border-white/30';
+
+const FieldLabel = ({ field }) => (
+    <>
+        <p className="text-white font-medium mb-1">{field.label}</p>
+        {field.description && <p className="text-xs text-white/60 mb-3">{field.description}</p>}
+    </>
+);
+
+const FieldError = ({ error }) => (
+    error ? <p className="text-xs text-red-400 mt-1">{error}</p> : null
+);
+
+const SelectField = ({ field, value, onChange }) => (
+    <div>
+        <FieldLabel field={field} />
+        <select
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value)}
+            className={inputClass}
+        >
+            {field.options?.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+        </select>
+    </div>
+);
+
+const NetworkField = ({ field, value, onChange }) => {
+    const { network, networks } = useNetwork();
+
+    return (
+        <SelectField
+            field={{
+                ...field,
+                options: [
+                    { value: '', label: `Header network (${network.displayName})` },
+                    ...networks.map((net) => ({ value: net.name, label: net.displayName })),
+                ],
+            }}
+            value={value}
+            onChange={onChange}
+        />
+    );
+};
+
+const TokenField = ({ field, value, network, onChange }) => (
+    <SelectField
+        field={{ ...field, options: getTokenOptions(network) }}
+        value={value}
+        onChange={onChange}
+    />
+);
+
+const NumberField = ({ field, value, onChange }) => {
+    // Keep the raw text while typing, commit on blur/enter
+    const [draft, setDraft] = useState(null);
+    const [error, setError] = useState(null);
+
+    const commit = () => {
+        if (draft === null) return;
+        const result = validateConfigValue(field, draft);
+        setError(result.error);
+        setDraft(null);
+        if (typeof result.value === 'number' && result.value !== value) {
+            onChange(result.value);
+        }
+    };
+
+    return (
+        <div>
+            <FieldLabel field={field} />
+            <div className="flex items-center gap-2">
+                <input
+                    type="number"
+                    value={draft ?? value ?? ''}
+                    min={field.min}
+                    max={field.max}
+                    step={field.step}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={(e) => e.key === 'Enter' && commit()}
+                    className={inputClass}
+                />
+                {field.unit && <span className="text-xs text-white/60">{field.unit}</span>}
+            </div>
+            <FieldError error={error} />
+        </div>
+    );
+};
+
+const TokenListField = ({ field, value = [], network, onChange }) => {
+    const [search, setSearch] = useState('');
+    const [error, setError] = useState(null);
+
+    const tokens = Object.values(getNetworkTokens(network));
+    const selected = value
+        .map((id) => tokens.find((token) => token.coingeckoId === id))
+        .filter(Boolean);
+
+    const query = search.trim().toLowerCase();
+    const results = query
+        ? tokens.filter((token) =>
+            !value.includes(token.coingeckoId) &&
+            (token.symbol.toLowerCase().includes(query) || token.name.toLowerCase().includes(query))
+        ).slice(0, 5)
+        : [];
+
+    const update = (next) => {
+        const result = validateConfigValue(field, next);
+        setError(result.error);
+        // Reject changes that would drop below min or go past max
+        if (!result.error) {
+            onChange(result.value);
+        }
+    };
+
+    return (
+        <div>
+            <FieldLabel field={field} />
+            <div className="flex flex-wrap gap-2 mb-2">
+                {selected.map((token) => (
+                    <span key={token.coingeckoId} className="flex items-center gap-1 pl-1 pr-2 py-1 rounded-full bg-white/10 text-xs text-white">
+                        <Image src={token.logo} alt={token.symbol} width={16} height={16} className="rounded-full" />
+                        {token.symbol}
+                        <button
+                            type="button"
+                            onClick={() => update(value.filter((id) => id !== token.coingeckoId))}
+                            className="cursor-pointer text-white/50 hover:text-white"
+                        >
+                            <HugeiconsIcon icon={Cancel01Icon} className="w-3 h-3" />
+                        </button>
+                    </span>
+                ))}
+            </div>
+            <input
+                type="text"
+                value={search}
+                placeholder="Search tokens..."
+                onChange={(e) => setSearch(e.target.value)}
+                className={inputClass}
+            />
+            {results.length > 0 && (
+                <div className="mt-1 rounded-lg bg-white/5 border border-white/10 overflow-hidden">
+                    {results.map((token) => (
+                        <button
+                            key={token.coingeckoId}
+                            type="button"
+                            onClick={() => {
+                                update([...value, token.coingeckoId]);
+                                setSearch('');
+                            }}
+                            className="w-full flex items-center gap-2 px-3 py-2 text-left text-sm text-white hover:bg-white/10 cursor-pointer"
+                        >
+                            <Image src={token.logo} alt={token.symbol} width={20} height={20} className="rounded-full" />
+                            <span className="font-medium">{token.symbol}</span>
+                            <span className="text-white/50 truncate">{token.name}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+            <FieldError error={error} />
+        </div>
+    );
+};
+
+/**
+ * CardSettingsForm - Renders widget settings from a registry configSchema
+ * Values are validated against the schema before being handed to onChange.
+ * Token fields offer the tokens of the widget's network.
+ */
+const CardSettingsForm = ({ schema = {}, values = {}, onChange }) => {
+    const network = useWidgetNetwork(values.network).name;
+
+    const handleChange = (key, field, rawValue) => {
+        const { value, error } = validateConfigValue(field, rawValue, { network });
+        if (!error) {
+            onChange?.(key, value);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {Object.entries(schema).map(([key, field]) => {
+                switch (field.type) {
+                    case 'boolean':
+                        return (
+                            <CardSettingsToggle
+                                key={key}
+                                title={field.label}
+                                description={field.description}
+                                isOn={Boolean(values[key])}
+                                onToggle={() => handleChange(key, field, !values[key])}
+                            />
+                        );
+                    case 'select':
+                        return (
+                            <SelectField
+                                key={key}
+                                field={field}
+                                value={values[key]}
+                                onChange={(value) => handleChange(key, field, value)}
+                            />
+                        );
+                    case 'number':
+                        return (
+                            <NumberField
+                                key={key}
+                                field={field}
+                                value={values[key]}
+                                onChange={(value) => onChange?.(key, value)}
+                            />
+                        );
+                    case 'network':
+                        return (
+                            <NetworkField
+                                key={key}
+                                field={field}
+                                value={values[key]}
+                                onChange={(value) => handleChange(key, field, value)}
+                            />
+                        );
+                    case 'token':
+                        return (
+                            <TokenField
+                                key={key}
+                                field={field}
+                                value={values[key]}
+                                network={network}
+                                onChange={(value) => handleChange(key, field, value)}
+                            />
+                        );
+                    case 'tokenList':
+                        return (
+                            <TokenListField
+                                key={key}
+                                field={field}
+                                value={values[key]}
+                                network={network}
+                                onChange={(value) => onChange?.(key, value)}
+                            />
+                        );
+                    default:
+                        return null;
+                }
+            })}
+        </div>
+    );
+};
+
+export default CardSettingsForm;
@@ -1,27 +1,20 @@
 'use client';
 
-import { useMemo, useState, useEffect, useRef } from 'react';
+import { useMemo, useState, useEffect, useRef, Suspense } from 'react';
 import GridLayout from 'react-grid-layout';
-import Card from '@/components/cards/Card';
+import { Spinner } from '@heroui/spinner';
+import { getWidget, getWidgetSize } from '@/lib/widgets';
+import WidgetPlaceholder from '@/components/dashboard/WidgetPlaceholder';
+import WidgetErrorBoundary from '@/components/dashboard/WidgetErrorBoundary';
+import { WidgetGridProvider } from '@/lib/contexts/WidgetGridContext';
 import 'react-grid-layout/css/styles.css';
 
-// Import all widget components
-import { PriceTracker, PriceChart, FearGreedIndex, GasTracker, TrendingTokens } from '@/components/widgets';
-
-// Widget type mapping
-const WIDGET_COMPONENTS = {
-  'price-tracker': PriceTracker,
-  'price-chart': PriceChart,
-  'fear-greed-index': FearGreedIndex,
-  'gas-tracker': GasTracker,
-  'trending-tokens': TrendingTokens,
-};
-
 /**
  * ResizableWidgetGrid - Simple draggable and resizable grid
  * Responsive to parent container width using custom hook
+ * With readOnly, widgets render as a static preview (no drag, resize or settings)
  */
-const ResizableWidgetGrid = ({ widgets = [], onWidgetsChange }) => {
+const ResizableWidgetGrid = ({ widgets = [], onWidgetsChange, readOnly = false }) => {
   const containerRef = useRef(null);
   const [containerWidth, setContainerWidth] = useState(1200);
   const [gridMargin, setGridMargin] = useState(32); // gap-8 (32px) default
@@ -44,21 +37,26 @@ const ResizableWidgetGrid = ({ widgets = [], onWidgetsChange }) => {
 
   // Convert widgets to react-grid-layout format
   const layout = useMemo(() => {
-    return widgets.map((widget, index) => ({
-      i: widget.id,
-      x: widget.x ?? (index % 4) * 3,
-      y: widget.y ?? Math.floor(index / 4) * 2,
-      w: widget.w ?? 3,
-      h: widget.h ?? 2,
-      minW: 2,
-      minH: 1,
-      maxW: 12,
-      maxH: 6,
-      static: widget.isFixed ?? false, // Add static property for fixed cards
-    }));
+    return widgets.map((widget, index) => {
+      const size = getWidgetSize(widget.type);
+      return {
+        i: widget.id,
+        x: widget.x ?? (index % 4) * 3,
+        y: widget.y ?? Math.floor(index / 4) * 2,
+        w: widget.w ?? size.width,
+        h: widget.h ?? size.height,
+        minW: size.minWidth,
+        minH: size.minHeight,
+        maxW: 12,
+        maxH: 6,
+        static: widget.isFixed ?? false, // Add static property for fixed cards
+      };
+    });
   }, [widgets]);
 
   const handleLayoutChange = (newLayout) => {
+    if (readOnly) return;
+
     // Update widgets with new layout positions and sizes
     const updatedWidgets = widgets.map((widget) => {
       const layoutItem = newLayout.find((l) => l.i === widget.id);
@@ -120,162 +118,173 @@ const ResizableWidgetGrid = ({ widgets = [], onWidgetsChange }) => {
   };
 
   return (
-    <div ref={containerRef} className="w-full">
-      <GridLayout
-        className="layout"
-        layout={layout}
-        cols={12}
-        rowHeight={240}
-        width={containerWidth}
-        onLayoutChange={handleLayoutChange}
-        draggableHandle=".drag-handle"
-        compactType="vertical"
-        preventCollision={false}
-        margin={[gridMargin, gridMargin]}
-        isDraggable={true}
-        isResizable={true}
-        resizeHandles={['se', 'sw', 'ne', 'nw']}
-      >
-        {widgets.map((widget) => {
-          // Get the widget component for this widget type
-          const WidgetComponent = WIDGET_COMPONENTS[widget.type];
-          
-          return (
-          <div key={widget.id}>
-              {WidgetComponent ? (
-                <WidgetComponent
-                  config={{
-                    ...widget,
-                    showTitle: widget.showTitle !== false,
-                    showSubtitle: widget.showSubtitle !== false,
-                    variant: widget.variant,
-                    isFixed: widget.isFixed || false,
-                    tokenId: widget.tokenId,
-                  }}
-                  onUpdateConfig={(newConfig) => {
-                    const updatedWidgets = widgets.map((w) =>
-                      w.id === widget.id ? { ...w, ...newConfig } : w
-                    );
-                    onWidgetsChange?.(updatedWidgets);
-                  }}
-                  onDelete={() => handleDeleteWidget(widget.id)}
-                />
-              ) : (
-                // Fallback for unknown widget types
-            <Card
-              title={widget.title}
-              description={widget.description}
-              variant={widget.variant}
-              className="h-full"
-              draggable={true}
-                  showTitle={widget.showTitle !== false}
-                  showSubtitle={widget.showSubtitle !== false}
-              isFixed={widget.isFixed || false}
-              onToggleTitle={() => handleToggleTitle(widget.id)}
-              onToggleSubtitle={() => handleToggleSubtitle(widget.id)}
-              onToggleFixed={() => handleToggleFixed(widget.id)}
-              onDelete={() => handleDeleteWidget(widget.id)}
-              onChangeVariant={(newVariant) => handleChangeVariant(widget.id, newVariant)}
-            >
-              <div className="flex items-center justify-center h-full text-4xl">
-                    {widget.icon || '❓'}
+    <WidgetGridProvider readOnly={readOnly}>
+      <div ref={containerRef} className="w-full">
+        <GridLayout
+          className="layout"
+          layout={layout}
+          cols={12}
+          rowHeight={240}
+          width={containerWidth}
+          onLayoutChange={handleLayoutChange}
+          draggableHandle=".drag-handle"
+          compactType="vertical"
+          preventCollision={false}
+          margin={[gridMargin, gridMargin]}
+          isDraggable={!readOnly}
+          isResizable={!readOnly}
+          resizeHandles={['se', 'sw', 'ne', 'nw']}
+        >
+          {widgets.map((widget) => {
+            // Resolve the widget component through the registry
+            const definition = getWidget(widget.type);
+            const WidgetComponent = definition?.component;
+
+            // Shared placeholder for unknown types and crashed widgets
+            const renderPlaceholder = (error, retry) => (
+              <WidgetPlaceholder
+                widget={widget}
+                error={error}
+                onRetry={retry}
+                onToggleTitle={() => handleToggleTitle(widget.id)}
+                onToggleSubtitle={() => handleToggleSubtitle(widget.id)}
+                onToggleFixed={() => handleToggleFixed(widget.id)}
+                onDelete={() => handleDeleteWidget(widget.id)}
+                onChangeVariant={(newVariant) => handleChangeVariant(widget.id, newVariant)}
+              />
+            );
+
+            return (
+              <div key={widget.id}>
+                {WidgetComponent ? (
+                  <WidgetErrorBoundary widgetId={widget.id} fallback={renderPlaceholder}>
+                    <Suspense
+                      fallback={
+                        <div className="h-full rounded-3xl bg-white/10 backdrop-blur-md flex items-center justify-center">
+                          <Spinner />
+                        </div>
+                      }
+                    >
+                      <WidgetComponent
+                        config={{
+                          ...definition.defaultConfig,
+                          ...widget,
+                          showTitle: widget.showTitle !== false,
+                          showSubtitle: widget.showSubtitle !== false,
+                          variant: widget.variant,
+                          isFixed: widget.isFixed || false,
+                          tokenId: widget.tokenId,
+                        }}
+                        onUpdateConfig={(newConfig) => {
+                          const updatedWidgets = widgets.map((w) =>
+                            w.id === widget.id ? { ...w, ...newConfig } : w
+                          );
+                          onWidgetsChange?.(updatedWidgets);
+                        }}
+                        onDelete={() => handleDeleteWidget(widget.id)}
+                        configSchema={definition.configSchema}
+                      />
+                    </Suspense>
+                  </WidgetErrorBoundary>
+                ) : (
+                  // Fallback for unknown widget types
+                  renderPlaceholder(null)
+                )}
               </div>
-            </Card>
-              )}
-          </div>
-          );
-        })}
-      </GridLayout>
-
-      <style jsx global>{`
-        .react-grid-layout {
-          position: relative;
-        }
-
-        .react-grid-item {
-          transition: all 200ms ease;
-          transition-property: left, top, width, height;
-        }
-
-        .react-grid-item.cssTransforms {
-          transition-property: transform, width, height;
-        }
-
-        .react-grid-item.resizing {
-          transition: none;
-          z-index: 100;
-        }
-
-        .react-grid-item.react-draggable-dragging {
-          transition: none;
-          z-index: 100;
-        }
-
-        .react-grid-item.react-grid-placeholder {
-          background: rgba(59, 130, 246, 0.2);
-          border-radius: 24px;
-          border: 2px dashed rgba(59, 130, 246, 0.5);
-        }
-
-        /* Resize handles */
-        .react-resizable-handle {
-          position: absolute;
-          width: 20px;
-          height: 20px;
-        }
-
-        .react-resizable-handle::after {
-          content: '';
-          position: absolute;
-          right: 3px;
-          bottom: 3px;
-          width: 8px;
-          height: 8px;
-          border-right: 2px solid rgba(255, 255, 255, 0.4);
-          border-bottom: 2px solid rgba(255, 255, 255, 0.4);
-        }
-
-        .react-resizable-handle-sw {
-          bottom: 0;
-          left: 0;
-          cursor: sw-resize;
-          transform: rotate(90deg);
-        }
-
-        .react-resizable-handle-se {
-          bottom: 0;
-          right: 0;
-          cursor: se-resize;
-        }
-
-        .react-resizable-handle-nw {
-          top: 0;
-          left: 0;
-          cursor: nw-resize;
-          transform: rotate(180deg);
-        }
-
-        .react-resizable-handle-ne {
-          top: 0;
-          right: 0;
-          cursor: ne-resize;
-          transform: rotate(270deg);
-        }
-
-        .react-resizable-handle:hover::after {
-          border-right-color: rgba(255, 255, 255, 0.8);
-          border-bottom-color: rgba(255, 255, 255, 0.8);
-        }
-
-        .drag-handle {
-          cursor: grab;
-        }
-
-        .drag-handle:active {
-          cursor: grabbing;
-        }
-      `}</style>
-    </div>
+            );
+          })}
+        </GridLayout>
+
+        <style jsx global>{`
+          .react-grid-layout {
+            position: relative;
+          }
+
+          .react-grid-item {
+            transition: all 200ms ease;
+            transition-property: left, top, width, height;
+          }
+
+          .react-grid-item.cssTransforms {
+            transition-property: transform, width, height;
+          }
+
+          .react-grid-item.resizing {
+            transition: none;
+            z-index: 100;
+          }
+
+          .react-grid-item.react-draggable-dragging {
+            transition: none;
+            z-index: 100;
+          }
+
+          .react-grid-item.react-grid-placeholder {
+            background: rgba(59, 130, 246, 0.2);
+            border-radius: 24px;
+            border: 2px dashed rgba(59, 130, 246, 0.5);
+          }
+
+          /* Resize handles */
+          .react-resizable-handle {
+            position: absolute;
+            width: 20px;
+            height: 20px;
+          }
+
+          .react-resizable-handle::after {
+            content: '';
+            position: absolute;
+            right: 3px;
+            bottom: 3px;
+            width: 8px;
+            height: 8px;
+            border-right: 2px solid rgba(255, 255, 255, 0.4);
+            border-bottom: 2px solid rgba(255, 255, 255, 0.4);
+          }
+
+          .react-resizable-handle-sw {
+            bottom: 0;
+            left: 0;
+            cursor: sw-resize;
+            transform: rotate(90deg);
+          }
+
+          .react-resizable-handle-se {
+            bottom: 0;
+            right: 0;
+            cursor: se-resize;
+          }
+
+          .react-resizable-handle-nw {
+            top: 0;
+            left: 0;
+            cursor: nw-resize;
+            transform: rotate(180deg);
+          }
+
+          .react-resizable-handle-ne {
+            top: 0;
+            right: 0;
+            cursor: ne-resize;
+            transform: rotate(270deg);
+          }
+
+          .react-resizable-handle:hover::after {
+            border-right-color: rgba(255, 255, 255, 0.8);
+            border-bottom-color: rgba(255, 255, 255, 0.8);
+          }
+
+          .drag-handle {
+            cursor: grab;
+          }
+
+          .drag-handle:active {
+            cursor: grabbing;
+          }
+        `}</style>
+      </div>
+    </WidgetGridProvider>
   );
 };
 
@@ -0,0 +1,37 @@
+'use client';
+
+import { Component } from 'react';
+
+/**
+ * WidgetErrorBoundary - Isolates render errors to a single widget
+ * Also catches failed lazy imports from the widget registry
+ */
+class WidgetErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(`Widget "${this.props.widgetId}" crashed:`, error, info?.componentStack);
+  }
+
+  reset() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    if (this.state.error) {
+      return this.props.fallback(this.state.error, this.reset);
+    }
+
+    return this.props.children;
+  }
+}
+
+export default WidgetErrorBoundary;
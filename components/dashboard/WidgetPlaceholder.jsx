@@ -0,0 +1,59 @@
+'use client';
+
+import Card from '@/components/cards/Card';
+import Button from '@/components/ui/Button';
+
+/**
+ * WidgetPlaceholder - Stand-in card for widgets that cannot be rendered
+ * Shown for widget types missing from the registry and for widgets that
+ * crashed while rendering, so one broken widget never takes down the grid
+ */
+const WidgetPlaceholder = ({
+  widget,
+  error,
+  onRetry,
+  onDelete,
+  onToggleTitle,
+  onToggleSubtitle,
+  onToggleFixed,
+  onChangeVariant,
+}) => {
+  const title = widget.title || 'Unavailable widget';
+  const description = error
+    ? 'This widget failed to load'
+    : `Unknown widget type "${widget.type}"`;
+
+  return (
+    <Card
+      title={title}
+      description={description}
+      variant={widget.variant}
+      className="h-full flex flex-col"
+      draggable={true}
+      showTitle={widget.showTitle !== false}
+      showSubtitle={widget.showSubtitle !== false}
+      isFixed={widget.isFixed || false}
+      onToggleTitle={onToggleTitle}
+      onToggleSubtitle={onToggleSubtitle}
+      onToggleFixed={onToggleFixed}
+      onDelete={onDelete}
+      onChangeVariant={onChangeVariant}
+    >
+      <div className="flex-1 flex flex-col items-center justify-center text-center gap-3">
+        <div className="text-4xl">{error ? '⚠️' : widget.icon || '❓'}</div>
+        <p className="text-sm opacity-60">
+          {error
+            ? error.message || 'Something went wrong while rendering this widget.'
+            : 'This widget is no longer available. Remove it from the ⋮ menu.'}
+        </p>
+        {error && onRetry && (
+          <Button variant="outline" size="sm" onClick={onRetry}>
+            Try again
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default WidgetPlaceholder;
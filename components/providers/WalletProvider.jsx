@@ -6,19 +6,13 @@
 'use client';
 
 import { OnchainKitProvider } from '@coinbase/onchainkit';
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { QueryClientProvider } from '@tanstack/react-query';
 import { WagmiProvider } from 'wagmi';
 import { config } from '@/lib/wagmi';
+import { createQueryClient } from '@/lib/query-client';
 import { activeNetwork } from '@/config/networks';
 
-const queryClient = new QueryClient({
-  defaultOptions: {
-    queries: {
-      staleTime: 60 * 1000, // 1 minute
-      refetchOnWindowFocus: false,
-    },
-  },
-});
+const queryClient = createQueryClient();
 
 export function WalletProvider({ children }) {
   const chain = activeNetwork.id === 8453 ? activeNetwork : activeNetwork;
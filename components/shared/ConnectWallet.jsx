@@ -1,13 +1,13 @@
 /**
  * ConnectWallet Component
- * Wallet connection with Base network validation
+ * Wallet connection with network validation against the selected network
  */
 
 'use client';
 
 import { useState, useEffect } from 'react';
 import { useAccount, useConnect, useDisconnect, useSwitchChain } from 'wagmi';
-import { base } from 'wagmi/chains';
+import { useNetwork } from '@/lib/contexts/NetworkContext';
 import Button from '@/components/ui/Button';
 import Modal from '@/components/ui/Modal';
 
@@ -17,29 +17,30 @@ export function ConnectWallet({ className }) {
   const { connect, connectors, isPending } = useConnect();
   const { disconnect } = useDisconnect();
   const { switchChain } = useSwitchChain();
+  const { network } = useNetwork();
   const [showConnectors, setShowConnectors] = useState(false);
 
-  // Check if on Base network
-  const isOnBase = chain?.id === base.id;
+  // Check if on the selected network
+  const isOnNetwork = chain?.id === network.id;
 
-  // Auto-switch to Base when connected to wrong network
+  // Auto-switch to the selected network when connected to a different one
   useEffect(() => {
-    if (isConnected && !isOnBase) {
-      switchChain({ chainId: base.id });
+    if (isConnected && !isOnNetwork) {
+      switchChain({ chainId: network.id });
     }
-  }, [isConnected, isOnBase, switchChain]);
+  }, [isConnected, isOnNetwork, network.id, switchChain]);
 
   // Connected state
   if (isConnected && address) {
     return (
       <div className="flex items-center gap-2">
         {/* Wrong network warning */}
-        {!isOnBase && (
+        {!isOnNetwork && (
           <button
-            onClick={() => switchChain({ chainId: base.id })}
+            onClick={() => switchChain({ chainId: network.id })}
             className="rounded-lg bg-red-500 px-3 py-2 text-sm text-white hover:bg-red-600 transition-colors font-medium"
           >
-            Switch to Base
+            Switch to {network.displayName}
           </button>
         )}
         
@@ -66,7 +67,7 @@ export function ConnectWallet({ className }) {
       {/* Wallet selector modal */}
       <Modal
         title="Connect Wallet"
-        description="Only Base network addresses"
+        description={`Connects on ${network.displayName}`}
         showModal={showConnectors}
         closeModal={() => setShowConnectors(false)}
         className="max-w-md"
@@ -103,7 +104,7 @@ export function ConnectWallet({ className }) {
                   onClick={() => {
                     connect({ 
                       connector,
-                      chainId: base.id, // Connect to Base network
+                      chainId: network.id, // Connect to the selected network
                     });
                     setShowConnectors(false);
                   }}
@@ -3,7 +3,8 @@
 import { useState } from "react";
 import Image from "next/image";
 import Link from "next/link";
-import { appConfig } from "@/lib/config";
+import { useRouter } from "next/navigation";
+import { appConfig, isFeatureEnabled } from "@/lib/config";
 import { ConnectWallet } from "./ConnectWallet";
 import WidgetsModal from "./WidgetsModal";
 import LayoutDropdown from "./LayoutDropdown";
@@ -18,6 +19,7 @@ import { HugeiconsIcon } from "@hugeicons/react";
 import { Add01Icon, Settings01Icon, Copy02Icon } from "@hugeicons-pro/core-solid-standard";
 import { Outfit } from "next/font/google";
 import { useCurrency } from "@/lib/contexts/CurrencyContext";
+import { useNetwork } from "@/lib/contexts/NetworkContext";
 
 const outfit = Outfit({ subsets: ["latin"] });
 
@@ -29,12 +31,16 @@ const Header = ({
   onRenameLayout,
   onDeleteLayout,
   onDuplicateLayout,
+  onPublishLayout,
+  onImportLayouts,
   onAddWidget
 }) => {
-  const { activeNetwork, disconnect, formatAddress } = useWallet();
+  const { disconnect, formatAddress } = useWallet();
   const { user } = useUser();
   const { address, isConnected } = useAccount();
   const { currency, currencies, changeCurrency } = useCurrency();
+  const { network, networks, changeNetwork } = useNetwork();
+  const router = useRouter();
   const [isWidgetsModalOpen, setIsWidgetsModalOpen] = useState(false);
 
   const handleOpenWidgetsModal = () => {
@@ -98,6 +104,37 @@ const Header = ({
     },
   ];
 
+  // Network dropdown items
+  const networkMenuItems = [
+    {
+      label: (
+        <div className="flex flex-col gap-1 py-1">
+          <span className="text-xs text-black/50 font-semibold uppercase">
+            Network
+          </span>
+        </div>
+      ),
+      onClick: () => { }, // Header display
+    },
+    ...networks.map(net => ({
+      label: (
+        <div className="flex items-center justify-between w-full">
+          <span className="flex items-center gap-2 text-sm">
+            <span
+              className="w-2 h-2 rounded-full"
+              style={{ backgroundColor: net.branding.primaryColor }}
+            />
+            {net.displayName}
+          </span>
+          {net.name === network.name && (
+            <span className="ml-2 text-xs text-primary">✓</span>
+          )}
+        </div>
+      ),
+      onClick: () => changeNetwork(net.name),
+    })),
+  ];
+
   // Settings dropdown items
   const settingsMenuItems = [
     {
@@ -133,6 +170,10 @@ const Header = ({
       ),
       onClick: () => changeCurrency(curr.code),
     })),
+    ...(isFeatureEnabled('diagnostics') ? [{
+      label: <span className="text-sm font-medium text-black">API usage</span>,
+      onClick: () => router.push('/diagnostics'),
+    }] : []),
   ];
 
   return (
@@ -159,8 +200,17 @@ const Header = ({
                 onRenameLayout={onRenameLayout}
                 onDeleteLayout={onDeleteLayout}
                 onDuplicateLayout={onDuplicateLayout}
+                onPublishLayout={onPublishLayout}
+                onImportLayouts={onImportLayouts}
               />
             )}
+            {isFeatureEnabled('templates') && (
+              <Link href="/templates">
+                <Button variant="transparent" size="sm" className="h-[44px]">
+                  Templates
+                </Button>
+              </Link>
+            )}
             <div className="flex-1 w-80">
               <SearchBar placeholder="Search" />
             </div>
@@ -176,6 +226,23 @@ const Header = ({
 
           {/* Wallet and avatar */}
           <div className="flex items-center gap-4">
+            <Dropdown
+              variant="light"
+              trigger={
+                <Button
+                  variant="transparent"
+                  size="sm"
+                  className="h-[44px] gap-2"
+                >
+                  <span
+                    className="w-2 h-2 rounded-full"
+                    style={{ backgroundColor: network.branding.primaryColor }}
+                  />
+                  {network.displayName}
+                </Button>
+              }
+              items={networkMenuItems}
+            />
             <Dropdown
               variant="light"
               trigger={
@@ -0,0 +1,92 @@
+'use client';
+
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+
+/**
+ * ImportReportModal - Summary of a layout file import
+ * Lists migrated versions, unknown widget types, skipped widgets and
+ * corrected settings
+ */
+const ImportReportModal = ({ isOpen, onClose, report, error }) => {
+  return (
+    <Modal
+      title={<span className="text-white">{error ? 'Import failed' : 'Import complete'}</span>}
+      showModal={isOpen}
+      closeModal={onClose}
+      className="max-w-xl"
+    >
+      {error ? (
+        <div className="p-4 bg-red-900/20 border border-red-800 rounded-3xl">
+          <p className="text-red-400 text-sm">❌ {error}</p>
+        </div>
+      ) : report && (
+        <div className="space-y-4 text-sm">
+          <p className="text-green-400">
+            ✓ Imported {report.layoutCount} dashboard{report.layoutCount === 1 ? '' : 's'} with {report.widgetCount} widget{report.widgetCount === 1 ? '' : 's'}
+          </p>
+
+          {report.migratedFrom !== null && (
+            <p className="text-white/60">
+              The file used an older format (v{report.migratedFrom}) and was upgraded automatically.
+            </p>
+          )}
+
+          {report.unknownTypes.length > 0 && (
+            <div>
+              <p className="text-white font-medium mb-2">Unknown widget types</p>
+              <p className="text-xs text-white/60 mb-3">
+                These widgets are no longer available. They were kept as placeholders you can remove.
+              </p>
+              <ul className="space-y-1">
+                {report.unknownTypes.map((entry) => (
+                  <li key={entry.type} className="flex justify-between gap-4 px-3 py-2 bg-white/5 rounded-lg">
+                    <span className="font-mono text-white/80">{entry.type}</span>
+                    <span className="text-white/50 text-xs">
+                      {entry.count}× in {entry.layouts.join(', ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.skipped.length > 0 && (
+            <div>
+              <p className="text-white font-medium mb-2">Skipped widgets</p>
+              <ul className="space-y-1">
+                {report.skipped.map((entry) => (
+                  <li key={`${entry.layout}-${entry.index}`} className="px-3 py-2 bg-white/5 rounded-lg text-white/70">
+                    {entry.layout}: {entry.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.corrected.length > 0 && (
+            <div>
+              <p className="text-white font-medium mb-2">Corrected settings</p>
+              <p className="text-xs text-white/60 mb-3">
+                These settings were out of range or unavailable, and were adjusted or reset to their defaults.
+              </p>
+              <ul className="space-y-1">
+                {report.corrected.map((entry) => (
+                  <li key={`${entry.layout}-${entry.index}-${entry.field}`} className="px-3 py-2 bg-white/5 rounded-lg text-white/70">
+                    {entry.layout} · {entry.widget}: {entry.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      <Button variant="outline" onClick={onClose} className="w-full mt-6">
+        Close
+      </Button>
+    </Modal>
+  );
+};
+
+export default ImportReportModal;
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'motion/react';
 import { HugeiconsIcon } from '@hugeicons/react';
 import {
@@ -10,9 +10,18 @@ import {
   Edit02Icon,
   Delete02Icon,
   Copy01Icon,
-  ArrowDown01Icon
+  ArrowDown01Icon,
+  Share01Icon,
+  Link01Icon,
+  Download01Icon,
+  Upload01Icon
 } from '@hugeicons-pro/core-solid-standard';
 import Button from '@/components/ui/Button';
+import PublishTemplateModal from '@/components/shared/PublishTemplateModal';
+import ShareLayoutModal from '@/components/shared/ShareLayoutModal';
+import ImportReportModal from '@/components/shared/ImportReportModal';
+import { isFeatureEnabled } from '@/lib/config';
+import { createLayoutDocument, downloadLayoutDocument, parseLayoutFile } from '@/lib/utils/layout-io';
 
 export default function LayoutDropdown({
   layouts,
@@ -21,12 +30,20 @@ export default function LayoutDropdown({
   onCreateLayout,
   onRenameLayout,
   onDeleteLayout,
-  onDuplicateLayout
+  onDuplicateLayout,
+  onPublishLayout,
+  onImportLayouts
 }) {
   const [isOpen, setIsOpen] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [editName, setEditName] = useState('');
   const [menuOpenId, setMenuOpenId] = useState(null);
+  const [isPublishOpen, setIsPublishOpen] = useState(false);
+  const [sharingLayout, setSharingLayout] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const canPublish = Boolean(onPublishLayout) && isFeatureEnabled('templates');
 
   const activeLayout = layouts.find(l => l.id === activeLayoutId);
 
@@ -38,6 +55,26 @@ export default function LayoutDropdown({
     }
   };
 
+  const handleExport = (layoutsToExport, filename) => {
+    downloadLayoutDocument(createLayoutDocument(layoutsToExport), filename);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { layouts: imported, report } = parseLayoutFile(await file.text());
+      onImportLayouts(imported);
+      setImportResult({ report, error: null });
+    } catch (error) {
+      console.error('Error importing layouts:', error);
+      setImportResult({ report: null, error: error.message });
+    }
+  };
+
   const handleCreateNew = () => {
     const newLayout = onCreateLayout();
     if (newLayout) {
@@ -180,6 +217,29 @@ export default function LayoutDropdown({
                                 <HugeiconsIcon icon={Copy01Icon} className="w-4 h-4" />
                                 Duplicate
                               </button>
+                              <button
+                                onClick={() => {
+                                  handleExport([layout], layout.name);
+                                  setMenuOpenId(null);
+                                }}
+                                className="w-full px-3 py-2 text-left text-sm text-black hover:bg-black/5 flex items-center gap-2 rounded-xl cursor-pointer"
+                              >
+                                <HugeiconsIcon icon={Download01Icon} className="w-4 h-4" />
+                                Export
+                              </button>
+                              {isFeatureEnabled('shareLinks') && (
+                                <button
+                                  onClick={() => {
+                                    setSharingLayout(layout);
+                                    setMenuOpenId(null);
+                                    setIsOpen(false);
+                                  }}
+                                  className="w-full px-3 py-2 text-left text-sm text-black hover:bg-black/5 flex items-center gap-2 rounded-xl cursor-pointer"
+                                >
+                                  <HugeiconsIcon icon={Link01Icon} className="w-4 h-4" />
+                                  Share
+                                </button>
+                              )}
                               {layouts.length > 1 && (
                                 <button
                                   onClick={() => {
@@ -215,11 +275,91 @@ export default function LayoutDropdown({
                 >
                   Create View
                 </Button>
+                {canPublish && activeLayout && (
+                  <Button
+                    variant="transparent"
+                    size="sm"
+                    icon={<HugeiconsIcon icon={Share01Icon} className="w-4 h-4" />}
+                    onClick={() => {
+                      setIsPublishOpen(true);
+                      setIsOpen(false);
+                    }}
+                    className="w-full mt-2 !text-black hover:!bg-black/5"
+                  >
+                    Publish Current View
+                  </Button>
+                )}
+                <div className="flex gap-2 mt-2">
+                  <Button
+                    variant="transparent"
+                    size="sm"
+                    icon={<HugeiconsIcon icon={Download01Icon} className="w-4 h-4" />}
+                    onClick={() => {
+                      handleExport(layouts, 'dashboards');
+                      setIsOpen(false);
+                    }}
+                    className="flex-1 !text-black hover:!bg-black/5"
+                  >
+                    Export All
+                  </Button>
+                  {onImportLayouts && (
+                    <Button
+                      variant="transparent"
+                      size="sm"
+                      icon={<HugeiconsIcon icon={Upload01Icon} className="w-4 h-4" />}
+                      onClick={() => {
+                        fileInputRef.current?.click();
+                        setIsOpen(false);
+                      }}
+                      className="flex-1 !text-black hover:!bg-black/5"
+                    >
+                      Import
+                    </Button>
+                  )}
+                </div>
               </div>
             </motion.div>
           </>
         )}
       </AnimatePresence>
+
+      {/* Layout file picker for imports */}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleImportFile}
+        className="hidden"
+      />
+
+      {/* Publish Template Modal (mounted per open so the form starts fresh) */}
+      {isPublishOpen && (
+        <PublishTemplateModal
+          isOpen={isPublishOpen}
+          onClose={() => setIsPublishOpen(false)}
+          layout={activeLayout}
+          onPublish={onPublishLayout}
+        />
+      )}
+
+      {/* Share Link Modal */}
+      {sharingLayout && (
+        <ShareLayoutModal
+          isOpen={Boolean(sharingLayout)}
+          onClose={() => setSharingLayout(null)}
+          layout={sharingLayout}
+        />
+      )}
+
+      {/* Import Report Modal */}
+      {importResult && (
+        <ImportReportModal
+          isOpen={Boolean(importResult)}
+          onClose={() => setImportResult(null)}
+          report={importResult.report}
+          error={importResult.error}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,102 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 text-white border border-white/10 rounded-lg focus:outline-none focus:border-primary focus:ring-1 focus:ring-primary transition-colors';
+
+/**
+ * PublishTemplateModal - Publish a layout to the community template gallery
+ */
+const PublishTemplateModal = ({ isOpen, onClose, layout, onPublish }) => {
+  const [name, setName] = useState(layout?.name || '');
+  const [description, setDescription] = useState('');
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [error, setError] = useState(null);
+  const [isPublished, setIsPublished] = useState(false);
+
+  const handlePublish = async () => {
+    if (!name.trim()) {
+      setError('Give your template a name');
+      return;
+    }
+
+    setIsPublishing(true);
+    setError(null);
+
+    try {
+      await onPublish?.(layout.id, { name: name.trim(), description: description.trim() });
+      setIsPublished(true);
+    } catch (err) {
+      console.error('Error publishing template:', err);
+      setError(err.message || 'Failed to publish template');
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={<span className="text-white">Publish as Template</span>}
+      description={<span className="text-gray-400">Share this dashboard with the community. Others can preview and copy it.</span>}
+      showModal={isOpen}
+      closeModal={onClose}
+      className="max-w-xl"
+    >
+      {isPublished ? (
+        <div className="space-y-4">
+          <p className="text-green-400 text-sm">✓ &quot;{name}&quot; is now in the template gallery</p>
+          <Link href="/templates" className="text-sm text-white underline">
+            View templates
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="template-name" className="block text-sm font-semibold text-white mb-2">
+              Name
+            </label>
+            <input
+              id="template-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={60}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="template-description" className="block text-sm font-semibold text-white mb-2">
+              Description
+            </label>
+            <textarea
+              id="template-description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="What is this dashboard good for?"
+              maxLength={200}
+              rows={3}
+              className={`${inputClass} resize-none`}
+            />
+          </div>
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <Button
+            variant="primary"
+            onClick={handlePublish}
+            disabled={isPublishing}
+            className="w-full"
+          >
+            {isPublishing ? 'Publishing...' : 'Publish'}
+          </Button>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default PublishTemplateModal;
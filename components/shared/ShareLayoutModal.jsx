@@ -0,0 +1,84 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { HugeiconsIcon } from '@hugeicons/react';
+import { Copy01Icon, Tick02Icon } from '@hugeicons-pro/core-solid-standard';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import { buildShareUrl } from '@/lib/utils/share';
+
+/**
+ * ShareLayoutModal - Shows a read-only share link for a layout
+ */
+const ShareLayoutModal = ({ isOpen, onClose, layout }) => {
+  const [shareUrl, setShareUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [isCopied, setIsCopied] = useState(false);
+
+  // Encode the layout into a link when the modal opens
+  useEffect(() => {
+    if (!layout) return;
+
+    let cancelled = false;
+
+    buildShareUrl(layout)
+      .then((url) => {
+        if (!cancelled) setShareUrl(url);
+      })
+      .catch((err) => {
+        console.error('Error creating share link:', err);
+        if (!cancelled) setError('Failed to create share link');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [layout]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying share link:', err);
+    }
+  };
+
+  return (
+    <Modal
+      title={<span className="text-white">Share &quot;{layout?.name}&quot;</span>}
+      description={<span className="text-gray-400">Anyone with this link can view the dashboard read-only and import a copy.</span>}
+      showModal={isOpen}
+      closeModal={onClose}
+      className="max-w-xl"
+    >
+      {error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : !shareUrl ? (
+        <div className="animate-pulse h-12 bg-white/10 rounded-lg" />
+      ) : (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={shareUrl}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            className="flex-1 min-w-0 px-4 py-3 bg-white/10 text-white/80 border border-white/10 rounded-lg font-mono text-xs focus:outline-none"
+          />
+          <Button
+            variant="primary"
+            size="sm"
+            icon={<HugeiconsIcon icon={isCopied ? Tick02Icon : Copy01Icon} className="w-4 h-4" />}
+            onClick={handleCopy}
+            className="h-[44px]"
+          >
+            {isCopied ? 'Copied' : 'Copy'}
+          </Button>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ShareLayoutModal;
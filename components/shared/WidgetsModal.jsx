@@ -1,62 +1,16 @@
 'use client';
 
 import Modal from '@/components/ui/Modal';
+import { getCategorizedWidgets, createWidgetInstance } from '@/lib/widgets';
 
-// Available widgets organized by category
-const WIDGET_CATEGORIES = [
-  {
-    id: 'market',
-    title: 'Market Data & Tokens',
-    widgets: [
-      {
-        id: 'price-tracker',
-        type: 'price-tracker',
-        title: 'Price Tracker',
-        description: 'Track real-time prices for popular Base tokens',
-        defaultSize: { w: 2, h: 3 },
-      },
-      {
-        id: 'price-chart',
-        type: 'price-chart',
-        title: 'Price Chart',
-        description: 'View historical price charts with multiple time ranges',
-        defaultSize: { w: 3, h: 3 },
-      },
-      {
-        id: 'trending-tokens',
-        type: 'trending-tokens',
-        title: 'Trending Tokens',
-        description: 'Top performing Base tokens by volume, price change, or market cap',
-        defaultSize: { w: 2, h: 3 },
-      },
-      {
-        id: 'fear-greed-index',
-        type: 'fear-greed-index',
-        title: 'Fear & Greed Index',
-        description: 'Track crypto market sentiment with the Fear & Greed Index',
-        defaultSize: { w: 2, h: 2 },
-      },
-    ],
-  },
-  {
-    id: 'network',
-    title: 'Network Statistics',
-    widgets: [
-      {
-        id: 'gas-tracker',
-        type: 'gas-tracker',
-        title: 'Gas Tracker',
-        description: 'Real-time gas prices with historical chart and best time indicator',
-        defaultSize: { w: 3, h: 3 },
-      },
-    ],
-  },
-];
+// Available widgets organized by category, straight from the registry
+const WIDGET_CATEGORIES = Object.values(getCategorizedWidgets())
+  .filter((category) => category.widgets.length > 0);
 
 const WidgetsModal = ({ isOpen, onClose, onAddWidget }) => {
   const handleWidgetClick = (widget) => {
     if (onAddWidget) {
-      onAddWidget(widget);
+      onAddWidget(createWidgetInstance(widget.id));
     }
     // Optionally close modal after adding
     // onClose();
@@ -75,7 +29,7 @@ const WidgetsModal = ({ isOpen, onClose, onAddWidget }) => {
           <div key={category.id}>
             {/* Category Title */}
             <h3 className="text-base font-medium text-white/80 uppercase mb-4">
-              {category.title}
+              {category.name}
             </h3>
 
             {/* Widgets Grid */}
@@ -87,7 +41,7 @@ const WidgetsModal = ({ isOpen, onClose, onAddWidget }) => {
                   className="border-2 border-white/10 rounded-2xl p-4 hover:bg-white/10 transition-all cursor-pointer group"
                 >
                   <h4 className="text-white font-semibold text-base mb-2 group-hover:text-blue-400 transition-colors">
-                    {widget.title}
+                    {widget.name}
                   </h4>
                   <p className="text-gray-400 text-sm leading-relaxed">
                     {widget.description}
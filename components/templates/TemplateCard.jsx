@@ -0,0 +1,91 @@
+'use client';
+
+import { HugeiconsIcon } from '@hugeicons/react';
+import { FavouriteIcon, Copy01Icon, ViewIcon } from '@hugeicons-pro/core-solid-standard';
+import Button from '@/components/ui/Button';
+import { getWidget } from '@/lib/widgets';
+
+/**
+ * TemplateCard - Community template summary for the gallery
+ */
+export default function TemplateCard({
+  template,
+  isLiked = false,
+  isCopying = false,
+  onPreview,
+  onUse,
+  onLike,
+}) {
+  const widgets = template.template_widgets || [];
+  const creator = template.users?.username
+    || (template.users?.wallet_address
+      ? `${template.users.wallet_address.slice(0, 6)}...${template.users.wallet_address.slice(-4)}`
+      : 'Anonymous');
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-3xl p-6 flex flex-col gap-4">
+      <div>
+        <h3 className="text-lg font-semibold text-white">{template.name}</h3>
+        <p className="text-xs text-white/50 mt-1">by {creator}</p>
+        {template.description && (
+          <p className="text-sm text-white/80 mt-3 line-clamp-2">{template.description}</p>
+        )}
+      </div>
+
+      {/* Widget summary */}
+      <div className="flex flex-wrap gap-2">
+        {widgets.map((widget) => {
+          const definition = getWidget(widget.widget_type);
+          return (
+            <span key={widget.id} className="px-2 py-1 rounded-full bg-white/5 text-xs text-white/70">
+              {definition ? `${definition.icon} ${definition.name}` : widget.widget_type}
+            </span>
+          );
+        })}
+        {widgets.length === 0 && (
+          <span className="text-xs text-white/40">No widgets</span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-4 text-xs text-white/60 mt-auto">
+        <button
+          type="button"
+          onClick={onLike}
+          disabled={isLiked}
+          className={`flex items-center gap-1 transition-colors ${isLiked ? 'text-red-400' : 'cursor-pointer hover:text-white'}`}
+        >
+          <HugeiconsIcon icon={FavouriteIcon} className="w-4 h-4" />
+          {template.likes || 0}
+        </button>
+        <span className="flex items-center gap-1">
+          <HugeiconsIcon icon={Copy01Icon} className="w-4 h-4" />
+          {template.copies || 0}
+        </span>
+        <span className="ml-auto">
+          {new Date(template.created_at).toLocaleDateString()}
+        </span>
+      </div>
+
+      <div className="flex gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          icon={<HugeiconsIcon icon={ViewIcon} className="w-4 h-4" />}
+          onClick={onPreview}
+          className="flex-1"
+        >
+          Preview
+        </Button>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={onUse}
+          disabled={isCopying}
+          className="flex-1"
+        >
+          {isCopying ? 'Copying...' : 'Use this template'}
+        </Button>
+      </div>
+    </div>
+  );
+}
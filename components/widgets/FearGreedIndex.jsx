@@ -2,33 +2,23 @@
 
 import { useState, useEffect } from 'react';
 import Card from '@/components/cards/Card';
-
-const API_URL = 'https://api.alternative.me/fng/?limit=2';
+import { useFearGreedIndex } from '@/lib/hooks/useApiQueries';
 
 export function FearGreedIndex({ 
   config = {},
   onUpdateConfig,
-  onDelete 
+  onDelete,
+  configSchema
 }) {
   const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
   const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? true);
   const [variant, setVariant] = useState(config.variant || 'default');
   const [isFixed, setIsFixed] = useState(config.isFixed || false);
   
-  // Fear & Greed data state
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Fear & Greed data (polled every 5 minutes)
+  const { data, isLoading: loading, error } = useFearGreedIndex();
   const [circlePosition, setCirclePosition] = useState({ x: 0, y: 0 });
 
-  // Load data on mount
-  useEffect(() => {
-    fetchData();
-    // Refresh every 5 minutes
-    const interval = setInterval(fetchData, 5 * 60 * 1000);
-    return () => clearInterval(interval);
-  }, []);
-
   // Update circle position when data changes
   useEffect(() => {
     if (data) {
@@ -37,23 +27,6 @@ export function FearGreedIndex({
     }
   }, [data]);
 
-  async function fetchData() {
-    try {
-      setLoading(true);
-      const response = await fetch(API_URL);
-      const result = await response.json();
-      if (result.data && result.data.length > 0) {
-        setData(result.data[0]);
-      }
-      setError(null);
-    } catch (err) {
-      console.error('Error fetching Fear & Greed data:', err);
-      setError('Failed to load data');
-    } finally {
-      setLoading(false);
-    }
-  }
-
   function calculateCirclePosition(value) {
     if (typeof window === 'undefined') return { x: 0, y: 0 };
     
@@ -107,6 +80,9 @@ export function FearGreedIndex({
       onChangeVariant={handleChangeVariant}
       onToggleFixed={handleToggleFixed}
       onDelete={onDelete}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
       className="h-full flex flex-col"
     >
       <div className="flex-1 flex flex-col items-center justify-center">
@@ -120,7 +96,7 @@ export function FearGreedIndex({
         ) : error ? (
           <div className="text-center">
             <p className="text-red-500 text-sm mb-2">Failed to load data</p>
-            <p className="text-xs opacity-60">{error}</p>
+            <p className="text-xs opacity-60">{error.message}</p>
           </div>
         ) : data ? (
           <div className="relative w-full h-full flex items-center justify-center">
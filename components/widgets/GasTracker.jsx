@@ -1,9 +1,14 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import Card from '@/components/cards/Card';
-import { getGasPrices } from '@/lib/api/basescan';
-import CardSettingsToggle from '@/components/cards/CardSettingsToggle';
+import {
+  useGasPrices,
+  useGasHistory,
+  useRecordedGasHistory,
+  useL1FeeParams,
+  useTokenPrice,
+} from '@/lib/hooks/useApiQueries';
 import {
   LineChart,
   Line,
@@ -21,123 +26,127 @@ import { Spinner } from "@heroui/spinner";
 import { HugeiconsIcon } from '@hugeicons/react';
 import { Activity02Icon } from '@hugeicons-pro/core-solid-standard';
 import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { getNativePriceAddress } from '@/config/tokens';
+import { TX_PRESETS, getTxPreset } from '@/config/tx-presets';
+import { estimateTransactionCost } from '@/lib/utils/tx-cost';
+import { WEEKDAY_LABELS, buildHourOfWeekHeatmap, findCheapestSlots } from '@/lib/utils/gas';
+
+// Sampled hours of the week needed before recorded history drives recommendations
+const MIN_HEATMAP_COVERAGE = 24;
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+/**
+ * Day-of-week by hour grid of typical transaction cost, green (cheap) to red
+ */
+function GasHeatmap({ heatmap, formatFee }) {
+  const now = new Date();
+  const range = heatmap.max - heatmap.min || 1;
+
+  return (
+    <div className="space-y-[2px]">
+      {heatmap.cells.map((row, day) => (
+        <div key={day} className="flex items-center gap-[2px]">
+          <span className="w-8 text-[10px] opacity-50 shrink-0">{WEEKDAY_LABELS[day]}</span>
+          {row.map(cell => {
+            const isNow = cell.day === now.getDay() && cell.hour === now.getHours();
+            const level = cell.cost === null ? null : (cell.cost - heatmap.min) / range;
+
+            return (
+              <div
+                key={cell.hour}
+                title={cell.cost === null
+                  ? `${WEEKDAY_LABELS[day]} ${formatHour(cell.hour)}: no samples yet`
+                  : `${WEEKDAY_LABELS[day]} ${formatHour(cell.hour)}: ${formatFee(cell.cost)} (${cell.count}h sampled)`}
+                className={`flex-1 h-3 rounded-sm ${level === null ? 'bg-current/5' : ''} ${isNow ? 'ring-1 ring-current' : ''}`}
+                style={level === null ? undefined : { backgroundColor: `hsl(${Math.round(120 * (1 - level))}, 70%, 45%)` }}
+              />
+            );
+          })}
+        </div>
+      ))}
+      <div className="flex justify-between pl-8 text-[10px] opacity-40">
+        <span>00:00</span>
+        <span>12:00</span>
+        <span>23:00</span>
+      </div>
+    </div>
+  );
+}
 
 export default function GasTracker({
   config = {},
   onUpdateConfig,
-  onDelete
+  onDelete,
+  configSchema
 }) {
   const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
   const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? true);
   const [showImage, setShowImage] = useState(config.showImage ?? true);
   const [variant, setVariant] = useState(config.variant || 'default');
   const [isFixed, setIsFixed] = useState(config.isFixed || false);
-  const [showChart, setShowChart] = useState(config.showChart ?? true);
+
+  // Widget config (edited through the generated settings panel)
+  const showChart = config.showChart ?? true;
+  const showHeatmap = config.showHeatmap ?? true;
+  const refreshInterval = config.refreshInterval || 15000;
+  const network = useWidgetNetwork(config.network);
+  const preset = getTxPreset(config.costPreset);
 
   // Use currency context
   const { currency, formatPrice: formatCurrencyPrice } = useCurrency();
 
-  // Gas data state
-  const [gasData, setGasData] = useState(null);
-  const [historicalData, setHistoricalData] = useState(() => {
-    // Load historical data from localStorage on mount
-    if (typeof window !== 'undefined') {
-      try {
-        const stored = localStorage.getItem('gasTracker_historical');
-        if (stored) {
-          const parsed = JSON.parse(stored);
-          // Keep only data from last 24 hours
-          const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-          return parsed.filter(item => item.timestamp > oneDayAgo);
-        }
-      } catch (err) {
-        console.error('Error loading historical gas data:', err);
-      }
-    }
-    return [];
-  });
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  // Gas prices are shared with other widgets; every fetch adds a history sample
+  const { data: gasData, dataUpdatedAt, isLoading: loading, error: gasError } = useGasPrices({ refreshInterval, network: network.name });
+  const historicalData = useGasHistory({ network: network.name });
+  const error = gasError?.message;
 
+  // Costs add the L1 data fee on OP-stack chains and use the live ETH price
+  const hasL1Fee = Boolean(network.apis.gasPriceOracle);
+  const { data: l1FeeParams } = useL1FeeParams({ refreshInterval, network: network.name });
+  const { data: ethPriceData } = useTokenPrice(getNativePriceAddress(network.name), { network: network.name });
+  const ethPrice = ethPriceData?.price || null;
 
-  // Load gas prices on mount and set up auto-refresh
-  useEffect(() => {
-    fetchGasData();
-    
-    // Refresh every 15 seconds
-    const interval = setInterval(() => {
-      fetchGasData();
-    }, 15000);
-    
-    return () => clearInterval(interval);
-  }, []);
-
-  // Save historical data to localStorage whenever it changes
-  useEffect(() => {
-    if (historicalData.length > 0 && typeof window !== 'undefined') {
-      try {
-        localStorage.setItem('gasTracker_historical', JSON.stringify(historicalData));
-      } catch (err) {
-        console.error('Error saving historical gas data:', err);
-      }
-    }
-  }, [historicalData]);
+  const getCost = (gasPrice) => estimateTransactionCost({ gasPrice, preset, l1FeeParams, ethPrice });
 
-  // Fetch current gas prices
-  async function fetchGasData() {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      const data = await getGasPrices();
-      
-      if (!data || !data.data) {
-        throw new Error('Failed to fetch gas prices');
-      }
-
-      const gasInfo = data.data;
-      setGasData(gasInfo);
-      
-      // Add to historical data (keep last 100 data points)
-      setHistoricalData(prev => {
-        const newDataPoint = {
-          timestamp: Date.now(),
-          safe: parseFloat(gasInfo.safeGasPrice),
-          standard: parseFloat(gasInfo.proposeGasPrice),
-          fast: parseFloat(gasInfo.fastGasPrice),
-        };
-        
-        const updated = [...prev, newDataPoint];
-        // Keep only last 100 points
-        return updated.slice(-100);
-      });
-    } catch (err) {
-      console.error('Error fetching gas prices:', err);
-      setError(err.message || 'Failed to fetch gas prices');
-    } finally {
-      setLoading(false);
-    }
-  }
-
-  // Calculate cost in USD for display (assuming ETH price = $3000)
-  const calculateCostUSD = (gasPrice, gasLimit = 21000, ethPrice = 3000) => {
-    if (!gasPrice) return 0;
-    // gasPrice is in Gwei, convert to ETH: (gasPrice * gasLimit) / 1e9
-    const costInETH = (parseFloat(gasPrice) * gasLimit) / 1e9;
-    return costInETH * ethPrice;
+  const handleChangePreset = (presetId) => {
+    onUpdateConfig?.({ ...config, costPreset: presetId });
   };
 
+  // Weeks of server-recorded gas, summarised as the selected preset's fee in ETH
+  const { data: recordedHistory } = useRecordedGasHistory({ network: network.name });
+  const heatmap = recordedHistory
+    ? buildHourOfWeekHeatmap(recordedHistory.hours, (bucket) => estimateTransactionCost({
+      gasPrice: bucket.standard,
+      preset,
+      l1FeeParams: bucket.l1BaseFee === null ? null : bucket,
+      ethPrice: null,
+    }).totalFee)
+    : null;
+  const hasWeeklyHistory = heatmap?.coverage >= MIN_HEATMAP_COVERAGE;
+  const cheapestSlots = hasWeeklyHistory ? findCheapestSlots(heatmap) : [];
+
   // Determine best time to transact
+  // Compares against the weekly average once enough history is recorded,
+  // else against the samples gathered in this browser
   const getBestTimeIndicator = () => {
-    if (!gasData || historicalData.length < 10) return null;
-    
-    // Calculate average gas price from recent history
-    const recentAverage = historicalData
-      .slice(-20)
-      .reduce((sum, item) => sum + item.standard, 0) / Math.min(20, historicalData.length);
-    
-    const currentGas = parseFloat(gasData.proposeGasPrice);
-    const difference = ((currentGas - recentAverage) / recentAverage) * 100;
+    if (!gasData) return null;
+
+    let difference;
+    if (hasWeeklyHistory) {
+      difference = ((getCost(gasData.proposeGasPrice).totalFee - heatmap.average) / heatmap.average) * 100;
+    } else {
+      if (historicalData.length < 10) return null;
+
+      // Calculate average gas price from recent history
+      const recentAverage = historicalData
+        .slice(-20)
+        .reduce((sum, item) => sum + item.standard, 0) / Math.min(20, historicalData.length);
+
+      const currentGas = parseFloat(gasData.proposeGasPrice);
+      difference = ((currentGas - recentAverage) / recentAverage) * 100;
+    }
     
     if (difference < -10) {
       return { status: 'excellent', message: 'Excellent time to transact!', color: 'text-green-500', icon: '🟢' };
@@ -166,12 +175,16 @@ export default function GasTracker({
 
   // Format USD amount
   const formatUSD = (amount) => {
+    if (amount === null) return '—';
     if (amount < 0.01) {
       return formatCurrencyPrice(amount, { minimumFractionDigits: 4, maximumFractionDigits: 4 });
     }
     return formatCurrencyPrice(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
   };
 
+  // Format a fee in ETH in the selected currency, or in ETH without a price
+  const formatFee = (fee) => (ethPrice ? formatUSD(fee * ethPrice) : `${fee.toFixed(8)} ETH`);
+
   // Handle config updates
   const handleToggleTitle = () => {
     const newValue = !showTitle;
@@ -191,12 +204,6 @@ export default function GasTracker({
     onUpdateConfig?.({ ...config, showImage: newValue });
   };
 
-  const handleToggleChart = () => {
-    const newValue = !showChart;
-    setShowChart(newValue);
-    onUpdateConfig?.({ ...config, showChart: newValue });
-  };
-
   const handleChangeVariant = (newVariant) => {
     setVariant(newVariant);
     onUpdateConfig?.({ ...config, variant: newVariant });
@@ -237,26 +244,23 @@ export default function GasTracker({
     return null;
   };
 
-  // Custom settings for the card menu
-  const customSettings = (
-    <div className="space-y-4">
-      {/* Chart Toggle */}
-      <CardSettingsToggle
-        title="Historical Chart"
-        description="Show gas price history chart"
-        isOn={showChart}
-        onToggle={handleToggleChart}
-      />
-    </div>
-  );
+  // Describe what the standard tier's cost is made of
+  const getCostBreakdown = () => {
+    const cost = getCost(gasData.proposeGasPrice);
+
+    if (!ethPrice) return `${preset.label}: ${cost.totalFee.toFixed(8)} ETH`;
+    if (!hasL1Fee) return `${preset.label}: ${formatUSD(cost.totalUsd)} (execution gas only)`;
+    if (!l1FeeParams) return `${preset.label}: ${formatUSD(cost.l2Usd)} execution • L1 data fee unavailable`;
+    return `${preset.label}: ${formatUSD(cost.l2Usd)} execution + ${formatUSD(cost.l1Usd)} L1 data`;
+  };
 
   const bestTime = getBestTimeIndicator();
 
   return (
     <Card
       title="Gas Tracker"
-      description="Base Network Gas Prices"
-      image="/images/logos/base.svg"
+      description={`${network.displayName} Network Gas Prices`}
+      image={network.name === 'base' ? '/images/logos/base.svg' : null}
       showTitle={showTitle}
       showSubtitle={showSubtitle}
       showImage={showImage}
@@ -269,7 +273,9 @@ export default function GasTracker({
       onChangeVariant={handleChangeVariant}
       onToggleFixed={handleToggleFixed}
       onDelete={onDelete}
-      customSettings={customSettings}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
       className="h-full flex flex-col"
     >
       <div className="flex-1 flex flex-col space-y-4">
@@ -302,6 +308,30 @@ export default function GasTracker({
               </motion.div>
             )}
 
+            {/* Reading quality */}
+            {(gasData.stale || gasData.isFallback) && (
+              <div className="bg-yellow-900/20 border border-yellow-800 rounded-xl px-3 py-2 text-xs text-yellow-400 text-center">
+                {gasData.stale
+                  ? `⚠️ Showing last known prices from ${new Date(gasData.fetchedAt).toLocaleTimeString()}`
+                  : '⚠️ Estimated from a single gas price reading; tiers may be inaccurate'}
+              </div>
+            )}
+
+            {/* Cost preset */}
+            <div className="flex flex-wrap gap-2">
+              {Object.values(TX_PRESETS).map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => handleChangePreset(option.id)}
+                  className={`px-2 py-1 rounded-full text-xs transition-colors ${
+                    option.id === preset.id ? 'bg-current/15 font-semibold' : 'opacity-60 hover:opacity-100'
+                  }`}
+                >
+                  {option.icon} {option.label}
+                </button>
+              ))}
+            </div>
+
             {/* Current Gas Prices */}
             <div className="grid grid-cols-3 gap-3">
               {/* Safe */}
@@ -319,7 +349,7 @@ export default function GasTracker({
                   {formatGasPrice(gasData.safeGasPrice)}
                 </p>
                 <p className="text-xs opacity-40 mt-1">
-                  {formatUSD(calculateCostUSD(gasData.safeGasPrice))}
+                  {formatUSD(getCost(gasData.safeGasPrice).totalUsd)}
                 </p>
               </motion.div>
 
@@ -338,7 +368,7 @@ export default function GasTracker({
                   {formatGasPrice(gasData.proposeGasPrice)}
                 </p>
                 <p className="text-xs opacity-40 mt-1">
-                  {formatUSD(calculateCostUSD(gasData.proposeGasPrice))}
+                  {formatUSD(getCost(gasData.proposeGasPrice).totalUsd)}
                 </p>
               </motion.div>
 
@@ -357,16 +387,58 @@ export default function GasTracker({
                   {formatGasPrice(gasData.fastGasPrice)}
                 </p>
                 <p className="text-xs opacity-40 mt-1">
-                  {formatUSD(calculateCostUSD(gasData.fastGasPrice))}
+                  {formatUSD(getCost(gasData.fastGasPrice).totalUsd)}
                 </p>
               </motion.div>
             </div>
 
+            {/* Cost breakdown (standard tier) */}
+            <div className="text-xs opacity-60 text-center">
+              {getCostBreakdown()}
+            </div>
+
             {/* Block Info */}
             <div className="text-xs opacity-40 text-center">
-              Updated: {new Date().toLocaleTimeString()} • Block: {gasData.lastBlock}
+              Updated: {new Date(gasData.fetchedAt || dataUpdatedAt).toLocaleTimeString()}
+              {gasData.lastBlock !== null && ` • Block: ${gasData.lastBlock.toLocaleString()}`}
+              {gasData.gasUsedRatio !== null && ` • ${(gasData.gasUsedRatio * 100).toFixed(0)}% full`}
+              {gasData.baseFeeTrend && gasData.baseFeeTrend !== 'steady' && (
+                ` • Base fee ${gasData.baseFeeTrend} (${gasData.baseFeeChange > 0 ? '+' : ''}${gasData.baseFeeChange.toFixed(1)}%)`
+              )}
             </div>
 
+            {/* Hour-of-week heatmap */}
+            {showHeatmap && hasWeeklyHistory && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ delay: 0.25 }}
+                className="bg-current/5 rounded-xl p-4 space-y-3"
+              >
+                <div className="flex items-baseline justify-between gap-2">
+                  <h4 className="text-sm font-semibold opacity-80">Typical {preset.label} cost</h4>
+                  <span className="text-[10px] opacity-40">
+                    Last {recordedHistory.days} days • {recordedHistory.sampleCount.toLocaleString()} samples
+                    {recordedHistory.storage?.persistent === false && ' • resets on server restart'}
+                  </span>
+                </div>
+                <GasHeatmap heatmap={heatmap} formatFee={formatFee} />
+                {cheapestSlots.length > 0 && (
+                  <div className="text-xs">
+                    <p className="opacity-60 mb-1">Cheapest times to transact</p>
+                    <div className="flex flex-wrap gap-2">
+                      {cheapestSlots.map(slot => (
+                        <span key={`${slot.day}-${slot.hour}`} className="px-2 py-1 rounded-full bg-green-500/10 text-green-500">
+                          {WEEKDAY_LABELS[slot.day]} {formatHour(slot.hour)} • {formatFee(slot.cost)}
+                          {slot.savings > 0 && ` (−${slot.savings.toFixed(0)}%)`}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </motion.div>
+            )}
+
             {/* Historical Chart */}
             {showChart && historicalData.length > 5 && (
               <motion.div
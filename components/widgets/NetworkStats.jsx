@@ -0,0 +1,321 @@
+'use client';
+
+import { useState } from 'react';
+import Card from '@/components/cards/Card';
+import {
+  useBaseTVL,
+  useBaseTVLChange,
+  useBaseHistoricalTVL,
+  useL2Comparison,
+  useGasPrices,
+  useLatestBlock,
+  useTVLHistory,
+} from '@/lib/hooks/useApiQueries';
+import { LineChart, Line, YAxis, ResponsiveContainer } from 'recharts';
+import { colors } from '@/lib/theme';
+import { motion } from 'motion/react';
+import { Spinner } from "@heroui/spinner";
+import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+
+// Blocks come every 2 seconds, but every poll takes a slot of the public
+// RPC's rate limit, which the gateway shares between all users
+const BLOCK_POLL_INTERVAL = 30 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CHANGE_WINDOWS = [
+  { id: '1h', label: '1h', duration: HOUR, changeKey: 'change1h' },
+  { id: '1d', label: '24h', duration: DAY, changeKey: 'change1d' },
+  { id: '7d', label: '7d', duration: 7 * DAY, changeKey: 'change7d' },
+];
+
+/**
+ * Build sparkline points for a change window
+ * The window starts at the TVL implied by its change percentage; 7d uses
+ * DeFiLlama's daily history, shorter windows use local samples
+ */
+function buildSparkline(range, { tvl, change, dailyHistory, samples }) {
+  const now = Date.now();
+  const start = now - range.duration;
+  const startTvl = tvl / (1 + change / 100);
+
+  const middle = range.id === '7d'
+    ? dailyHistory.filter(point => point.date > start).map(point => ({ timestamp: point.date, tvl: point.tvl }))
+    : samples.filter(point => point.timestamp > start);
+
+  return [{ timestamp: start, tvl: startTvl }, ...middle, { timestamp: now, tvl }];
+}
+
+export default function NetworkStats({
+  config = {},
+  onUpdateConfig,
+  onDelete,
+  configSchema
+}) {
+  const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
+  const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? true);
+  const [showImage, setShowImage] = useState(config.showImage ?? true);
+  const [variant, setVariant] = useState(config.variant || 'default');
+  const [isFixed, setIsFixed] = useState(config.isFixed || false);
+
+  // Widget config (edited through the generated settings panel)
+  const mode = config.mode || 'overview';
+  const showGas = config.showGas ?? true;
+  const showTVL = config.showTVL ?? true;
+  const showTransactions = config.showTransactions ?? true;
+  const refreshInterval = config.refreshInterval || 60000;
+  const network = useWidgetNetwork(config.network);
+
+  // Use currency context
+  const { currency, convertPrice, formatPrice: formatCurrencyPrice } = useCurrency();
+
+  // Network data, shared with other widgets; each source is optional
+  const polling = { refreshInterval, network: network.name };
+  const tvlQuery = useBaseTVL(polling);
+  const changeQuery = useBaseTVLChange(polling);
+  const dailyHistoryQuery = useBaseHistoricalTVL(8, polling);
+  const l2Query = useL2Comparison(polling);
+  const gasQuery = useGasPrices(polling);
+  const { data: block } = useLatestBlock({
+    refreshInterval: BLOCK_POLL_INTERVAL,
+    enabled: showTransactions,
+    network: network.name,
+  });
+  const tvlHistory = useTVLHistory({ network: network.name });
+
+  const queries = [tvlQuery, changeQuery, dailyHistoryQuery, l2Query, gasQuery];
+  const stats = queries.some(query => query.data !== undefined)
+    ? {
+      tvl: tvlQuery.data ?? null,
+      change: changeQuery.data ?? null,
+      dailyHistory: dailyHistoryQuery.data || [],
+      l2Chains: l2Query.data || [],
+      gas: gasQuery.data ?? null,
+    }
+    : null;
+
+  // Only fail when nothing could be loaded
+  const error = queries.every(query => query.isError)
+    ? tvlQuery.error?.message || 'Failed to fetch network stats'
+    : null;
+
+  // Format large USD amounts in the selected currency
+  const formatLargeNumber = (usd) => {
+    if (!usd) return `${currency.symbol}0`;
+    const num = convertPrice(usd);
+
+    if (num >= 1e9) {
+      return `${currency.symbol}${(num / 1e9).toFixed(2)}B`;
+    }
+    if (num >= 1e6) {
+      return `${currency.symbol}${(num / 1e6).toFixed(2)}M`;
+    }
+    if (num >= 1e3) {
+      return `${currency.symbol}${(num / 1e3).toFixed(2)}K`;
+    }
+    return formatCurrencyPrice(usd, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  };
+
+  const formatChange = (change) => `${change >= 0 ? '↑' : '↓'} ${Math.abs(change).toFixed(2)}%`;
+
+  // Handle config updates
+  const handleToggleTitle = () => {
+    const newValue = !showTitle;
+    setShowTitle(newValue);
+    onUpdateConfig?.({ ...config, showTitle: newValue });
+  };
+
+  const handleToggleSubtitle = () => {
+    const newValue = !showSubtitle;
+    setShowSubtitle(newValue);
+    onUpdateConfig?.({ ...config, showSubtitle: newValue });
+  };
+
+  const handleToggleImage = () => {
+    const newValue = !showImage;
+    setShowImage(newValue);
+    onUpdateConfig?.({ ...config, showImage: newValue });
+  };
+
+  const handleChangeVariant = (newVariant) => {
+    setVariant(newVariant);
+    onUpdateConfig?.({ ...config, variant: newVariant });
+  };
+
+  const handleToggleFixed = () => {
+    const newValue = !isFixed;
+    setIsFixed(newValue);
+    onUpdateConfig?.({ ...config, isFixed: newValue });
+  };
+
+  const maxL2Tvl = Math.max(...(stats?.l2Chains || []).map(chain => chain.tvl || 0), 0);
+  const totalL2Tvl = (stats?.l2Chains || []).reduce((sum, chain) => sum + (chain.tvl || 0), 0);
+
+  return (
+    <Card
+      title="Network Stats"
+      description={mode === 'comparison'
+        ? `${network.displayName} vs other L2s`
+        : `${network.displayName} Network Activity`}
+      image={network.name === 'base' ? '/images/logos/base.svg' : null}
+      showTitle={showTitle}
+      showSubtitle={showSubtitle}
+      showImage={showImage}
+      variant={variant}
+      isFixed={isFixed}
+      draggable={true}
+      onToggleTitle={handleToggleTitle}
+      onToggleSubtitle={handleToggleSubtitle}
+      onToggleImage={handleToggleImage}
+      onChangeVariant={handleChangeVariant}
+      onToggleFixed={handleToggleFixed}
+      onDelete={onDelete}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
+      className="h-full flex flex-col"
+    >
+      <div className="flex-1 flex flex-col space-y-4">
+        {error && !stats ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="text-center">
+              <p className="text-red-500 text-sm mb-2">Failed to load network stats</p>
+              <p className="text-xs opacity-60">{error}</p>
+            </div>
+          </div>
+        ) : !stats ? (
+          <div className="flex items-center justify-center h-full">
+            <Spinner />
+          </div>
+        ) : mode === 'comparison' ? (
+          // L2 TVL comparison
+          stats.l2Chains.length === 0 ? (
+            <p className="text-sm opacity-60 text-center">L2 comparison is unavailable right now</p>
+          ) : (
+            <div className="space-y-3">
+              {stats.l2Chains.map((chain, index) => {
+                const isSelected = chain.name === network.apis.defiLlamaName;
+                return (
+                  <motion.div
+                    key={chain.name}
+                    initial={{ opacity: 0, x: -10 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    transition={{ delay: index * 0.05 }}
+                  >
+                    <div className="flex items-center justify-between text-sm mb-1">
+                      <span className={isSelected ? 'font-bold' : 'opacity-80'}>{chain.name}</span>
+                      <span className="font-semibold">
+                        {formatLargeNumber(chain.tvl)}
+                        <span className="text-xs opacity-40 ml-2">
+                          {totalL2Tvl > 0 ? ((chain.tvl / totalL2Tvl) * 100).toFixed(1) : '0.0'}%
+                        </span>
+                      </span>
+                    </div>
+                    <div className="h-2 bg-current/10 rounded-full overflow-hidden">
+                      <div
+                        className="h-full rounded-full"
+                        style={{
+                          width: `${maxL2Tvl > 0 ? (chain.tvl / maxL2Tvl) * 100 : 0}%`,
+                          backgroundColor: isSelected ? colors.primary : 'currentColor',
+                          opacity: isSelected ? 1 : 0.3,
+                        }}
+                      />
+                    </div>
+                  </motion.div>
+                );
+              })}
+            </div>
+          )
+        ) : (
+          <>
+            {/* TVL with change sparklines */}
+            {showTVL && typeof stats.tvl === 'number' && (
+              <motion.div
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-current/5 rounded-xl p-4"
+              >
+                <p className="text-xs opacity-60 mb-1">Total Value Locked</p>
+                <p className="text-2xl font-bold mb-3">{formatLargeNumber(stats.tvl)}</p>
+
+                {stats.change && (
+                  <div className="grid grid-cols-3 gap-3">
+                    {CHANGE_WINDOWS.map((range) => {
+                      const change = stats.change[range.changeKey] || 0;
+                      const lineColor = change >= 0 ? '#22c55e' : '#ef4444';
+                      const points = buildSparkline(range, {
+                        tvl: stats.tvl,
+                        change,
+                        dailyHistory: stats.dailyHistory,
+                        samples: tvlHistory,
+                      });
+
+                      return (
+                        <div key={range.id}>
+                          <div className="flex items-center justify-between text-xs mb-1">
+                            <span className="opacity-60">{range.label}</span>
+                            <span className={change >= 0 ? 'text-green-500' : 'text-red-500'}>
+                              {formatChange(change)}
+                            </span>
+                          </div>
+                          <ResponsiveContainer width="100%" height={32}>
+                            <LineChart data={points}>
+                              <YAxis hide domain={['dataMin', 'dataMax']} />
+                              <Line
+                                type="monotone"
+                                dataKey="tvl"
+                                stroke={lineColor}
+                                strokeWidth={2}
+                                dot={false}
+                                isAnimationActive={false}
+                              />
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </motion.div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+              {/* Gas */}
+              {showGas && stats.gas && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  transition={{ delay: 0.1 }}
+                  className="bg-current/5 rounded-xl p-3"
+                >
+                  <p className="text-xs opacity-60 mb-1">Gas Price</p>
+                  <p className="text-lg font-bold">
+                    {parseFloat(stats.gas.proposeGasPrice).toFixed(4)} Gwei
+                  </p>
+                </motion.div>
+              )}
+
+              {/* Latest block */}
+              {showTransactions && block && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  transition={{ delay: 0.15 }}
+                  className="bg-current/5 rounded-xl p-3"
+                >
+                  <p className="text-xs opacity-60 mb-1">Latest Block</p>
+                  <p className="text-lg font-bold">#{block.number.toLocaleString('en-US')}</p>
+                  <p className="text-xs opacity-40 mt-1">
+                    {block.transactionCount} txs • {Math.round((block.gasUsed / block.gasLimit) * 100)}% full
+                  </p>
+                </motion.div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Card>
+  );
+}
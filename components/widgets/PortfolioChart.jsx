@@ -0,0 +1,348 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import Card from '@/components/cards/Card';
+import { getAccountBalance, getMultipleTokenBalances } from '@/lib/api/basescan';
+import { getBatchTokenPrices } from '@/lib/api/coingecko';
+import { getNetworkTokens, getNativePriceAddress } from '@/config/tokens';
+import {
+  PieChart,
+  Pie,
+  Cell,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { colors } from '@/lib/theme';
+import { motion } from 'motion/react';
+import { Spinner } from "@heroui/spinner";
+import { useWallet } from '@/lib/hooks/useWallet';
+import { queryKeys } from '@/lib/hooks/useApiQueries';
+import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { ConnectWallet } from '@/components/shared/ConnectWallet';
+
+// Slice colors, assigned by holding rank
+const SLICE_COLORS = [colors.primary, colors.accent, '#22c55e', '#eab308', '#f97316', '#ef4444', '#a855f7', '#ec4899'];
+
+// Holdings smaller than this share are grouped into "Other"
+const OTHER_THRESHOLD = 0.02;
+
+/**
+ * Load every token list balance for a wallet and value it in USD
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @returns {Promise<Array>} Holdings sorted by value: { symbol, name, logo, amount, price, value }
+ */
+async function loadHoldings(address, network) {
+  const tokens = Object.values(getNetworkTokens(network));
+  const contractTokens = tokens.filter(token => token.address !== 'native');
+  const nativePriceAddress = getNativePriceAddress(network);
+
+  const [ethBalance, tokenBalances, prices] = await Promise.all([
+    getAccountBalance(address, network),
+    getMultipleTokenBalances(address, contractTokens.map(token => token.address), network),
+    getBatchTokenPrices(
+      [nativePriceAddress, ...contractTokens.map(token => token.address)],
+      'usd',
+      { network }
+    ),
+  ]);
+
+  // API helpers return { data, cached } from the cache layer
+  const priceData = prices.data || prices;
+  const rawBalances = {
+    native: ethBalance.data?.balance,
+    ...Object.fromEntries(
+      tokenBalances.data.map(({ contractAddress, balance }) => [contractAddress.toLowerCase(), balance])
+    ),
+  };
+
+  return tokens
+    .map((token) => {
+      const balanceKey = token.address === 'native' ? 'native' : token.address.toLowerCase();
+      const priceKey = (token.address === 'native' ? nativePriceAddress : token.address).toLowerCase();
+      const amount = Number(rawBalances[balanceKey] || 0) / Math.pow(10, token.decimals);
+      const price = priceData[priceKey]?.usd || 0;
+
+      return {
+        symbol: token.symbol,
+        name: token.name,
+        logo: token.logo,
+        amount,
+        price,
+        value: amount * price,
+      };
+    })
+    .filter(holding => holding.value > 0)
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Group small holdings and attach share/color for the charts
+ */
+function buildSlices(holdings, total) {
+  const slices = [];
+  let otherValue = 0;
+
+  holdings.forEach((holding) => {
+    if (holding.value / total < OTHER_THRESHOLD && slices.length > 0) {
+      otherValue += holding.value;
+    } else {
+      slices.push({ ...holding });
+    }
+  });
+
+  if (otherValue > 0) {
+    slices.push({ symbol: 'Other', name: 'Smaller holdings', value: otherValue });
+  }
+
+  return slices.map((slice, index) => ({
+    ...slice,
+    share: (slice.value / total) * 100,
+    color: SLICE_COLORS[index % SLICE_COLORS.length],
+  }));
+}
+
+/**
+ * Tooltip for both charts (recharts passes active/payload)
+ */
+function HoldingTooltip({ active, payload, formatValue }) {
+  if (active && payload && payload.length) {
+    const slice = payload[0].payload;
+    return (
+      <div className="bg-gray-900 border border-white/10 rounded-lg p-3 shadow-lg">
+        <p className="text-white text-xs font-semibold mb-1">{slice.symbol}</p>
+        {slice.amount !== undefined && (
+          <p className="text-white/60 text-xs">
+            {slice.amount.toLocaleString('en-US', { maximumFractionDigits: 6 })} {slice.symbol}
+          </p>
+        )}
+        <p className="text-white text-xs mt-1">
+          {formatValue(slice.value)} ({slice.share.toFixed(1)}%)
+        </p>
+      </div>
+    );
+  }
+  return null;
+}
+
+export default function PortfolioChart({
+  config = {},
+  onUpdateConfig,
+  onDelete,
+  configSchema
+}) {
+  const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
+  const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? true);
+  const [variant, setVariant] = useState(config.variant || 'default');
+  const [isFixed, setIsFixed] = useState(config.isFixed || false);
+
+  // Widget config (edited through the generated settings panel)
+  const chartType = config.chartType || 'pie';
+  const showValue = config.showValue ?? true;
+  const showPercentage = config.showPercentage ?? true;
+  const network = useWidgetNetwork(config.network);
+
+  const { address, isConnected } = useWallet();
+  const { formatPrice } = useCurrency();
+
+  // Holdings are keyed by wallet, so switching wallets shows the spinner
+  // instead of the previous wallet's holdings
+  const { data: holdings = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.portfolio(network.name, address),
+    queryFn: () => loadHoldings(address, network.name),
+    enabled: Boolean(isConnected && address),
+  });
+
+  const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+  const slices = total > 0 ? buildSlices(holdings, total) : [];
+
+  // Format a USD value in the selected currency
+  const formatValue = (value) => formatPrice(value, {
+    minimumFractionDigits: value < 1 ? 4 : 2,
+    maximumFractionDigits: value < 1 ? 4 : 2,
+  });
+
+  // Label shown next to each holding, driven by showValue / showPercentage
+  const formatSliceLabel = (slice) => [
+    showValue && formatValue(slice.value),
+    showPercentage && `${slice.share.toFixed(1)}%`,
+  ].filter(Boolean).join(' · ');
+
+  // Handle config updates
+  const handleToggleTitle = () => {
+    const newValue = !showTitle;
+    setShowTitle(newValue);
+    onUpdateConfig?.({ ...config, showTitle: newValue });
+  };
+
+  const handleToggleSubtitle = () => {
+    const newValue = !showSubtitle;
+    setShowSubtitle(newValue);
+    onUpdateConfig?.({ ...config, showSubtitle: newValue });
+  };
+
+  const handleChangeVariant = (newVariant) => {
+    setVariant(newVariant);
+    onUpdateConfig?.({ ...config, variant: newVariant });
+  };
+
+  const handleToggleFixed = () => {
+    const newValue = !isFixed;
+    setIsFixed(newValue);
+    onUpdateConfig?.({ ...config, isFixed: newValue });
+  };
+
+  // Legend / allocation rows
+  const renderAllocationList = (withBars) => (
+    <div className="space-y-2">
+      {slices.map((slice, index) => (
+        <motion.div
+          key={slice.symbol}
+          initial={{ opacity: 0, x: -10 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ delay: index * 0.03 }}
+        >
+          <div className="flex items-center gap-2 text-sm">
+            <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: slice.color }} />
+            <span className="font-semibold">{slice.symbol}</span>
+            <span className="opacity-40 text-xs truncate flex-1">{slice.name}</span>
+            {(showValue || showPercentage) && (
+              <span className="text-xs opacity-80 whitespace-nowrap">{formatSliceLabel(slice)}</span>
+            )}
+          </div>
+          {withBars && (
+            <div className="h-1.5 mt-1.5 bg-current/10 rounded-full overflow-hidden">
+              <div
+                className="h-full rounded-full"
+                style={{ width: `${slice.share}%`, backgroundColor: slice.color }}
+              />
+            </div>
+          )}
+        </motion.div>
+      ))}
+    </div>
+  );
+
+  return (
+    <Card
+      title="Portfolio"
+      description={`Your wallet holdings on ${network.displayName}`}
+      showTitle={showTitle}
+      showSubtitle={showSubtitle}
+      variant={variant}
+      isFixed={isFixed}
+      draggable={true}
+      onToggleTitle={handleToggleTitle}
+      onToggleSubtitle={handleToggleSubtitle}
+      onChangeVariant={handleChangeVariant}
+      onToggleFixed={handleToggleFixed}
+      onDelete={onDelete}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
+      className="h-full flex flex-col"
+    >
+      <div className="flex-1 flex flex-col min-h-0">
+        {!isConnected ? (
+          <div className="flex-1 flex flex-col items-center justify-center text-center gap-4">
+            <div className="text-6xl">💼</div>
+            <p className="opacity-60">Connect your wallet to see your holdings</p>
+            <ConnectWallet />
+          </div>
+        ) : isLoading ? (
+          <div className="flex items-center justify-center h-full">
+            <Spinner />
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="text-center">
+              <p className="text-red-500 text-sm mb-2">Failed to load portfolio</p>
+              <p className="text-xs opacity-60">{error.message}</p>
+            </div>
+          </div>
+        ) : slices.length === 0 ? (
+          <div className="flex-1 flex items-center justify-center text-center">
+            <p className="opacity-60 text-sm">No priced {network.displayName} token holdings found for this wallet</p>
+          </div>
+        ) : (
+          <>
+            {/* Total Value */}
+            <div className="mb-4">
+              <p className="text-xs opacity-60 mb-1">Total value</p>
+              <p className="text-3xl font-bold">{formatValue(total)}</p>
+            </div>
+
+            {chartType === 'allocation' ? (
+              <div className="flex-1 overflow-y-auto">
+                {renderAllocationList(true)}
+              </div>
+            ) : chartType === 'bar' ? (
+              <div className="flex-1 min-h-[160px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={slices} layout="vertical" margin={{ top: 0, right: 10, left: 0, bottom: 0 }}>
+                    <XAxis type="number" hide />
+                    <YAxis
+                      type="category"
+                      dataKey="symbol"
+                      width={60}
+                      tick={{ fill: 'currentColor', fontSize: 12 }}
+                      tickLine={false}
+                      axisLine={false}
+                    />
+                    <Tooltip content={<HoldingTooltip formatValue={formatValue} />} cursor={{ fill: 'currentColor', opacity: 0.05 }} />
+                    <Bar
+                      dataKey="value"
+                      radius={[0, 6, 6, 0]}
+                      label={showValue || showPercentage ? {
+                        position: 'insideRight',
+                        fill: '#fff',
+                        fontSize: 11,
+                        formatter: (value) => formatSliceLabel({ value, share: (value / total) * 100 }),
+                      } : false}
+                    >
+                      {slices.map((slice) => (
+                        <Cell key={slice.symbol} fill={slice.color} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="flex-1 flex gap-4 min-h-0">
+                <div className="w-1/2 min-h-[160px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <PieChart>
+                      <Pie
+                        data={slices}
+                        dataKey="value"
+                        nameKey="symbol"
+                        innerRadius="55%"
+                        outerRadius="90%"
+                        paddingAngle={2}
+                        stroke="none"
+                      >
+                        {slices.map((slice) => (
+                          <Cell key={slice.symbol} fill={slice.color} />
+                        ))}
+                      </Pie>
+                      <Tooltip content={<HoldingTooltip formatValue={formatValue} />} />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="w-1/2 overflow-y-auto">
+                  {renderAllocationList(false)}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Card>
+  );
+}
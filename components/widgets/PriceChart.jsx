@@ -1,9 +1,9 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useId } from 'react';
 import Card from '@/components/cards/Card';
 import { supabase } from '@/lib/supabase';
-import { getTokenMarketChart } from '@/lib/api/coingecko';
+import { useMarketChart } from '@/lib/hooks/useApiQueries';
 import {
   LineChart,
   Line,
@@ -19,15 +19,48 @@ import {
 import { colors } from '@/lib/theme';
 import { motion } from 'motion/react';
 import { Spinner } from "@heroui/spinner";
-import CardSettingsToggle from '@/components/cards/CardSettingsToggle';
 import { HugeiconsIcon } from '@hugeicons/react';
 import { WaterfallUp01Icon, ChartAverageIcon } from '@hugeicons-pro/core-solid-standard';
 import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { CATALOGUE_NETWORK, getCatalogueToken, getCatalogueTokens, getTokenNetwork } from '@/config/tokens';
+import {
+  INDICATORS,
+  applyIndicators,
+  clampIndicatorParam,
+  getIndicatorParamRange,
+  getIndicatorSettings,
+} from '@/lib/utils/indicators';
+
+const CHART_MARGIN = { top: 5, right: 5, left: 5, bottom: 5 };
+
+// Height of each oscillator panel; the price chart gives up the same space
+const OSCILLATOR_HEIGHT = 80;
+
+/**
+ * Tooltip for the oscillator panels: every series at the hovered candle
+ */
+function OscillatorTooltip({ active, payload, formatDate }) {
+  if (!active || !payload?.length) return null;
+
+  return (
+    <div className="bg-gray-900 border border-white/10 rounded-lg p-2 shadow-lg text-xs">
+      <p className="text-white/60 mb-1">{formatDate(payload[0].payload.timestamp)}</p>
+      {payload.filter(item => item.value !== null && item.value !== undefined).map(item => (
+        <div key={item.dataKey} className="flex justify-between gap-3">
+          <span style={{ color: item.color }}>{item.name}</span>
+          <span className="text-white font-semibold">{Number(item.value).toFixed(item.dataKey === 'rsi' ? 1 : 6)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
 
 export function PriceChart({
   config = {},
   onUpdateConfig,
-  onDelete
+  onDelete,
+  configSchema
 }) {
   const [showTitle, setShowTitle] = useState(config.showTitle ?? false);
   const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? false);
@@ -36,24 +69,46 @@ export function PriceChart({
   const [isFixed, setIsFixed] = useState(config.isFixed || false);
   const [chartColor, setChartColor] = useState(config.chartColor || 'primary');
   const [chartType, setChartType] = useState(config.chartType || 'line');
-  const [showPriceInfo, setShowPriceInfo] = useState(config.showPriceInfo ?? true);
+
+  // Widget config (edited through the generated settings panel)
+  const showPriceInfo = config.showPriceInfo ?? true;
+  const network = useWidgetNetwork(config.network);
 
   // Use currency context
   const { currency, formatPrice: formatCurrencyPrice } = useCurrency();
 
   // Token selection state
-  const [selectedToken, setSelectedToken] = useState(null);
+  const [pickedToken, setPickedToken] = useState(null);
   const [tokens, setTokens] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [showTokenSelector, setShowTokenSelector] = useState(false);
 
-  // Chart data state
-  const [chartData, setChartData] = useState([]);
-  const [ohlcvData, setOhlcvData] = useState([]);
+  // A token picked on another network is not charted until one is picked here
+  const selectedToken = pickedToken && getTokenNetwork(pickedToken) === network.name ? pickedToken : null;
+
+  // Chart data, shared with other charts of the same token and range
   const [timeRange, setTimeRange] = useState(config.timeRange || '7');
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [priceChange, setPriceChange] = useState(null);
+  const { data: chartInfo, isLoading: loading, error: chartError } = useMarketChart(selectedToken?.address, timeRange, {
+    network: network.name,
+  });
+  const error = chartError?.message;
+
+  // Indicators are saved in config.indicators and computed from the candles,
+  // which come back in time order with the enabled indicator values attached
+  const indicatorSettings = getIndicatorSettings(config.indicators);
+  const ohlcvData = applyIndicators(chartInfo?.ohlcv || [], indicatorSettings);
+  const oscillators = Object.values(INDICATORS)
+    .filter(indicator => indicator.type === 'oscillator' && indicatorSettings[indicator.id].enabled);
+
+  // The line chart plots the candles' closes (as `price`) so it lines up with the oscillators
+  const chartData = ohlcvData.length > 0 ? ohlcvData : chartInfo?.prices || [];
+
+  // Keeps the cursor and tooltip of the price chart and oscillator panels together
+  const syncId = useId();
+
+  const priceChange = chartData.length > 1
+    ? ((chartData[chartData.length - 1].price - chartData[0].price) / chartData[0].price) * 100
+    : null;
 
   // Chart color options from theme
   const chartColorOptions = [
@@ -81,6 +136,15 @@ export function PriceChart({
 
   // Load tokens from database
   async function loadTokens() {
+    // The catalogue only covers one network; elsewhere search the token list
+    if (network.name !== CATALOGUE_NETWORK) {
+      const query = searchQuery.toLowerCase();
+      setTokens(getCatalogueTokens(network.name).filter(token =>
+        token.symbol.toLowerCase().includes(query) || token.name.toLowerCase().includes(query)
+      ));
+      return;
+    }
+
     try {
       let query = supabase
         .from('tokens')
@@ -103,6 +167,12 @@ export function PriceChart({
 
   // Load specific token
   async function loadToken(tokenId) {
+    const listed = getCatalogueToken(tokenId);
+    if (listed) {
+      setPickedToken(listed);
+      return;
+    }
+
     try {
       const { data, error } = await supabase
         .from('tokens')
@@ -112,56 +182,17 @@ export function PriceChart({
 
       if (error) throw error;
       if (data) {
-        setSelectedToken(data);
-        fetchChartData(data);
+        setPickedToken(data);
       }
     } catch (err) {
       console.error('Error loading token:', err);
     }
   }
 
-  // Fetch chart data
-  async function fetchChartData(token, customTimeRange) {
-    setLoading(true);
-    setError(null);
-
-    try {
-      const range = customTimeRange || timeRange;
-      const response = await getTokenMarketChart(token.address, 'usd', parseInt(range));
-
-      // Extract actual data from cache wrapper
-      const chartInfo = response.data || response;
-
-      if (!chartInfo || !chartInfo.prices || chartInfo.prices.length === 0) {
-        throw new Error('No chart data available for this token');
-      }
-
-      setChartData(chartInfo.prices);
-
-      // Store OHLCV data for candlestick charts
-      if (chartInfo.ohlcv && chartInfo.ohlcv.length > 0) {
-        setOhlcvData(chartInfo.ohlcv);
-      }
-
-      // Calculate price change
-      if (chartInfo.prices.length > 1) {
-        const firstPrice = chartInfo.prices[0].price;
-        const lastPrice = chartInfo.prices[chartInfo.prices.length - 1].price;
-        const change = ((lastPrice - firstPrice) / firstPrice) * 100;
-        setPriceChange(change);
-      }
-    } catch (err) {
-      setError(err.message || 'Failed to fetch chart data');
-    } finally {
-      setLoading(false);
-    }
-  }
-
   // Handle token selection
   function handleTokenSelect(token) {
-    setSelectedToken(token);
+    setPickedToken(token);
     setShowTokenSelector(false);
-    fetchChartData(token);
 
     // Update config
     if (onUpdateConfig) {
@@ -176,9 +207,6 @@ export function PriceChart({
   function handleTimeRangeChange(newRange) {
     setTimeRange(newRange);
     onUpdateConfig?.({ ...config, timeRange: newRange });
-    if (selectedToken) {
-      fetchChartData(selectedToken, newRange);
-    }
   }
 
   // Handle config updates
@@ -200,12 +228,6 @@ export function PriceChart({
     onUpdateConfig?.({ ...config, showImage: newValue });
   };
 
-  const handleTogglePriceInfo = () => {
-    const newValue = !showPriceInfo;
-    setShowPriceInfo(newValue);
-    onUpdateConfig?.({ ...config, showPriceInfo: newValue });
-  };
-
   const handleChangeVariant = (newVariant) => {
     setVariant(newVariant);
     onUpdateConfig?.({ ...config, variant: newVariant });
@@ -227,6 +249,41 @@ export function PriceChart({
     onUpdateConfig?.({ ...config, chartType: newType });
   };
 
+  const handleUpdateIndicator = (indicatorId, changes) => {
+    onUpdateConfig?.({
+      ...config,
+      indicators: {
+        ...config.indicators,
+        [indicatorId]: { ...indicatorSettings[indicatorId], ...changes },
+      },
+    });
+  };
+
+  // Overlay lines share the price axis, so they go in both chart types
+  const overlayLines = [
+    indicatorSettings.sma.enabled && (
+      <Line key="sma" dataKey="sma" name={`SMA ${indicatorSettings.sma.period}`} stroke={INDICATORS.sma.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+    ),
+    indicatorSettings.ema.enabled && (
+      <Line key="ema" dataKey="ema" name={`EMA ${indicatorSettings.ema.period}`} stroke={INDICATORS.ema.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+    ),
+    ...(indicatorSettings.bollinger.enabled ? ['bbUpper', 'bbMiddle', 'bbLower'].map(key => (
+      <Line
+        key={key}
+        dataKey={key}
+        stroke={INDICATORS.bollinger.color}
+        strokeWidth={1}
+        strokeDasharray={key === 'bbMiddle' ? undefined : '4 3'}
+        strokeOpacity={key === 'bbMiddle' ? 0.5 : 0.8}
+        dot={false}
+        isAnimationActive={false}
+      />
+    )) : []),
+    indicatorSettings.vwap.enabled && (
+      <Line key="vwap" dataKey="vwap" name="VWAP" stroke={INDICATORS.vwap.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+    ),
+  ].filter(Boolean);
+
   // Format price for display
   const formatPrice = (price) => {
     if (!price) return `${currency.symbol}0.00`;
@@ -485,6 +542,61 @@ export function PriceChart({
         </div>
       </div>
 
+      {/* Indicators */}
+      <div className="border-t border-white/5 pt-4">
+        <p className="text-white font-medium">Indicators</p>
+        <p className="text-xs text-white/60 mb-3">Overlays on the price, oscillators in a panel below</p>
+        <div className="space-y-2">
+          {Object.values(INDICATORS).map((indicator) => {
+            const settings = indicatorSettings[indicator.id];
+
+            return (
+              <div key={indicator.id} className="flex items-center gap-2">
+                <button
+                  onClick={() => handleUpdateIndicator(indicator.id, { enabled: !settings.enabled })}
+                  title={indicator.name}
+                  className={`w-16 px-3 py-1.5 rounded-full text-xs font-medium transition-colors cursor-pointer ${settings.enabled
+                    ? 'bg-white text-black'
+                    : 'bg-white/5 text-white/60 hover:bg-white/10'
+                    }`}
+                >
+                  {indicator.label}
+                </button>
+                <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: indicator.color }} />
+                {indicator.params.map((param) => {
+                  // MACD fast stays below slow, so their ranges depend on each other
+                  const range = getIndicatorParamRange(indicator.id, param.key, settings);
+
+                  return (
+                    <label key={param.key} className="flex items-center gap-1 text-xs text-white/60">
+                      {param.label}
+                      <input
+                        // Remount when the saved value changes, so the field shows the clamped value
+                        key={settings[param.key]}
+                        type="number"
+                        min={range.min}
+                        max={range.max}
+                        step={param.step || 1}
+                        defaultValue={settings[param.key]}
+                        disabled={!settings.enabled}
+                        title={`${range.min}–${range.max}`}
+                        onBlur={(e) => {
+                          const value = clampIndicatorParam(indicator.id, param.key, e.target.value, settings);
+                          // Also covers input clamped back to the saved value, which does not remount
+                          e.target.value = value;
+                          handleUpdateIndicator(indicator.id, { [param.key]: value });
+                        }}
+                        className="w-14 px-2 py-1 bg-white/5 border border-white/10 rounded-lg text-white text-xs focus:outline-none focus:border-white/30 disabled:opacity-40"
+                      />
+                    </label>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
       {/* Chart Color Selector */}
       {chartType === 'line' && (
         <div className="border-t border-white/5 pt-4 flex justify-between items-center">
@@ -519,17 +631,6 @@ export function PriceChart({
         </div>
       )}
 
-      {/* Price Info Toggle */}
-      <div className="border-t border-white/5 pt-4">
-        <CardSettingsToggle
-          title="Price Info"
-          description="Show current price and change"
-          isOn={showPriceInfo}
-          onToggle={handleTogglePriceInfo}
-        />
-      </div>
-
-
     </div>
   );
 
@@ -551,6 +652,9 @@ export function PriceChart({
       onToggleFixed={handleToggleFixed}
       onDelete={onDelete}
       customSettings={customSettings}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
       className="h-full flex flex-col"
     >
       <div className="flex-1 flex flex-col">
@@ -596,9 +700,9 @@ export function PriceChart({
 
             {/* Chart */}
             <div className="w-full" style={{ minHeight: '200px' }}>
-              <ResponsiveContainer width="100%" height={300} debounce={50}>
+              <ResponsiveContainer width="100%" height={300 - oscillators.length * OSCILLATOR_HEIGHT} debounce={50}>
                 {chartType === 'line' ? (
-                  <LineChart data={chartData} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+                  <LineChart data={chartData} margin={CHART_MARGIN} syncId={syncId}>
                     <defs>
                       <linearGradient id={`colorPrice-${chartColor}`} x1="0" y1="0" x2="0" y2="1">
                         <stop
@@ -654,9 +758,11 @@ export function PriceChart({
                       fill={`url(#colorPrice-${chartColor})`}
                       animationDuration={300}
                     />
+
+                    {overlayLines}
                   </LineChart>
                 ) : (
-                  <ComposedChart data={ohlcvData} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+                  <ComposedChart data={ohlcvData} margin={CHART_MARGIN} syncId={syncId}>
                     <XAxis
                       dataKey="timestamp"
                       tick={false}
@@ -704,10 +810,51 @@ export function PriceChart({
                       dataKey={(entry) => [Math.min(entry.open, entry.close), Math.max(entry.open, entry.close)]}
                       shape={(props) => <CandleBody {...props} data={props.payload} />}
                     />
+
+                    {overlayLines}
                   </ComposedChart>
                 )}
               </ResponsiveContainer>
             </div>
+
+            {/* Oscillators, synced with the price chart */}
+            {oscillators.map(indicator => (
+              <div key={indicator.id} className="w-full border-t border-current/10 pt-1">
+                <p className="text-[10px] opacity-50">
+                  {indicator.label} ({indicator.params.map(param => indicatorSettings[indicator.id][param.key]).join(', ')})
+                </p>
+                <ResponsiveContainer width="100%" height={OSCILLATOR_HEIGHT - 16} debounce={50}>
+                  <ComposedChart data={ohlcvData} margin={CHART_MARGIN} syncId={syncId}>
+                    <XAxis dataKey="timestamp" hide />
+                    {indicator.id === 'rsi' ? (
+                      <YAxis hide width={0} domain={[0, 100]} />
+                    ) : (
+                      <YAxis hide width={0} domain={['auto', 'auto']} />
+                    )}
+                    <Tooltip content={<OscillatorTooltip formatDate={formatDate} />} />
+
+                    {indicator.id === 'rsi' ? (
+                      <>
+                        <ReferenceLine y={70} stroke="#dc2626" strokeDasharray="3 3" strokeOpacity={0.5} />
+                        <ReferenceLine y={30} stroke="#16a34a" strokeDasharray="3 3" strokeOpacity={0.5} />
+                        <Line dataKey="rsi" name="RSI" stroke={indicator.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                      </>
+                    ) : (
+                      <>
+                        <ReferenceLine y={0} stroke="currentColor" strokeOpacity={0.2} />
+                        <Bar dataKey="macdHistogram" name="Histogram" isAnimationActive={false}>
+                          {ohlcvData.map(point => (
+                            <Cell key={point.timestamp} fill={point.macdHistogram >= 0 ? '#16a34a' : '#dc2626'} fillOpacity={0.6} />
+                          ))}
+                        </Bar>
+                        <Line dataKey="macd" name="MACD" stroke={indicator.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                        <Line dataKey="macdSignal" name="Signal" stroke={indicator.signalColor} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                      </>
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
           </div>
         ) : null}
       </div>
@@ -1,79 +1,307 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Image from 'next/image';
 import Card from '@/components/cards/Card';
 import { supabase } from '@/lib/supabase';
-import { getTokenPrice } from '@/lib/api/coingecko';
-import CardSettingsToggle from '@/components/cards/CardSettingsToggle';
+import { LineChart, Line, YAxis, ResponsiveContainer } from 'recharts';
+import { useTokenPrice, useBatchTokenPrices, useCoinMarketChart } from '@/lib/hooks/useApiQueries';
 import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import {
+  CATALOGUE_NETWORK,
+  getCatalogueToken,
+  getCatalogueTokens,
+  getTokenNetwork,
+  getNetworkTokens,
+  getNativePriceAddress,
+} from '@/config/tokens';
+
+// Days of history behind each watchlist sparkline
+const SPARKLINE_DAYS = 1;
+
+/**
+ * Load a token from the database, or from the token list of another network
+ */
+async function loadToken(tokenId) {
+  const listed = getCatalogueToken(tokenId);
+  if (listed) return listed;
+
+  const { data, error } = await supabase
+    .from('tokens')
+    .select('*')
+    .eq('id', tokenId)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Watchlist sort: null key keeps the user's order; text sorts A-Z first,
+ * numbers highest first, and missing values always go last
+ */
+function sortRows(rows, { key, direction }) {
+  if (!key) return rows;
+
+  return [...rows].sort((a, b) => {
+    // Rows missing both values keep their order (sort is stable)
+    if (a[key] === null && b[key] === null) return 0;
+    if (a[key] === null) return 1;
+    if (b[key] === null) return -1;
+    const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+    return direction === 'asc' ? order : -order;
+  });
+}
+
+/**
+ * Clickable column header: first click sorts, second reverses, third restores the user's order
+ */
+function SortHeader({ label, sortKey, sort, onSort, className = '' }) {
+  const isActive = sort.key === sortKey;
+
+  return (
+    <th className={`pb-2 font-semibold ${className}`}>
+      <button onClick={() => onSort(sortKey)} className="hover:opacity-100 transition-opacity">
+        {label}
+        {isActive && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+      </button>
+    </th>
+  );
+}
+
+/**
+ * 24h price trend of a watchlist token
+ */
+function Sparkline({ coinId }) {
+  const { data } = useCoinMarketChart(coinId, SPARKLINE_DAYS);
+  const points = data?.prices.map(([timestamp, price]) => ({ timestamp, price })) || [];
+
+  if (points.length < 2) {
+    return <div className="h-6 w-16" />;
+  }
+
+  const lineColor = points[points.length - 1].price >= points[0].price ? '#22c55e' : '#ef4444';
+
+  return (
+    <div className="h-6 w-16">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={points}>
+          <YAxis hide domain={['dataMin', 'dataMax']} />
+          <Line
+            type="monotone"
+            dataKey="price"
+            stroke={lineColor}
+            strokeWidth={1.5}
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/**
+ * Many tokens in one card, priced by a single batched request
+ * Rows can be sorted by column, or dragged into a custom order that is
+ * saved as the widget's `tokens` list
+ */
+function PriceWatchlist({ config, network, refreshInterval, showChange, showChart, formatPrice, onUpdateConfig }) {
+  const [sort, setSort] = useState({ key: null, direction: 'desc' });
+  const [dragId, setDragId] = useState(null);
+
+  const tokenIds = config.tokens || [];
+  const networkTokens = Object.values(getNetworkTokens(network.name));
+  const tokens = tokenIds
+    .map(id => networkTokens.find(token => token.coingeckoId === id))
+    .filter(Boolean);
+
+  // CoinGecko has no contract price for native ETH; WETH stands in for it
+  const getPriceAddress = (token) =>
+    (token.address === 'native' ? getNativePriceAddress(network.name) : token.address).toLowerCase();
+
+  const { data: prices, isLoading, error } = useBatchTokenPrices(tokens.map(getPriceAddress), {
+    refreshInterval,
+    network: network.name,
+  });
+
+  const rows = sortRows(tokens.map((token) => {
+    const quote = prices?.[getPriceAddress(token)];
+    return {
+      token,
+      symbol: token.symbol,
+      price: quote?.usd ?? null,
+      change: quote?.usd_24h_change ?? null,
+    };
+  }), sort);
+
+  const handleSort = (key) => {
+    if (sort.key !== key) {
+      setSort({ key, direction: key === 'symbol' ? 'asc' : 'desc' });
+    } else if (sort.direction === (key === 'symbol' ? 'asc' : 'desc')) {
+      setSort({ key, direction: key === 'symbol' ? 'desc' : 'asc' });
+    } else {
+      setSort({ key: null, direction: 'desc' });
+    }
+  };
+
+  // Move the dragged token to the drop target's place in the saved list
+  const handleDrop = (targetId) => {
+    if (!dragId || dragId === targetId) return;
+
+    const next = tokenIds.filter(id => id !== dragId);
+    next.splice(next.indexOf(targetId) + (tokenIds.indexOf(dragId) < tokenIds.indexOf(targetId) ? 1 : 0), 0, dragId);
+    onUpdateConfig?.({ ...config, tokens: next });
+  };
+
+  const canReorder = !sort.key && Boolean(onUpdateConfig);
+
+  if (tokens.length === 0) {
+    return (
+      <div className="text-center">
+        <div className="text-6xl mb-4">📋</div>
+        <p className="opacity-60 mb-2">No watchlist tokens on {network.displayName}</p>
+        <p className="text-sm opacity-40">
+          Click the <span className="opacity-60">⋮</span> menu to add tokens
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full h-full overflow-y-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs opacity-60">
+            <SortHeader label="Token" sortKey="symbol" sort={sort} onSort={handleSort} />
+            <SortHeader label="Price" sortKey="price" sort={sort} onSort={handleSort} className="text-right" />
+            {showChange && (
+              <SortHeader label="24h" sortKey="change" sort={sort} onSort={handleSort} className="text-right" />
+            )}
+            {showChart && <th className="pb-2" />}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ token, price, change }) => (
+            <tr
+              key={token.coingeckoId}
+              draggable={canReorder}
+              onDragStart={() => setDragId(token.coingeckoId)}
+              onDragOver={(e) => canReorder && e.preventDefault()}
+              onDrop={() => handleDrop(token.coingeckoId)}
+              onDragEnd={() => setDragId(null)}
+              className={`border-t border-current/10 ${canReorder ? 'cursor-grab' : ''} ${
+                dragId === token.coingeckoId ? 'opacity-40' : ''
+              }`}
+            >
+              <td className="py-2">
+                <div className="flex items-center gap-2">
+                  <Image src={token.logo} alt={token.symbol} width={20} height={20} className="rounded-full" />
+                  <span className="font-semibold">{token.symbol}</span>
+                </div>
+              </td>
+              <td className="py-2 text-right font-medium">
+                {isLoading ? (
+                  <span className="inline-block animate-pulse h-4 w-14 bg-current/10 rounded" />
+                ) : price === null ? '—' : formatPrice(price)}
+              </td>
+              {showChange && (
+                <td className={`py-2 text-right text-xs font-semibold ${
+                  change === null ? 'opacity-40' : change >= 0 ? 'text-green-600' : 'text-red-600'
+                }`}>
+                  {change === null ? '—' : `${change >= 0 ? '↑' : '↓'}${Math.abs(change).toFixed(2)}%`}
+                </td>
+              )}
+              {showChart && (
+                <td className="py-2 pl-3">
+                  <Sparkline coinId={token.coingeckoId} />
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {error && <p className="text-red-500 text-xs mt-2">Failed to load prices</p>}
+      {tokens.length < tokenIds.length && (
+        <p className="text-xs opacity-40 mt-2">
+          {tokenIds.length - tokens.length} token{tokenIds.length - tokens.length === 1 ? ' is' : 's are'} not listed on {network.displayName}
+        </p>
+      )}
+    </div>
+  );
+}
 
 export default function PriceTracker({ 
   config = {}, 
   onUpdateConfig,
-  onDelete 
+  onDelete,
+  configSchema
 }) {
   const [showTitle, setShowTitle] = useState(config.showTitle ?? false);
   const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? false);
   const [showImage, setShowImage] = useState(config.showImage ?? true);
-  const [showStats, setShowStats] = useState(config.showStats ?? true);
   const [variant, setVariant] = useState(config.variant || 'default');
   const [isFixed, setIsFixed] = useState(config.isFixed || false);
+
+  // Widget config (edited through the generated settings panel)
+  const showStats = config.showStats ?? true;
+  const showChange = config.showChange ?? true;
+  const refreshInterval = config.refreshInterval || 30000;
+  const showChart = config.showChart ?? true;
+  const isWatchlist = config.mode === 'watchlist';
+  const network = useWidgetNetwork(config.network);
   
   // Use currency context
   const { currency, formatPrice: formatCurrencyPrice } = useCurrency();
   
   // Token selection state
-  const [selectedToken, setSelectedToken] = useState(config.tokenId ? null : null);
+  const [pickedToken, setPickedToken] = useState(null);
   const [tokens, setTokens] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [showTokenSelector, setShowTokenSelector] = useState(false);
   
-  // Price data state
-  const [priceData, setPriceData] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  // A token picked on another network is not shown until one is picked here
+  const selectedToken = pickedToken && getTokenNetwork(pickedToken) === network.name ? pickedToken : null;
+
+  // Live price, shared with other cards tracking the same token
+  const tokenAddress = !isWatchlist && selectedToken?.address && selectedToken.address !== 'null'
+    ? selectedToken.address
+    : null;
+  const { data: priceData, isLoading: loading, error: priceError } = useTokenPrice(tokenAddress, { refreshInterval, network: network.name });
+  const error = priceError || (!isWatchlist && selectedToken && !tokenAddress);
 
   // Load selected token from config
   useEffect(() => {
-    if (config.tokenId) {
-      loadToken(config.tokenId);
-    }
-  }, [config.tokenId]);
+    if (!config.tokenId) return;
 
-  // Auto-refresh price every 30 seconds
-  useEffect(() => {
-    if (!selectedToken) return;
-    
-    const interval = setInterval(() => {
-      fetchPrice(selectedToken);
-    }, 30000); // 30 seconds
-    
-    return () => clearInterval(interval);
-  }, [selectedToken]);
+    let cancelled = false;
 
-  // Load token from database
-  async function loadToken(tokenId) {
-    try {
-      const { data, error } = await supabase
-        .from('tokens')
-        .select('*')
-        .eq('id', tokenId)
-        .single();
-      
-      if (error) throw error;
-      setSelectedToken(data);
-      
-      // Fetch live price
-      if (data) {
-        fetchPrice(data);
-      }
-    } catch (err) {
-      console.error('Error loading token:', err);
-    }
-  }
+    loadToken(config.tokenId)
+      .then((token) => {
+        if (!cancelled) setPickedToken(token);
+      })
+      .catch((err) => {
+        console.error('Error loading token:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [config.tokenId]);
 
   // Fetch tokens for selector
   async function loadTokens() {
+    // The catalogue only covers one network; elsewhere search the token list
+    if (network.name !== CATALOGUE_NETWORK) {
+      const query = searchQuery.toLowerCase();
+      setTokens(getCatalogueTokens(network.name).filter(token =>
+        token.symbol.toLowerCase().includes(query) || token.name.toLowerCase().includes(query)
+      ));
+      return;
+    }
+
     try {
       let query = supabase
         .from('tokens')
@@ -94,60 +322,10 @@ export default function PriceTracker({
     }
   }
 
-  // Fetch live price from CoinGecko API
-  async function fetchPrice(token) {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      if (!token.address || token.address === 'null' || token.address === '') {
-        throw new Error('Token address not available');
-      }
-      
-      // Call CoinGecko API with the token address
-      const data = await getTokenPrice(token.address);
-      
-      // Extract the actual data (API returns { data: {...}, cached: bool })
-      const priceInfo = data.data || data;
-      
-      if (!priceInfo || typeof priceInfo.price === 'undefined' || priceInfo.price === 0) {
-        console.log('❌ Price check failed - priceInfo:', priceInfo);
-        throw new Error('Price data not available for this token. It may not be listed on CoinGecko yet.');
-      }
-      
-      // Set the price data
-      setPriceData({
-        price: priceInfo.price,
-        change24h: priceInfo.priceChange24h || 0,
-        volume24h: priceInfo.volume24h || 0,
-        marketCap: priceInfo.marketCap || 0,
-      });
-    } catch (err) {
-      console.error('❌ Error fetching price:', err);
-      
-      // More descriptive error messages
-      let errorMessage = 'Failed to fetch price data';
-      if (err.message.includes('404')) {
-        errorMessage = 'Token not found on CoinGecko';
-      } else if (err.message.includes('429')) {
-        errorMessage = 'Rate limit exceeded. Please try again later.';
-      } else if (err.message.includes('Token address not available')) {
-        errorMessage = 'Invalid token address';
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
-      
-      setError(errorMessage);
-    } finally {
-      setLoading(false);
-    }
-  }
-
   // Handle token selection
   function handleTokenSelect(token) {
-    setSelectedToken(token);
+    setPickedToken(token);
     setShowTokenSelector(false);
-    fetchPrice(token);
     
     // Update config
     if (onUpdateConfig) {
@@ -177,12 +355,6 @@ export default function PriceTracker({
     onUpdateConfig?.({ ...config, showImage: newValue });
   };
 
-  const handleToggleStats = () => {
-    const newValue = !showStats;
-    setShowStats(newValue);
-    onUpdateConfig?.({ ...config, showStats: newValue });
-  };
-
   const handleChangeVariant = (newVariant) => {
     setVariant(newVariant);
     onUpdateConfig?.({ ...config, variant: newVariant });
@@ -322,22 +494,14 @@ export default function PriceTracker({
           </div>
         )}
       </div>
-
-      {/* Stats Visibility Toggle */}
-      <CardSettingsToggle
-        title="Market Stats"
-        description="Display market cap and volume"
-        isOn={showStats}
-        onToggle={handleToggleStats}
-      />
     </div>
   );
 
   return (
     <Card
-      title={selectedToken ? selectedToken.symbol : 'Price Tracker'}
-      description={selectedToken ? selectedToken.name : 'Real-time token prices'}
-      image={selectedToken ? selectedToken.logo_url : null}
+      title={isWatchlist ? 'Watchlist' : selectedToken ? selectedToken.symbol : 'Price Tracker'}
+      description={isWatchlist ? `${network.displayName} token prices` : selectedToken ? selectedToken.name : 'Real-time token prices'}
+      image={!isWatchlist && selectedToken ? selectedToken.logo_url : null}
       showTitle={showTitle}
       showSubtitle={showSubtitle}
       showImage={showImage}
@@ -350,11 +514,24 @@ export default function PriceTracker({
       onChangeVariant={handleChangeVariant}
       onToggleFixed={handleToggleFixed}
       onDelete={onDelete}
-      customSettings={customSettings}
+      customSettings={isWatchlist ? null : customSettings}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
       className="h-full flex flex-col"
     >
-      <div className="flex-1 flex flex-col items-center justify-center pt-2">
-        {!selectedToken ? (
+      <div className="flex-1 flex flex-col items-center justify-center pt-2 min-h-0">
+        {isWatchlist ? (
+          <PriceWatchlist
+            config={config}
+            network={network}
+            refreshInterval={refreshInterval}
+            showChange={showChange}
+            showChart={showChart}
+            formatPrice={formatPrice}
+            onUpdateConfig={onUpdateConfig}
+          />
+        ) : !selectedToken ? (
           // No token selected - Direct user to settings
           <div className="text-center">
             <div className="text-6xl mb-4">💰</div>
@@ -381,12 +558,14 @@ export default function PriceTracker({
                 </div>
                 
                 {/* 24h Change */}
-                <div className={`text-base font-semibold ${showStats ? 'mb-6' : ''} ${
-                  priceData.change24h >= 0 ? 'text-green-600' : 'text-red-600'
-                }`}>
-                  {priceData.change24h >= 0 ? '↑' : '↓'} 
-                  {Math.abs(priceData.change24h).toFixed(2)}% (24h)
-                </div>
+                {showChange && (
+                  <div className={`text-base font-semibold ${showStats ? 'mb-6' : ''} ${
+                    priceData.priceChange24h >= 0 ? 'text-green-600' : 'text-red-600'
+                  }`}>
+                    {priceData.priceChange24h >= 0 ? '↑' : '↓'} 
+                    {Math.abs(priceData.priceChange24h).toFixed(2)}% (24h)
+                  </div>
+                )}
                 
                 {/* Stats */}
                 {showStats && (
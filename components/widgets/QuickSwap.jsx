@@ -0,0 +1,405 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { erc20Abi, formatUnits } from 'viem';
+import { useBalance } from 'wagmi';
+import { readContract, writeContract, sendTransaction, waitForTransactionReceipt } from 'wagmi/actions';
+import Card from '@/components/cards/Card';
+import Button from '@/components/ui/Button';
+import { config as wagmiConfig } from '@/lib/wagmi';
+import { getSwapQuote } from '@/lib/api/swap';
+import { getNetworkTokens } from '@/config/tokens';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { Spinner } from "@heroui/spinner";
+import { HugeiconsIcon } from '@hugeicons/react';
+import { ArrowUpDownIcon } from '@hugeicons-pro/core-solid-standard';
+import { useWallet } from '@/lib/hooks/useWallet';
+import { ConnectWallet } from '@/components/shared/ConnectWallet';
+
+// Wait for typing to settle before requesting a quote
+const QUOTE_DEBOUNCE = 500;
+
+// Firm quotes go stale within seconds, so the shown quote is refreshed this often
+const QUOTE_REFRESH_INTERVAL = 10 * 1000;
+
+// Price impact above this is highlighted as a warning
+const HIGH_PRICE_IMPACT = 3;
+
+const TX_STATUS_STYLES = {
+  pending: 'text-yellow-500',
+  confirmed: 'text-green-500',
+  failed: 'text-red-500',
+};
+
+const formatAmount = (value, maximumFractionDigits = 6) =>
+  Number(value).toLocaleString('en-US', { maximumFractionDigits });
+
+export default function QuickSwap({
+  config = {},
+  onUpdateConfig,
+  onDelete,
+  configSchema
+}) {
+  const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
+  const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? true);
+  const [variant, setVariant] = useState(config.variant || 'default');
+  const [isFixed, setIsFixed] = useState(config.isFixed || false);
+
+  // Widget config (edited through the generated settings panel)
+  const slippage = config.slippage ?? 0.5;
+  const network = useWidgetNetwork(config.network);
+  const tokens = getNetworkTokens(network.name);
+  const tokenOptions = Object.values(tokens);
+
+  const { address, isConnected } = useWallet();
+
+  // Pair and amount; symbols missing from this network's list fall back to ETH → USDC
+  const [selectedFrom, setFromSymbol] = useState(config.defaultFrom || 'ETH');
+  const [selectedTo, setToSymbol] = useState(config.defaultTo || 'USDC');
+  const [amount, setAmount] = useState('');
+
+  const fromSymbol = tokens[selectedFrom] ? selectedFrom : 'ETH';
+  const toSymbol = tokens[selectedTo] ? selectedTo : 'USDC';
+  const sellToken = tokens[fromSymbol];
+  const buyToken = tokens[toSymbol];
+
+  // Balance of the token being sold
+  const { data: sellBalance } = useBalance({
+    address,
+    token: sellToken.address === 'native' ? undefined : sellToken.address,
+    chainId: network.id,
+    query: { enabled: Boolean(address) },
+  });
+
+  // Quotes are keyed by their inputs so a stale quote is never shown for a new pair/amount
+  const [quoteState, setQuoteState] = useState({ key: null, quote: null, error: null });
+  const quoteKey = `${network.name}:${fromSymbol}:${toSymbol}:${amount}:${slippage}:${address || ''}`;
+  const canQuote = fromSymbol !== toSymbol && /^\d*\.?\d+$/.test(amount) && Number(amount) > 0;
+  const currentQuote = canQuote && quoteState.key === quoteKey ? quoteState : null;
+  const isQuoting = canQuote && !currentQuote;
+  const quote = currentQuote?.quote || null;
+
+  // Swap transactions submitted from this widget, newest first
+  const [transactions, setTransactions] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Fetch a quote once the pair or amount settles, then keep it fresh
+  // (paused while a swap is being submitted, which re-quotes itself)
+  useEffect(() => {
+    if (!canQuote || isSubmitting) return;
+
+    let cancelled = false;
+    let timeout;
+
+    const load = async () => {
+      try {
+        const nextQuote = await getSwapQuote({
+          sellToken,
+          buyToken,
+          amount,
+          taker: address,
+          slippage,
+          network: network.name,
+        });
+        if (!cancelled) setQuoteState({ key: quoteKey, quote: nextQuote, error: null });
+      } catch (err) {
+        console.error('Error fetching swap quote:', err);
+        if (!cancelled) setQuoteState({ key: quoteKey, quote: null, error: err.message || 'Failed to fetch quote' });
+      }
+
+      if (!cancelled) timeout = setTimeout(load, QUOTE_REFRESH_INTERVAL);
+    };
+
+    timeout = setTimeout(load, QUOTE_DEBOUNCE);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [canQuote, isSubmitting, quoteKey, sellToken, buyToken, amount, address, slippage, network.name]);
+
+  // Track a transaction hash through to its receipt
+  const trackTransaction = async (label, hash) => {
+    setTransactions(prev => [{ hash, label, status: 'pending', error: null }, ...prev].slice(0, 5));
+
+    const receipt = await waitForTransactionReceipt(wagmiConfig, { hash, chainId: network.id });
+    const status = receipt.status === 'success' ? 'confirmed' : 'failed';
+
+    setTransactions(prev => prev.map(tx => (
+      tx.hash === hash ? { ...tx, status, error: status === 'failed' ? 'Transaction reverted' : null } : tx
+    )));
+
+    if (status === 'failed') {
+      // Already listed as failed; the submit handler must not add it again
+      throw Object.assign(new Error(`${label} transaction reverted`), { isTracked: true });
+    }
+  };
+
+  // Re-quote, then approve (when needed) and submit the swap
+  const handleSwap = async () => {
+    if (!quote?.transaction || !address) return;
+
+    setIsSubmitting(true);
+
+    try {
+      // The shown quote may be seconds old: submit a fresh one, unless the
+      // price moved against the user, in which case they review it first
+      const freshQuote = await getSwapQuote({
+        sellToken,
+        buyToken,
+        amount,
+        taker: address,
+        slippage,
+        network: network.name,
+      });
+      setQuoteState({ key: quoteKey, quote: freshQuote, error: null });
+
+      if (!freshQuote.transaction || freshQuote.minBuyAmount < quote.minBuyAmount) {
+        throw new Error('The price moved. Review the new quote and swap again.');
+      }
+
+      // ERC-20 sells need an allowance for the aggregator's spender
+      if (sellToken.address !== 'native' && freshQuote.allowanceTarget) {
+        const allowance = await readContract(wagmiConfig, {
+          chainId: network.id,
+          address: sellToken.address,
+          abi: erc20Abi,
+          functionName: 'allowance',
+          args: [address, freshQuote.allowanceTarget],
+        });
+
+        if (allowance < freshQuote.sellAmount) {
+          const approveHash = await writeContract(wagmiConfig, {
+            chainId: network.id,
+            address: sellToken.address,
+            abi: erc20Abi,
+            functionName: 'approve',
+            args: [freshQuote.allowanceTarget, freshQuote.sellAmount],
+          });
+          await trackTransaction(`Approve ${sellToken.symbol}`, approveHash);
+        }
+      }
+
+      const swapHash = await sendTransaction(wagmiConfig, {
+        chainId: network.id,
+        to: freshQuote.transaction.to,
+        data: freshQuote.transaction.data,
+        value: freshQuote.transaction.value,
+        gas: freshQuote.transaction.gas,
+      });
+      await trackTransaction(`Swap ${sellToken.symbol} → ${buyToken.symbol}`, swapHash);
+
+      setAmount('');
+    } catch (err) {
+      console.error('Error submitting swap:', err);
+      // Wallet rejections never produce a hash, so record them as their own entry
+      if (!err.isTracked) {
+        setTransactions(prev => [
+          { hash: null, label: 'Swap', status: 'failed', error: err.shortMessage || err.message },
+          ...prev,
+        ].slice(0, 5));
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleFlip = () => {
+    setFromSymbol(toSymbol);
+    setToSymbol(fromSymbol);
+  };
+
+  // Handle config updates
+  const handleToggleTitle = () => {
+    const newValue = !showTitle;
+    setShowTitle(newValue);
+    onUpdateConfig?.({ ...config, showTitle: newValue });
+  };
+
+  const handleToggleSubtitle = () => {
+    const newValue = !showSubtitle;
+    setShowSubtitle(newValue);
+    onUpdateConfig?.({ ...config, showSubtitle: newValue });
+  };
+
+  const handleChangeVariant = (newVariant) => {
+    setVariant(newVariant);
+    onUpdateConfig?.({ ...config, variant: newVariant });
+  };
+
+  const handleToggleFixed = () => {
+    const newValue = !isFixed;
+    setIsFixed(newValue);
+    onUpdateConfig?.({ ...config, isFixed: newValue });
+  };
+
+  const insufficientBalance = Boolean(quote && sellBalance && quote.sellAmount > sellBalance.value);
+
+  const swapLabel = isSubmitting
+    ? 'Confirm in wallet...'
+    : !canQuote
+      ? 'Enter an amount'
+      : isQuoting
+        ? 'Fetching quote...'
+        : insufficientBalance
+          ? `Insufficient ${sellToken.symbol}`
+          : quote && !quote.transaction
+            ? 'Preview only (stub quotes)'
+            : 'Swap';
+
+  const renderTokenSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="bg-current/10 rounded-lg px-2 py-1 text-sm font-semibold focus:outline-none cursor-pointer"
+    >
+      {tokenOptions.map((token) => (
+        <option key={token.symbol} value={token.symbol} className="text-black">
+          {token.symbol}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <Card
+      title="Quick Swap"
+      description={`Swap tokens on ${network.displayName}`}
+      showTitle={showTitle}
+      showSubtitle={showSubtitle}
+      variant={variant}
+      isFixed={isFixed}
+      draggable={true}
+      onToggleTitle={handleToggleTitle}
+      onToggleSubtitle={handleToggleSubtitle}
+      onChangeVariant={handleChangeVariant}
+      onToggleFixed={handleToggleFixed}
+      onDelete={onDelete}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
+      className="h-full flex flex-col"
+    >
+      <div className="flex-1 flex flex-col gap-3 min-h-0 overflow-y-auto">
+        {/* Sell */}
+        <div className="bg-current/5 rounded-xl p-3">
+          <div className="flex items-center justify-between text-xs opacity-60 mb-2">
+            <span>You pay</span>
+            {sellBalance && (
+              <button
+                onClick={() => setAmount(formatUnits(sellBalance.value, sellBalance.decimals))}
+                className="hover:opacity-100 cursor-pointer"
+              >
+                Balance: {formatAmount(formatUnits(sellBalance.value, sellBalance.decimals))}
+              </button>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder="0.0"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value.replace(',', '.'))}
+              className="flex-1 min-w-0 bg-transparent text-2xl font-bold focus:outline-none"
+            />
+            {renderTokenSelect(fromSymbol, setFromSymbol)}
+          </div>
+        </div>
+
+        {/* Flip */}
+        <div className="flex justify-center -my-1">
+          <button
+            onClick={handleFlip}
+            className="p-2 rounded-full bg-current/10 hover:bg-current/20 transition-colors cursor-pointer"
+            aria-label="Flip tokens"
+          >
+            <HugeiconsIcon icon={ArrowUpDownIcon} className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Buy */}
+        <div className="bg-current/5 rounded-xl p-3">
+          <div className="text-xs opacity-60 mb-2">You receive</div>
+          <div className="flex items-center gap-2">
+            <div className="flex-1 min-w-0 text-2xl font-bold truncate">
+              {isQuoting ? (
+                <Spinner size="sm" />
+              ) : quote ? (
+                formatAmount(quote.formattedBuyAmount)
+              ) : (
+                <span className="opacity-40">0.0</span>
+              )}
+            </div>
+            {renderTokenSelect(toSymbol, setToSymbol)}
+          </div>
+        </div>
+
+        {/* Quote Details */}
+        {fromSymbol === toSymbol ? (
+          <p className="text-xs text-red-500">Choose two different tokens</p>
+        ) : currentQuote?.error ? (
+          <p className="text-xs text-red-500">{currentQuote.error}</p>
+        ) : quote && (
+          <div className="text-xs space-y-1">
+            <div className="flex justify-between">
+              <span className="opacity-60">Rate</span>
+              <span>1 {quote.sellToken} = {formatAmount(quote.rate)} {quote.buyToken}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="opacity-60">Price impact</span>
+              <span className={quote.priceImpact > HIGH_PRICE_IMPACT ? 'text-red-500 font-semibold' : ''}>
+                {quote.priceImpact === null ? '—' : `${quote.priceImpact.toFixed(2)}%`}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="opacity-60">Minimum received ({quote.slippage}% slippage)</span>
+              <span>{formatAmount(quote.formattedMinBuyAmount)} {quote.buyToken}</span>
+            </div>
+          </div>
+        )}
+
+        {/* Submit */}
+        {isConnected ? (
+          <Button
+            variant="primary"
+            onClick={handleSwap}
+            disabled={!quote?.transaction || insufficientBalance || isSubmitting}
+            className="w-full"
+          >
+            {swapLabel}
+          </Button>
+        ) : (
+          <div className="flex justify-center">
+            <ConnectWallet />
+          </div>
+        )}
+
+        {/* Transactions */}
+        {transactions.length > 0 && (
+          <div className="space-y-1 text-xs">
+            {transactions.map((tx, index) => (
+              <div key={tx.hash || `failed-${index}`} className="flex items-center justify-between gap-2">
+                {tx.hash ? (
+                  <a
+                    href={`${network.blockExplorers.default.url}/tx/${tx.hash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="truncate underline opacity-80"
+                  >
+                    {tx.label}
+                  </a>
+                ) : (
+                  <span className="truncate opacity-80" title={tx.error}>{tx.error}</span>
+                )}
+                <span className={`font-semibold capitalize ${TX_STATUS_STYLES[tx.status]}`}>
+                  {tx.status}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,277 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import Card from '@/components/cards/Card';
+import { getKnownAddressBalances, getAddressActivity } from '@/lib/api/basescan';
+import { getTokenHolders, isMoralisEnabled } from '@/lib/api/moralis';
+import { getBatchTokenPrices } from '@/lib/api/coingecko';
+import { getNetworkTokens, getNativePriceAddress } from '@/config/tokens';
+import { ADDRESS_TYPES, getKnownAddress } from '@/config/known-addresses';
+import { motion } from 'motion/react';
+import { Spinner } from "@heroui/spinner";
+import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { queryKeys } from '@/lib/hooks/useApiQueries';
+
+// Holders worth less than this (USD) are hidden when hideSmallBalances is on
+const SMALL_BALANCE_USD = 1000;
+
+const TYPE_STYLES = {
+  exchange: 'bg-yellow-500/20 text-yellow-500',
+  bridge: 'bg-purple-500/20 text-purple-400',
+  contract: 'bg-blue-500/20 text-blue-400',
+  system: 'bg-current/10 opacity-60',
+};
+
+/**
+ * Load, value, label and sort the top holders of a token
+ * Native ETH has no holder list, so the network's known addresses are ranked instead
+ * @returns {Promise<Array>} [{ address, amount, value, label, type, transactionCount }]
+ */
+async function loadRichList(network, token, { limit, sortBy, hideSmallBalances }) {
+  const isNative = token.address === 'native';
+  const priceAddress = (isNative ? getNativePriceAddress(network) : token.address).toLowerCase();
+
+  // Fetch extra holders so filtering small balances still fills the list
+  const fetchLimit = hideSmallBalances ? Math.min(limit * 2, 100) : limit;
+
+  const [{ data: holders }, price] = await Promise.all([
+    isNative
+      ? getKnownAddressBalances(fetchLimit, network)
+      : getTokenHolders(token.address, fetchLimit, network),
+    getBatchTokenPrices([priceAddress], 'usd', { network })
+      .then(({ data }) => data[priceAddress]?.usd ?? null)
+      .catch(() => null),
+  ]);
+
+  let rows = holders.map((holder) => {
+    const amount = Number(holder.balance) / Math.pow(10, token.decimals);
+    return {
+      address: holder.address,
+      amount,
+      value: price === null ? null : amount * price,
+      label: holder.label || null,
+    };
+  });
+
+  if (hideSmallBalances && price !== null) {
+    rows = rows.filter(row => row.value >= SMALL_BALANCE_USD);
+  }
+  rows = rows.slice(0, limit);
+
+  if (rows.length === 0) return [];
+
+  const { data: activity } = await getAddressActivity(rows.map(row => row.address), network);
+
+  rows = rows.map((row) => {
+    const key = row.address.toLowerCase();
+    const known = getKnownAddress(key, network);
+    const details = activity[key] || {};
+    return {
+      ...row,
+      label: known?.label || row.label,
+      type: known?.type || (details.isContract ? 'contract' : null),
+      transactionCount: details.transactionCount ?? null,
+    };
+  });
+
+  if (sortBy === 'transactions') {
+    rows.sort((a, b) => (b.transactionCount || 0) - (a.transactionCount || 0));
+  }
+
+  return rows;
+}
+
+export default function RichListViewer({
+  config = {},
+  onUpdateConfig,
+  onDelete,
+  configSchema
+}) {
+  const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
+  const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? true);
+  const [showImage, setShowImage] = useState(config.showImage ?? true);
+  const [variant, setVariant] = useState(config.variant || 'default');
+  const [isFixed, setIsFixed] = useState(config.isFixed || false);
+
+  // Widget config (edited through the generated settings panel)
+  const network = useWidgetNetwork(config.network);
+  const tokens = getNetworkTokens(network.name);
+  const tokenSymbol = tokens[config.token] ? config.token : 'USDC';
+  const limit = config.limit || 10;
+  // Layouts saved with the former 'age' sort fall back to balance
+  const sortBy = config.sortBy === 'transactions' ? 'transactions' : 'balance';
+  const hideSmallBalances = config.hideSmallBalances ?? true;
+
+  const token = tokens[tokenSymbol];
+  const isNative = token.address === 'native';
+
+  // Token holder lists come from Moralis, which needs an API key
+  const holdersAvailable = isNative || isMoralisEnabled();
+
+  // Use currency context
+  const { currency, convertPrice } = useCurrency();
+
+  // Holders for the current token and list settings
+  const listOptions = { limit, sortBy, hideSmallBalances };
+  const { data: holders = [], isLoading, error } = useQuery({
+    queryKey: queryKeys.richList(network.name, tokenSymbol, listOptions),
+    queryFn: () => loadRichList(network.name, token, listOptions),
+    enabled: holdersAvailable,
+  });
+
+  const explorerUrl = network.blockExplorers.default.url;
+
+  // Format helpers
+  const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+  const formatAmount = (amount) => {
+    if (amount >= 1e9) return `${(amount / 1e9).toFixed(2)}B`;
+    if (amount >= 1e6) return `${(amount / 1e6).toFixed(2)}M`;
+    if (amount >= 1e3) return `${(amount / 1e3).toFixed(2)}K`;
+    return amount.toLocaleString('en-US', { maximumFractionDigits: 4 });
+  };
+
+  const formatValue = (usd) => {
+    const value = convertPrice(usd);
+    if (value >= 1e9) return `${currency.symbol}${(value / 1e9).toFixed(2)}B`;
+    if (value >= 1e6) return `${currency.symbol}${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${currency.symbol}${(value / 1e3).toFixed(2)}K`;
+    return `${currency.symbol}${value.toFixed(2)}`;
+  };
+
+  // Secondary detail shown under the balance, matching the sort
+  const formatDetail = (holder) => {
+    if (sortBy === 'transactions' && holder.transactionCount !== null) {
+      return `${holder.transactionCount.toLocaleString('en-US')} txs`;
+    }
+    return holder.value !== null ? formatValue(holder.value) : null;
+  };
+
+  // Handle config updates
+  const handleToggleTitle = () => {
+    const newValue = !showTitle;
+    setShowTitle(newValue);
+    onUpdateConfig?.({ ...config, showTitle: newValue });
+  };
+
+  const handleToggleSubtitle = () => {
+    const newValue = !showSubtitle;
+    setShowSubtitle(newValue);
+    onUpdateConfig?.({ ...config, showSubtitle: newValue });
+  };
+
+  const handleToggleImage = () => {
+    const newValue = !showImage;
+    setShowImage(newValue);
+    onUpdateConfig?.({ ...config, showImage: newValue });
+  };
+
+  const handleChangeVariant = (newVariant) => {
+    setVariant(newVariant);
+    onUpdateConfig?.({ ...config, variant: newVariant });
+  };
+
+  const handleToggleFixed = () => {
+    const newValue = !isFixed;
+    setIsFixed(newValue);
+    onUpdateConfig?.({ ...config, isFixed: newValue });
+  };
+
+  return (
+    <Card
+      title={isNative ? `${token.symbol} Known Addresses` : `${token.symbol} Rich List`}
+      description={isNative
+        ? `${token.symbol} balances of known addresses on ${network.displayName}`
+        : `Top ${token.name} holders on ${network.displayName}`}
+      image={token.logo}
+      showTitle={showTitle}
+      showSubtitle={showSubtitle}
+      showImage={showImage}
+      variant={variant}
+      isFixed={isFixed}
+      draggable={true}
+      onToggleTitle={handleToggleTitle}
+      onToggleSubtitle={handleToggleSubtitle}
+      onToggleImage={handleToggleImage}
+      onChangeVariant={handleChangeVariant}
+      onToggleFixed={handleToggleFixed}
+      onDelete={onDelete}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
+      className="h-full flex flex-col"
+    >
+      <div className="flex-1 flex flex-col min-h-0">
+        {!holdersAvailable ? (
+          <div className="flex items-center justify-center h-full">
+            <p className="text-sm opacity-60 text-center px-4">
+              Token holder lists need a Moralis API key (MORALIS_API_KEY)
+            </p>
+          </div>
+        ) : isLoading ? (
+          <div className="flex items-center justify-center h-full">
+            <Spinner />
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="text-center">
+              <p className="text-red-500 text-sm mb-2">Failed to load holders</p>
+              <p className="text-xs opacity-60">{error.message}</p>
+            </div>
+          </div>
+        ) : holders.length === 0 ? (
+          <div className="flex items-center justify-center h-full">
+            <p className="text-sm opacity-60">No holders found</p>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto space-y-1">
+            {holders.map((holder, index) => (
+              <motion.a
+                key={holder.address}
+                href={`${explorerUrl}/address/${holder.address}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                initial={{ opacity: 0, x: -10 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: index * 0.03 }}
+                className="flex items-center gap-3 p-2 rounded-lg hover:bg-current/5 transition-colors"
+              >
+                <span className="w-6 text-xs opacity-40 text-right">{index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium truncate">
+                      {holder.label || formatAddress(holder.address)}
+                    </span>
+                    {holder.type && (
+                      <span className={`text-[10px] px-1.5 py-0.5 rounded-full font-semibold ${TYPE_STYLES[holder.type]}`}>
+                        {ADDRESS_TYPES[holder.type]}
+                      </span>
+                    )}
+                  </div>
+                  {holder.label && (
+                    <span className="text-xs opacity-40 font-mono">{formatAddress(holder.address)}</span>
+                  )}
+                </div>
+                <div className="text-right">
+                  <p className="text-sm font-semibold">
+                    {formatAmount(holder.amount)} {token.symbol}
+                  </p>
+                  {formatDetail(holder) && (
+                    <p className="text-xs opacity-40">{formatDetail(holder)}</p>
+                  )}
+                </div>
+              </motion.a>
+            ))}
+            {isNative && (
+              <p className="text-[10px] opacity-40 text-center pt-1">
+                Only known addresses are ranked; {token.symbol} has no full holder list
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -1,15 +1,17 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import Card from '@/components/cards/Card';
 import { BASE_TOKENS, getAllTokenAddresses } from '@/config/base-tokens';
-import CardSettingsToggle from '@/components/cards/CardSettingsToggle';
 import { useCurrency } from '@/lib/contexts/CurrencyContext';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+import { useTrendingTokens } from '@/lib/hooks/useApiQueries';
 
 export default function TrendingTokens({ 
   config = {}, 
   onUpdateConfig,
-  onDelete 
+  onDelete,
+  configSchema
 }) {
   const [showTitle, setShowTitle] = useState(config.showTitle ?? true);
   const [showSubtitle, setShowSubtitle] = useState(config.showSubtitle ?? false);
@@ -17,198 +19,29 @@ export default function TrendingTokens({
   const [variant, setVariant] = useState(config.variant || 'default');
   const [isFixed, setIsFixed] = useState(config.isFixed || false);
   
-  // Widget config
-  const [showVolume, setShowVolume] = useState(config.showVolume ?? true);
-  const [showMarketCap, setShowMarketCap] = useState(config.showMarketCap ?? false);
-  const [limit, setLimit] = useState(config.limit || 10);
-  const [sortBy, setSortBy] = useState(config.sortBy || 'volume'); // volume, price_change, market_cap
+  // Widget config (edited through the generated settings panel)
+  const showVolume = config.showVolume ?? true;
+  const showMarketCap = config.showMarketCap ?? false;
+  const limit = config.limit || 10;
+  const sortBy = config.sortBy || 'volume'; // volume, price_change, market_cap
+  const network = useWidgetNetwork(config.network);
   
   // Use currency context
   const { currency, formatPrice: formatCurrencyPrice } = useCurrency();
   
-  // Data state
-  const [tokens, setTokens] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  // Fetch token data
-  useEffect(() => {
-    console.log('🔥 TrendingTokens component mounted!');
-    console.log('🔥 Config:', config);
-    fetchTrendingTokens();
-    
-    // Auto-refresh every 30 seconds
-    const interval = setInterval(() => {
-      fetchTrendingTokens();
-    }, 30000);
-    
-    return () => clearInterval(interval);
-  }, [limit, sortBy]);
-
-  async function fetchTrendingTokens() {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      console.log('📍 Fetching trending Base tokens from DexScreener...');
-      
-      // Fetch trending tokens across all chains from DexScreener
-      // The token-profiles endpoint returns tokens with profiles (promoted/trending)
-      const response = await fetch(
-        `https://api.dexscreener.com/token-profiles/latest/v1`
-      );
-      
-      if (!response.ok) {
-        throw new Error(`DexScreener API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      console.log('📍 DexScreener response:', data);
-      
-      if (!data || !Array.isArray(data)) {
-        throw new Error('Invalid response format from DexScreener');
-      }
-      
-      // Filter for Base chain tokens only
-      const baseTokens = data.filter(profile => 
-        profile.chainId?.toLowerCase() === 'base' && profile.tokenAddress
-      );
-      
-      console.log('📍 Base token profiles found:', baseTokens.length);
-      
-      // If no Base tokens found in profiles, fetch from orders endpoint instead
-      if (baseTokens.length === 0) {
-        console.log('📍 No Base tokens in profiles, fetching from orders endpoint...');
-        
-        // Fallback: Get top pairs from Base chain directly
-        const ordersResponse = await fetch(
-          `https://api.dexscreener.com/orders/v1/base`
-        );
-        
-        if (ordersResponse.ok) {
-          const ordersData = await ordersResponse.json();
-          console.log('📍 Orders response:', ordersData);
-          
-          // Extract unique tokens from orders
-          if (Array.isArray(ordersData)) {
-            const uniqueAddresses = new Set();
-            const tokensFromOrders = [];
-            
-            for (const order of ordersData.slice(0, limit * 2)) {
-              if (order.tokenAddress && !uniqueAddresses.has(order.tokenAddress)) {
-                uniqueAddresses.add(order.tokenAddress);
-                tokensFromOrders.push({
-                  chainId: 'base',
-                  tokenAddress: order.tokenAddress,
-                  url: order.url || `https://dexscreener.com/base/${order.tokenAddress}`
-                });
-              }
-            }
-            
-            baseTokens.push(...tokensFromOrders);
-            console.log('📍 Base tokens from orders:', tokensFromOrders.length);
-          }
-        }
-      }
-      
-      // If still no tokens, show message
-      if (baseTokens.length === 0) {
-        setTokens([]);
-        setLoading(false);
-        setError('No trending Base tokens found at the moment. Try refreshing.');
-        return;
-      }
-      
-      // Fetch pair data for these tokens (limit to avoid too many requests)
-      const tokensToFetch = baseTokens.slice(0, Math.min(limit * 2, 30));
-      const pairPromises = tokensToFetch.map(async (profile) => {
-        try {
-          const pairResponse = await fetch(
-            `https://api.dexscreener.com/latest/dex/tokens/${profile.tokenAddress}`
-          );
-          if (pairResponse.ok) {
-            const pairData = await pairResponse.json();
-            // Get the Base pair with highest liquidity
-            const basePair = pairData.pairs
-              ?.filter(p => p.chainId === 'base')
-              ?.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
-            return basePair;
-          }
-        } catch (err) {
-          console.warn(`Failed to fetch pair for ${profile.tokenAddress}:`, err);
-        }
-        return null;
-      });
-      
-      const pairs = (await Promise.all(pairPromises)).filter(Boolean);
-      console.log('📍 Pairs fetched:', pairs.length);
-      
-      // Filter and process pairs
-      const tokenMap = new Map();
-      
-      pairs.forEach(pair => {
-        // Skip if missing critical data
-        if (!pair.baseToken?.address || !pair.priceUsd || pair.liquidity?.usd < 1000) {
-          return;
-        }
-        
-        const address = pair.baseToken.address.toLowerCase();
-        
-        // If we haven't seen this token, or this pair has better data, use it
-        const existingPair = tokenMap.get(address);
-        const currentLiquidity = pair.liquidity?.usd || 0;
-        const existingLiquidity = existingPair?.liquidity || 0;
-        
-        if (!existingPair || currentLiquidity > existingLiquidity) {
-          tokenMap.set(address, {
-            symbol: pair.baseToken.symbol,
-            name: pair.baseToken.name,
-            logo: pair.info?.imageUrl,
-            address: pair.baseToken.address,
-            price: parseFloat(pair.priceUsd || 0),
-            priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
-            volume24h: parseFloat(pair.volume?.h24 || 0),
-            marketCap: parseFloat(pair.fdv || pair.marketCap || 0),
-            liquidity: parseFloat(pair.liquidity?.usd || 0),
-            txns24h: (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0),
-            pairAddress: pair.pairAddress,
-            dexId: pair.dexId,
-          });
-        }
-      });
-      
-      // Convert map to array
-      const tokenList = Array.from(tokenMap.values());
-      
-      console.log('📍 Unique tokens found:', tokenList.length);
-      console.log('📍 Token list:', tokenList);
-      
-      // Sort tokens based on selected criteria
-      let sortedTokens = [...tokenList];
-      switch (sortBy) {
-        case 'volume':
-          sortedTokens.sort((a, b) => b.volume24h - a.volume24h);
-          break;
-        case 'price_change':
-          sortedTokens.sort((a, b) => b.priceChange24h - a.priceChange24h);
-          break;
-        case 'market_cap':
-          sortedTokens.sort((a, b) => b.marketCap - a.marketCap);
-          break;
-        default:
-          sortedTokens.sort((a, b) => b.volume24h - a.volume24h);
-      }
-      
-      // Limit to specified number
-      setTokens(sortedTokens.slice(0, limit));
-    } catch (err) {
-      console.error('Error fetching trending tokens:', err);
-      setError('Failed to load trending tokens');
-    } finally {
-      setLoading(false);
-    }
-  }
+  // Trending tokens (refreshed every 30 seconds)
+  const { data: trending, isLoading: loading, error: trendingError } = useTrendingTokens(limit, { network: network.name });
+  const error = trendingError && 'Failed to load trending tokens';
+
+  // Sort tokens based on selected criteria
+  const sortKey = {
+    volume: 'volume24h',
+    price_change: 'priceChange24h',
+    market_cap: 'marketCap',
+  }[sortBy] || 'volume24h';
+  const tokens = [...(trending || [])]
+    .sort((a, b) => b[sortKey] - a[sortKey])
+    .slice(0, limit);
 
   // Handle config updates
   const handleToggleTitle = () => {
@@ -240,28 +73,6 @@ export default function TrendingTokens({
     onUpdateConfig?.({ ...config, isFixed: newValue });
   };
 
-  const handleToggleVolume = () => {
-    const newValue = !showVolume;
-    setShowVolume(newValue);
-    onUpdateConfig?.({ ...config, showVolume: newValue });
-  };
-
-  const handleToggleMarketCap = () => {
-    const newValue = !showMarketCap;
-    setShowMarketCap(newValue);
-    onUpdateConfig?.({ ...config, showMarketCap: newValue });
-  };
-
-  const handleChangeLimit = (newLimit) => {
-    setLimit(newLimit);
-    onUpdateConfig?.({ ...config, limit: newLimit });
-  };
-
-  const handleChangeSortBy = (newSortBy) => {
-    setSortBy(newSortBy);
-    onUpdateConfig?.({ ...config, sortBy: newSortBy });
-  };
-
   // Format functions
   const formatPrice = (price) => {
     if (!price) return `${currency.symbol}0.00`;
@@ -292,65 +103,10 @@ export default function TrendingTokens({
     return formatCurrencyPrice(num, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
   };
 
-  // Custom settings for the card menu
-  const customSettings = (
-    <div className="space-y-4">
-      {/* Display Options */}
-      <div>
-        <p className="text-white font-medium mb-2">Display Options</p>
-        
-        <CardSettingsToggle
-          title="Show Volume"
-          description="Display 24h trading volume"
-          isOn={showVolume}
-          onToggle={handleToggleVolume}
-        />
-        
-        <CardSettingsToggle
-          title="Show Market Cap"
-          description="Display market capitalization"
-          isOn={showMarketCap}
-          onToggle={handleToggleMarketCap}
-        />
-      </div>
-
-      {/* Number of Tokens */}
-      <div>
-        <p className="text-white font-medium mb-2">Number of Tokens</p>
-        <p className="text-xs text-white/60 mb-3">How many tokens to display</p>
-        <select
-          value={limit}
-          onChange={(e) => handleChangeLimit(Number(e.target.value))}
-          className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:outline-none focus:border-white/30"
-        >
-          <option value={5}>Top 5</option>
-          <option value={10}>Top 10</option>
-          <option value={15}>Top 15</option>
-          <option value={20}>Top 20</option>
-        </select>
-      </div>
-
-      {/* Sort By */}
-      <div>
-        <p className="text-white font-medium mb-2">Sort By</p>
-        <p className="text-xs text-white/60 mb-3">Ranking criteria</p>
-        <select
-          value={sortBy}
-          onChange={(e) => handleChangeSortBy(e.target.value)}
-          className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:outline-none focus:border-white/30"
-        >
-          <option value="volume">24h Volume</option>
-          <option value="price_change">24h Price Change</option>
-          <option value="market_cap">Market Cap</option>
-        </select>
-      </div>
-    </div>
-  );
-
   return (
     <Card
-      title="Trending Base Tokens"
-      description="Top performing tokens on Base network"
+      title={`Trending ${network.displayName} Tokens`}
+      description={`Top performing tokens on ${network.displayName} network`}
       showTitle={showTitle}
       showSubtitle={showSubtitle}
       showImage={showImage}
@@ -363,7 +119,9 @@ export default function TrendingTokens({
       onChangeVariant={handleChangeVariant}
       onToggleFixed={handleToggleFixed}
       onDelete={onDelete}
-      customSettings={customSettings}
+      configSchema={configSchema}
+      config={config}
+      onUpdateConfig={onUpdateConfig}
       className="h-full flex flex-col"
     >
       <div className="flex-1 flex-wrap overflow-y-auto">
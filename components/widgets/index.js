@@ -8,4 +8,7 @@ export { default as PriceChart } from './PriceChart';
 export { default as FearGreedIndex } from './FearGreedIndex';
 export { default as GasTracker } from './GasTracker';
 export { default as TrendingTokens } from './TrendingTokens';
-
+export { default as PortfolioChart } from './PortfolioChart';
+export { default as NetworkStats } from './NetworkStats';
+export { default as QuickSwap } from './QuickSwap';
+export { default as RichListViewer } from './RichListViewer';
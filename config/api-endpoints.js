@@ -3,6 +3,8 @@
  * Centralized configuration for all external API endpoints
  */
 
+import { getNetwork } from './networks';
+
 export const API_CONFIG = {
   // ============================================
   // COINGECKO API - Price Tracking & Token Data
@@ -15,15 +17,15 @@ export const API_CONFIG = {
       rateLimit: 50, // ~50 calls/minute (safe estimate)
     },
     endpoints: {
-      // Get token price by contract address
-      tokenPrice: (contractAddress) => 
-        `/coins/base/contract/${contractAddress}`,
+      // Get token price by contract address (platform: network's coingeckoId)
+      tokenPrice: (contractAddress, platform = 'base') => 
+        `/coins/${platform}/contract/${contractAddress}`,
       
       // Get multiple token prices at once
-      batchPrices: '/simple/token_price/base',
+      batchPrices: (platform = 'base') => `/simple/token_price/${platform}`,
       
-      // Get all Base tokens list
-      tokenList: 'https://tokens.coingecko.com/base/all.json',
+      // Get all tokens list for a platform
+      tokenList: (platform = 'base') => `https://tokens.coingecko.com/${platform}/all.json`,
       
       // Search tokens
       search: '/search',
@@ -53,20 +55,20 @@ export const API_CONFIG = {
       // Get all chains TVL
       chains: '/v2/chains',
       
-      // Get Base chain specific data
-      baseChain: '/v2/chains/Base',
+      // Get chain specific data (DeFiLlama chain name, e.g. 'Base')
+      chain: (chain) => `/v2/chains/${encodeURIComponent(chain)}`,
       
       // Get all protocols
       protocols: '/protocols',
       
-      // Get Base protocols
-      baseProtocols: '/protocols?chain=Base',
-      
       // Get specific protocol
       protocol: (protocol) => `/protocol/${protocol}`,
       
-      // Get current TVL
-      currentTVL: '/tvl/base',
+      // Get current TVL for a chain
+      currentTVL: (chain) => `/tvl/${encodeURIComponent(chain.toLowerCase())}`,
+      
+      // Get daily historical TVL for a chain
+      historicalChainTvl: (chain) => `/v2/historicalChainTvl/${encodeURIComponent(chain)}`,
     },
   },
 
@@ -99,6 +101,9 @@ export const API_CONFIG = {
       
       // Get native balance
       nativeBalance: (address) => `/${address}/balance`,
+      
+      // Get the largest holders of a token
+      tokenOwners: (address) => `/erc20/${address}/owners`,
     },
     chainId: '0x2105', // Base chain ID in hex (8453)
   },
@@ -149,6 +154,8 @@ export const API_CONFIG = {
   basescan: {
     name: 'Basescan',
     baseUrl: 'https://api.basescan.org/api',
+    // Same API on every network's explorer
+    networkBaseUrl: (network) => network.apis.explorerApi,
     free: {
       limit: 100000, // 100k calls/day
       rateLimit: 5, // 5 calls/second
@@ -167,21 +174,122 @@ export const API_CONFIG = {
       // Get gas prices
       gasPrice: '?module=gastracker&action=gasoracle',
       
+      // Get native balances of several addresses
+      multiBalance: '?module=account&action=balancemulti',
+      
+      // Get internal transactions
+      internalTransactions: '?module=account&action=txlistinternal',
+      
       // Get contract ABI
       contractABI: '?module=contract&action=getabi',
     },
   },
 
+  // ============================================
+  // 0X API - Swap Quotes & Routing
+  // ============================================
+  zeroEx: {
+    name: '0x',
+    baseUrl: 'https://api.0x.org',
+    free: {
+      limit: 100000, // Standard plan, calls/month
+      rateLimit: 60, // Conservative estimate
+    },
+    requiresAuth: true,
+    endpoints: {
+      // Firm quote with transaction data (AllowanceHolder flow)
+      quote: '/swap/allowance-holder/quote',
+    },
+    chainId: 8453,
+  },
+
+  // ============================================
+  // DEXSCREENER API - Trending Tokens & DEX Pairs
+  // ============================================
+  dexScreener: {
+    name: 'DexScreener',
+    baseUrl: 'https://api.dexscreener.com',
+    free: {
+      limit: Infinity, // No key or monthly quota
+      rateLimit: 300, // 300/minute for pairs (token profiles allow 60)
+    },
+    endpoints: {
+      // Latest token profiles (all chains)
+      tokenProfiles: '/token-profiles/latest/v1',
+
+      // Tokens with paid orders on a chain
+      orders: (chain) => `/orders/v1/${chain}`,
+
+      // Pairs for a token address
+      tokenPairs: (address) => `/latest/dex/tokens/${address}`,
+    },
+  },
+
+  // ============================================
+  // GECKOTERMINAL API - DEX Pools & Candles
+  // ============================================
+  geckoTerminal: {
+    name: 'GeckoTerminal',
+    baseUrl: 'https://api.geckoterminal.com/api/v2',
+    free: {
+      limit: Infinity, // No key or monthly quota
+      rateLimit: 30, // 30 calls/minute
+    },
+    endpoints: {
+      // Pools trading a token (network: network's geckoTerminalId)
+      tokenPools: (network, address) => `/networks/${network}/tokens/${address}/pools`,
+
+      // OHLCV candles of a pool (timeframe: minute | hour | day)
+      poolOhlcv: (network, pool, timeframe) => `/networks/${network}/pools/${pool}/ohlcv/${timeframe}`,
+    },
+  },
+
+  // ============================================
+  // ALTERNATIVE.ME API - Fear & Greed Index
+  // ============================================
+  alternativeMe: {
+    name: 'Alternative.me',
+    baseUrl: 'https://api.alternative.me',
+    free: {
+      limit: Infinity,
+      rateLimit: 60, // 60 requests/minute
+    },
+    endpoints: {
+      fearGreed: '/fng/',
+    },
+  },
+
+  // ============================================
+  // EXCHANGERATE-API - Fiat Currency Rates
+  // ============================================
+  exchangeRate: {
+    name: 'ExchangeRate-API',
+    baseUrl: 'https://api.exchangerate-api.com/v4',
+    free: {
+      limit: Infinity, // Open endpoint, updated daily
+      rateLimit: 30, // Conservative
+    },
+    endpoints: {
+      latest: (base) => `/latest/${base}`,
+    },
+  },
+
   // ============================================
   // BASE RPC - Direct Blockchain Access
   // ============================================
   baseRPC: {
     name: 'Base RPC',
     baseUrl: 'https://mainnet.base.org',
+    // Public RPC of the requested network
+    networkBaseUrl: (network) => network.rpcUrls.default.http[0],
     free: {
       limit: 'Rate limited',
       rateLimit: 10, // Conservative
     },
+    endpoints: {
+      // JSON-RPC (POST)
+      jsonRpc: '',
+    },
     chainId: 8453,
   },
 
@@ -196,6 +304,10 @@ export const API_CONFIG = {
       rateLimit: 330, // Requests per second
     },
     requiresAuth: true,
+    endpoints: {
+      // JSON-RPC (POST); the gateway adds the key to the path
+      jsonRpc: '',
+    },
     chainId: 8453,
   },
 };
@@ -203,13 +315,37 @@ export const API_CONFIG = {
 // ============================================
 // API KEYS CONFIGURATION
 // ============================================
+// Server-only: keys are added to upstream requests by the API gateway
+// (app/api/proxy/[service]) and are empty in the browser bundle.
+// Do not prefix these variables with NEXT_PUBLIC_.
+
+/**
+ * Read a server-only API key
+ * Deployments set up before the gateway used NEXT_PUBLIC_ names; those are
+ * still read (with a warning) so their keys keep working until renamed
+ */
+function readApiKey(name) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+
+  const legacyName = `NEXT_PUBLIC_${name}`;
+  if (process.env[legacyName]) {
+    console.warn(`${legacyName} is deprecated and exposes the key to the browser; rename it to ${name}`);
+    return process.env[legacyName];
+  }
+
+  return '';
+}
+
 export const API_KEYS = {
-  coingecko: process.env.NEXT_PUBLIC_COINGECKO_API_KEY || '', // Optional for free tier
-  moralis: process.env.NEXT_PUBLIC_MORALIS_API_KEY || '',
-  bitquery: process.env.NEXT_PUBLIC_BITQUERY_API_KEY || '',
-  dexCheck: process.env.NEXT_PUBLIC_DEXCHECK_API_KEY || '',
-  basescan: process.env.NEXT_PUBLIC_BASESCAN_API_KEY || '',
-  alchemy: process.env.NEXT_PUBLIC_ALCHEMY_API_KEY || '',
+  coingecko: readApiKey('COINGECKO_API_KEY'), // Optional for free tier
+  moralis: readApiKey('MORALIS_API_KEY'),
+  bitquery: readApiKey('BITQUERY_API_KEY'),
+  dexCheck: readApiKey('DEXCHECK_API_KEY'),
+  basescan: readApiKey('BASESCAN_API_KEY'),
+  alchemy: readApiKey('ALCHEMY_API_KEY'),
+  zeroEx: readApiKey('ZEROX_API_KEY'),
 };
 
 // ============================================
@@ -236,6 +372,12 @@ export const CACHE_DURATIONS = {
   
   // Historical data - cache longer
   historicalData: 60 * 60 * 1000, // 1 hour
+
+  // DEX candles (GeckoTerminal OHLCV)
+  ohlcv: 5 * 60 * 1000, // 5 minutes
+
+  // Best DEX pool per token - changes slowly
+  dexPools: 30 * 60 * 1000, // 30 minutes
 };
 
 // ============================================
@@ -274,6 +416,69 @@ export function buildApiUrl(service, endpoint, params = {}) {
   return url.toString();
 }
 
+/**
+ * Get a service's base URL for a network
+ * Services without per-network hosts use their baseUrl everywhere
+ * @param {string} service - API_CONFIG service name
+ * @param {string} networkName - Network name from config/networks.js
+ */
+export function getServiceBaseUrl(service, networkName) {
+  const config = API_CONFIG[service];
+  return config.networkBaseUrl ? config.networkBaseUrl(getNetwork(networkName)) : config.baseUrl;
+}
+
+/**
+ * Rate limiter key for a service on a network
+ * Services with per-network hosts get a limiter per network, so one chain's
+ * RPC or explorer traffic never queues behind another's
+ * @param {string} service - API_CONFIG service name
+ * @param {string} networkName - Network name from config/networks.js
+ */
+export function getServiceLimiterKey(service, networkName) {
+  return API_CONFIG[service].networkBaseUrl ? `${service}:${getNetwork(networkName).name}` : service;
+}
+
+/**
+ * Build a URL for the server-side API gateway
+ * Browser code calls this instead of the provider so keys stay on the server
+ * @param {string} service - API_CONFIG service name
+ * @param {string} endpoint - Path relative to the service baseUrl
+ * @param {Object} params - Query parameters forwarded to the provider
+ * @param {string} network - Network name, for services with per-network hosts
+ */
+export function buildProxyUrl(service, endpoint = '', params = {}, network) {
+  const query = new URLSearchParams();
+
+  if (endpoint) {
+    query.append('path', endpoint);
+  }
+
+  if (network) {
+    query.append('network', network);
+  }
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      query.append(key, value);
+    }
+  });
+
+  const queryString = query.toString();
+  return `/api/proxy/${service}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Get query parameters that carry an API key (server-side only)
+ */
+export function getApiKeyParams(service) {
+  switch (service) {
+    case 'basescan':
+      return API_KEYS.basescan ? { apikey: API_KEYS.basescan } : {};
+    default:
+      return {};
+  }
+}
+
 /**
  * Get API headers with authentication
  */
@@ -284,6 +489,11 @@ export function getApiHeaders(service) {
   
   // Add service-specific auth headers
   switch (service) {
+    case 'coingecko':
+      if (API_KEYS.coingecko) {
+        headers['x-cg-demo-api-key'] = API_KEYS.coingecko;
+      }
+      break;
     case 'moralis':
       if (API_KEYS.moralis) {
         headers['X-API-Key'] = API_KEYS.moralis;
@@ -299,6 +509,12 @@ export function getApiHeaders(service) {
         headers['Authorization'] = `Bearer ${API_KEYS.dexCheck}`;
       }
       break;
+    case 'zeroEx':
+      if (API_KEYS.zeroEx) {
+        headers['0x-api-key'] = API_KEYS.zeroEx;
+      }
+      headers['0x-version'] = 'v2';
+      break;
     default:
       break;
   }
@@ -96,6 +96,11 @@ export const apiConfig = {
     richList: 300000,      // 5 minutes
   },
   
+  // Client cache storage limits (in bytes)
+  cacheQuota: {
+    indexedDB: 50 * 1024 * 1024, // 50 MB, least recently used entries evicted past this
+  },
+  
   // Request timeouts
   timeout: {
     default: 10000,        // 10 seconds
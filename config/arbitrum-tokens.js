@@ -0,0 +1,136 @@
+/**
+ * Arbitrum Network Token Configuration
+ * Popular tokens on Arbitrum One with contract addresses and metadata
+ * Same shape as BASE_TOKENS (see config/base-tokens.js)
+ */
+
+export const ARBITRUM_TOKENS = {
+  // ============================================
+  // NATIVE & WRAPPED TOKENS
+  // ============================================
+  ETH: {
+    address: 'native',
+    symbol: 'ETH',
+    name: 'Ethereum',
+    decimals: 18,
+    coingeckoId: 'ethereum',
+    logo: 'https://assets.coingecko.com/coins/images/279/small/ethereum.png',
+    category: 'native',
+  },
+
+  WETH: {
+    address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+    symbol: 'WETH',
+    name: 'Wrapped Ether',
+    decimals: 18,
+    coingeckoId: 'weth',
+    logo: 'https://assets.coingecko.com/coins/images/2518/small/weth.png',
+    category: 'wrapped',
+  },
+
+  // ============================================
+  // STABLECOINS
+  // ============================================
+  USDC: {
+    address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+    symbol: 'USDC',
+    name: 'USD Coin',
+    decimals: 6,
+    coingeckoId: 'usd-coin',
+    logo: 'https://assets.coingecko.com/coins/images/6319/small/usdc.png',
+    category: 'stablecoin',
+  },
+
+  USDT: {
+    address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
+    symbol: 'USDT',
+    name: 'Tether USD',
+    decimals: 6,
+    coingeckoId: 'tether',
+    logo: 'https://assets.coingecko.com/coins/images/325/small/Tether.png',
+    category: 'stablecoin',
+  },
+
+  DAI: {
+    address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
+    symbol: 'DAI',
+    name: 'Dai Stablecoin',
+    decimals: 18,
+    coingeckoId: 'dai',
+    logo: 'https://assets.coingecko.com/coins/images/9956/small/dai-multi-collateral-mcd.png',
+    category: 'stablecoin',
+  },
+
+  // ============================================
+  // LIQUID STAKING
+  // ============================================
+  wstETH: {
+    address: '0x5979D7b546E38E414F7E9822514be443A4800529',
+    symbol: 'wstETH',
+    name: 'Wrapped Lido Staked Ether',
+    decimals: 18,
+    coingeckoId: 'wrapped-steth',
+    logo: 'https://assets.coingecko.com/coins/images/18834/small/wstETH.png',
+    category: 'liquid-staking',
+  },
+
+  // ============================================
+  // DEFI TOKENS
+  // ============================================
+  ARB: {
+    address: '0x912CE59144191C1204E64559FE8253a0e49E6548',
+    symbol: 'ARB',
+    name: 'Arbitrum',
+    decimals: 18,
+    coingeckoId: 'arbitrum',
+    logo: 'https://assets.coingecko.com/coins/images/16547/small/arb.jpg',
+    category: 'defi',
+    trending: true,
+  },
+
+  GMX: {
+    address: '0xfc5A1A6EB076a2C7aD06eD22C90d7E710E35ad0a',
+    symbol: 'GMX',
+    name: 'GMX',
+    decimals: 18,
+    coingeckoId: 'gmx',
+    logo: 'https://assets.coingecko.com/coins/images/18323/small/arbit.png',
+    category: 'defi',
+    trending: true,
+  },
+
+  PENDLE: {
+    address: '0x0c880f6761F1af8d9Aa9C466984b80DAb9a8c9e8',
+    symbol: 'PENDLE',
+    name: 'Pendle',
+    decimals: 18,
+    coingeckoId: 'pendle',
+    logo: 'https://assets.coingecko.com/coins/images/15069/small/Pendle_Logo_Normal-03.png',
+    category: 'defi',
+  },
+
+  // ============================================
+  // CROSS-CHAIN TOKENS
+  // ============================================
+  WBTC: {
+    address: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
+    symbol: 'WBTC',
+    name: 'Wrapped Bitcoin',
+    decimals: 8,
+    coingeckoId: 'wrapped-bitcoin',
+    logo: 'https://assets.coingecko.com/coins/images/7598/small/wrapped_bitcoin_wbtc.png',
+    category: 'wrapped',
+  },
+
+  LINK: {
+    address: '0xf97f4df75117a78c1A5a0DBb814Af92458539FB4',
+    symbol: 'LINK',
+    name: 'Chainlink',
+    decimals: 18,
+    coingeckoId: 'chainlink',
+    logo: 'https://assets.coingecko.com/coins/images/877/small/chainlink-new-logo.png',
+    category: 'defi',
+  },
+};
+
+export default ARBITRUM_TOKENS;
@@ -0,0 +1,142 @@
+/**
+ * Known Addresses by Network
+ * Labels for well-known contracts, bridges and exchange wallets on each
+ * network in config/networks.js
+ *
+ * Used by the Rich List widget to label holders, and as the candidate set
+ * for native ETH holders (explorers have no native rich list endpoint).
+ * Keys are lowercase addresses.
+ */
+
+import { getNetwork } from '@/config/networks';
+
+export const ADDRESS_TYPES = {
+  exchange: 'Exchange',
+  bridge: 'Bridge',
+  contract: 'Contract',
+  system: 'System',
+};
+
+// Predeploys at the same address on every OP Stack chain
+const OP_STACK_ADDRESSES = {
+  '0x4200000000000000000000000000000000000010': {
+    label: 'L2 Standard Bridge',
+    type: 'bridge',
+  },
+  '0x4200000000000000000000000000000000000016': {
+    label: 'L2 to L1 Message Passer',
+    type: 'bridge',
+  },
+  '0x4200000000000000000000000000000000000011': {
+    label: 'Sequencer Fee Vault',
+    type: 'system',
+  },
+  '0x4200000000000000000000000000000000000019': {
+    label: 'Base Fee Vault',
+    type: 'system',
+  },
+  '0x420000000000000000000000000000000000001a': {
+    label: 'L1 Fee Vault',
+    type: 'system',
+  },
+  '0x4200000000000000000000000000000000000006': {
+    label: 'Wrapped Ether',
+    type: 'contract',
+  },
+};
+
+// Deployed at the same address on every network
+const SHARED_ADDRESSES = {
+  '0x000000000022d473030f116ddee9f6b43ac78ba3': {
+    label: 'Permit2',
+    type: 'contract',
+  },
+};
+
+const BASE_ADDRESSES = {
+  // ============================================
+  // DEFI
+  // ============================================
+  '0x2626664c2603336e57b271c5c0b26f421741e481': {
+    label: 'Uniswap V3: Router',
+    type: 'contract',
+  },
+  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad': {
+    label: 'Uniswap: Universal Router',
+    type: 'contract',
+  },
+  '0xcf77a3ba9a5ca399b7c97c74d54e5b1beb874e43': {
+    label: 'Aerodrome: Router',
+    type: 'contract',
+  },
+  '0xa238dd80c259a72e81d7e4664a9801593f98d1c5': {
+    label: 'Aave V3: Pool',
+    type: 'contract',
+  },
+  '0xbbbbbbbbbb9cc5e90e3b3af64bdaf62c37eeffcb': {
+    label: 'Morpho Blue',
+    type: 'contract',
+  },
+
+  // ============================================
+  // EXCHANGES
+  // ============================================
+  '0xf89d7b9c864f589bbf53a82105107622b35eaa40': {
+    label: 'Bybit: Hot Wallet',
+    type: 'exchange',
+  },
+  '0x6cc5f688a315f3dc28a7781717a9a798a59fda7b': {
+    label: 'OKX: Hot Wallet',
+    type: 'exchange',
+  },
+};
+
+const ARBITRUM_ADDRESSES = {
+  '0x0000000000000000000000000000000000000064': {
+    label: 'ArbSys',
+    type: 'system',
+  },
+  '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': {
+    label: 'Wrapped Ether',
+    type: 'contract',
+  },
+};
+
+export const KNOWN_ADDRESSES = {
+  base: { ...OP_STACK_ADDRESSES, ...SHARED_ADDRESSES, ...BASE_ADDRESSES },
+  optimism: { ...OP_STACK_ADDRESSES, ...SHARED_ADDRESSES },
+  arbitrum: { ...ARBITRUM_ADDRESSES, ...SHARED_ADDRESSES },
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Get the known addresses of a network
+ * @param {string} network - Network name (default: active network)
+ */
+export function getNetworkKnownAddresses(network) {
+  return KNOWN_ADDRESSES[getNetwork(network).name] || {};
+}
+
+/**
+ * Get the label for an address
+ * @param {string} address - Address (any case)
+ * @param {string} network - Network name (default: active network)
+ * @returns {Object|null} { label, type }
+ */
+export function getKnownAddress(address, network) {
+  return getNetworkKnownAddresses(network)[address?.toLowerCase()] || null;
+}
+
+/**
+ * Get all known addresses of a network
+ * @param {string} network - Network name (default: active network)
+ * @returns {string[]} Lowercase addresses
+ */
+export function getKnownAddressList(network) {
+  return Object.keys(getNetworkKnownAddresses(network));
+}
+
+export default KNOWN_ADDRESSES;
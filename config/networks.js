@@ -2,7 +2,8 @@
  * Network Configuration
  * Defines all supported blockchain networks and their properties
  * 
- * To switch networks, update NEXT_PUBLIC_NETWORK environment variable
+ * NEXT_PUBLIC_NETWORK sets the default network; users can switch between
+ * all networks at runtime (see lib/contexts/NetworkContext.jsx)
  */
 
 export const networks = {
@@ -37,13 +38,23 @@ export const networks = {
     apis: {
       // CoinGecko platform ID for Base network tokens
       coingeckoId: 'base',
+      // Chain identifiers used by other data sources
+      geckoTerminalId: 'base',
+      dexScreenerId: 'base',
+      defiLlamaName: 'Base',
+      moralisChain: 'base',
+      // Block explorer API (Etherscan-compatible)
+      explorerApi: 'https://api.basescan.org/api',
+      // OP-stack GasPriceOracle predeploy, which prices the L1 data fee
+      // (only set on OP-stack chains)
+      gasPriceOracle: '0x420000000000000000000000000000000000000F',
       // Base-specific data sources (to be researched/implemented)
       dexScreener: 'https://api.dexscreener.com/latest/dex/search',
       // Additional APIs can be added here
     },
   },
   
-  // Future network support - Optimism
+  // Optimism
   optimism: {
     id: 10,
     name: 'optimism',
@@ -72,11 +83,17 @@ export const networks = {
     },
     apis: {
       coingeckoId: 'optimistic-ethereum',
+      geckoTerminalId: 'optimism',
+      dexScreenerId: 'optimism',
+      defiLlamaName: 'OP Mainnet',
+      moralisChain: 'optimism',
+      explorerApi: 'https://api-optimistic.etherscan.io/api',
+      gasPriceOracle: '0x420000000000000000000000000000000000000F',
       dexScreener: 'https://api.dexscreener.com/latest/dex/search',
     },
   },
 
-  // Future network support - Arbitrum
+  // Arbitrum
   arbitrum: {
     id: 42161,
     name: 'arbitrum',
@@ -105,6 +122,11 @@ export const networks = {
     },
     apis: {
       coingeckoId: 'arbitrum-one',
+      geckoTerminalId: 'arbitrum',
+      dexScreenerId: 'arbitrum',
+      defiLlamaName: 'Arbitrum',
+      moralisChain: 'arbitrum',
+      explorerApi: 'https://api.arbiscan.io/api',
       dexScreener: 'https://api.dexscreener.com/latest/dex/search',
     },
   },
@@ -125,6 +147,14 @@ export const getActiveNetwork = () => {
  */
 export const activeNetwork = getActiveNetwork();
 
+/**
+ * Get a network by name
+ * Falls back to the active network for unknown or missing names
+ */
+export const getNetwork = (name) => {
+  return networks[name] || activeNetwork;
+};
+
 /**
  * Get all available networks
  */
@@ -0,0 +1,136 @@
+/**
+ * Optimism Network Token Configuration
+ * Popular tokens on OP Mainnet with contract addresses and metadata
+ * Same shape as BASE_TOKENS (see config/base-tokens.js)
+ */
+
+export const OPTIMISM_TOKENS = {
+  // ============================================
+  // NATIVE & WRAPPED TOKENS
+  // ============================================
+  ETH: {
+    address: 'native',
+    symbol: 'ETH',
+    name: 'Ethereum',
+    decimals: 18,
+    coingeckoId: 'ethereum',
+    logo: 'https://assets.coingecko.com/coins/images/279/small/ethereum.png',
+    category: 'native',
+  },
+
+  WETH: {
+    address: '0x4200000000000000000000000000000000000006',
+    symbol: 'WETH',
+    name: 'Wrapped Ether',
+    decimals: 18,
+    coingeckoId: 'weth',
+    logo: 'https://assets.coingecko.com/coins/images/2518/small/weth.png',
+    category: 'wrapped',
+  },
+
+  // ============================================
+  // STABLECOINS
+  // ============================================
+  USDC: {
+    address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85',
+    symbol: 'USDC',
+    name: 'USD Coin',
+    decimals: 6,
+    coingeckoId: 'usd-coin',
+    logo: 'https://assets.coingecko.com/coins/images/6319/small/usdc.png',
+    category: 'stablecoin',
+  },
+
+  USDT: {
+    address: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58',
+    symbol: 'USDT',
+    name: 'Tether USD',
+    decimals: 6,
+    coingeckoId: 'tether',
+    logo: 'https://assets.coingecko.com/coins/images/325/small/Tether.png',
+    category: 'stablecoin',
+  },
+
+  DAI: {
+    address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
+    symbol: 'DAI',
+    name: 'Dai Stablecoin',
+    decimals: 18,
+    coingeckoId: 'dai',
+    logo: 'https://assets.coingecko.com/coins/images/9956/small/dai-multi-collateral-mcd.png',
+    category: 'stablecoin',
+  },
+
+  // ============================================
+  // LIQUID STAKING
+  // ============================================
+  wstETH: {
+    address: '0x1F32b1c2345538c0c6f582fCB022739c4A194Ebb',
+    symbol: 'wstETH',
+    name: 'Wrapped Lido Staked Ether',
+    decimals: 18,
+    coingeckoId: 'wrapped-steth',
+    logo: 'https://assets.coingecko.com/coins/images/18834/small/wstETH.png',
+    category: 'liquid-staking',
+  },
+
+  // ============================================
+  // DEFI TOKENS
+  // ============================================
+  OP: {
+    address: '0x4200000000000000000000000000000000000042',
+    symbol: 'OP',
+    name: 'Optimism',
+    decimals: 18,
+    coingeckoId: 'optimism',
+    logo: 'https://assets.coingecko.com/coins/images/25244/small/Optimism.png',
+    category: 'defi',
+    trending: true,
+  },
+
+  VELO: {
+    address: '0x9560e827aF36c94D2Ac33a39bCE1Fe78631088Db',
+    symbol: 'VELO',
+    name: 'Velodrome Finance',
+    decimals: 18,
+    coingeckoId: 'velodrome-finance',
+    logo: 'https://assets.coingecko.com/coins/images/25783/small/velo.png',
+    category: 'defi',
+    trending: true,
+  },
+
+  SNX: {
+    address: '0x8700dAec35aF8Ff88c16BdF0418774CB3D7599B4',
+    symbol: 'SNX',
+    name: 'Synthetix',
+    decimals: 18,
+    coingeckoId: 'havven',
+    logo: 'https://assets.coingecko.com/coins/images/3406/small/SNX.png',
+    category: 'defi',
+  },
+
+  // ============================================
+  // CROSS-CHAIN TOKENS
+  // ============================================
+  WBTC: {
+    address: '0x68f180fcCe6836688e9084f035309E29Bf0A2095',
+    symbol: 'WBTC',
+    name: 'Wrapped Bitcoin',
+    decimals: 8,
+    coingeckoId: 'wrapped-bitcoin',
+    logo: 'https://assets.coingecko.com/coins/images/7598/small/wrapped_bitcoin_wbtc.png',
+    category: 'wrapped',
+  },
+
+  LINK: {
+    address: '0x350a791Bfc2C21F9Ed5d10980Dad2e2638ffa7f6',
+    symbol: 'LINK',
+    name: 'Chainlink',
+    decimals: 18,
+    coingeckoId: 'chainlink',
+    logo: 'https://assets.coingecko.com/coins/images/877/small/chainlink-new-logo.png',
+    category: 'defi',
+  },
+};
+
+export default OPTIMISM_TOKENS;
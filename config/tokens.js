@@ -0,0 +1,103 @@
+/**
+ * Token Lists by Network
+ * Maps every network in config/networks.js to its token list, so widgets
+ * can offer and price the tokens of the chain they are set to
+ */
+
+import { BASE_TOKENS } from '@/config/base-tokens';
+import { OPTIMISM_TOKENS } from '@/config/optimism-tokens';
+import { ARBITRUM_TOKENS } from '@/config/arbitrum-tokens';
+import { getNetwork } from '@/config/networks';
+
+export const NETWORK_TOKENS = {
+  base: BASE_TOKENS,
+  optimism: OPTIMISM_TOKENS,
+  arbitrum: ARBITRUM_TOKENS,
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Get the token list of a network, keyed by symbol
+ * @param {string} network - Network name (default: active network)
+ */
+export function getNetworkTokens(network) {
+  return NETWORK_TOKENS[getNetwork(network).name] || {};
+}
+
+/**
+ * Get a token of a network by symbol
+ */
+export function getNetworkToken(network, symbol) {
+  return getNetworkTokens(network)[symbol] || null;
+}
+
+/**
+ * Contract whose price stands in for native ETH
+ * CoinGecko has no contract price for the native token; WETH tracks the same price
+ */
+export function getNativePriceAddress(network) {
+  return getNetworkTokens(network).WETH.address;
+}
+
+/**
+ * Select options ({ value, label }) for a network's tokens
+ */
+export function getTokenOptions(network) {
+  return Object.values(getNetworkTokens(network)).map(token => ({
+    value: token.symbol,
+    label: `${token.symbol} - ${token.name}`,
+  }));
+}
+
+// ============================================
+// TOKEN CATALOGUE
+// ============================================
+
+// The Supabase `tokens` catalogue only lists tokens on this network
+export const CATALOGUE_NETWORK = 'base';
+
+/**
+ * A network's contract tokens shaped like Supabase `tokens` rows
+ * Token pickers use these on networks the catalogue does not cover
+ */
+export function getCatalogueTokens(network) {
+  const { name } = getNetwork(network);
+
+  return Object.values(getNetworkTokens(name))
+    .filter(token => token.address !== 'native')
+    .map(token => ({
+      id: `${name}:${token.symbol}`,
+      network: name,
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name,
+      logo_url: token.logo,
+      category: token.category,
+      verified: true,
+    }));
+}
+
+/**
+ * Resolve a token id saved by a picker that used getCatalogueTokens
+ * @returns {Object|null} Catalogue-shaped token, or null for Supabase ids
+ */
+export function getCatalogueToken(tokenId) {
+  if (typeof tokenId !== 'string' || !tokenId.includes(':')) return null;
+
+  const [network] = tokenId.split(':');
+  if (!NETWORK_TOKENS[network]) return null;
+
+  return getCatalogueTokens(network).find(token => token.id === tokenId) || null;
+}
+
+/**
+ * Network a picked token lives on
+ */
+export function getTokenNetwork(token) {
+  return token?.network || CATALOGUE_NETWORK;
+}
+
+export default NETWORK_TOKENS;
@@ -0,0 +1,55 @@
+/**
+ * Transaction Presets
+ * Typical transactions priced by the Gas Tracker's cost estimator
+ *
+ * gasLimit is the L2 execution gas. l1Size is the FastLZ-compressed size of
+ * the signed transaction in bytes, which sets the L1 data fee on OP-stack
+ * chains (see estimateL1Fee in lib/utils/tx-cost.js).
+ */
+
+export const TX_PRESETS = {
+  ethTransfer: {
+    id: 'ethTransfer',
+    label: 'ETH transfer',
+    icon: '💸',
+    gasLimit: 21000,
+    l1Size: 110,
+  },
+  erc20Transfer: {
+    id: 'erc20Transfer',
+    label: 'ERC-20 transfer',
+    icon: '🪙',
+    gasLimit: 65000,
+    l1Size: 140,
+  },
+  dexSwap: {
+    id: 'dexSwap',
+    label: 'DEX swap',
+    icon: '🔄',
+    gasLimit: 180000,
+    l1Size: 420,
+  },
+  nftMint: {
+    id: 'nftMint',
+    label: 'NFT mint',
+    icon: '🖼️',
+    gasLimit: 150000,
+    l1Size: 180,
+  },
+};
+
+export const DEFAULT_TX_PRESET = 'ethTransfer';
+
+/**
+ * Get a preset by id, falling back to an ETH transfer
+ */
+export function getTxPreset(id) {
+  return TX_PRESETS[id] || TX_PRESETS[DEFAULT_TX_PRESET];
+}
+
+/**
+ * Presets as select options
+ */
+export function getTxPresetOptions() {
+  return Object.values(TX_PRESETS).map(preset => ({ value: preset.id, label: preset.label }));
+}
@@ -2,40 +2,47 @@
  * Basescan API Service
  * Wrapper for Basescan API with rate limiting and caching
  * Focus: Gas prices, Account data, Transactions
+ *
+ * Every function takes an optional network name from config/networks.js
+ * (default: active network) and uses that network's explorer and RPC.
  */
 
-import { API_CONFIG, API_KEYS, CACHE_DURATIONS } from '@/config/api-endpoints';
+import { encodeFunctionData, erc20Abi } from 'viem';
+import { CACHE_DURATIONS, buildProxyUrl } from '@/config/api-endpoints';
+import { activeNetwork, getNetwork } from '@/config/networks';
 import { cacheApiRequest } from '@/lib/utils/cache';
-import { makeTrackedRequest } from '@/lib/utils/rate-limiter';
+import { createHttpError, makeTrackedRequest } from '@/lib/utils/rate-limiter';
+import { getKnownAddressList } from '@/config/known-addresses';
+import { readGasTiers, readL1FeeParams } from '@/lib/utils/gas';
+import { createRpcCaller } from '@/lib/utils/rpc';
 
 const SERVICE = 'basescan';
+const RPC_SERVICE = 'baseRPC';
+
+/**
+ * Public RPC of a network, reached through the API gateway
+ */
+function getRpcUrl(network) {
+  return buildProxyUrl('baseRPC', '', {}, network);
+}
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
 /**
- * Make Basescan API request
+ * Make Basescan API request (through the API gateway, which adds the key)
  */
-async function fetchFromBasescan(params = {}) {
-  const baseUrl = API_CONFIG[SERVICE].baseUrl;
-  
-  // Add API key if available
-  const queryParams = {
-    ...params,
-    apikey: API_KEYS.basescan || '',
-  };
-  
-  const queryString = new URLSearchParams(queryParams).toString();
-  const url = `${baseUrl}?${queryString}`;
+async function fetchFromBasescan(params = {}, network = activeNetwork.name) {
+  const url = buildProxyUrl(SERVICE, '', params, network);
   
-  console.log('🔗 Basescan Request:', url.replace(/apikey=[^&]*/, 'apikey=***'));
+  console.log('🔗 Basescan Request:', url);
   
   const response = await fetch(url);
   
   if (!response.ok) {
     console.error('❌ Basescan HTTP Error:', response.status, response.statusText);
-    throw new Error(`Basescan API error: ${response.status} ${response.statusText}`);
+    throw createHttpError(`Basescan API error: ${response.status} ${response.statusText}`, response);
   }
   
   const data = await response.json();
@@ -75,92 +82,137 @@ async function fetchFromBasescan(params = {}) {
 // GAS PRICES
 // ============================================
 
+/**
+ * JSON-RPC caller for a network's public RPC (see lib/utils/rpc.js)
+ * Each HTTP request, single call or batch, is tracked once under the RPC's
+ * own rate limit, not the explorer's
+ */
+function getRpc(network) {
+  return createRpcCaller(payload => makeTrackedRequest(RPC_SERVICE, async () => {
+    const response = await fetch(getRpcUrl(network), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const method = Array.isArray(payload) ? 'Batch' : payload.method;
+      throw createHttpError(`${method} failed on ${network} RPC: ${response.status}`, response);
+    }
+
+    return response.json();
+  }));
+}
+
 /**
  * Get current gas prices
- * Uses public Base RPC directly (Basescan V1 API is deprecated)
- * This is more reliable and doesn't require an API key
+ * Tiers come from eth_feeHistory on the network's public RPC (Basescan V1 API
+ * is deprecated). Prices are Gwei strings; `isFallback` marks flat tiers from
+ * eth_gasPrice when fee history is unavailable. Errors are thrown, so the
+ * cache layer can serve the last good reading (see fetchedAt) instead.
+ * @param {string} network - Network name (default: active network)
+ * @returns {Promise<Object>} { data, cached, stale? } - data has safeGasPrice,
+ *   proposeGasPrice, fastGasPrice, suggestBaseFee, priorityFees, baseFeeTrend,
+ *   baseFeeChange (%), gasUsedRatio, averageGasUsedRatio, lastBlock, source, isFallback, fetchedAt
  */
-export async function getGasPrices() {
+export async function getGasPrices(network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     'gas_prices',
-    {},
+    { network },
+    async () => readGasTiers(getRpc(network), network),
+    // Cache for 30 seconds; keep the last reading for 5 minutes in case the RPC fails
+    { duration: 30 * 1000, staleWindow: 5 * 60 * 1000 }
+  );
+}
+
+/**
+ * Get gas history recorded by the server sampler, averaged per hour
+ * Covers hours when no dashboard was open (see lib/server/gas-history.js)
+ * @param {string} network - Network name (default: active network)
+ * @param {number} days - Days of history (max 28)
+ * @returns {Promise<Object>} { data, cached, stale? } - data has sampleCount,
+ *   latest and hours: [{ timestamp, count, safe, standard, fast, baseFee, l1BaseFee, ... }]
+ */
+export async function getRecordedGasHistory(network = activeNetwork.name, days = 28) {
+  return cacheApiRequest(
+    SERVICE,
+    'recorded_gas_history',
+    { network, days },
     async () => {
-      return makeTrackedRequest(SERVICE, async () => {
-        try {
-          // Use public Base RPC directly (no API key needed, more reliable)
-          const response = await fetch('https://mainnet.base.org', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              jsonrpc: '2.0',
-              method: 'eth_gasPrice',
-              params: [],
-              id: 1,
-            }),
-          });
-          
-          if (!response.ok) {
-            throw new Error('Failed to fetch gas price from Base RPC');
-          }
-          
-          const rpcData = await response.json();
-          
-          if (rpcData.error) {
-            throw new Error(`RPC Error: ${rpcData.error.message}`);
-          }
-          
-          // eth_gasPrice returns a hex value in Wei
-          // Convert to Gwei (1 Gwei = 10^9 Wei)
-          const gasPriceWei = parseInt(rpcData.result, 16);
-          const gasPriceGwei = gasPriceWei / 1e9;
-          
-          console.log('✅ Gas price fetched from Base RPC:', gasPriceGwei.toFixed(4), 'Gwei');
-          
-          return formatGasPrices(gasPriceGwei);
-        } catch (error) {
-          console.error('❌ Failed to fetch gas prices:', error.message);
-          // Return reasonable default values if all methods fail
-          return {
-            safeGasPrice: '0.0009',
-            proposeGasPrice: '0.0010',
-            fastGasPrice: '0.0012',
-            suggestBaseFee: '0.0010',
-            gasUsedRatio: '0.5',
-            lastBlock: 'Error',
-          };
-        }
-      });
+      const params = new URLSearchParams({ network, days: String(days) });
+      const response = await fetch(`/api/gas-history?${params.toString()}`);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw createHttpError(errorData.error || `Gas history error: ${response.status}`, response);
+      }
+
+      return response.json();
     },
-    { duration: 30 * 1000 } // Cache for 30 seconds
+    // New samples land every 5 minutes
+    { duration: 5 * 60 * 1000 }
   );
 }
 
+// ============================================
+// L1 DATA FEE
+// ============================================
+
 /**
- * Format gas prices with safe/standard/fast tiers
- * @param {number} standardGasGwei - Standard gas price in Gwei
+ * Get the L1 data fee parameters of an OP-stack network
+ * Read from the GasPriceOracle predeploy; price a transaction with
+ * estimateL1Fee in lib/utils/tx-cost.js
+ * @param {string} network - Network name (default: active network)
+ * @returns {Promise<Object>} { data, cached, stale? } - data has l1BaseFee and
+ *   blobBaseFee (wei), baseFeeScalar, blobBaseFeeScalar and fetchedAt
  */
-function formatGasPrices(standardGasGwei) {
-  // Create safe/standard/fast estimates
-  // Based on typical multipliers: safe = 0.9x, standard = 1x, fast = 1.2x
-  const standardGas = standardGasGwei;
-  const safeGas = standardGasGwei * 0.9;
-  const fastGas = standardGasGwei * 1.2;
-  
-  console.log('✅ Gas prices calculated:', {
-    safe: safeGas.toFixed(4),
-    standard: standardGas.toFixed(4),
-    fast: fastGas.toFixed(4)
-  });
-  
-  return {
-    safeGasPrice: safeGas.toFixed(4),
-    proposeGasPrice: standardGas.toFixed(4),
-    fastGasPrice: fastGas.toFixed(4),
-    suggestBaseFee: standardGas.toFixed(4),
-    gasUsedRatio: '0.5',
-    lastBlock: 'Current',
-  };
+export async function getL1FeeParams(network = activeNetwork.name) {
+  const oracle = getNetwork(network).apis.gasPriceOracle;
+
+  if (!oracle) {
+    throw new Error(`${getNetwork(network).displayName} has no L1 data fee oracle`);
+  }
+
+  return cacheApiRequest(
+    SERVICE,
+    'l1_fee_params',
+    { network },
+    async () => {
+      return readL1FeeParams(getRpc(network), oracle);
+    },
+    // L1 fees move once per L1 block (12 seconds)
+    { duration: 30 * 1000, staleWindow: 5 * 60 * 1000 }
+  );
+}
+
+// ============================================
+// NETWORK ACTIVITY
+// ============================================
+
+/**
+ * Get the latest block with its transaction count
+ * Uses the public RPC, like getGasPrices, so it counts against the RPC limit
+ * @param {string} network - Network name (default: active network)
+ */
+export async function getLatestBlock(network = activeNetwork.name) {
+  return cacheApiRequest(
+    SERVICE,
+    'latest_block',
+    { network },
+    async () => {
+      const block = await getRpc(network)('eth_getBlockByNumber', ['latest', false]);
+      
+      return {
+        number: parseInt(block.number, 16),
+        timestamp: parseInt(block.timestamp, 16) * 1000,
+        transactionCount: block.transactions.length,
+        gasUsed: parseInt(block.gasUsed, 16),
+        gasLimit: parseInt(block.gasLimit, 16),
+      };
+    },
+    { duration: 2 * 1000 } // Base produces a block every 2 seconds
+  );
 }
 
 // ============================================
@@ -170,12 +222,13 @@ function formatGasPrices(standardGasGwei) {
 /**
  * Get ETH balance for an address
  * @param {string} address - Ethereum address
+ * @param {string} network - Network name (default: active network)
  */
-export async function getAccountBalance(address) {
+export async function getAccountBalance(address, network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     `balance_${address}`,
-    {},
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const data = await fetchFromBasescan({
@@ -183,7 +236,7 @@ export async function getAccountBalance(address) {
           action: 'balance',
           address,
           tag: 'latest',
-        });
+        }, network);
         
         return {
           address,
@@ -200,12 +253,13 @@ export async function getAccountBalance(address) {
  * Get token balance for an address
  * @param {string} address - Ethereum address
  * @param {string} contractAddress - Token contract address
+ * @param {string} network - Network name (default: active network)
  */
-export async function getTokenBalance(address, contractAddress) {
+export async function getTokenBalance(address, contractAddress, network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     `token_balance_${address}_${contractAddress}`,
-    {},
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const data = await fetchFromBasescan({
@@ -214,7 +268,7 @@ export async function getTokenBalance(address, contractAddress) {
           contractaddress: contractAddress,
           address,
           tag: 'latest',
-        });
+        }, network);
         
         return {
           address,
@@ -229,17 +283,115 @@ export async function getTokenBalance(address, contractAddress) {
 
 /**
  * Get multiple token balances for an address
+ * Reads every balanceOf in one JSON-RPC batch on the public RPC, so a whole
+ * token list costs one RPC request instead of one explorer call per token
  * @param {string} address - Ethereum address
  * @param {string[]} contractAddresses - Array of token contract addresses
+ * @param {string} network - Network name (default: active network)
+ * @returns {Promise<Object>} { data, cached, stale? } - data is
+ *   [{ address, contractAddress, balance }] with raw balances ('0' when a read fails)
  */
-export async function getMultipleTokenBalances(address, contractAddresses) {
-  const balances = await Promise.all(
-    contractAddresses.map(contractAddress => 
-      getTokenBalance(address, contractAddress)
-    )
+export async function getMultipleTokenBalances(address, contractAddresses, network = activeNetwork.name) {
+  return cacheApiRequest(
+    SERVICE,
+    `token_balances_${address}_${contractAddresses.join(',')}`,
+    { network },
+    async () => {
+      const data = encodeFunctionData({ abi: erc20Abi, functionName: 'balanceOf', args: [address] });
+      const results = await getRpc(network).batch(
+        contractAddresses.map(contractAddress => ({
+          method: 'eth_call',
+          params: [{ to: contractAddress, data }, 'latest'],
+        })),
+        { allowErrors: true }
+      );
+      
+      return contractAddresses.map((contractAddress, index) => ({
+        address,
+        contractAddress,
+        balance: results[index] && results[index] !== '0x' ? BigInt(results[index]).toString() : '0',
+      }));
+    },
+    { duration: CACHE_DURATIONS.walletBalances }
+  );
+}
+
+// ============================================
+// HOLDERS
+// ============================================
+
+/**
+ * Get the native balances of the network's known addresses
+ * Explorers have no free holder list for native ETH, so the known addresses
+ * (bridges, exchanges, large contracts) are ranked by balance instead
+ * @param {number} limit - Number of addresses to return (default: 10, max: 20)
+ * @param {string} network - Network name (default: active network)
+ * @returns {Array} [{ address, balance }] with raw balances, largest first
+ */
+export async function getKnownAddressBalances(limit = 10, network = activeNetwork.name) {
+  return cacheApiRequest(
+    SERVICE,
+    `known_address_balances_${limit}`,
+    { network },
+    async () => {
+      return makeTrackedRequest(SERVICE, async () => {
+        // balancemulti accepts up to 20 addresses per call
+        const addresses = getKnownAddressList(network).slice(0, 20);
+        const data = await fetchFromBasescan({
+          module: 'account',
+          action: 'balancemulti',
+          address: addresses.join(','),
+          tag: 'latest',
+        }, network);
+        
+        return (data.result || [])
+          .map(item => ({ address: item.account, balance: item.balance }))
+          .sort((a, b) => {
+            const diff = BigInt(b.balance) - BigInt(a.balance);
+            return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+          })
+          .slice(0, limit);
+      });
+    },
+    { duration: CACHE_DURATIONS.richLists }
+  );
+}
+
+/**
+ * Get contract status and transaction count for several addresses
+ * Uses one JSON-RPC batch, like getGasPrices
+ * @param {string[]} addresses - Ethereum addresses
+ * @param {string} network - Network name (default: active network)
+ * @returns {Object} { [lowercase address]: { isContract, transactionCount } }
+ */
+export async function getAddressActivity(addresses, network = activeNetwork.name) {
+  return cacheApiRequest(
+    SERVICE,
+    `address_activity_${addresses.join(',')}`,
+    { network },
+    async () => {
+      const results = await getRpc(network).batch(
+        addresses.flatMap(address => [
+          { method: 'eth_getCode', params: [address, 'latest'] },
+          { method: 'eth_getTransactionCount', params: [address, 'latest'] },
+        ]),
+        { allowErrors: true }
+      );
+      
+      return Object.fromEntries(addresses.map((address, index) => {
+        const code = results[index * 2];
+        const nonce = results[index * 2 + 1];
+        return [
+          address.toLowerCase(),
+          {
+            isContract: Boolean(code) && code !== '0x',
+            transactionCount: nonce ? parseInt(nonce, 16) : 0,
+          },
+        ];
+      }));
+    },
+    { duration: CACHE_DURATIONS.richLists }
   );
-  
-  return balances;
 }
 
 // ============================================
@@ -251,12 +403,13 @@ export async function getMultipleTokenBalances(address, contractAddresses) {
  * @param {string} address - Ethereum address
  * @param {number} page - Page number (default: 1)
  * @param {number} offset - Number of transactions per page (default: 10, max: 10000)
+ * @param {string} network - Network name (default: active network)
  */
-export async function getTransactions(address, page = 1, offset = 10) {
+export async function getTransactions(address, page = 1, offset = 10, network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     `transactions_${address}_${page}_${offset}`,
-    {},
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const data = await fetchFromBasescan({
@@ -268,7 +421,7 @@ export async function getTransactions(address, page = 1, offset = 10) {
           page,
           offset,
           sort: 'desc',
-        });
+        }, network);
         
         return {
           address,
@@ -285,12 +438,13 @@ export async function getTransactions(address, page = 1, offset = 10) {
  * @param {string} address - Ethereum address
  * @param {number} page - Page number
  * @param {number} offset - Number of transactions per page
+ * @param {string} network - Network name (default: active network)
  */
-export async function getInternalTransactions(address, page = 1, offset = 10) {
+export async function getInternalTransactions(address, page = 1, offset = 10, network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     `internal_tx_${address}_${page}_${offset}`,
-    {},
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const data = await fetchFromBasescan({
@@ -302,7 +456,7 @@ export async function getInternalTransactions(address, page = 1, offset = 10) {
           page,
           offset,
           sort: 'desc',
-        });
+        }, network);
         
         return {
           address,
@@ -321,19 +475,20 @@ export async function getInternalTransactions(address, page = 1, offset = 10) {
 /**
  * Get contract ABI
  * @param {string} address - Contract address
+ * @param {string} network - Network name (default: active network)
  */
-export async function getContractABI(address) {
+export async function getContractABI(address, network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     `abi_${address}`,
-    {},
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const data = await fetchFromBasescan({
           module: 'contract',
           action: 'getabi',
           address,
-        });
+        }, network);
         
         return {
           address,
@@ -352,17 +507,18 @@ export async function getContractABI(address) {
 /**
  * Get comprehensive wallet data
  * @param {string} address - Ethereum address
+ * @param {string} network - Network name (default: active network)
  */
-export async function getWalletData(address) {
+export async function getWalletData(address, network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
     `wallet_data_${address}`,
-    {},
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const [balance, transactions] = await Promise.all([
-          getAccountBalance(address),
-          getTransactions(address, 1, 20),
+          getAccountBalance(address, network),
+          getTransactions(address, 1, 20, network),
         ]);
         
         return {
@@ -379,9 +535,14 @@ export async function getWalletData(address) {
 // Export all functions
 export default {
   getGasPrices,
+  getRecordedGasHistory,
+  getL1FeeParams,
+  getLatestBlock,
   getAccountBalance,
   getTokenBalance,
   getMultipleTokenBalances,
+  getKnownAddressBalances,
+  getAddressActivity,
   getTransactions,
   getInternalTransactions,
   getContractABI,
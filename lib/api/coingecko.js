@@ -3,10 +3,11 @@
  * Wrapper for CoinGecko API with rate limiting and caching
  */
 
-import { API_CONFIG, buildApiUrl, getApiHeaders, CACHE_DURATIONS } from '@/config/api-endpoints';
+import { API_CONFIG, buildProxyUrl, CACHE_DURATIONS } from '@/config/api-endpoints';
 import { cacheApiRequest, CacheStrategy } from '@/lib/utils/cache';
-import { makeTrackedRequest } from '@/lib/utils/rate-limiter';
+import { createHttpError, makeTrackedRequest } from '@/lib/utils/rate-limiter';
 import { BASE_TOKENS } from '@/config/base-tokens';
+import { activeNetwork, getNetwork } from '@/config/networks';
 
 const SERVICE = 'coingecko';
 
@@ -15,20 +16,18 @@ const SERVICE = 'coingecko';
 // ============================================
 
 /**
- * Make CoinGecko API request
+ * Make CoinGecko API request (through the API gateway, which adds the key)
  */
 async function fetchFromCoinGecko(endpoint, params = {}) {
-  const url = buildApiUrl(SERVICE, endpoint, params);
+  const url = buildProxyUrl(SERVICE, endpoint, params);
   
   console.log('🔗 CoinGecko Request:', url);
   
-  const response = await fetch(url, {
-    headers: getApiHeaders(SERVICE),
-  });
+  const response = await fetch(url);
   
   if (!response.ok) {
     console.error('❌ CoinGecko Error:', response.status, url);
-    throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+    throw createHttpError(`CoinGecko API error: ${response.status} ${response.statusText}`, response);
   }
   
   console.log('✅ CoinGecko Success:', url);
@@ -43,16 +42,19 @@ async function fetchFromCoinGecko(endpoint, params = {}) {
  * Get token price by contract address (via Next.js API route to avoid CORS)
  * @param {string} contractAddress - Token contract address
  * @param {string} vsCurrency - Currency to compare against (default: 'usd')
+ * @param {Object} options - { network } (default: active network), plus
+ * { priority, signal } for the rate limiter
  */
-export async function getTokenPrice(contractAddress, vsCurrency = 'usd') {
+export async function getTokenPrice(contractAddress, vsCurrency = 'usd', options = {}) {
+  const { network = activeNetwork.name, ...requestOptions } = options;
   const cacheKey = `price_${contractAddress}_${vsCurrency}`;
   
   return cacheApiRequest(
     SERVICE,
     cacheKey,
-    { contract_addresses: contractAddress, vs_currencies: vsCurrency },
+    { contract_addresses: contractAddress, vs_currencies: vsCurrency, network },
     async () => {
-      return makeTrackedRequest(SERVICE, async () => {
+      return makeTrackedRequest(SERVICE, async (signal) => {
         // Call our Next.js API route instead of CoinGecko directly
         const params = new URLSearchParams({
           contract_addresses: contractAddress,
@@ -60,14 +62,15 @@ export async function getTokenPrice(contractAddress, vsCurrency = 'usd') {
           include_24hr_change: 'true',
           include_24hr_vol: 'true',
           include_market_cap: 'true',
+          network,
         });
         
         const apiUrl = `/api/coingecko/token-price?${params.toString()}`;
-        const response = await fetch(apiUrl);
+        const response = await fetch(apiUrl, { signal });
         
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-          throw new Error(errorData.error || `API error: ${response.status}`);
+          throw createHttpError(errorData.error || `API error: ${response.status}`, response);
         }
         
         const data = await response.json();
@@ -86,7 +89,7 @@ export async function getTokenPrice(contractAddress, vsCurrency = 'usd') {
           marketCap: tokenData[`${vsCurrency}_market_cap`] || 0,
           volume24h: tokenData[`${vsCurrency}_24h_vol`] || 0,
         };
-      });
+      }, requestOptions);
     },
     { duration: CACHE_DURATIONS.prices }
   );
@@ -96,14 +99,15 @@ export async function getTokenPrice(contractAddress, vsCurrency = 'usd') {
  * Get multiple token prices in batch (via Next.js API route to avoid CORS)
  * @param {string[]} contractAddresses - Array of token contract addresses
  * @param {string} vsCurrency - Currency to compare against (default: 'usd')
+ * @param {Object} options - { network } (default: active network)
  */
-export async function getBatchTokenPrices(contractAddresses, vsCurrency = 'usd') {
+export async function getBatchTokenPrices(contractAddresses, vsCurrency = 'usd', { network = activeNetwork.name } = {}) {
   const cacheKey = `batch_prices_${contractAddresses.join(',')}_${vsCurrency}`;
   
   return cacheApiRequest(
     SERVICE,
     cacheKey,
-    { addresses: contractAddresses.join(','), vs: vsCurrency },
+    { addresses: contractAddresses.join(','), vs: vsCurrency, network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         // Call our Next.js API route instead of CoinGecko directly
@@ -113,6 +117,7 @@ export async function getBatchTokenPrices(contractAddresses, vsCurrency = 'usd')
           include_24hr_change: 'true',
           include_24hr_vol: 'true',
           include_market_cap: 'true',
+          network,
         });
         
         const apiUrl = `/api/coingecko/token-price?${params.toString()}`;
@@ -142,7 +147,7 @@ export async function getPopularTokenPrices(vsCurrency = 'usd') {
     .filter(token => token.address !== 'native')
     .map(token => token.address);
   
-  return getBatchTokenPrices(addresses, vsCurrency);
+  return getBatchTokenPrices(addresses, vsCurrency, { network: 'base' });
 }
 
 // ============================================
@@ -207,7 +212,7 @@ export async function getMarketChart(coinId, days = 7, vsCurrency = 'usd') {
         };
       });
     },
-    { duration: CACHE_DURATIONS.historicalData }
+    { duration: CACHE_DURATIONS.historicalData, strategy: CacheStrategy.INDEXEDDB }
   );
 }
 
@@ -245,24 +250,28 @@ export async function searchTokens(query) {
  * @param {string} contractAddress - Token contract address
  * @param {string} vsCurrency - Currency to compare against (default: 'usd')
  * @param {number} days - Number of days of data (1, 7, 14, 30, 90, 180, 365, max)
+ * @param {Object} options - { network } (default: active network), plus
+ * { priority, signal } for the rate limiter
  */
-export async function getTokenMarketChart(contractAddress, vsCurrency = 'usd', days = 7) {
+export async function getTokenMarketChart(contractAddress, vsCurrency = 'usd', days = 7, options = {}) {
   if (!contractAddress) {
     throw new Error('Token address not available');
   }
 
+  const { network = activeNetwork.name, ...requestOptions } = options;
+
   return cacheApiRequest(
     SERVICE,
     `market_chart_${contractAddress}_${days}`,
-    { days },
+    { days, network },
     async () => {
-      return makeTrackedRequest(SERVICE, async () => {
-        const apiUrl = `/api/coingecko/market-chart?contract_address=${contractAddress}&vs_currency=${vsCurrency}&days=${days}`;
-        const response = await fetch(apiUrl);
+      return makeTrackedRequest(SERVICE, async (signal) => {
+        const apiUrl = `/api/coingecko/market-chart?contract_address=${contractAddress}&vs_currency=${vsCurrency}&days=${days}&network=${network}`;
+        const response = await fetch(apiUrl, { signal });
         
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-          throw new Error(errorData.error || `API error: ${response.status}`);
+          throw createHttpError(errorData.error || `API error: ${response.status}`, response);
         }
         
         const data = await response.json();
@@ -284,9 +293,9 @@ export async function getTokenMarketChart(contractAddress, vsCurrency = 'usd', d
             volume: item.volume,
           })) || [],
         };
-      });
+      }, requestOptions);
     },
-    { duration: CACHE_DURATIONS.prices }
+    { duration: CACHE_DURATIONS.prices, strategy: CacheStrategy.INDEXEDDB }
   );
 }
 
@@ -314,15 +323,16 @@ export async function getTrendingTokens() {
 // ============================================
 
 /**
- * Get all Base tokens list
+ * Get all tokens list for a network
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseTokensList() {
-  const endpoint = API_CONFIG[SERVICE].endpoints.tokenList;
+export async function getBaseTokensList(network = activeNetwork.name) {
+  const endpoint = API_CONFIG[SERVICE].endpoints.tokenList(getNetwork(network).apis.coingeckoId);
   
   return cacheApiRequest(
     SERVICE,
-    'token_list_base',
-    {},
+    'token_list',
+    { network },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
         const response = await fetch(endpoint);
@@ -336,7 +346,7 @@ export async function getBaseTokensList() {
     },
     { 
       duration: CACHE_DURATIONS.tokenList,
-      strategy: CacheStrategy.BOTH, // Store in both memory and localStorage
+      strategy: CacheStrategy.INDEXEDDB, // Too large for localStorage
     }
   );
 }
@@ -367,7 +377,7 @@ export async function getBaseTokenPrice(symbol, vsCurrency = 'usd') {
     };
   }
   
-  return getTokenPrice(token.address, vsCurrency);
+  return getTokenPrice(token.address, vsCurrency, { network: 'base' });
 }
 
 /**
@@ -380,7 +390,7 @@ export async function getBaseTokensPrices(symbols, vsCurrency = 'usd') {
     return token.address;
   }).filter(addr => addr !== 'native');
   
-  return getBatchTokenPrices(addresses, vsCurrency);
+  return getBatchTokenPrices(addresses, vsCurrency, { network: 'base' });
 }
 
 // Export all functions
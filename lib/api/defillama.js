@@ -2,32 +2,43 @@
  * DeFiLlama API Service
  * Wrapper for DeFiLlama API with rate limiting and caching
  * Focus: TVL, Protocol Data, Network Statistics
+ *
+ * Chain-specific functions take a network name from config/networks.js
+ * and default to the active network.
+ *
+ * Functions built from other wrappers are not tracked themselves: the rate
+ * limiter runs one request at a time, so a tracked request awaiting another
+ * one on the same service never finishes.
  */
 
-import { API_CONFIG, buildApiUrl, CACHE_DURATIONS } from '@/config/api-endpoints';
+import { API_CONFIG, buildProxyUrl, CACHE_DURATIONS } from '@/config/api-endpoints';
+import { activeNetwork, getNetwork } from '@/config/networks';
 import { cacheApiRequest } from '@/lib/utils/cache';
-import { makeTrackedRequest } from '@/lib/utils/rate-limiter';
+import { createHttpError, makeTrackedRequest } from '@/lib/utils/rate-limiter';
 
 const SERVICE = 'defiLlama';
 
+/**
+ * DeFiLlama's name for a network's chain
+ */
+function getChainName(network) {
+  return getNetwork(network).apis.defiLlamaName;
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
 /**
- * Make DeFiLlama API request
+ * Make DeFiLlama API request (through the API gateway)
  */
 async function fetchFromDeFiLlama(endpoint, params = {}) {
-  const url = buildApiUrl(SERVICE, endpoint, params);
+  const url = buildProxyUrl(SERVICE, endpoint, params);
   
-  const response = await fetch(url, {
-    headers: {
-      'Content-Type': 'application/json',
-    },
-  });
+  const response = await fetch(url);
   
   if (!response.ok) {
-    throw new Error(`DeFiLlama API error: ${response.status} ${response.statusText}`);
+    throw createHttpError(`DeFiLlama API error: ${response.status} ${response.statusText}`, response);
   }
   
   return response.json();
@@ -57,10 +68,11 @@ export async function getAllChains() {
 }
 
 /**
- * Get Base chain specific data
+ * Get chain specific data
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseChainData() {
-  const endpoint = API_CONFIG[SERVICE].endpoints.baseChain;
+export async function getBaseChainData(network = activeNetwork.name) {
+  const endpoint = API_CONFIG[SERVICE].endpoints.chain(getChainName(network));
   
   return cacheApiRequest(
     SERVICE,
@@ -85,10 +97,11 @@ export async function getBaseChainData() {
 }
 
 /**
- * Get Base current TVL
+ * Get current chain TVL
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseTVL() {
-  const endpoint = API_CONFIG[SERVICE].endpoints.currentTVL;
+export async function getBaseTVL(network = activeNetwork.name) {
+  const endpoint = API_CONFIG[SERVICE].endpoints.currentTVL(getChainName(network));
   
   return cacheApiRequest(
     SERVICE,
@@ -127,37 +140,38 @@ export async function getAllProtocols() {
 }
 
 /**
- * Get protocols on Base chain
+ * Get protocols on a chain
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseProtocols() {
+export async function getBaseProtocols(network = activeNetwork.name) {
+  const chainName = getChainName(network);
+  
   return cacheApiRequest(
     SERVICE,
-    'base_protocols',
-    {},
+    'chain_protocols',
+    { network },
     async () => {
-      return makeTrackedRequest(SERVICE, async () => {
-        const allProtocols = await getAllProtocols();
-        
-        // Filter protocols that are on Base chain
-        return allProtocols.data.filter(protocol => {
-          if (Array.isArray(protocol.chains)) {
-            return protocol.chains.includes('Base');
-          }
-          return protocol.chain === 'Base';
-        }).map(protocol => ({
-          id: protocol.id,
-          name: protocol.name,
-          symbol: protocol.symbol,
-          tvl: protocol.tvl,
-          chainTvls: protocol.chainTvls?.Base || 0,
-          change_1h: protocol.change_1h,
-          change_1d: protocol.change_1d,
-          change_7d: protocol.change_7d,
-          category: protocol.category,
-          logo: protocol.logo,
-          url: protocol.url,
-        }));
-      });
+      const allProtocols = await getAllProtocols();
+      
+      // Filter protocols that are on the chain
+      return allProtocols.data.filter(protocol => {
+        if (Array.isArray(protocol.chains)) {
+          return protocol.chains.includes(chainName);
+        }
+        return protocol.chain === chainName;
+      }).map(protocol => ({
+        id: protocol.id,
+        name: protocol.name,
+        symbol: protocol.symbol,
+        tvl: protocol.tvl,
+        chainTvls: protocol.chainTvls?.[chainName] || 0,
+        change_1h: protocol.change_1h,
+        change_1d: protocol.change_1d,
+        change_7d: protocol.change_7d,
+        category: protocol.category,
+        logo: protocol.logo,
+        url: protocol.url,
+      }));
     },
     { duration: CACHE_DURATIONS.networkStats }
   );
@@ -188,43 +202,43 @@ export async function getProtocolDetails(protocol) {
 // ============================================
 
 /**
- * Get Base network statistics summary
+ * Get network statistics summary
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseNetworkStats() {
+export async function getBaseNetworkStats(network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
-    'base_network_stats',
-    {},
+    'network_stats',
+    { network },
     async () => {
-      return makeTrackedRequest(SERVICE, async () => {
-        const [chainData, protocols] = await Promise.all([
-          getBaseChainData(),
-          getBaseProtocols(),
-        ]);
-        
-        const totalProtocolTvl = protocols.reduce((sum, p) => sum + (p.tvl || 0), 0);
-        
-        return {
-          chainName: 'Base',
-          tvl: chainData.tvl,
-          protocolCount: protocols.length,
-          totalProtocolTvl,
-          topProtocols: protocols
-            .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
-            .slice(0, 10),
-        };
-      });
+      const [{ data: chainData }, { data: protocols }] = await Promise.all([
+        getBaseChainData(network),
+        getBaseProtocols(network),
+      ]);
+      
+      const totalProtocolTvl = protocols.reduce((sum, p) => sum + (p.tvl || 0), 0);
+      
+      return {
+        chainName: getNetwork(network).displayName,
+        tvl: chainData.tvl,
+        protocolCount: protocols.length,
+        totalProtocolTvl,
+        topProtocols: protocols
+          .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
+          .slice(0, 10),
+      };
     },
     { duration: CACHE_DURATIONS.networkStats }
   );
 }
 
 /**
- * Get top protocols on Base by TVL
+ * Get top protocols on a chain by TVL
  * @param {number} limit - Number of protocols to return (default: 10)
+ * @param {string} network - Network name (default: active network)
  */
-export async function getTopBaseProtocols(limit = 10) {
-  const protocols = await getBaseProtocols();
+export async function getTopBaseProtocols(limit = 10, network = activeNetwork.name) {
+  const { data: protocols } = await getBaseProtocols(network);
   
   return protocols
     .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
@@ -232,11 +246,12 @@ export async function getTopBaseProtocols(limit = 10) {
 }
 
 /**
- * Get protocols by category on Base
+ * Get protocols by category on a chain
  * @param {string} category - Protocol category (e.g., 'DEX', 'Lending', 'Yield')
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseProtocolsByCategory(category) {
-  const protocols = await getBaseProtocols();
+export async function getBaseProtocolsByCategory(category, network = activeNetwork.name) {
+  const { data: protocols } = await getBaseProtocols(network);
   
   return protocols.filter(p => 
     p.category?.toLowerCase() === category.toLowerCase()
@@ -244,26 +259,62 @@ export async function getBaseProtocolsByCategory(category) {
 }
 
 /**
- * Get TVL change data for Base
+ * Get TVL change data for a chain
+ * Changes are weighted by protocol TVL, so large protocols move the total
+ * the way they move the chain's actual TVL
+ * @param {string} network - Network name (default: active network)
  */
-export async function getBaseTVLChange() {
+export async function getBaseTVLChange(network = activeNetwork.name) {
   return cacheApiRequest(
     SERVICE,
-    'base_tvl_change',
-    {},
+    'tvl_change',
+    { network },
+    async () => {
+      const { data: protocols } = await getBaseProtocols(network);
+      
+      // TVL-weighted change: compare current TVL with TVL at the start of the window
+      const weightedChange = (key) => {
+        let current = 0;
+        let previous = 0;
+        protocols.forEach((p) => {
+          if (!p.tvl || typeof p[key] !== 'number' || p[key] <= -100) return;
+          current += p.tvl;
+          previous += p.tvl / (1 + p[key] / 100);
+        });
+        return previous > 0 ? ((current - previous) / previous) * 100 : 0;
+      };
+      
+      return {
+        change1h: weightedChange('change_1h'),
+        change1d: weightedChange('change_1d'),
+        change7d: weightedChange('change_7d'),
+      };
+    },
+    { duration: CACHE_DURATIONS.networkStats }
+  );
+}
+
+/**
+ * Get daily historical TVL for a chain
+ * @param {number} days - Number of most recent days to return (default: 30)
+ * @param {string} network - Network name (default: active network)
+ * @returns {Array} [{ date, tvl }] with date in milliseconds
+ */
+export async function getBaseHistoricalTVL(days = 30, network = activeNetwork.name) {
+  const endpoint = API_CONFIG[SERVICE].endpoints.historicalChainTvl(getChainName(network));
+  
+  return cacheApiRequest(
+    SERVICE,
+    endpoint,
+    { days },
     async () => {
       return makeTrackedRequest(SERVICE, async () => {
-        const protocols = await getBaseProtocols();
-        
-        const totalChange1h = protocols.reduce((sum, p) => sum + (p.change_1h || 0), 0) / protocols.length;
-        const totalChange1d = protocols.reduce((sum, p) => sum + (p.change_1d || 0), 0) / protocols.length;
-        const totalChange7d = protocols.reduce((sum, p) => sum + (p.change_7d || 0), 0) / protocols.length;
+        const data = await fetchFromDeFiLlama(endpoint);
         
-        return {
-          change1h: totalChange1h,
-          change1d: totalChange1d,
-          change7d: totalChange7d,
-        };
+        return data.slice(-days).map((point) => ({
+          date: point.date * 1000,
+          tvl: point.tvl,
+        }));
       });
     },
     { duration: CACHE_DURATIONS.networkStats }
@@ -283,22 +334,20 @@ export async function compareL2Chains() {
     'l2_comparison',
     {},
     async () => {
-      return makeTrackedRequest(SERVICE, async () => {
-        const allChains = await getAllChains();
-        
-        // Filter for major L2s
-        const l2Names = ['Base', 'Arbitrum', 'Optimism', 'Polygon', 'zkSync Era'];
-        
-        return allChains
-          .filter(chain => l2Names.includes(chain.name))
-          .map(chain => ({
-            name: chain.name,
-            tvl: chain.tvl,
-            tokenSymbol: chain.tokenSymbol,
-            chainId: chain.chainId,
-          }))
-          .sort((a, b) => b.tvl - a.tvl);
-      });
+      const { data: allChains } = await getAllChains();
+      
+      // Filter for major L2s
+      const l2Names = ['Base', 'Arbitrum', 'OP Mainnet', 'Optimism', 'Polygon', 'zkSync Era'];
+      
+      return allChains
+        .filter(chain => l2Names.includes(chain.name))
+        .map(chain => ({
+          name: chain.name,
+          tvl: chain.tvl,
+          tokenSymbol: chain.tokenSymbol,
+          chainId: chain.chainId,
+        }))
+        .sort((a, b) => b.tvl - a.tvl);
     },
     { duration: CACHE_DURATIONS.networkStats }
   );
@@ -316,6 +365,7 @@ export default {
   getTopBaseProtocols,
   getBaseProtocolsByCategory,
   getBaseTVLChange,
+  getBaseHistoricalTVL,
   compareL2Chains,
 };
 
@@ -0,0 +1,123 @@
+/**
+ * DexScreener API Service
+ * Trending tokens and pair data, per network (Base by default)
+ */
+
+import { API_CONFIG, buildProxyUrl } from '@/config/api-endpoints';
+import { activeNetwork, getNetwork } from '@/config/networks';
+
+const SERVICE = 'dexScreener';
+const { endpoints } = API_CONFIG[SERVICE];
+
+// Pairs with less liquidity than this (USD) are ignored
+const MIN_LIQUIDITY_USD = 1000;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Make DexScreener API request (through the API gateway)
+ */
+async function fetchFromDexScreener(endpoint) {
+  const response = await fetch(buildProxyUrl(SERVICE, endpoint));
+
+  if (!response.ok) {
+    throw new Error(`DexScreener API error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the most liquid pair for a token on a chain
+ * @param {string} chainId - DexScreener chain id
+ * @returns {Promise<Object|null>} Pair, or null when none is found
+ */
+async function getTopPair(tokenAddress, chainId) {
+  try {
+    const data = await fetchFromDexScreener(endpoints.tokenPairs(tokenAddress));
+    return data.pairs
+      ?.filter(pair => pair.chainId === chainId)
+      ?.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0] || null;
+  } catch (err) {
+    console.warn(`Failed to fetch pair for ${tokenAddress}:`, err);
+    return null;
+  }
+}
+
+// ============================================
+// TRENDING
+// ============================================
+
+/**
+ * Get trending tokens on a network
+ * Uses the latest token profiles, falling back to paid orders on the chain
+ * @param {number} limit - Number of tokens wanted (more are fetched to allow for filtering)
+ * @param {string} network - Network name (default: active network)
+ * @returns {Promise<Array>} Unsorted tokens with price, volume, market cap and liquidity
+ */
+export async function getTrendingBaseTokens(limit = 10, network = activeNetwork.name) {
+  const chainId = getNetwork(network).apis.dexScreenerId;
+  const profiles = await fetchFromDexScreener(endpoints.tokenProfiles);
+
+  if (!Array.isArray(profiles)) {
+    throw new Error('Invalid response format from DexScreener');
+  }
+
+  const chainTokens = profiles.filter(profile =>
+    profile.chainId?.toLowerCase() === chainId && profile.tokenAddress
+  );
+
+  // No tokens for the chain in the latest profiles: use tokens with orders on it instead
+  if (chainTokens.length === 0) {
+    const orders = await fetchFromDexScreener(endpoints.orders(chainId)).catch(() => null);
+
+    if (Array.isArray(orders)) {
+      const seen = new Set();
+      for (const order of orders.slice(0, limit * 2)) {
+        if (order.tokenAddress && !seen.has(order.tokenAddress)) {
+          seen.add(order.tokenAddress);
+          chainTokens.push({ chainId, tokenAddress: order.tokenAddress });
+        }
+      }
+    }
+  }
+
+  // Limit pair lookups to avoid too many requests
+  const tokensToFetch = chainTokens.slice(0, Math.min(limit * 2, 30));
+  const pairs = (await Promise.all(
+    tokensToFetch.map(profile => getTopPair(profile.tokenAddress, chainId))
+  )).filter(Boolean);
+
+  // Keep the most liquid pair per token
+  const tokenMap = new Map();
+
+  pairs.forEach(pair => {
+    if (!pair.baseToken?.address || !pair.priceUsd || pair.liquidity?.usd < MIN_LIQUIDITY_USD) {
+      return;
+    }
+
+    const address = pair.baseToken.address.toLowerCase();
+    const liquidity = parseFloat(pair.liquidity?.usd || 0);
+
+    if (!tokenMap.has(address) || liquidity > tokenMap.get(address).liquidity) {
+      tokenMap.set(address, {
+        symbol: pair.baseToken.symbol,
+        name: pair.baseToken.name,
+        logo: pair.info?.imageUrl,
+        address: pair.baseToken.address,
+        price: parseFloat(pair.priceUsd || 0),
+        priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
+        volume24h: parseFloat(pair.volume?.h24 || 0),
+        marketCap: parseFloat(pair.fdv || pair.marketCap || 0),
+        liquidity,
+        txns24h: (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0),
+        pairAddress: pair.pairAddress,
+        dexId: pair.dexId,
+      });
+    }
+  });
+
+  return Array.from(tokenMap.values());
+}
@@ -7,9 +7,13 @@
 import * as CoinGeckoAPI from './coingecko';
 import * as DeFiLlamaAPI from './defillama';
 import * as BasescanAPI from './basescan';
+import * as MoralisAPI from './moralis';
+import * as SwapAPI from './swap';
+import * as DexScreenerAPI from './dexscreener';
+import * as SentimentAPI from './sentiment';
 
 // Re-export everything
-export { CoinGeckoAPI, DeFiLlamaAPI, BasescanAPI };
+export { CoinGeckoAPI, DeFiLlamaAPI, BasescanAPI, MoralisAPI, SwapAPI, DexScreenerAPI, SentimentAPI };
 
 // Named exports for convenience
 export {
@@ -38,25 +42,60 @@ export {
   getTopBaseProtocols,
   getBaseProtocolsByCategory,
   getBaseTVLChange,
+  getBaseHistoricalTVL,
   compareL2Chains,
 } from './defillama';
 
 export {
   // Basescan
   getGasPrices,
+  getRecordedGasHistory,
+  getL1FeeParams,
+  getLatestBlock,
   getAccountBalance,
   getTokenBalance,
   getMultipleTokenBalances,
+  getKnownAddressBalances,
+  getAddressActivity,
   getTransactions,
   getInternalTransactions,
   getContractABI,
   getWalletData,
 } from './basescan';
 
+export {
+  // Moralis
+  isMoralisEnabled,
+  getTokenHolders,
+} from './moralis';
+
+export {
+  // Swap
+  SwapAdapter,
+  registerSwapAdapter,
+  getSwapAdapter,
+  getSwapQuote,
+  applySlippage,
+} from './swap';
+
+export {
+  // DexScreener
+  getTrendingBaseTokens,
+} from './dexscreener';
+
+export {
+  // Sentiment
+  getFearGreedIndex,
+} from './sentiment';
+
 // Default export
 export default {
   CoinGecko: CoinGeckoAPI,
   DeFiLlama: DeFiLlamaAPI,
   Basescan: BasescanAPI,
+  Moralis: MoralisAPI,
+  Swap: SwapAPI,
+  DexScreener: DexScreenerAPI,
+  Sentiment: SentimentAPI,
 };
 
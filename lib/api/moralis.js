@@ -0,0 +1,81 @@
+/**
+ * Moralis API Service
+ * Wrapper for the Moralis indexer with rate limiting and caching
+ * Focus: Token holders
+ *
+ * Moralis needs an API key (free tier available), which the API gateway adds;
+ * isMoralisEnabled() tells whether one is configured.
+ */
+
+import { API_CONFIG, buildProxyUrl, CACHE_DURATIONS } from '@/config/api-endpoints';
+import { activeNetwork, getNetwork } from '@/config/networks';
+import { cacheApiRequest } from '@/lib/utils/cache';
+import { createHttpError, makeTrackedRequest } from '@/lib/utils/rate-limiter';
+
+const SERVICE = 'moralis';
+const { endpoints } = API_CONFIG[SERVICE];
+
+// Largest page the owners endpoint returns
+const MAX_OWNERS = 100;
+
+/**
+ * Whether a Moralis API key is configured on the server
+ */
+export function isMoralisEnabled() {
+  return process.env.NEXT_PUBLIC_MORALIS_ENABLED === 'true';
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Make Moralis API request (through the API gateway, which adds the key)
+ */
+async function fetchFromMoralis(endpoint, params = {}) {
+  const response = await fetch(buildProxyUrl(SERVICE, endpoint, params));
+
+  if (!response.ok) {
+    throw createHttpError(`Moralis API error: ${response.status} ${response.statusText}`, response);
+  }
+
+  return response.json();
+}
+
+// ============================================
+// HOLDERS
+// ============================================
+
+/**
+ * Get the largest holders of a token
+ * @param {string} tokenAddress - Token contract address
+ * @param {number} limit - Number of holders to return (default: 10, max: 100)
+ * @param {string} network - Network name (default: active network)
+ * @returns {Array} [{ address, balance, label }] with raw balances, largest first;
+ *   label is Moralis' name for the address, or null
+ */
+export async function getTokenHolders(tokenAddress, limit = 10, network = activeNetwork.name) {
+  const endpoint = endpoints.tokenOwners(tokenAddress);
+
+  return cacheApiRequest(
+    SERVICE,
+    endpoint,
+    { network, limit },
+    async () => {
+      return makeTrackedRequest(SERVICE, async () => {
+        const data = await fetchFromMoralis(endpoint, {
+          chain: getNetwork(network).apis.moralisChain,
+          limit: Math.min(limit, MAX_OWNERS),
+          order: 'DESC',
+        });
+
+        return (data.result || []).map(item => ({
+          address: item.owner_address,
+          balance: item.balance,
+          label: item.owner_address_label || null,
+        }));
+      });
+    },
+    { duration: CACHE_DURATIONS.richLists }
+  );
+}
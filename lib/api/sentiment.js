@@ -0,0 +1,28 @@
+/**
+ * Market Sentiment Service
+ * Crypto Fear & Greed Index from alternative.me
+ */
+
+import { API_CONFIG, buildProxyUrl } from '@/config/api-endpoints';
+
+const SERVICE = 'alternativeMe';
+
+/**
+ * Get the latest Fear & Greed Index reading
+ * @returns {Promise<Object>} { value, value_classification, timestamp }
+ */
+export async function getFearGreedIndex() {
+  const response = await fetch(buildProxyUrl(SERVICE, API_CONFIG[SERVICE].endpoints.fearGreed, { limit: 1 }));
+
+  if (!response.ok) {
+    throw new Error(`Fear & Greed API error: ${response.status}`);
+  }
+
+  const result = await response.json();
+
+  if (!result.data?.length) {
+    throw new Error('No Fear & Greed data available');
+  }
+
+  return result.data[0];
+}
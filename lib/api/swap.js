@@ -0,0 +1,245 @@
+/**
+ * Swap Quote Service
+ * Pluggable aggregator adapters for swap quotes
+ *
+ * Every adapter implements `getQuote(params)` and resolves to the same
+ * normalized shape, so the Quick Swap widget never depends on a specific
+ * aggregator. The stub adapter prices swaps from CoinGecko and returns no
+ * transaction, which keeps local development free of API keys. Adapters
+ * marked `requiresTaker` only quote for a wallet; until one is connected,
+ * the stub previews the swap instead.
+ */
+
+import { parseUnits, formatUnits } from 'viem';
+import { API_CONFIG, buildProxyUrl } from '@/config/api-endpoints';
+import { makeTrackedRequest } from '@/lib/utils/rate-limiter';
+import { getBatchTokenPrices } from '@/lib/api/coingecko';
+import { getNetwork } from '@/config/networks';
+import { getNativePriceAddress } from '@/config/tokens';
+
+// Aggregators use this placeholder address for native ETH
+export const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+/**
+ * Built-in adapter ids
+ */
+export const SwapAdapter = {
+  ZERO_EX: 'zeroEx',
+  STUB: 'stub',
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Contract address an aggregator expects for a token list entry
+ */
+export const getSwapTokenAddress = (token) =>
+  token.address === 'native' ? NATIVE_TOKEN_ADDRESS : token.address;
+
+/**
+ * Apply slippage tolerance to an output amount
+ * @param {bigint} amount - Quoted output amount in base units
+ * @param {number} slippage - Slippage tolerance in percent (e.g. 0.5)
+ * @returns {bigint} Minimum amount received
+ */
+export function applySlippage(amount, slippage) {
+  const slippageBps = BigInt(Math.round(slippage * 100));
+  return (amount * (10000n - slippageBps)) / 10000n;
+}
+
+/**
+ * Get USD prices for a token pair
+ * @returns {Promise<Object>} { sell, buy } - USD price per whole token, or null
+ */
+async function getPairUsdPrices(sellToken, buyToken, network) {
+  const priceAddress = (token) =>
+    (token.address === 'native' ? getNativePriceAddress(network) : token.address).toLowerCase();
+
+  const { data } = await getBatchTokenPrices(
+    [priceAddress(sellToken), priceAddress(buyToken)],
+    'usd',
+    { network }
+  );
+
+  return {
+    sell: data[priceAddress(sellToken)]?.usd ?? null,
+    buy: data[priceAddress(buyToken)]?.usd ?? null,
+  };
+}
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+/**
+ * 0x Swap API (AllowanceHolder flow)
+ * Returns a firm quote with calldata and the spender that needs an allowance
+ */
+const zeroExAdapter = {
+  id: SwapAdapter.ZERO_EX,
+  name: '0x',
+  requiresTaker: true,
+
+  async getQuote({ sellToken, buyToken, sellAmount, taker, slippage, network }) {
+    const service = 'zeroEx';
+    const url = buildProxyUrl(service, API_CONFIG[service].endpoints.quote, {
+      chainId: getNetwork(network).id,
+      sellToken: getSwapTokenAddress(sellToken),
+      buyToken: getSwapTokenAddress(buyToken),
+      sellAmount: sellAmount.toString(),
+      taker,
+      slippageBps: Math.round(slippage * 100),
+    });
+
+    return makeTrackedRequest(service, async () => {
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `0x API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      if (data.liquidityAvailable === false) {
+        throw new Error('Not enough liquidity for this swap');
+      }
+
+      return {
+        buyAmount: BigInt(data.buyAmount),
+        allowanceTarget: data.issues?.allowance?.spender || null,
+        transaction: {
+          to: data.transaction.to,
+          data: data.transaction.data,
+          value: BigInt(data.transaction.value || 0),
+          gas: data.transaction.gas ? BigInt(data.transaction.gas) : undefined,
+        },
+      };
+    });
+  },
+};
+
+/**
+ * Local stub
+ * Quotes from CoinGecko spot prices with a flat fee and size-based impact
+ */
+const stubAdapter = {
+  id: SwapAdapter.STUB,
+  name: 'Local stub',
+
+  async getQuote({ sellToken, buyToken, sellAmount, network }) {
+    const prices = await getPairUsdPrices(sellToken, buyToken, network);
+
+    if (!prices.sell || !prices.buy) {
+      throw new Error('No price available for this pair');
+    }
+
+    const sellUsd = Number(formatUnits(sellAmount, sellToken.decimals)) * prices.sell;
+    // 0.3% pool fee plus 1% impact per $100k, capped at 5%
+    const loss = 0.003 + Math.min(sellUsd / 10000000, 0.05);
+    const buyWhole = (sellUsd * (1 - loss)) / prices.buy;
+
+    return {
+      buyAmount: parseUnits(buyWhole.toFixed(buyToken.decimals), buyToken.decimals),
+      allowanceTarget: null,
+      transaction: null,
+    };
+  },
+};
+
+const adapters = {
+  [zeroExAdapter.id]: zeroExAdapter,
+  [stubAdapter.id]: stubAdapter,
+};
+
+/**
+ * Register a custom adapter (or replace a built-in one)
+ * @param {Object} adapter - { id, name, getQuote(params), requiresTaker }
+ */
+export function registerSwapAdapter(adapter) {
+  if (!adapter?.id || typeof adapter.getQuote !== 'function') {
+    throw new Error('Swap adapters need an id and a getQuote function');
+  }
+  adapters[adapter.id] = adapter;
+}
+
+/**
+ * Resolve the adapter to use
+ * NEXT_PUBLIC_SWAP_ADAPTER wins; otherwise 0x when the server has a key, the stub when not
+ * @param {string} id - Adapter id (optional)
+ */
+export function getSwapAdapter(id) {
+  const adapterId = id
+    || process.env.NEXT_PUBLIC_SWAP_ADAPTER
+    || (process.env.NEXT_PUBLIC_ZEROX_ENABLED === 'true' ? SwapAdapter.ZERO_EX : SwapAdapter.STUB);
+
+  const adapter = adapters[adapterId];
+  if (!adapter) {
+    throw new Error(`Unknown swap adapter: ${adapterId}`);
+  }
+  return adapter;
+}
+
+// ============================================
+// QUOTES
+// ============================================
+
+/**
+ * Get a normalized swap quote
+ * @param {Object} params
+ * @param {Object} params.sellToken - Token list entry to sell (see config/tokens.js)
+ * @param {Object} params.buyToken - Token list entry to buy
+ * @param {string} params.amount - Human-readable sell amount (e.g. '0.5')
+ * @param {string} params.taker - Wallet address that will submit the swap
+ * @param {number} params.slippage - Slippage tolerance in percent
+ * @param {string} params.network - Network the tokens live on (default: 'base')
+ * @param {string} adapterId - Adapter override (optional)
+ * @returns {Promise<Object>} Quote with amounts (bigint), minimum received, price
+ *   impact, transaction and quotedAt (ms)
+ */
+export async function getSwapQuote({ sellToken, buyToken, amount, taker, slippage, network = 'base' }, adapterId) {
+  const selected = getSwapAdapter(adapterId);
+  const adapter = selected.requiresTaker && !taker ? adapters[SwapAdapter.STUB] : selected;
+  const sellAmount = parseUnits(amount, sellToken.decimals);
+
+  if (sellAmount <= 0n) {
+    throw new Error('Enter an amount to swap');
+  }
+
+  const [quote, prices] = await Promise.all([
+    adapter.getQuote({ sellToken, buyToken, sellAmount, taker, slippage, network }),
+    // Prices only feed the impact estimate; a missing price just hides it
+    getPairUsdPrices(sellToken, buyToken, network).catch(() => ({ sell: null, buy: null })),
+  ]);
+
+  const sellWhole = Number(formatUnits(sellAmount, sellToken.decimals));
+  const buyWhole = Number(formatUnits(quote.buyAmount, buyToken.decimals));
+
+  // Value lost against spot prices, unless the adapter reports its own
+  let priceImpact = quote.priceImpact ?? null;
+  if (priceImpact === null && prices.sell && prices.buy && sellWhole > 0) {
+    const sellUsd = sellWhole * prices.sell;
+    priceImpact = Math.max(0, ((sellUsd - buyWhole * prices.buy) / sellUsd) * 100);
+  }
+
+  const minBuyAmount = applySlippage(quote.buyAmount, slippage);
+
+  return {
+    adapter: adapter.id,
+    sellToken: sellToken.symbol,
+    buyToken: buyToken.symbol,
+    sellAmount,
+    buyAmount: quote.buyAmount,
+    minBuyAmount,
+    formattedBuyAmount: formatUnits(quote.buyAmount, buyToken.decimals),
+    formattedMinBuyAmount: formatUnits(minBuyAmount, buyToken.decimals),
+    rate: sellWhole > 0 ? buyWhole / sellWhole : 0,
+    priceImpact,
+    slippage,
+    allowanceTarget: quote.allowanceTarget,
+    transaction: quote.transaction,
+    quotedAt: Date.now(),
+  };
+}
@@ -29,6 +29,7 @@ export const appConfig = {
     communityHub: true,
     shareLinks: true,
     templates: true,
+    diagnostics: true, // API usage page
     darkMode: true,
     customThemes: false, // Future feature
     notifications: false, // Future feature
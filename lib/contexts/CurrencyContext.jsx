@@ -1,6 +1,7 @@
 'use client';
 
 import { createContext, useContext, useState, useEffect } from 'react';
+import { API_CONFIG, buildProxyUrl } from '@/config/api-endpoints';
 
 const CurrencyContext = createContext();
 
@@ -51,8 +52,8 @@ export function CurrencyProvider({ children }) {
   // Fetch exchange rates from a free API
   async function fetchExchangeRates() {
     try {
-      // Using exchangerate-api.com free tier (1500 requests/month)
-      const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
+      // Using exchangerate-api.com free tier (1500 requests/month), via the API gateway
+      const response = await fetch(buildProxyUrl('exchangeRate', API_CONFIG.exchangeRate.endpoints.latest('USD')));
       const data = await response.json();
       
       if (data && data.rates) {
@@ -0,0 +1,89 @@
+'use client';
+
+import { createContext, useContext, useSyncExternalStore } from 'react';
+import { useAccount, useSwitchChain } from 'wagmi';
+import { networks, activeNetwork, getAllNetworks } from '@/config/networks';
+
+const NetworkContext = createContext();
+
+const STORAGE_KEY = 'preferredNetwork';
+
+// The preferred network lives in localStorage; listeners re-render on changes
+// from this tab (savePreferredNetwork) and from others (storage events)
+const listeners = new Set();
+
+function subscribePreferredNetwork(onChange) {
+  listeners.add(onChange);
+  window.addEventListener('storage', onChange);
+
+  return () => {
+    listeners.delete(onChange);
+    window.removeEventListener('storage', onChange);
+  };
+}
+
+function getPreferredNetwork() {
+  const savedNetwork = localStorage.getItem(STORAGE_KEY);
+  return networks[savedNetwork] ? savedNetwork : activeNetwork.name;
+}
+
+// The server renders NEXT_PUBLIC_NETWORK; the saved choice applies after hydration
+const getServerPreferredNetwork = () => activeNetwork.name;
+
+function savePreferredNetwork(name) {
+  localStorage.setItem(STORAGE_KEY, name);
+  listeners.forEach(listener => listener());
+}
+
+export function NetworkProvider({ children }) {
+  const networkName = useSyncExternalStore(
+    subscribePreferredNetwork,
+    getPreferredNetwork,
+    getServerPreferredNetwork
+  );
+  const { isConnected, chainId } = useAccount();
+  const { switchChain } = useSwitchChain();
+
+  const network = networks[networkName];
+
+  // Switch network, and move a connected wallet along with it
+  const changeNetwork = (name) => {
+    const found = networks[name];
+    if (!found) return;
+
+    savePreferredNetwork(name);
+
+    if (isConnected && chainId !== found.id) {
+      switchChain({ chainId: found.id });
+    }
+  };
+
+  const value = {
+    network,
+    networks: getAllNetworks(),
+    changeNetwork,
+  };
+
+  return (
+    <NetworkContext.Provider value={value}>
+      {children}
+    </NetworkContext.Provider>
+  );
+}
+
+export function useNetwork() {
+  const context = useContext(NetworkContext);
+  if (!context) {
+    throw new Error('useNetwork must be used within a NetworkProvider');
+  }
+  return context;
+}
+
+/**
+ * Network a widget reads from: its own `network` config, else the header's
+ * @param {string} networkName - Network from the widget config (optional)
+ */
+export function useWidgetNetwork(networkName) {
+  const { network } = useNetwork();
+  return networks[networkName] || network;
+}
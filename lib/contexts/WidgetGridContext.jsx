@@ -0,0 +1,18 @@
+'use client';
+
+import { createContext, useContext } from 'react';
+
+// Grid-wide settings read by cards; defaults apply outside any grid
+const WidgetGridContext = createContext({ readOnly: false });
+
+export function WidgetGridProvider({ readOnly = false, children }) {
+  return (
+    <WidgetGridContext.Provider value={{ readOnly }}>
+      {children}
+    </WidgetGridContext.Provider>
+  );
+}
+
+export function useWidgetGrid() {
+  return useContext(WidgetGridContext);
+}
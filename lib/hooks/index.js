@@ -8,3 +8,18 @@ export { useUser } from './useUser';
 export { useLayouts } from './useLayouts';
 export { useWidgets } from './useWidgets';
 
+export {
+  queryKeys,
+  useTokenPrice,
+  useMarketChart,
+  useGasPrices,
+  useGasHistory,
+  useLatestBlock,
+  useBaseTVL,
+  useTVLHistory,
+  useBaseTVLChange,
+  useBaseHistoricalTVL,
+  useL2Comparison,
+  useFearGreedIndex,
+  useTrendingTokens,
+} from './useApiQueries';
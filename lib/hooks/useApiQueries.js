@@ -0,0 +1,465 @@
+/**
+ * API Query Hooks
+ * Shared TanStack Query layer over lib/api for widgets
+ *
+ * Widgets that ask for the same data share one query key, so a request is
+ * made once however many cards show it. Polling follows each widget's
+ * refresh interval and pauses while the tab is hidden; retries follow
+ * apiConfig.retry (see lib/query-client.js). Chain data is keyed by network:
+ * hooks take the widget's `network` option and fall back to the network
+ * selected in the header (see NetworkContext).
+ */
+
+'use client';
+
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getTokenPrice, getBatchTokenPrices, getTokenMarketChart, getMarketChart } from '@/lib/api/coingecko';
+import { getBaseTVL, getBaseTVLChange, getBaseHistoricalTVL, compareL2Chains } from '@/lib/api/defillama';
+import { getGasPrices, getRecordedGasHistory, getL1FeeParams, getLatestBlock } from '@/lib/api/basescan';
+import { getTrendingBaseTokens } from '@/lib/api/dexscreener';
+import { getFearGreedIndex } from '@/lib/api/sentiment';
+import { RequestPriority } from '@/lib/utils/rate-limiter';
+import { useWidgetNetwork } from '@/lib/contexts/NetworkContext';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Locally sampled history, persisted so charts survive reloads
+const GAS_HISTORY = { storageKey: 'gasTracker_historical', retention: DAY, maxPoints: 100 };
+const TVL_HISTORY = { storageKey: 'networkStats_tvlHistory', retention: DAY };
+
+// Gas readings older than this are flagged stale (the RPC failed and the cache served the last one)
+const GAS_STALE_AFTER = MINUTE;
+
+/**
+ * Query keys
+ * Use these when reading or invalidating cached data outside the hooks
+ */
+export const queryKeys = {
+  tokenPrice: (network, address) => ['tokenPrice', network, address?.toLowerCase()],
+  batchTokenPrices: (network, addresses) => ['batchTokenPrices', network, addresses.join(',')],
+  marketChart: (network, address, days) => ['marketChart', network, address?.toLowerCase(), Number(days)],
+  coinMarketChart: (coinId, days) => ['coinMarketChart', coinId, Number(days)],
+  gasPrices: (network) => ['gasPrices', network],
+  gasHistory: (network) => ['gasHistory', network],
+  recordedGasHistory: (network, days) => ['recordedGasHistory', network, days],
+  l1FeeParams: (network) => ['l1FeeParams', network],
+  latestBlock: (network) => ['latestBlock', network],
+  baseTVL: (network) => ['baseTVL', network],
+  tvlHistory: (network) => ['tvlHistory', network],
+  baseTVLChange: (network) => ['baseTVLChange', network],
+  baseHistoricalTVL: (network, days) => ['baseHistoricalTVL', network, days],
+  l2Comparison: () => ['l2Comparison'],
+  fearGreedIndex: () => ['fearGreedIndex'],
+  trendingTokens: (network, limit) => ['trendingTokens', network, limit],
+  portfolio: (network, address) => ['portfolio', network, address?.toLowerCase()],
+  richList: (network, token, options) => ['richList', network, token, options],
+  serverUsage: () => ['serverUsage'],
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * localStorage key of a network's sampled history
+ */
+function getHistoryStorageKey(history, network) {
+  return `${history.storageKey}_${network}`;
+}
+
+/**
+ * Load sampled history from localStorage, dropping expired points
+ */
+function loadSamples(history, network) {
+  if (typeof window === 'undefined') return [];
+
+  const storageKey = getHistoryStorageKey(history, network);
+  const cutoff = Date.now() - history.retention;
+
+  try {
+    const stored = localStorage.getItem(storageKey);
+    if (!stored) return [];
+    return JSON.parse(stored).filter(item => item.timestamp > cutoff);
+  } catch (err) {
+    console.error(`Error loading ${storageKey}:`, err);
+    return [];
+  }
+}
+
+/**
+ * Append a sample to a history query and persist it
+ */
+function recordSample(queryClient, queryKey, history, network, sample) {
+  const storageKey = getHistoryStorageKey(history, network);
+  const cutoff = Date.now() - history.retention;
+
+  const next = queryClient.setQueryData(queryKey, (prev) => {
+    const updated = [...(prev ?? loadSamples(history, network)), sample].filter(item => item.timestamp > cutoff);
+    return history.maxPoints ? updated.slice(-history.maxPoints) : updated;
+  });
+
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(next));
+  } catch (err) {
+    console.error(`Error saving ${storageKey}:`, err);
+  }
+}
+
+/**
+ * Rate limiter options for a query: requests from a visible tab go ahead of
+ * background refetches, and queued requests are dropped once no widget needs them
+ */
+function getRequestOptions(signal) {
+  const hidden = typeof document !== 'undefined' && document.hidden;
+  return { signal, priority: hidden ? RequestPriority.LOW : RequestPriority.HIGH };
+}
+
+// ============================================
+// PRICES
+// ============================================
+
+/**
+ * Live price for a token contract
+ * @param {string} address - Token contract address (query is disabled without one)
+ * @param {Object} options - { refreshInterval } in ms, { network } (default: header network)
+ * @returns {Object} Query result; data is { price, priceChange24h, volume24h, marketCap }
+ */
+export function useTokenPrice(address, { refreshInterval, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.tokenPrice(network.name, address),
+    queryFn: async ({ signal }) => {
+      const { data } = await getTokenPrice(address, 'usd', { network: network.name, ...getRequestOptions(signal) });
+
+      if (!data || !data.price) {
+        throw new Error('Price data not available for this token. It may not be listed on CoinGecko yet.');
+      }
+
+      return data;
+    },
+    enabled: Boolean(address),
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * Live prices for several token contracts in one request
+ * Addresses are deduplicated and sorted, so reordering a list reuses the cache.
+ * @param {string[]} addresses - Token contract addresses (query is disabled when empty)
+ * @param {Object} options - { refreshInterval } in ms, { network } (default: header network)
+ * @returns {Object} Query result; data is keyed by lowercase address:
+ *   { usd, usd_24h_change, usd_24h_vol, usd_market_cap }
+ */
+export function useBatchTokenPrices(addresses, { refreshInterval, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+  const sorted = [...new Set(addresses.map(address => address.toLowerCase()))].sort();
+
+  return useQuery({
+    queryKey: queryKeys.batchTokenPrices(network.name, sorted),
+    queryFn: async () => {
+      const { data } = await getBatchTokenPrices(sorted, 'usd', { network: network.name });
+
+      if (!data) {
+        throw new Error('Failed to fetch token prices');
+      }
+
+      return data;
+    },
+    enabled: sorted.length > 0,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * Price history for a token contract
+ * @param {string} address - Token contract address (query is disabled without one)
+ * @param {number} days - Days of history
+ * @param {Object} options - { network } (default: header network)
+ * @returns {Object} Query result; data is { prices, ohlcv }
+ */
+export function useMarketChart(address, days, { network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.marketChart(network.name, address, days),
+    queryFn: async ({ signal }) => {
+      const { data } = await getTokenMarketChart(address, 'usd', Number(days), {
+        network: network.name,
+        ...getRequestOptions(signal),
+      });
+
+      if (!data?.prices?.length) {
+        throw new Error('No chart data available for this token');
+      }
+
+      return data;
+    },
+    enabled: Boolean(address),
+  });
+}
+
+/**
+ * Price history for a CoinGecko coin id (chain-independent)
+ * @param {string} coinId - CoinGecko id (query is disabled without one)
+ * @param {number} days - Days of history
+ * @returns {Object} Query result; data is { prices, marketCaps, volumes }
+ */
+export function useCoinMarketChart(coinId, days) {
+  return useQuery({
+    queryKey: queryKeys.coinMarketChart(coinId, days),
+    queryFn: async () => {
+      const { data } = await getMarketChart(coinId, Number(days));
+
+      if (!data?.prices?.length) {
+        throw new Error('No chart data available for this token');
+      }
+
+      return data;
+    },
+    enabled: Boolean(coinId),
+  });
+}
+
+// ============================================
+// NETWORK
+// ============================================
+
+/**
+ * Current gas prices
+ * Every new reading is also recorded in the shared gas history (see useGasHistory).
+ * data.stale is set when an old reading is served because the RPC failed.
+ * @param {Object} options - { refreshInterval, enabled, network }
+ */
+export function useGasPrices({ refreshInterval, enabled = true, network: networkName } = {}) {
+  const queryClient = useQueryClient();
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.gasPrices(network.name),
+    queryFn: async () => {
+      const { data, cached } = await getGasPrices(network.name);
+
+      if (!data) {
+        throw new Error('Failed to fetch gas prices');
+      }
+
+      // Polls outpace the gas cache, so a cached reading (fresh or stale)
+      // repeats an earlier sample; keep it out of the history
+      if (!cached) {
+        recordSample(queryClient, queryKeys.gasHistory(network.name), GAS_HISTORY, network.name, {
+          timestamp: data.fetchedAt,
+          safe: parseFloat(data.safeGasPrice),
+          standard: parseFloat(data.proposeGasPrice),
+          fast: parseFloat(data.fastGasPrice),
+        });
+      }
+
+      return { ...data, stale: Date.now() - data.fetchedAt > GAS_STALE_AFTER };
+    },
+    enabled,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * Gas history recorded on the server, averaged per hour
+ * Unlike useGasHistory it spans weeks and hours when no tab was open, so it
+ * backs the hour-of-week heatmap (see buildHourOfWeekHeatmap in lib/utils/gas.js)
+ * @param {Object} options - { days, enabled, network }
+ */
+export function useRecordedGasHistory({ days = 28, enabled = true, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.recordedGasHistory(network.name, days),
+    queryFn: async () => {
+      const { data } = await getRecordedGasHistory(network.name, days);
+      return data;
+    },
+    enabled,
+    refetchInterval: 5 * MINUTE,
+  });
+}
+
+/**
+ * L1 data fee parameters of an OP-stack network
+ * Disabled on networks without a GasPriceOracle (data stays undefined, so
+ * costs are execution gas only); price a transaction with lib/utils/tx-cost.js
+ * @param {Object} options - { refreshInterval, network }
+ */
+export function useL1FeeParams({ refreshInterval, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.l1FeeParams(network.name),
+    queryFn: async () => {
+      const { data } = await getL1FeeParams(network.name);
+
+      if (!data) {
+        throw new Error('Failed to fetch L1 fee parameters');
+      }
+
+      return data;
+    },
+    enabled: Boolean(network.apis.gasPriceOracle),
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * Gas prices sampled by useGasPrices over the last 24 hours (max 100 points)
+ * @param {Object} options - { network } (default: header network)
+ * @returns {Array} [{ timestamp, safe, standard, fast }]
+ */
+export function useGasHistory({ network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  const { data } = useQuery({
+    queryKey: queryKeys.gasHistory(network.name),
+    queryFn: () => loadSamples(GAS_HISTORY, network.name),
+    staleTime: Infinity,
+  });
+
+  return data ?? [];
+}
+
+/**
+ * Latest block
+ * @param {Object} options - { refreshInterval, enabled, network }
+ */
+export function useLatestBlock({ refreshInterval, enabled = true, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.latestBlock(network.name),
+    queryFn: async () => (await getLatestBlock(network.name)).data,
+    enabled,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+// ============================================
+// TVL
+// ============================================
+
+/**
+ * Current chain TVL in USD
+ * Every fetch is also recorded in the shared TVL history (see useTVLHistory)
+ * @param {Object} options - { refreshInterval, enabled, network }
+ */
+export function useBaseTVL({ refreshInterval, enabled = true, network: networkName } = {}) {
+  const queryClient = useQueryClient();
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.baseTVL(network.name),
+    queryFn: async () => {
+      const { data } = await getBaseTVL(network.name);
+
+      if (typeof data === 'number') {
+        recordSample(queryClient, queryKeys.tvlHistory(network.name), TVL_HISTORY, network.name, {
+          timestamp: Date.now(),
+          tvl: data,
+        });
+      }
+
+      return data;
+    },
+    enabled,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * Chain TVL sampled by useBaseTVL over the last 24 hours
+ * @param {Object} options - { network } (default: header network)
+ * @returns {Array} [{ timestamp, tvl }]
+ */
+export function useTVLHistory({ network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  const { data } = useQuery({
+    queryKey: queryKeys.tvlHistory(network.name),
+    queryFn: () => loadSamples(TVL_HISTORY, network.name),
+    staleTime: Infinity,
+  });
+
+  return data ?? [];
+}
+
+/**
+ * Chain TVL change over 1h, 1d and 7d
+ * @param {Object} options - { refreshInterval, enabled, network }
+ */
+export function useBaseTVLChange({ refreshInterval, enabled = true, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.baseTVLChange(network.name),
+    queryFn: async () => (await getBaseTVLChange(network.name)).data,
+    enabled,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * Daily chain TVL history
+ * @param {number} days - Days of history
+ * @param {Object} options - { refreshInterval, enabled, network }
+ */
+export function useBaseHistoricalTVL(days, { refreshInterval, enabled = true, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.baseHistoricalTVL(network.name, days),
+    queryFn: async () => (await getBaseHistoricalTVL(days, network.name)).data,
+    enabled,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+/**
+ * TVL of Base and other L2s
+ * @param {Object} options - { refreshInterval, enabled }
+ */
+export function useL2Comparison({ refreshInterval, enabled = true } = {}) {
+  return useQuery({
+    queryKey: queryKeys.l2Comparison(),
+    queryFn: async () => (await compareL2Chains()).data,
+    enabled,
+    refetchInterval: refreshInterval || false,
+  });
+}
+
+// ============================================
+// MARKET
+// ============================================
+
+/**
+ * Crypto Fear & Greed Index (updates daily; polled every 5 minutes)
+ */
+export function useFearGreedIndex() {
+  return useQuery({
+    queryKey: queryKeys.fearGreedIndex(),
+    queryFn: getFearGreedIndex,
+    staleTime: 5 * MINUTE,
+    refetchInterval: 5 * MINUTE,
+  });
+}
+
+/**
+ * Trending tokens from DexScreener (unsorted)
+ * @param {number} limit - Number of tokens wanted
+ * @param {Object} options - { refreshInterval, network }
+ */
+export function useTrendingTokens(limit, { refreshInterval = 30000, network: networkName } = {}) {
+  const network = useWidgetNetwork(networkName);
+
+  return useQuery({
+    queryKey: queryKeys.trendingTokens(network.name, limit),
+    queryFn: () => getTrendingBaseTokens(limit, network.name),
+    refetchInterval: refreshInterval || false,
+  });
+}
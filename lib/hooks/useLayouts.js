@@ -1,20 +1,64 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { isSupabaseAvailable, createTemplate } from '@/lib/supabase';
+import {
+  ConflictStrategy,
+  loadSyncQueue,
+  updateSyncQueue,
+  markLayoutDirty,
+  markLayoutDeleted,
+  touchChangedWidgets,
+  mergeRemoteLayouts,
+  pullLayouts,
+  pushLayout,
+  pushDeletion,
+  withSyncLock,
+  subscribeToRemoteLayouts,
+  createLayoutBroadcast,
+} from '@/lib/utils/layout-sync';
+
+// Delay before queued edits are pushed, so drags and typing batch together
+const SYNC_DEBOUNCE = 1000;
+
+// Delay before a realtime change triggers a pull, so bursts collapse into one
+const REALTIME_DEBOUNCE = 500;
+
+// Number of own push timestamps remembered to ignore realtime echoes
+const OWN_WRITES_LIMIT = 50;
+
+const hasQueuedChanges = (queue) => queue.dirty.length > 0 || queue.deleted.length > 0;
 
 /**
  * useLayouts hook - Manages multiple dashboard layouts
- * Currently uses localStorage, designed to easily migrate to Supabase
- * 
- * Future Supabase migration:
- * - Replace localStorage with Supabase queries
- * - Keep the same API interface
- * - Add real-time sync capabilities
+ * localStorage is the offline-first store. When a signed-in user is
+ * available, edits are queued and synced to Supabase (see layout-sync).
+ * Changes from other tabs and devices are applied live.
+ *
+ * @param {string} userId - Supabase user ID (guest layouts never sync)
+ * @param {Object} options - { conflictStrategy } - ConflictStrategy value, defaults to merge
  */
-export const useLayouts = (userId) => {
+export const useLayouts = (userId, options = {}) => {
+  const { conflictStrategy = ConflictStrategy.MERGE } = options;
   const [layouts, setLayouts] = useState([]);
   const [activeLayoutId, setActiveLayoutId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [syncStatus, setSyncStatus] = useState('idle'); // idle | syncing | offline | error
+
+  const layoutsRef = useRef(layouts);
+  const flushTimeoutRef = useRef(null);
+  const isFlushingRef = useRef(false);
+  const pendingFlushRef = useRef(false);
+  const ownWritesRef = useRef(new Set());
+  const syncedIdsRef = useRef(new Map()); // Local layout id -> remote id, filled by pushes
+  const broadcastRef = useRef(null);
+  const applyingBroadcastRef = useRef(false);
+
+  const canSync = Boolean(userId) && isSupabaseAvailable();
+
+  useEffect(() => {
+    layoutsRef.current = layouts;
+  }, [layouts]);
 
   // Storage keys
   const getStorageKeys = useCallback(() => {
@@ -71,24 +115,259 @@ export const useLayouts = (userId) => {
     }
   }, [layouts, activeLayoutId, isLoading, getStorageKeys]);
 
+  // Remember timestamps written by this tab so realtime echoes are ignored
+  const rememberOwnWrite = (timestamp) => {
+    const writes = ownWritesRef.current;
+    writes.add(timestamp);
+    if (writes.size > OWN_WRITES_LIMIT) {
+      writes.delete(writes.values().next().value);
+    }
+  };
+
+  // Push queued deletions and dirty layouts to Supabase
+  // Resolves true once everything queued has been pushed
+  const flushSyncQueue = useCallback(async () => {
+    if (!canSync) return false;
+    if (isFlushingRef.current) {
+      pendingFlushRef.current = true;
+      return false;
+    }
+    if (typeof navigator !== 'undefined' && !navigator.onLine) {
+      setSyncStatus('offline');
+      return false;
+    }
+
+    if (!hasQueuedChanges(loadSyncQueue(userId))) {
+      setSyncStatus('idle');
+      return true;
+    }
+
+    isFlushingRef.current = true;
+    setSyncStatus('syncing');
+
+    try {
+      await withSyncLock(userId, async () => {
+        // Edits queued while a pass is running are picked up by another pass
+        do {
+          pendingFlushRef.current = false;
+          const queue = loadSyncQueue(userId);
+
+          for (const remoteId of queue.deleted) {
+            await pushDeletion(remoteId);
+            updateSyncQueue(userId, (q) => ({ ...q, deleted: q.deleted.filter(id => id !== remoteId) }));
+          }
+
+          if (queue.dirty.length === 0) continue;
+
+          const remoteRows = await pullLayouts(userId);
+          const remoteById = new Map(remoteRows.map(row => [row.id, row]));
+
+          for (const layoutId of queue.dirty) {
+            const snapshot = layoutsRef.current.find(l => l.id === layoutId);
+            if (!snapshot) {
+              updateSyncQueue(userId, (q) => ({ ...q, dirty: q.dirty.filter(id => id !== layoutId) }));
+              continue;
+            }
+
+            const synced = await pushLayout(userId, snapshot, remoteById.get(snapshot.remoteId), conflictStrategy);
+            rememberOwnWrite(synced.syncedAt);
+            syncedIdsRef.current.set(layoutId, synced.remoteId);
+            const current = layoutsRef.current.find(l => l.id === layoutId);
+            const editedDuringPush = current && current.updatedAt !== snapshot.updatedAt;
+
+            setLayouts(prev =>
+              prev.map(layout => {
+                if (layout.id !== layoutId) return layout;
+                if (layout.updatedAt === snapshot.updatedAt) return synced;
+                // Keep newer local edits, only record the remote ids
+                const remoteIds = new Map(synced.widgets.map(w => [w.id, w.remoteId]));
+                return {
+                  ...layout,
+                  remoteId: synced.remoteId,
+                  syncedAt: synced.syncedAt,
+                  widgets: layout.widgets.map(w => ({ ...w, remoteId: remoteIds.get(w.id) ?? w.remoteId })),
+                };
+              })
+            );
+
+            if (editedDuringPush) {
+              pendingFlushRef.current = true;
+            } else {
+              updateSyncQueue(userId, (q) => ({ ...q, dirty: q.dirty.filter(id => id !== layoutId) }));
+            }
+          }
+        } while (pendingFlushRef.current);
+      });
+
+      setSyncStatus('idle');
+      return true;
+    } catch (error) {
+      console.error('Error syncing layouts:', error);
+      setSyncStatus(typeof navigator !== 'undefined' && !navigator.onLine ? 'offline' : 'error');
+      return false;
+    } finally {
+      isFlushingRef.current = false;
+    }
+  }, [canSync, userId, conflictStrategy]);
+
+  // Debounce pushes so bursts of edits become one sync
+  const scheduleFlush = useCallback(() => {
+    if (!canSync) return;
+    clearTimeout(flushTimeoutRef.current);
+    flushTimeoutRef.current = setTimeout(() => flushSyncQueue(), SYNC_DEBOUNCE);
+  }, [canSync, flushSyncQueue]);
+
+  // Queue a layout for sync
+  const markDirty = useCallback((layoutId) => {
+    if (!canSync) return;
+    markLayoutDirty(userId, layoutId);
+    scheduleFlush();
+  }, [canSync, userId, scheduleFlush]);
+
+  // Pull remote layouts and merge them into local state
+  // activate: remote layout id to switch to once merged (e.g. a copied template)
+  const pullRemoteLayouts = useCallback(async ({ isCancelled = () => false, activate } = {}) => {
+    // Offline status is reported by the flush that follows a pull
+    if (!canSync || (typeof navigator !== 'undefined' && !navigator.onLine)) return;
+
+    try {
+      const remoteRows = await pullLayouts(userId);
+      if (isCancelled()) return;
+
+      const merged = mergeRemoteLayouts(layoutsRef.current, remoteRows, loadSyncQueue(userId));
+      if (merged.length > 0) {
+        setLayouts(merged);
+        const activated = activate && merged.find(l => l.remoteId === activate);
+        setActiveLayoutId(prev => {
+          if (activated) return activated.id;
+          return merged.some(l => l.id === prev) ? prev : merged[0].id;
+        });
+      }
+    } catch (error) {
+      console.error('Error pulling layouts:', error);
+      if (!isCancelled()) setSyncStatus('error');
+    }
+  }, [canSync, userId]);
+
+  // Pull remote layouts once local ones are loaded, then push pending edits
+  useEffect(() => {
+    if (isLoading || !canSync) return;
+
+    let cancelled = false;
+
+    pullRemoteLayouts({ isCancelled: () => cancelled }).then(() => {
+      if (!cancelled) flushSyncQueue();
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isLoading, canSync, pullRemoteLayouts, flushSyncQueue]);
+
+  // Apply changes made on other devices as they happen
+  useEffect(() => {
+    if (isLoading || !canSync) return;
+
+    let timeout;
+    const unsubscribe = subscribeToRemoteLayouts(userId, (payload) => {
+      // Ignore echoes of this tab's own pushes
+      if (payload.new?.updated_at && ownWritesRef.current.has(payload.new.updated_at)) return;
+      if (payload.eventType === 'DELETE' && !layoutsRef.current.some(l => l.remoteId === payload.old?.id)) return;
+
+      clearTimeout(timeout);
+      timeout = setTimeout(() => pullRemoteLayouts(), REALTIME_DEBOUNCE);
+    });
+
+    return () => {
+      clearTimeout(timeout);
+      unsubscribe();
+    };
+  }, [isLoading, canSync, userId, pullRemoteLayouts]);
+
+  // Receive layout changes from other tabs on this device
+  useEffect(() => {
+    const broadcast = createLayoutBroadcast(userId || 'guest', (message) => {
+      if (message?.type !== 'layouts' || !Array.isArray(message.layouts)) return;
+      applyingBroadcastRef.current = true;
+      setLayouts(message.layouts);
+      setActiveLayoutId(prev => message.layouts.some(l => l.id === prev) ? prev : message.layouts[0]?.id);
+    });
+    broadcastRef.current = broadcast;
+
+    return () => {
+      broadcast.close();
+      broadcastRef.current = null;
+    };
+  }, [userId]);
+
+  // Share this tab's layout changes with other tabs
+  useEffect(() => {
+    if (isLoading) return;
+    if (applyingBroadcastRef.current) {
+      applyingBroadcastRef.current = false;
+      return;
+    }
+    broadcastRef.current?.post({ type: 'layouts', layouts });
+  }, [layouts, isLoading]);
+
+  // Flush queued offline edits when the connection comes back
+  useEffect(() => {
+    if (!canSync) return;
+
+    const handleOnline = () => flushSyncQueue();
+    const handleOffline = () => setSyncStatus('offline');
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(flushTimeoutRef.current);
+    };
+  }, [canSync, flushSyncQueue]);
+
   // Get active layout
   const activeLayout = layouts.find(l => l.id === activeLayoutId);
 
-  // Create new layout
-  const createLayout = (name = 'New Dashboard') => {
+  // Create new layout, optionally pre-filled (e.g. imported from a share link)
+  const createLayout = (name = 'New Dashboard', widgets = [], { activate = false } = {}) => {
     const newLayout = {
       id: `layout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       name,
-      widgets: [],
+      widgets,
       userId: userId || 'guest',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
     setLayouts(prev => [...prev, newLayout]);
+    if (activate) {
+      setActiveLayoutId(newLayout.id);
+    }
+    markDirty(newLayout.id);
     return newLayout;
   };
 
+  // Add layouts parsed from an export file and switch to the first one
+  const importLayouts = (importedLayouts = []) => {
+    const now = new Date().toISOString();
+    const newLayouts = importedLayouts.map((layout) => ({
+      id: `layout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: layout.name,
+      widgets: layout.widgets || [],
+      userId: userId || 'guest',
+      createdAt: now,
+      updatedAt: now,
+    }));
+
+    if (newLayouts.length === 0) return [];
+
+    setLayouts(prev => [...prev, ...newLayouts]);
+    setActiveLayoutId(newLayouts[0].id);
+    newLayouts.forEach(layout => markDirty(layout.id));
+    return newLayouts;
+  };
+
   // Switch to a different layout
   const switchLayout = (layoutId) => {
     const layout = layouts.find(l => l.id === layoutId);
@@ -108,17 +387,26 @@ export const useLayouts = (userId) => {
           : layout
       )
     );
+    markDirty(layoutId);
   };
 
   // Update layout widgets
   const updateLayoutWidgets = (layoutId, widgets) => {
+    const layout = layouts.find(l => l.id === layoutId);
+    if (!layout) return;
+
+    // Grid layout callbacks fire without real changes; skip those
+    const { widgets: stampedWidgets, changed } = touchChangedWidgets(layout.widgets, widgets);
+    if (!changed) return;
+
     setLayouts(prev =>
-      prev.map(layout =>
-        layout.id === layoutId
-          ? { ...layout, widgets, updatedAt: new Date().toISOString() }
-          : layout
+      prev.map(l =>
+        l.id === layoutId
+          ? { ...l, widgets: stampedWidgets, updatedAt: new Date().toISOString() }
+          : l
       )
     );
+    markDirty(layoutId);
   };
 
   // Delete layout (cannot delete if it's the only one)
@@ -128,8 +416,14 @@ export const useLayouts = (userId) => {
       return false;
     }
 
+    const layoutToDelete = layouts.find(l => l.id === layoutId);
     setLayouts(prev => prev.filter(l => l.id !== layoutId));
 
+    if (canSync && layoutToDelete) {
+      markLayoutDeleted(userId, layoutToDelete);
+      scheduleFlush();
+    }
+
     // If deleting active layout, switch to first available
     if (layoutId === activeLayoutId) {
       const remainingLayouts = layouts.filter(l => l.id !== layoutId);
@@ -148,14 +442,43 @@ export const useLayouts = (userId) => {
       ...layoutToDuplicate,
       id: `layout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       name: `${layoutToDuplicate.name} (Copy)`,
+      widgets: layoutToDuplicate.widgets.map(({ remoteId, ...widget }) => widget),
+      remoteId: undefined,
+      syncedAt: undefined,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
     setLayouts(prev => [...prev, newLayout]);
+    markDirty(newLayout.id);
     return newLayout;
   };
 
+  // Publish a layout as a community template, pushing it to Supabase first
+  const publishLayout = async (layoutId, { name, description } = {}) => {
+    if (!canSync) {
+      throw new Error('Connect your wallet to publish templates');
+    }
+
+    const layout = layouts.find(l => l.id === layoutId);
+    if (!layout) {
+      throw new Error('Layout not found');
+    }
+
+    markLayoutDirty(userId, layoutId);
+    const synced = await flushSyncQueue();
+    const remoteId = syncedIdsRef.current.get(layoutId) || layout.remoteId;
+
+    if (!synced || !remoteId) {
+      throw new Error('Layout is still syncing, please try again');
+    }
+
+    return createTemplate(userId, remoteId, {
+      name: name || layout.name,
+      description: description || '',
+    });
+  };
+
   return {
     layouts,
     activeLayout,
@@ -167,6 +490,11 @@ export const useLayouts = (userId) => {
     updateLayoutWidgets,
     deleteLayout,
     duplicateLayout,
+    syncStatus: canSync ? syncStatus : 'disabled',
+    syncNow: flushSyncQueue,
+    refreshLayouts: pullRemoteLayouts,
+    importLayouts,
+    publishLayout,
   };
 };
 
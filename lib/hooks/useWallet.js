@@ -14,13 +14,16 @@ import {
   useSwitchChain,
 } from 'wagmi';
 import { useState, useEffect } from 'react';
-import { activeNetwork } from '@/config/networks';
+import { useNetwork } from '@/lib/contexts/NetworkContext';
 
 /**
  * Main wallet hook
  * Provides all wallet-related functionality in one place
  */
 export function useWallet() {
+  // Network selected in the header (see NetworkContext)
+  const { network: activeNetwork } = useNetwork();
+
   // Account information
   const { 
     address, 
@@ -0,0 +1,27 @@
+/**
+ * React Query Client
+ * Shared query defaults for widget data (see lib/hooks/useApiQueries.js)
+ */
+
+import { QueryClient } from '@tanstack/react-query';
+import { apiConfig } from '@/config/apis';
+
+/**
+ * Create the app-wide query client
+ * - Requests with the same query key are deduplicated across widgets
+ * - Polling (refetchInterval) pauses while the tab is hidden
+ * - Failed requests retry per apiConfig.retry
+ */
+export function createQueryClient() {
+  return new QueryClient({
+    defaultOptions: {
+      queries: {
+        staleTime: 60 * 1000, // 1 minute
+        refetchOnWindowFocus: false,
+        refetchIntervalInBackground: false,
+        retry: apiConfig.retry.attempts,
+        retryDelay: apiConfig.retry.delay,
+      },
+    },
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * File-system adapter for the server cache
+ * Survives restarts; shared by instances that mount the same directory
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_DIRECTORY = path.join(os.tmpdir(), 'mybase-cache');
+
+/**
+ * Create a file-system adapter (one JSON file per key)
+ * @param {Object} options
+ * @param {string} options.directory - Cache directory (created on first write)
+ */
+export function createFileAdapter({ directory = DEFAULT_DIRECTORY } = {}) {
+  const filePath = (key) => path.join(directory, `${createHash('sha1').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      let item;
+      try {
+        item = JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+      } catch {
+        return null;
+      }
+
+      if (Date.now() > item.expiresAt) {
+        await fs.rm(filePath(key), { force: true });
+        return null;
+      }
+
+      return item.entry;
+    },
+
+    async set(key, entry, ttl) {
+      await fs.mkdir(directory, { recursive: true });
+
+      // Write then rename so readers never see a partial file
+      const target = filePath(key);
+      const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ entry, expiresAt: Date.now() + ttl }));
+      await fs.rename(temp, target);
+    },
+
+    async delete(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+
+    // Read-modify-write: appends from processes sharing the directory can race
+    async append(key, item, ttl) {
+      const list = (await this.get(key)) || [];
+      await this.set(key, [...list, item], ttl);
+    },
+
+    async getList(key) {
+      return (await this.get(key)) || [];
+    },
+
+    // Read-modify-write, like append
+    async increment(key, by, ttl) {
+      const value = ((await this.get(key)) || 0) + by;
+      await this.set(key, value, ttl);
+      return value;
+    },
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Server Cache
+ * Shared cache for API routes with pluggable storage
+ *
+ * Adapters: in-memory LRU (default), file system and Redis (REST).
+ * Pick one with SERVER_CACHE_ADAPTER=memory|file|redis; the file adapter
+ * reads SERVER_CACHE_DIR and the Redis adapter REDIS_REST_URL and
+ * REDIS_REST_TOKEN (UPSTASH_REDIS_REST_* also work).
+ *
+ * Server-only: never import this from client components.
+ */
+
+import { CACHE_DURATIONS } from '@/config/api-endpoints';
+import { createMemoryAdapter } from './memory';
+import { createFileAdapter } from './file';
+import { createRedisAdapter } from './redis';
+
+export { createMemoryAdapter, createFileAdapter, createRedisAdapter };
+
+/**
+ * Cache status reported for each lookup
+ */
+export const CacheStatus = {
+  HIT: 'HIT',
+  STALE: 'STALE',
+  MISS: 'MISS',
+};
+
+/**
+ * Resolve a TTL given in ms or as a CACHE_DURATIONS key (e.g. 'prices')
+ */
+function resolveDuration(duration) {
+  if (typeof duration === 'string') {
+    if (!(duration in CACHE_DURATIONS)) {
+      throw new Error(`Unknown cache duration: ${duration}`);
+    }
+    return CACHE_DURATIONS[duration];
+  }
+  return duration;
+}
+
+/**
+ * Create a server cache over an adapter
+ * @param {Object} adapter - { name, get(key), set(key, entry, ttl), delete(key),
+ *   append(key, item, ttl), getList(key), increment(key, by, ttl) }
+ */
+export function createServerCache(adapter) {
+  // Upstream fetches in progress, so concurrent misses share one request
+  const inflight = new Map();
+
+  // A broken cache backend should slow requests down, not fail them
+  async function read(key) {
+    try {
+      return await adapter.get(key);
+    } catch (error) {
+      console.error(`Server cache (${adapter.name}) read failed:`, error.message);
+      return null;
+    }
+  }
+
+  async function write(key, entry, storageTtl) {
+    try {
+      await adapter.set(key, entry, storageTtl);
+    } catch (error) {
+      console.error(`Server cache (${adapter.name}) write failed:`, error.message);
+    }
+  }
+
+  /**
+   * Fetch and store a value, coalescing concurrent calls for the same key
+   */
+  function refresh(key, fetchFn, ttl, staleTtl) {
+    if (inflight.has(key)) {
+      return inflight.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const value = await fetchFn();
+        const now = Date.now();
+        await write(key, { value, storedAt: now, expiresAt: now + ttl }, ttl + staleTtl);
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    adapter: adapter.name,
+
+    /**
+     * Get a cached value, fetching it on a miss
+     * Expired entries inside the stale window are returned immediately
+     * while one background request refreshes them. Nothing is stored
+     * when fetchFn throws.
+     * @param {string} key - Cache key
+     * @param {Function} fetchFn - Async function producing the value
+     * @param {Object} options
+     * @param {number|string} options.ttl - Fresh for this long (ms or CACHE_DURATIONS key)
+     * @param {number|string} options.staleTtl - Then served stale for this long (default: ttl)
+     * @returns {Promise<Object>} { value, status, storedAt }
+     */
+    async fetch(key, fetchFn, { ttl, staleTtl } = {}) {
+      const freshFor = resolveDuration(ttl);
+      const staleFor = staleTtl === undefined ? freshFor : resolveDuration(staleTtl);
+
+      const entry = await read(key);
+      const now = Date.now();
+
+      if (entry && now < entry.expiresAt) {
+        return { value: entry.value, status: CacheStatus.HIT, storedAt: entry.storedAt };
+      }
+
+      if (entry && now < entry.expiresAt + staleFor) {
+        refresh(key, fetchFn, freshFor, staleFor).catch((error) => {
+          console.error(`Background refresh failed for ${key}:`, error.message);
+        });
+        return { value: entry.value, status: CacheStatus.STALE, storedAt: entry.storedAt };
+      }
+
+      const value = await refresh(key, fetchFn, freshFor, staleFor);
+      return { value, status: CacheStatus.MISS, storedAt: Date.now() };
+    },
+
+    /**
+     * Get a fresh or stale value without fetching
+     * @returns {Promise<*>} Value, or null
+     */
+    async get(key) {
+      const entry = await read(key);
+      return entry ? entry.value : null;
+    },
+
+    /**
+     * Store a value directly
+     */
+    async set(key, value, { ttl, staleTtl } = {}) {
+      const freshFor = resolveDuration(ttl);
+      const staleFor = staleTtl === undefined ? freshFor : resolveDuration(staleTtl);
+      const now = Date.now();
+      await write(key, { value, storedAt: now, expiresAt: now + freshFor }, freshFor + staleFor);
+    },
+
+    /**
+     * Remove a value
+     */
+    async delete(key) {
+      try {
+        await adapter.delete(key);
+      } catch (error) {
+        console.error(`Server cache (${adapter.name}) delete failed:`, error.message);
+      }
+    },
+
+    /**
+     * Append an item to a list, which expires ttl after the last append
+     * Atomic on Redis, so concurrent instances can append to the same list
+     */
+    async append(key, item, { ttl } = {}) {
+      try {
+        await adapter.append(key, item, resolveDuration(ttl));
+      } catch (error) {
+        console.error(`Server cache (${adapter.name}) append failed:`, error.message);
+      }
+    },
+
+    /**
+     * Get the items of a list, oldest first
+     * @returns {Promise<Array>} Items, or [] when the list is missing
+     */
+    async getList(key) {
+      try {
+        return await adapter.getList(key);
+      } catch (error) {
+        console.error(`Server cache (${adapter.name}) list read failed:`, error.message);
+        return [];
+      }
+    },
+
+    /**
+     * Add to a counter, which expires ttl after the last increment
+     * Atomic on Redis, like append
+     * @returns {Promise<number|null>} New count, or null when the write failed
+     */
+    async increment(key, by = 1, { ttl } = {}) {
+      try {
+        return await adapter.increment(key, by, resolveDuration(ttl));
+      } catch (error) {
+        console.error(`Server cache (${adapter.name}) increment failed:`, error.message);
+        return null;
+      }
+    },
+
+    /**
+     * Get a counter
+     * @returns {Promise<number>} Count, or 0 when the counter is missing
+     */
+    async getCount(key) {
+      const count = await read(key);
+      return Number(count) || 0;
+    },
+  };
+}
+
+/**
+ * Build the adapter selected by environment variables
+ */
+function createAdapterFromEnv() {
+  const adapter = process.env.SERVER_CACHE_ADAPTER || 'memory';
+
+  switch (adapter) {
+    case 'file':
+      return createFileAdapter({ directory: process.env.SERVER_CACHE_DIR || undefined });
+    case 'redis': {
+      const url = process.env.REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_URL;
+      const token = process.env.REDIS_REST_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+
+      if (!url) {
+        console.warn('SERVER_CACHE_ADAPTER=redis but no REDIS_REST_URL is set; using memory');
+        return createMemoryAdapter();
+      }
+      return createRedisAdapter({ url, token });
+    }
+    case 'memory':
+      return createMemoryAdapter();
+    default:
+      console.warn(`Unknown SERVER_CACHE_ADAPTER "${adapter}"; using memory`);
+      return createMemoryAdapter();
+  }
+}
+
+let serverCache = null;
+
+/**
+ * Get the app-wide server cache
+ */
+export function getServerCache() {
+  if (!serverCache) {
+    serverCache = createServerCache(createAdapterFromEnv());
+  }
+  return serverCache;
+}
@@ -0,0 +1,76 @@
+/**
+ * In-memory LRU adapter for the server cache
+ * Fast, but per instance and lost on cold start
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Create an in-memory LRU adapter
+ * @param {Object} options
+ * @param {number} options.maxEntries - Least recently used entries are evicted past this
+ */
+export function createMemoryAdapter({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // Map iteration order doubles as recency order (oldest first)
+  const store = new Map();
+
+  function evict() {
+    while (store.size > maxEntries) {
+      store.delete(store.keys().next().value);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const item = store.get(key);
+      if (!item) return null;
+
+      if (Date.now() > item.expiresAt) {
+        store.delete(key);
+        return null;
+      }
+
+      // Mark as most recently used
+      store.delete(key);
+      store.set(key, item);
+      return item.entry;
+    },
+
+    async set(key, entry, ttl) {
+      store.delete(key);
+      store.set(key, { entry, expiresAt: Date.now() + ttl });
+      evict();
+    },
+
+    async delete(key) {
+      store.delete(key);
+    },
+
+    // Lists are arrays under their key, updated without awaiting so appends cannot interleave
+    async append(key, item, ttl) {
+      const current = store.get(key);
+      const list = current && Date.now() <= current.expiresAt ? current.entry : [];
+
+      store.delete(key);
+      store.set(key, { entry: [...list, item], expiresAt: Date.now() + ttl });
+      evict();
+    },
+
+    async getList(key) {
+      return (await this.get(key)) || [];
+    },
+
+    // Counters are numbers under their key, updated without awaiting like lists
+    async increment(key, by, ttl) {
+      const current = store.get(key);
+      const value = (current && Date.now() <= current.expiresAt ? current.entry : 0) + by;
+
+      store.delete(key);
+      store.set(key, { entry: value, expiresAt: Date.now() + ttl });
+      evict();
+      return value;
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Redis adapter for the server cache
+ * Talks to Redis over the REST protocol used by Upstash and compatible
+ * proxies, so it needs no client library and works from serverless functions
+ */
+
+const DEFAULT_PREFIX = 'mybase:';
+
+/**
+ * Create a Redis REST adapter
+ * @param {Object} options
+ * @param {string} options.url - REST endpoint
+ * @param {string} options.token - Bearer token
+ * @param {string} options.prefix - Prefix for every key
+ */
+export function createRedisAdapter({ url, token, prefix = DEFAULT_PREFIX }) {
+  if (!url) {
+    throw new Error('Redis cache adapter needs a REST url');
+  }
+
+  async function command(...args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(args),
+      cache: 'no-store',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      throw new Error(`Redis error: ${data.error || response.status}`);
+    }
+
+    return data.result;
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await command('GET', `${prefix}${key}`);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, entry, ttl) {
+      await command('SET', `${prefix}${key}`, JSON.stringify(entry), 'PX', Math.max(1, Math.round(ttl)));
+    },
+
+    async delete(key) {
+      await command('DEL', `${prefix}${key}`);
+    },
+
+    // RPUSH is atomic, so concurrent instances never overwrite each other's items
+    async append(key, item, ttl) {
+      await command('RPUSH', `${prefix}${key}`, JSON.stringify(item));
+      await command('PEXPIRE', `${prefix}${key}`, Math.max(1, Math.round(ttl)));
+    },
+
+    async getList(key) {
+      const items = await command('LRANGE', `${prefix}${key}`, 0, -1);
+      return (items || []).map(item => JSON.parse(item));
+    },
+
+    // INCRBY is atomic as well; the stored number reads back through get
+    async increment(key, by, ttl) {
+      const value = await command('INCRBY', `${prefix}${key}`, by);
+      await command('PEXPIRE', `${prefix}${key}`, Math.max(1, Math.round(ttl)));
+      return Number(value);
+    },
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * Gas History Sampler
+ * Records gas tiers and L1 data fee parameters on the server, so gas history
+ * covers every hour of the week rather than only the moments a dashboard tab
+ * happened to be open
+ *
+ * Each network gets at most one sample per SAMPLE_INTERVAL, appended to one
+ * list per UTC day and kept for RETENTION_DAYS. Sampling runs when a
+ * scheduler calls /api/gas-history/sample, and opportunistically whenever
+ * history is read.
+ *
+ * History needs the file or Redis cache adapter (see lib/server/cache) to
+ * survive restarts; Redis also lets several instances append safely. With
+ * the memory adapter it is kept in a store of its own, so proxy traffic
+ * cannot evict it, but it only lasts as long as the instance.
+ *
+ * Server-only: never import this from client components.
+ */
+
+import { getServiceBaseUrl, getServiceLimiterKey } from '@/config/api-endpoints';
+import { getAllNetworks, getNetwork } from '@/config/networks';
+import { createHttpError, rateLimitedRequest, RequestPriority } from '@/lib/utils/rate-limiter';
+import { readGasTiers, readL1FeeParams } from '@/lib/utils/gas';
+import { createRpcCaller } from '@/lib/utils/rpc';
+import { createMemoryAdapter, createServerCache, getServerCache } from '@/lib/server/cache';
+import { recordServerUsage } from '@/lib/server/usage';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// One sample per network per interval (150 Base blocks)
+export const SAMPLE_INTERVAL = 5 * MINUTE;
+
+// Four weeks gives every hour of the week several samples
+export const RETENTION_DAYS = 28;
+
+const KEY_PREFIX = 'gas-history';
+
+const getDayKey = (network, timestamp) =>
+  `${KEY_PREFIX}:${network}:samples:${new Date(timestamp).toISOString().slice(0, 10)}`;
+
+const getLatestKey = (network) => `${KEY_PREFIX}:${network}:latest`;
+
+// Days are kept a little past retention so the oldest one is complete when read
+const storageOptions = { ttl: (RETENTION_DAYS + 1) * DAY, staleTtl: 0 };
+
+// Samples in progress per network, so concurrent triggers record once
+const inflight = new Map();
+
+let historyStore = null;
+
+/**
+ * Store for gas history: the server cache when it persists, otherwise a
+ * memory store sized for every day of every network
+ */
+function getHistoryStore() {
+  if (!historyStore) {
+    const cache = getServerCache();
+
+    if (cache.adapter === 'memory') {
+      console.warn('Gas history is kept in memory and lost on restart; set SERVER_CACHE_ADAPTER=file or redis to keep it');
+      historyStore = createServerCache(createMemoryAdapter({
+        maxEntries: getAllNetworks().length * (RETENTION_DAYS + 3),
+      }));
+    } else {
+      historyStore = cache;
+    }
+  }
+
+  return historyStore;
+}
+
+/**
+ * Where gas history is stored
+ * @returns {Object} { adapter, persistent } - persistent is false for memory
+ */
+export function getGasHistoryStorage() {
+  const { adapter } = getHistoryStore();
+  return { adapter, persistent: adapter !== 'memory' };
+}
+
+/**
+ * JSON-RPC caller for a network's public RPC, through that network's rate limiter
+ */
+function getRpc(network) {
+  return createRpcCaller(payload => rateLimitedRequest(getServiceLimiterKey('baseRPC', network), async () => {
+    const response = await fetch(getServiceBaseUrl('baseRPC', network), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      cache: 'no-store',
+    });
+
+    await recordServerUsage('baseRPC');
+
+    if (!response.ok) {
+      const method = Array.isArray(payload) ? 'Batch' : payload.method;
+      throw createHttpError(`${method} failed on ${network} RPC: ${response.status}`, response);
+    }
+
+    return response.json();
+  }, { priority: RequestPriority.LOW }));
+}
+
+/**
+ * Take one reading: gas tiers in Gwei, plus L1 fee parameters on OP-stack chains
+ */
+async function takeSample(network) {
+  const { apis } = getNetwork(network);
+  const call = getRpc(network);
+
+  const [tiers, l1FeeParams] = await Promise.all([
+    readGasTiers(call, network),
+    apis.gasPriceOracle ? readL1FeeParams(call, apis.gasPriceOracle) : null,
+  ]);
+
+  return {
+    timestamp: Date.now(),
+    block: tiers.lastBlock,
+    baseFee: tiers.suggestBaseFee === null ? null : parseFloat(tiers.suggestBaseFee),
+    safe: parseFloat(tiers.safeGasPrice),
+    standard: parseFloat(tiers.proposeGasPrice),
+    fast: parseFloat(tiers.fastGasPrice),
+    l1BaseFee: l1FeeParams?.l1BaseFee ?? null,
+    blobBaseFee: l1FeeParams?.blobBaseFee ?? null,
+    baseFeeScalar: l1FeeParams?.baseFeeScalar ?? null,
+    blobBaseFeeScalar: l1FeeParams?.blobBaseFeeScalar ?? null,
+  };
+}
+
+/**
+ * Record a sample for a network unless one was taken this interval
+ * @param {string} network - Network name
+ * @returns {Promise<Object|null>} The new sample, or null if it was not due
+ */
+export async function recordGasSample(network) {
+  const name = getNetwork(network).name;
+
+  if (inflight.has(name)) {
+    return inflight.get(name);
+  }
+
+  const promise = (async () => {
+    const store = getHistoryStore();
+    const latest = await store.get(getLatestKey(name));
+
+    if (latest && Date.now() - latest < SAMPLE_INTERVAL) {
+      return null;
+    }
+
+    const sample = await takeSample(name);
+
+    await store.append(getDayKey(name, sample.timestamp), sample, storageOptions);
+    await store.set(getLatestKey(name), sample.timestamp, storageOptions);
+
+    return sample;
+  })();
+
+  inflight.set(name, promise);
+
+  try {
+    return await promise;
+  } finally {
+    inflight.delete(name);
+  }
+}
+
+/**
+ * Average a group of samples; fields missing from every sample stay null
+ */
+function averageSamples(samples) {
+  const average = (field) => {
+    const values = samples.map(sample => sample[field]).filter(value => value !== null);
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  };
+
+  return {
+    count: samples.length,
+    baseFee: average('baseFee'),
+    safe: average('safe'),
+    standard: average('standard'),
+    fast: average('fast'),
+    l1BaseFee: average('l1BaseFee'),
+    blobBaseFee: average('blobBaseFee'),
+    baseFeeScalar: average('baseFeeScalar'),
+    blobBaseFeeScalar: average('blobBaseFeeScalar'),
+  };
+}
+
+/**
+ * Get recorded gas history for a network, averaged per hour
+ * @param {string} network - Network name
+ * @param {number} days - Days of history (max RETENTION_DAYS)
+ * @returns {Promise<Object>} { network, days, sampleCount, latest, storage, hours: [{ timestamp, count, ...averages }] }
+ */
+export async function getGasHistory(network, days = RETENTION_DAYS) {
+  const name = getNetwork(network).name;
+  const span = Math.min(Math.max(1, days), RETENTION_DAYS);
+  const now = Date.now();
+  const since = now - span * DAY;
+
+  // One entry per UTC day, oldest first
+  const dayKeys = Array.from({ length: span + 1 }, (_, i) => getDayKey(name, since + i * DAY));
+  const store = getHistoryStore();
+  const entries = await Promise.all(dayKeys.map(key => store.getList(key)));
+  const samples = entries
+    .flat()
+    .filter(sample => sample.timestamp >= since)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const byHour = new Map();
+  samples.forEach((sample) => {
+    const hour = Math.floor(sample.timestamp / HOUR) * HOUR;
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push(sample);
+  });
+
+  return {
+    network: name,
+    days: span,
+    sampleInterval: SAMPLE_INTERVAL,
+    sampleCount: samples.length,
+    latest: samples[samples.length - 1] || null,
+    storage: getGasHistoryStorage(),
+    hours: [...byHour.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([timestamp, group]) => ({ timestamp, ...averageSamples(group) })),
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Upstream Requests
+ * Calls to external APIs made by the server, through one rate limiter per
+ * service (per network for services with per-network hosts) shared by the
+ * API gateway and every other route, so all users together stay within
+ * each provider's limits. Every call is counted (see lib/server/usage.js).
+ *
+ * Server-only: never import this from client components.
+ */
+
+import { API_CONFIG, getApiHeaders, getServiceLimiterKey } from '@/config/api-endpoints';
+import {
+  canMakeRequest,
+  getRateLimitStatus,
+  parseRetryAfter,
+  rateLimitedRequest,
+  reportRateLimited,
+} from '@/lib/utils/rate-limiter';
+import { recordServerUsage } from '@/lib/server/usage';
+
+/**
+ * Call the provider through the shared rate limiter
+ * Throws with status 429 when the limiter has no slot, and with the upstream
+ * response attached (and its status) when it is not OK, so errors are passed
+ * through to the client but never cached
+ * @param {string} service - API_CONFIG service name
+ * @param {string} network - Network name, picks the limiter for per-network services
+ * @returns {Promise<Object>} { body, status, contentType, retryAfter } with the body as text
+ */
+export async function fetchUpstream(service, network, upstreamUrl, method = 'GET', body) {
+  const limiterKey = getServiceLimiterKey(service, network);
+
+  if (!canMakeRequest(limiterKey)) {
+    const error = new Error(`Rate limit exceeded for ${API_CONFIG[service].name}. Please try again in a moment.`);
+    error.status = 429;
+    error.retryAfter = Math.ceil(getRateLimitStatus(limiterKey).nextSlotIn / 1000);
+    throw error;
+  }
+
+  const upstream = await rateLimitedRequest(limiterKey, async () => {
+    const response = await fetch(upstreamUrl, {
+      method,
+      headers: getApiHeaders(service),
+      body,
+      cache: 'no-store',
+    });
+
+    return {
+      body: await response.text(),
+      status: response.status,
+      contentType: response.headers.get('content-type') || 'application/json',
+      retryAfter: response.headers.get('retry-after'),
+    };
+  });
+
+  await recordServerUsage(service);
+
+  // Hold back every caller of this service until the provider is ready again
+  if (upstream.status === 429) {
+    reportRateLimited(limiterKey, parseRetryAfter(upstream.retryAfter));
+  }
+
+  if (upstream.status < 200 || upstream.status >= 300) {
+    const error = new Error(`${API_CONFIG[service].name} API error: ${upstream.status}`);
+    error.upstream = upstream;
+    error.status = upstream.status;
+    error.retryAfter = upstream.retryAfter;
+    throw error;
+  }
+
+  return upstream;
+}
+
+/**
+ * GET a JSON endpoint through the shared rate limiter (see fetchUpstream)
+ * @returns {Promise<Object>} Parsed response body
+ */
+export async function fetchUpstreamJson(service, network, upstreamUrl) {
+  const { body } = await fetchUpstream(service, network, upstreamUrl);
+  return JSON.parse(body);
+}
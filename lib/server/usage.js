@@ -0,0 +1,82 @@
+/**
+ * Server API Usage
+ * Counts the calls the server makes to each provider this month, so the
+ * diagnostics page can show usage of the server's keys across all users
+ * (browser counters only see one browser's share)
+ *
+ * Counters need the file or Redis cache adapter (see lib/server/cache) to
+ * survive restarts; Redis also counts calls from every instance. With the
+ * memory adapter they are kept in a store of their own, so proxy traffic
+ * cannot evict them, but they only cover the current instance.
+ *
+ * Server-only: never import this from client components.
+ */
+
+import { API_CONFIG, getServiceLimiterKey } from '@/config/api-endpoints';
+import { getAllNetworks } from '@/config/networks';
+import { createUsageRow, getRateLimitStatus, getUsageMonth } from '@/lib/utils/rate-limiter';
+import { createMemoryAdapter, createServerCache, getServerCache } from '@/lib/server/cache';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Counters outlive their month so the previous one can still be read
+const storageOptions = { ttl: 62 * DAY };
+
+const getUsageKey = (service, month) => `usage:${service}:${month}`;
+
+let usageStore = null;
+
+/**
+ * Store for usage counters: the server cache when it persists, otherwise a
+ * memory store sized for two months of every service
+ */
+function getUsageStore() {
+  if (!usageStore) {
+    const cache = getServerCache();
+
+    usageStore = cache.adapter === 'memory'
+      ? createServerCache(createMemoryAdapter({ maxEntries: Object.keys(API_CONFIG).length * 2 }))
+      : cache;
+  }
+
+  return usageStore;
+}
+
+/**
+ * Count one call to a provider
+ * @param {string} service - API_CONFIG service name
+ */
+export async function recordServerUsage(service) {
+  await getUsageStore().increment(getUsageKey(service, getUsageMonth()), 1, storageOptions);
+}
+
+/**
+ * Calls in the current minute across a service's limiters (one per network
+ * for services with per-network hosts)
+ */
+function getCallsThisMinute(service) {
+  const keys = new Set(getAllNetworks().map(network => getServiceLimiterKey(service, network.name)));
+  return [...keys].reduce((sum, key) => sum + getRateLimitStatus(key).requests, 0);
+}
+
+/**
+ * Per-service usage report of the server
+ * @returns {Promise<Object>} { month, adapter, persistent, services } with
+ *   one row per service (see createUsageRow); persistent is false for memory
+ */
+export async function getServerUsageReport() {
+  const store = getUsageStore();
+  const month = getUsageMonth();
+
+  const services = await Promise.all(Object.keys(API_CONFIG).map(async service => createUsageRow(service, {
+    callsThisMinute: getCallsThisMinute(service),
+    callsThisMonth: await store.getCount(getUsageKey(service, month)),
+  })));
+
+  return {
+    month,
+    adapter: store.adapter,
+    persistent: store.adapter !== 'memory',
+    services,
+  };
+}
@@ -405,17 +405,23 @@ export async function likeTemplate(templateId) {
     throw new Error('Supabase client not initialized');
   }
 
-  const { data: template } = await supabase
+  const { data: template, error: fetchError } = await supabase
     .from('templates')
     .select('likes')
     .eq('id', templateId)
     .single();
 
-  if (template) {
-    await supabase
-      .from('templates')
-      .update({ likes: template.likes + 1 })
-      .eq('id', templateId);
+  if (fetchError) {
+    throw new Error(`Failed to like template: ${fetchError.message}`);
+  }
+
+  const { error } = await supabase
+    .from('templates')
+    .update({ likes: template.likes + 1 })
+    .eq('id', templateId);
+
+  if (error) {
+    throw new Error(`Failed to like template: ${error.message}`);
   }
 }
 
@@ -1,14 +1,42 @@
 /**
  * Caching Utility for API Responses
- * Implements both memory cache and localStorage persistence
+ * Implements memory cache with localStorage or IndexedDB persistence
  * Optimizes API usage for free tier limits
+ *
+ * Callers can opt into a stale window after entries expire: stale data is
+ * returned at once while one background request refreshes it. Concurrent
+ * requests for the same key share one fetch, and failures are remembered
+ * briefly so a failing endpoint isn't retried by every caller.
  */
 
+import { apiConfig } from '@/config/apis';
+
 // ============================================
 // IN-MEMORY CACHE
 // ============================================
 const memoryCache = new Map();
 
+// Fetches in progress, keyed by cache key
+const inflightRequests = new Map();
+
+// Recent upstream errors (negative cache), keyed by cache key
+const errorCache = new Map();
+
+// How long a failed request is remembered by default
+const DEFAULT_ERROR_DURATION = 10 * 1000; // 10 seconds
+
+// localStorage prefixes: cache entries, and monthly usage counters kept by
+// the rate limiter under the same prefix (never cleared with the cache)
+const CACHE_KEY_PREFIX = 'api_';
+const USAGE_KEY_PREFIX = 'api_usage_';
+
+/**
+ * Whether a cache item is past its stale window and can be dropped
+ */
+function isDiscardable(item, now = Date.now()) {
+  return now > (item.staleUntil ?? item.expiresAt);
+}
+
 // ============================================
 // CACHE KEY GENERATION
 // ============================================
@@ -22,7 +50,7 @@ function generateCacheKey(service, endpoint, params = {}) {
     .map(([key, value]) => `${key}=${value}`)
     .join('&');
   
-  return `api_${service}_${endpoint}_${paramString}`;
+  return `${CACHE_KEY_PREFIX}${service}_${endpoint}_${paramString}`;
 }
 
 // ============================================
@@ -30,32 +58,40 @@ function generateCacheKey(service, endpoint, params = {}) {
 // ============================================
 
 /**
- * Set item in memory cache with expiration
+ * Build a cache item that is fresh for `duration` and stale for `staleWindow` after that
  */
-function setMemoryCache(key, data, duration) {
-  const expiresAt = Date.now() + duration;
-  memoryCache.set(key, {
+function createCacheItem(data, duration, staleWindow = 0) {
+  const now = Date.now();
+  return {
     data,
-    expiresAt,
-    cachedAt: Date.now(),
-  });
+    expiresAt: now + duration,
+    staleUntil: now + duration + staleWindow,
+    cachedAt: now,
+  };
 }
 
 /**
- * Get item from memory cache
+ * Set item in memory cache
+ */
+function setMemoryCache(key, item) {
+  memoryCache.set(key, item);
+}
+
+/**
+ * Get item from memory cache (fresh or stale)
  */
 function getMemoryCache(key) {
   const cached = memoryCache.get(key);
   
   if (!cached) return null;
   
-  // Check if expired
-  if (Date.now() > cached.expiresAt) {
+  // Check if past the stale window
+  if (isDiscardable(cached)) {
     memoryCache.delete(key);
     return null;
   }
   
-  return cached.data;
+  return cached;
 }
 
 /**
@@ -63,6 +99,7 @@ function getMemoryCache(key) {
  */
 export function clearMemoryCache() {
   memoryCache.clear();
+  errorCache.clear();
 }
 
 /**
@@ -71,10 +108,15 @@ export function clearMemoryCache() {
 export function cleanMemoryCache() {
   const now = Date.now();
   for (const [key, value] of memoryCache.entries()) {
-    if (now > value.expiresAt) {
+    if (isDiscardable(value, now)) {
       memoryCache.delete(key);
     }
   }
+  for (const [key, value] of errorCache.entries()) {
+    if (now > value.expiresAt) {
+      errorCache.delete(key);
+    }
+  }
 }
 
 // ============================================
@@ -96,19 +138,20 @@ function isLocalStorageAvailable() {
 }
 
 /**
- * Set item in localStorage cache with expiration
+ * Whether a localStorage key holds a cache entry
+ */
+function isCacheKey(key) {
+  return key.startsWith(CACHE_KEY_PREFIX) && !key.startsWith(USAGE_KEY_PREFIX);
+}
+
+/**
+ * Set item in localStorage cache
  */
-function setLocalStorageCache(key, data, duration) {
+function setLocalStorageCache(key, item) {
   if (!isLocalStorageAvailable()) return false;
   
   try {
-    const cacheItem = {
-      data,
-      expiresAt: Date.now() + duration,
-      cachedAt: Date.now(),
-    };
-    
-    localStorage.setItem(key, JSON.stringify(cacheItem));
+    localStorage.setItem(key, JSON.stringify(item));
     return true;
   } catch (e) {
     // Handle quota exceeded or other errors
@@ -118,7 +161,7 @@ function setLocalStorageCache(key, data, duration) {
 }
 
 /**
- * Get item from localStorage cache
+ * Get item from localStorage cache (fresh or stale)
  */
 function getLocalStorageCache(key) {
   if (!isLocalStorageAvailable()) return null;
@@ -129,13 +172,13 @@ function getLocalStorageCache(key) {
     
     const cached = JSON.parse(item);
     
-    // Check if expired
-    if (Date.now() > cached.expiresAt) {
+    // Check if past the stale window
+    if (isDiscardable(cached)) {
       localStorage.removeItem(key);
       return null;
     }
     
-    return cached.data;
+    return cached;
   } catch (e) {
     console.warn('localStorage cache read error:', e);
     return null;
@@ -150,7 +193,7 @@ export function clearLocalStorageCache() {
   
   const keys = Object.keys(localStorage);
   keys.forEach(key => {
-    if (key.startsWith('api_')) {
+    if (isCacheKey(key)) {
       localStorage.removeItem(key);
     }
   });
@@ -166,12 +209,12 @@ export function cleanLocalStorageCache() {
   const keys = Object.keys(localStorage);
   
   keys.forEach(key => {
-    if (key.startsWith('api_')) {
+    if (isCacheKey(key)) {
       try {
         const item = localStorage.getItem(key);
         if (item) {
           const cached = JSON.parse(item);
-          if (now > cached.expiresAt) {
+          if (isDiscardable(cached, now)) {
             localStorage.removeItem(key);
           }
         }
@@ -183,6 +226,225 @@ export function cleanLocalStorageCache() {
   });
 }
 
+// ============================================
+// INDEXEDDB CACHE OPERATIONS
+// ============================================
+
+const IDB_NAME = 'mybase-api-cache';
+const IDB_VERSION = 1;
+const IDB_ENTRIES_STORE = 'entries'; // key -> cache item
+const IDB_META_STORE = 'meta'; // { key, size, lastAccess, staleUntil }
+
+let indexedDBPromise = null;
+
+// Size and recency of every stored entry, mirrored from the meta store so
+// quota checks never have to read the (large) entries themselves
+const indexedDBIndex = new Map();
+
+/**
+ * Check if IndexedDB is available
+ */
+function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open the cache database and load its size index
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB can't be used
+ */
+function openIndexedDB() {
+  if (!isIndexedDBAvailable()) return Promise.resolve(null);
+
+  if (!indexedDBPromise) {
+    indexedDBPromise = Promise.resolve()
+      .then(() => {
+        const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(IDB_ENTRIES_STORE);
+          request.result.createObjectStore(IDB_META_STORE, { keyPath: 'key' });
+        };
+        return promisifyRequest(request);
+      })
+      .then(async (db) => {
+        const metas = await promisifyRequest(
+          db.transaction(IDB_META_STORE).objectStore(IDB_META_STORE).getAll()
+        );
+        metas.forEach((meta) => indexedDBIndex.set(meta.key, meta));
+        return db;
+      })
+      .catch((e) => {
+        // e.g. private browsing or blocked storage
+        console.warn('IndexedDB cache unavailable, using memory only:', e);
+        return null;
+      });
+  }
+
+  return indexedDBPromise;
+}
+
+/**
+ * Approximate stored size of an item in bytes (UTF-16)
+ */
+function estimateSize(item) {
+  try {
+    return JSON.stringify(item).length * 2;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Total approximate bytes stored in IndexedDB
+ */
+function getIndexedDBUsage() {
+  let usage = 0;
+  for (const meta of indexedDBIndex.values()) {
+    usage += meta.size;
+  }
+  return usage;
+}
+
+async function deleteIndexedDBEntries(db, keys) {
+  if (keys.length === 0) return;
+
+  const transaction = db.transaction([IDB_ENTRIES_STORE, IDB_META_STORE], 'readwrite');
+  keys.forEach((key) => {
+    transaction.objectStore(IDB_ENTRIES_STORE).delete(key);
+    transaction.objectStore(IDB_META_STORE).delete(key);
+    indexedDBIndex.delete(key);
+  });
+  await transactionDone(transaction);
+}
+
+/**
+ * Evict least recently used entries until usage fits the quota
+ */
+async function evictIndexedDBCache(db) {
+  const quota = apiConfig.cacheQuota.indexedDB;
+  let usage = getIndexedDBUsage();
+  if (usage <= quota) return;
+
+  const victims = [];
+  const byRecency = Array.from(indexedDBIndex.values()).sort((a, b) => a.lastAccess - b.lastAccess);
+  for (const meta of byRecency) {
+    if (usage <= quota) break;
+    victims.push(meta.key);
+    usage -= meta.size;
+  }
+
+  await deleteIndexedDBEntries(db, victims);
+}
+
+/**
+ * Set item in IndexedDB cache
+ * Items are stored by structured clone, so Dates and typed arrays survive
+ */
+async function setIndexedDBCache(key, item) {
+  const db = await openIndexedDB();
+  if (!db) return false;
+
+  const meta = {
+    key,
+    size: estimateSize(item),
+    lastAccess: Date.now(),
+    staleUntil: item.staleUntil,
+  };
+
+  if (meta.size > apiConfig.cacheQuota.indexedDB) {
+    console.warn(`IndexedDB cache: ${key} exceeds the quota and was not stored`);
+    return false;
+  }
+
+  try {
+    const transaction = db.transaction([IDB_ENTRIES_STORE, IDB_META_STORE], 'readwrite');
+    transaction.objectStore(IDB_ENTRIES_STORE).put(item, key);
+    transaction.objectStore(IDB_META_STORE).put(meta);
+    await transactionDone(transaction);
+
+    indexedDBIndex.set(key, meta);
+    await evictIndexedDBCache(db);
+    return true;
+  } catch (e) {
+    // Handle browser quota exceeded or other errors
+    console.warn('IndexedDB cache error:', e);
+    return false;
+  }
+}
+
+/**
+ * Get item from IndexedDB cache (fresh or stale)
+ */
+async function getIndexedDBCache(key) {
+  const db = await openIndexedDB();
+  if (!db || !indexedDBIndex.has(key)) return null;
+
+  try {
+    const item = await promisifyRequest(
+      db.transaction(IDB_ENTRIES_STORE).objectStore(IDB_ENTRIES_STORE).get(key)
+    );
+
+    // Check if missing or past the stale window
+    if (!item || isDiscardable(item)) {
+      await deleteIndexedDBEntries(db, [key]);
+      return null;
+    }
+
+    // Mark as most recently used
+    const meta = { ...indexedDBIndex.get(key), lastAccess: Date.now() };
+    indexedDBIndex.set(key, meta);
+    db.transaction(IDB_META_STORE, 'readwrite').objectStore(IDB_META_STORE).put(meta);
+
+    return item;
+  } catch (e) {
+    console.warn('IndexedDB cache read error:', e);
+    return null;
+  }
+}
+
+/**
+ * Clear IndexedDB cache
+ */
+export async function clearIndexedDBCache() {
+  const db = await openIndexedDB();
+  if (!db) return;
+
+  const transaction = db.transaction([IDB_ENTRIES_STORE, IDB_META_STORE], 'readwrite');
+  transaction.objectStore(IDB_ENTRIES_STORE).clear();
+  transaction.objectStore(IDB_META_STORE).clear();
+  await transactionDone(transaction);
+  indexedDBIndex.clear();
+}
+
+/**
+ * Clean expired items from IndexedDB
+ */
+export async function cleanIndexedDBCache() {
+  const db = await openIndexedDB();
+  if (!db) return;
+
+  const now = Date.now();
+  const expired = Array.from(indexedDBIndex.values())
+    .filter((meta) => isDiscardable(meta, now))
+    .map((meta) => meta.key);
+
+  await deleteIndexedDBEntries(db, expired);
+}
+
 // ============================================
 // UNIFIED CACHE INTERFACE
 // ============================================
@@ -195,36 +457,47 @@ export const CacheStrategy = {
   LOCALSTORAGE_ONLY: 'localStorage',
   MEMORY_FIRST: 'memoryFirst', // Check memory, then localStorage
   BOTH: 'both', // Store in both
+  INDEXEDDB: 'indexedDB', // Memory, persisted to IndexedDB (large datasets)
 };
 
 /**
  * Set data in cache
+ * @param {number} staleWindow - How long the data may be served stale after `duration` (ms)
  */
-export function setCache(key, data, duration, strategy = CacheStrategy.MEMORY_FIRST) {
+export function setCache(key, data, duration, strategy = CacheStrategy.MEMORY_FIRST, staleWindow = 0) {
+  const item = createCacheItem(data, duration, staleWindow);
+
   switch (strategy) {
     case CacheStrategy.MEMORY_ONLY:
-      setMemoryCache(key, data, duration);
+      setMemoryCache(key, item);
       break;
       
     case CacheStrategy.LOCALSTORAGE_ONLY:
-      setLocalStorageCache(key, data, duration);
+      setLocalStorageCache(key, item);
       break;
       
     case CacheStrategy.MEMORY_FIRST:
     case CacheStrategy.BOTH:
-      setMemoryCache(key, data, duration);
-      setLocalStorageCache(key, data, duration);
+      setMemoryCache(key, item);
+      setLocalStorageCache(key, item);
+      break;
+      
+    case CacheStrategy.INDEXEDDB:
+      // Written in the background; falls back to memory only without IndexedDB
+      setMemoryCache(key, item);
+      setIndexedDBCache(key, item);
       break;
       
     default:
-      setMemoryCache(key, data, duration);
+      setMemoryCache(key, item);
   }
 }
 
 /**
- * Get data from cache
+ * Get a cache item, fresh or stale
+ * @returns {Object|null} { data, expiresAt, staleUntil, cachedAt }
  */
-export function getCache(key, strategy = CacheStrategy.MEMORY_FIRST) {
+function getCacheItem(key, strategy = CacheStrategy.MEMORY_FIRST) {
   switch (strategy) {
     case CacheStrategy.MEMORY_ONLY:
       return getMemoryCache(key);
@@ -232,33 +505,71 @@ export function getCache(key, strategy = CacheStrategy.MEMORY_FIRST) {
     case CacheStrategy.LOCALSTORAGE_ONLY:
       return getLocalStorageCache(key);
       
-    case CacheStrategy.MEMORY_FIRST:
+    case CacheStrategy.MEMORY_FIRST: {
       // Try memory first, fallback to localStorage
-      const memoryData = getMemoryCache(key);
-      if (memoryData !== null) return memoryData;
+      const memoryItem = getMemoryCache(key);
+      if (memoryItem !== null) return memoryItem;
       
-      const localData = getLocalStorageCache(key);
-      if (localData !== null) {
+      const localItem = getLocalStorageCache(key);
+      if (localItem !== null) {
         // Restore to memory cache
-        setMemoryCache(key, localData, 30 * 1000); // 30 seconds default
-        return localData;
+        setMemoryCache(key, localItem);
       }
-      return null;
+      return localItem;
+    }
       
     case CacheStrategy.BOTH:
       return getMemoryCache(key) || getLocalStorageCache(key);
       
+    case CacheStrategy.INDEXEDDB:
+      // IndexedDB is async; see getCacheItemAsync
+      return getMemoryCache(key);
+      
     default:
       return getMemoryCache(key);
   }
 }
 
+/**
+ * Get a cache item, fresh or stale, reading through to IndexedDB
+ */
+async function getCacheItemAsync(key, strategy = CacheStrategy.MEMORY_FIRST) {
+  const item = getCacheItem(key, strategy);
+  if (item !== null || strategy !== CacheStrategy.INDEXEDDB) return item;
+
+  const storedItem = await getIndexedDBCache(key);
+  if (storedItem !== null) {
+    // Restore to memory cache
+    setMemoryCache(key, storedItem);
+  }
+  return storedItem;
+}
+
+/**
+ * Get data from cache (fresh data only)
+ * With CacheStrategy.INDEXEDDB only the memory layer is read; use
+ * getCacheAsync to read through to IndexedDB
+ */
+export function getCache(key, strategy = CacheStrategy.MEMORY_FIRST) {
+  const item = getCacheItem(key, strategy);
+  return item && Date.now() <= item.expiresAt ? item.data : null;
+}
+
+/**
+ * Get data from cache (fresh data only), including IndexedDB
+ */
+export async function getCacheAsync(key, strategy = CacheStrategy.MEMORY_FIRST) {
+  const item = await getCacheItemAsync(key, strategy);
+  return item && Date.now() <= item.expiresAt ? item.data : null;
+}
+
 /**
  * Clear all caches
  */
 export function clearAllCaches() {
   clearMemoryCache();
   clearLocalStorageCache();
+  clearIndexedDBCache().catch((e) => console.warn('IndexedDB cache clear error:', e));
 }
 
 /**
@@ -267,14 +578,139 @@ export function clearAllCaches() {
 export function cleanAllCaches() {
   cleanMemoryCache();
   cleanLocalStorageCache();
+  cleanIndexedDBCache().catch((e) => console.warn('IndexedDB cache clean error:', e));
+}
+
+// ============================================
+// REQUEST STATISTICS
+// ============================================
+
+// How cacheApiRequest calls were answered, persisted across reloads
+const REQUEST_STATS_KEY = 'cache_request_stats';
+
+// Counts change on every request, so they are written in batches at most this
+// often (and when the page is hidden) rather than on the main thread each time
+const REQUEST_STATS_SAVE_DELAY = 10 * 1000;
+
+let requestStats = null;
+let requestStatsSaveTimer = null;
+
+function loadRequestStats() {
+  const empty = { hits: 0, stale: 0, shared: 0, misses: 0, since: Date.now() };
+  if (!isLocalStorageAvailable()) return empty;
+  
+  try {
+    return { ...empty, ...JSON.parse(localStorage.getItem(REQUEST_STATS_KEY) || '{}') };
+  } catch (e) {
+    return empty;
+  }
+}
+
+/**
+ * Write pending statistics
+ */
+function saveRequestStats() {
+  if (requestStatsSaveTimer === null) return;
+  
+  clearTimeout(requestStatsSaveTimer);
+  requestStatsSaveTimer = null;
+  
+  if (!requestStats || !isLocalStorageAvailable()) return;
+  
+  try {
+    localStorage.setItem(REQUEST_STATS_KEY, JSON.stringify(requestStats));
+  } catch (e) {
+    // Statistics are best effort
+  }
+}
+
+/**
+ * Save statistics after REQUEST_STATS_SAVE_DELAY, or earlier if the page is hidden
+ */
+function scheduleRequestStatsSave() {
+  if (requestStatsSaveTimer !== null || typeof window === 'undefined') return;
+  
+  requestStatsSaveTimer = setTimeout(saveRequestStats, REQUEST_STATS_SAVE_DELAY);
+  window.addEventListener('pagehide', saveRequestStats, { once: true });
+}
+
+/**
+ * Count how a request was answered
+ * @param {string} outcome - 'hits', 'stale', 'shared' (joined an in-flight fetch) or 'misses'
+ */
+function recordRequestOutcome(outcome) {
+  if (!requestStats) requestStats = loadRequestStats();
+  requestStats[outcome] += 1;
+  scheduleRequestStatsSave();
+}
+
+/**
+ * Reset request statistics
+ */
+export function resetCacheRequestStats() {
+  requestStats = null;
+  if (isLocalStorageAvailable()) {
+    localStorage.removeItem(REQUEST_STATS_KEY);
+  }
 }
 
 // ============================================
 // HIGH-LEVEL CACHE FUNCTIONS
 // ============================================
 
+/**
+ * Get a remembered upstream error for a key
+ */
+function getCachedError(key) {
+  const cached = errorCache.get(key);
+  if (!cached) return null;
+
+  if (Date.now() > cached.expiresAt) {
+    errorCache.delete(key);
+    return null;
+  }
+
+  return cached.error;
+}
+
+/**
+ * Fetch and cache a result, sharing one request between concurrent callers
+ */
+function fetchAndCache(cacheKey, fetchFn, { duration, staleWindow, errorDuration, strategy }) {
+  if (inflightRequests.has(cacheKey)) {
+    return inflightRequests.get(cacheKey);
+  }
+
+  const request = (async () => {
+    try {
+      const data = await fetchFn();
+      errorCache.delete(cacheKey);
+      setCache(cacheKey, data, duration, strategy, staleWindow);
+      return data;
+    } catch (error) {
+      // A cancelled request says nothing about the upstream
+      if (errorDuration > 0 && error?.name !== 'AbortError') {
+        errorCache.set(cacheKey, { error, expiresAt: Date.now() + errorDuration });
+      }
+      throw error;
+    } finally {
+      inflightRequests.delete(cacheKey);
+    }
+  })();
+
+  inflightRequests.set(cacheKey, request);
+  return request;
+}
+
 /**
  * Cache an API request result
+ * @param {Object} options
+ * @param {number} options.duration - How long results are fresh (ms)
+ * @param {number} options.staleWindow - How long expired results are still served while refreshing (ms, default: 0)
+ * @param {number} options.errorDuration - How long a failure is remembered before retrying (ms, 0 to disable)
+ * @param {string} options.strategy - CacheStrategy
+ * @param {boolean} options.forceRefresh - Skip cached data (in-flight requests are still shared)
+ * @returns {Promise<Object>} { data, cached, stale? }
  */
 export async function cacheApiRequest(
   service,
@@ -285,34 +721,49 @@ export async function cacheApiRequest(
 ) {
   const {
     duration = 30 * 1000, // Default 30 seconds
+    staleWindow = 0,
+    errorDuration = DEFAULT_ERROR_DURATION,
     strategy = CacheStrategy.MEMORY_FIRST,
     forceRefresh = false,
   } = options;
   
   const cacheKey = generateCacheKey(service, endpoint, params);
+  const fetchOptions = { duration, staleWindow, errorDuration, strategy };
+  const cachedItem = await getCacheItemAsync(cacheKey, strategy);
   
-  // Try to get from cache if not forcing refresh
-  if (!forceRefresh) {
-    const cached = getCache(cacheKey, strategy);
-    if (cached !== null) {
-      return { data: cached, cached: true };
+  if (!forceRefresh && cachedItem) {
+    if (Date.now() <= cachedItem.expiresAt) {
+      recordRequestOutcome('hits');
+      return { data: cachedItem.data, cached: true };
     }
+    
+    recordRequestOutcome('stale');
+    
+    // Stale: answer now and refresh in the background (unless it just failed)
+    if (!getCachedError(cacheKey)) {
+      fetchAndCache(cacheKey, fetchFn, fetchOptions).catch((error) => {
+        console.warn('Background refresh failed, serving stale cache:', error);
+      });
+    }
+    return { data: cachedItem.data, cached: true, stale: true };
   }
   
-  // Fetch fresh data
+  // Fail fast while a recent failure is remembered
+  const cachedError = forceRefresh ? null : getCachedError(cacheKey);
+  if (cachedError) {
+    throw cachedError;
+  }
+  
+  recordRequestOutcome(inflightRequests.has(cacheKey) ? 'shared' : 'misses');
+  
   try {
-    const data = await fetchFn();
-    
-    // Cache the result
-    setCache(cacheKey, data, duration, strategy);
-    
+    const data = await fetchAndCache(cacheKey, fetchFn, fetchOptions);
     return { data, cached: false };
   } catch (error) {
-    // If fetch fails, try to return stale cache data as fallback
-    const staleData = getCache(cacheKey, strategy);
-    if (staleData !== null) {
+    // If a forced refresh fails, fall back to stale cache data
+    if (cachedItem) {
       console.warn('API fetch failed, using stale cache:', error);
-      return { data: staleData, cached: true, stale: true };
+      return { data: cachedItem.data, cached: true, stale: true };
     }
     
     throw error;
@@ -327,10 +778,17 @@ export function invalidateCache(service, endpoint, params = {}) {
   
   // Remove from both caches
   memoryCache.delete(cacheKey);
+  errorCache.delete(cacheKey);
   
   if (isLocalStorageAvailable()) {
     localStorage.removeItem(cacheKey);
   }
+  
+  if (indexedDBIndex.has(cacheKey)) {
+    openIndexedDB()
+      .then((db) => db && deleteIndexedDBEntries(db, [cacheKey]))
+      .catch((e) => console.warn('IndexedDB cache delete error:', e));
+  }
 }
 
 /**
@@ -342,10 +800,23 @@ export function getCacheStats() {
   let localStorageCacheSize = 0;
   if (isLocalStorageAvailable()) {
     const keys = Object.keys(localStorage);
-    localStorageCacheSize = keys.filter(key => key.startsWith('api_')).length;
+    localStorageCacheSize = keys.filter(isCacheKey).length;
   }
   
+  if (!requestStats) requestStats = loadRequestStats();
+  const { hits, stale, shared, misses, since } = requestStats;
+  const total = hits + stale + shared + misses;
+  
   return {
+    requests: {
+      hits,
+      stale,
+      shared,
+      misses,
+      total,
+      hitRatio: total > 0 ? (hits + stale + shared) / total : null,
+      since,
+    },
     memoryCache: {
       size: memoryCacheSize,
       entries: Array.from(memoryCache.keys()),
@@ -353,6 +824,14 @@ export function getCacheStats() {
     localStorageCache: {
       size: localStorageCacheSize,
     },
+    indexedDBCache: {
+      available: isIndexedDBAvailable(),
+      size: indexedDBIndex.size,
+      bytes: getIndexedDBUsage(),
+      quota: apiConfig.cacheQuota.indexedDB,
+    },
+    inflightRequests: inflightRequests.size,
+    cachedErrors: errorCache.size,
   };
 }
 
@@ -371,11 +850,13 @@ if (typeof window !== 'undefined') {
 export default {
   setCache,
   getCache,
+  getCacheAsync,
   clearAllCaches,
   cleanAllCaches,
   cacheApiRequest,
   invalidateCache,
   getCacheStats,
+  resetCacheRequestStats,
   CacheStrategy,
   generateCacheKey,
 };
@@ -0,0 +1,222 @@
+/**
+ * Gas Utility
+ * Reads gas tiers and L1 data fee parameters over JSON-RPC, and summarises
+ * sampled gas history by hour of the week
+ *
+ * Shared by the browser API layer (lib/api/basescan.js) and the server gas
+ * sampler (lib/server/gas-history.js), which each pass their own RPC caller
+ * from createRpcCaller (lib/utils/rpc.js).
+ */
+
+import { encodeFunctionData, decodeFunctionResult } from 'viem';
+
+// ============================================
+// GAS TIERS
+// ============================================
+
+// Blocks sampled by eth_feeHistory
+const FEE_HISTORY_BLOCKS = 20;
+
+// Priority fee percentiles behind the safe, standard and fast tiers
+const FEE_PERCENTILES = [25, 50, 90];
+
+// Base fee moves under this share of the window count as steady
+const BASE_FEE_TREND_THRESHOLD = 0.05;
+
+const weiToGwei = (wei) => (wei / 1e9).toFixed(9);
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Build gas tiers from an eth_feeHistory response
+ * Priority fees are the median of each reward percentile over blocks that
+ * carried transactions. Safe bids the lower of the next and average base fee
+ * (worth waiting for when fees are falling); fast covers the window's peak.
+ */
+function buildGasTiers(history) {
+  const baseFees = history.baseFeePerGas.map(fee => parseInt(fee, 16));
+  const ratios = history.gasUsedRatio;
+
+  // baseFeePerGas has one extra entry: the next block's base fee
+  const nextBaseFee = baseFees[baseFees.length - 1];
+  const pastBaseFees = baseFees.slice(0, -1);
+  const averageBaseFee = pastBaseFees.reduce((sum, fee) => sum + fee, 0) / pastBaseFees.length;
+  const peakBaseFee = Math.max(...baseFees);
+
+  // Empty blocks report zero rewards, which would drag every tier down
+  const rewards = (history.reward || []).filter((_, index) => ratios[index] > 0);
+  const [safeTip, standardTip, fastTip] = FEE_PERCENTILES.map((_, column) =>
+    median(rewards.map(blockRewards => parseInt(blockRewards[column], 16)))
+  );
+
+  const baseFeeChange = pastBaseFees[0] > 0 ? (nextBaseFee - pastBaseFees[0]) / pastBaseFees[0] : 0;
+  const baseFeeTrend = baseFeeChange > BASE_FEE_TREND_THRESHOLD
+    ? 'rising'
+    : baseFeeChange < -BASE_FEE_TREND_THRESHOLD ? 'falling' : 'steady';
+
+  return {
+    safeGasPrice: weiToGwei(Math.min(nextBaseFee, averageBaseFee) + safeTip),
+    proposeGasPrice: weiToGwei(nextBaseFee + standardTip),
+    fastGasPrice: weiToGwei(peakBaseFee + fastTip),
+    suggestBaseFee: weiToGwei(nextBaseFee),
+    priorityFees: {
+      safe: weiToGwei(safeTip),
+      standard: weiToGwei(standardTip),
+      fast: weiToGwei(fastTip),
+    },
+    baseFeeTrend,
+    baseFeeChange: baseFeeChange * 100,
+    gasUsedRatio: ratios[ratios.length - 1],
+    averageGasUsedRatio: ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length,
+    lastBlock: parseInt(history.oldestBlock, 16) + ratios.length - 1,
+    source: 'feeHistory',
+    isFallback: false,
+    fetchedAt: Date.now(),
+  };
+}
+
+/**
+ * Flat tiers from a single eth_gasPrice reading
+ * Used when the RPC does not serve eth_feeHistory; block data is unknown
+ */
+function buildFallbackGasTiers(gasPriceHex) {
+  const gasPrice = weiToGwei(parseInt(gasPriceHex, 16));
+
+  return {
+    safeGasPrice: gasPrice,
+    proposeGasPrice: gasPrice,
+    fastGasPrice: gasPrice,
+    suggestBaseFee: null,
+    priorityFees: null,
+    baseFeeTrend: null,
+    baseFeeChange: null,
+    gasUsedRatio: null,
+    averageGasUsedRatio: null,
+    lastBlock: null,
+    source: 'gasPrice',
+    isFallback: true,
+    fetchedAt: Date.now(),
+  };
+}
+
+/**
+ * Read gas tiers from eth_feeHistory, falling back to eth_gasPrice
+ * A 429 is rethrown rather than spending another request on the fallback.
+ * @param {Function} call - JSON-RPC caller
+ * @param {string} network - Network name, for logging
+ * @returns {Promise<Object>} Tiers in Gwei (see getGasPrices in lib/api/basescan.js)
+ */
+export async function readGasTiers(call, network) {
+  try {
+    const history = await call('eth_feeHistory', [
+      `0x${FEE_HISTORY_BLOCKS.toString(16)}`,
+      'latest',
+      FEE_PERCENTILES,
+    ]);
+    return buildGasTiers(history);
+  } catch (error) {
+    if (error.status === 429) throw error;
+
+    console.warn(`eth_feeHistory unavailable on ${network}, using eth_gasPrice:`, error.message);
+    return buildFallbackGasTiers(await call('eth_gasPrice'));
+  }
+}
+
+// ============================================
+// L1 DATA FEE
+// ============================================
+
+// GasPriceOracle getters behind the Fjord L1 fee formula
+const GAS_PRICE_ORACLE_ABI = ['l1BaseFee', 'blobBaseFee', 'baseFeeScalar', 'blobBaseFeeScalar'].map(name => ({
+  type: 'function',
+  name,
+  stateMutability: 'view',
+  inputs: [],
+  outputs: [{ type: 'uint256' }],
+}));
+
+/**
+ * Read L1 data fee parameters from an OP-stack GasPriceOracle
+ * The four getters go out as one JSON-RPC batch.
+ * @param {Function} call - JSON-RPC caller
+ * @param {string} oracle - GasPriceOracle address (network.apis.gasPriceOracle)
+ * @returns {Promise<Object>} { l1BaseFee, blobBaseFee (wei), baseFeeScalar, blobBaseFeeScalar, fetchedAt }
+ */
+export async function readL1FeeParams(call, oracle) {
+  const results = await call.batch(GAS_PRICE_ORACLE_ABI.map(({ name }) => ({
+    method: 'eth_call',
+    params: [{ to: oracle, data: encodeFunctionData({ abi: GAS_PRICE_ORACLE_ABI, functionName: name }) }, 'latest'],
+  })));
+
+  const [l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar] = GAS_PRICE_ORACLE_ABI.map(({ name }, index) =>
+    Number(decodeFunctionResult({ abi: GAS_PRICE_ORACLE_ABI, functionName: name, data: results[index] }))
+  );
+
+  return { l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar, fetchedAt: Date.now() };
+}
+
+// ============================================
+// HOUR-OF-WEEK SUMMARY
+// ============================================
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Average hourly gas history by day of the week and hour (local time)
+ * @param {Array} hours - Hourly buckets from getRecordedGasHistory
+ * @param {Function} getCost - (bucket) => number to compare, e.g. a preset's fee in ETH
+ * @returns {Object} { cells: 7 rows of 24 { day, hour, cost, count } (cost null when unsampled),
+ *   coverage (sampled cells), average, min, max }
+ */
+export function buildHourOfWeekHeatmap(hours, getCost) {
+  const totals = WEEKDAY_LABELS.map(() => Array.from({ length: 24 }, () => ({ sum: 0, count: 0 })));
+
+  hours.forEach((bucket) => {
+    const cost = getCost(bucket);
+    if (!Number.isFinite(cost)) return;
+
+    const date = new Date(bucket.timestamp);
+    const cell = totals[date.getDay()][date.getHours()];
+    cell.sum += cost;
+    cell.count += 1;
+  });
+
+  const cells = totals.map((row, day) => row.map((cell, hour) => ({
+    day,
+    hour,
+    cost: cell.count ? cell.sum / cell.count : null,
+    count: cell.count,
+  })));
+
+  const costs = cells.flat().filter(cell => cell.cost !== null).map(cell => cell.cost);
+
+  return {
+    cells,
+    coverage: costs.length,
+    average: costs.length ? costs.reduce((sum, cost) => sum + cost, 0) / costs.length : null,
+    min: costs.length ? Math.min(...costs) : null,
+    max: costs.length ? Math.max(...costs) : null,
+  };
+}
+
+/**
+ * Cheapest hours of the week, with their saving against the weekly average
+ * @param {Object} heatmap - From buildHourOfWeekHeatmap
+ * @param {number} count - Slots to return
+ * @returns {Array} [{ day, hour, cost, count, savings (%) }]
+ */
+export function findCheapestSlots(heatmap, count = 3) {
+  if (!heatmap.average) return [];
+
+  return heatmap.cells
+    .flat()
+    .filter(cell => cell.cost !== null)
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, count)
+    .map(cell => ({ ...cell, savings: ((heatmap.average - cell.cost) / heatmap.average) * 100 }));
+}
@@ -0,0 +1,296 @@
+/**
+ * Technical Indicators
+ * Computes chart indicators from OHLCV candles for the Price Chart widget
+ *
+ * Overlays (SMA, EMA, Bollinger Bands, VWAP) share the price axis;
+ * oscillators (RSI, MACD) have their own scale and are drawn in a panel
+ * below the chart. Values are null until an indicator has enough candles.
+ */
+
+/**
+ * Indicator definitions
+ * params: editable settings ({ key, label, min, max, step?, below? }); values
+ * snap to step (default 1, so periods stay whole numbers) and a param with
+ * `below` stays under that other param. Defaults are used for any setting
+ * missing from the widget config.
+ */
+export const INDICATORS = {
+  sma: {
+    id: 'sma',
+    label: 'SMA',
+    name: 'Simple moving average',
+    type: 'overlay',
+    color: '#f59e0b',
+    defaults: { enabled: false, period: 20 },
+    params: [{ key: 'period', label: 'Period', min: 2, max: 200 }],
+  },
+  ema: {
+    id: 'ema',
+    label: 'EMA',
+    name: 'Exponential moving average',
+    type: 'overlay',
+    color: '#a855f7',
+    defaults: { enabled: false, period: 50 },
+    params: [{ key: 'period', label: 'Period', min: 2, max: 200 }],
+  },
+  bollinger: {
+    id: 'bollinger',
+    label: 'BB',
+    name: 'Bollinger Bands',
+    type: 'overlay',
+    color: '#38bdf8',
+    defaults: { enabled: false, period: 20, stdDev: 2 },
+    params: [
+      { key: 'period', label: 'Period', min: 2, max: 200 },
+      { key: 'stdDev', label: 'Std dev', min: 0.5, max: 5, step: 0.5 },
+    ],
+  },
+  vwap: {
+    id: 'vwap',
+    label: 'VWAP',
+    name: 'Volume-weighted average price',
+    type: 'overlay',
+    color: '#ec4899',
+    defaults: { enabled: false },
+    params: [],
+  },
+  rsi: {
+    id: 'rsi',
+    label: 'RSI',
+    name: 'Relative strength index',
+    type: 'oscillator',
+    color: '#a855f7',
+    defaults: { enabled: false, period: 14 },
+    params: [{ key: 'period', label: 'Period', min: 2, max: 100 }],
+  },
+  macd: {
+    id: 'macd',
+    label: 'MACD',
+    name: 'Moving average convergence divergence',
+    type: 'oscillator',
+    color: '#38bdf8',
+    signalColor: '#f59e0b',
+    defaults: { enabled: false, fast: 12, slow: 26, signal: 9 },
+    params: [
+      { key: 'fast', label: 'Fast', min: 2, max: 100, below: 'slow' },
+      { key: 'slow', label: 'Slow', min: 3, max: 200 },
+      { key: 'signal', label: 'Signal', min: 2, max: 50 },
+    ],
+  },
+};
+
+/**
+ * Range a param may take given the indicator's other settings
+ * @returns {Object} { min, max }
+ */
+export function getIndicatorParamRange(indicatorId, key, settings = {}) {
+  const { params } = INDICATORS[indicatorId];
+  const param = params.find(p => p.key === key);
+  const step = param.step || 1;
+  const above = params.find(p => p.below === key);
+
+  return {
+    min: above && settings[above.key] !== undefined ? Math.max(param.min, settings[above.key] + step) : param.min,
+    max: param.below && settings[param.below] !== undefined ? Math.min(param.max, settings[param.below] - step) : param.max,
+  };
+}
+
+/**
+ * Clamp a setting to its range and snap it to its step (invalid input falls
+ * back to the default)
+ * @param {Object} settings - The indicator's current settings, for params
+ *   bounded by another one (e.g. MACD fast below slow)
+ */
+export function clampIndicatorParam(indicatorId, key, value, settings = {}) {
+  const indicator = INDICATORS[indicatorId];
+  const param = indicator.params.find(p => p.key === key);
+  const number = Number(value);
+
+  if (!param || !Number.isFinite(number)) {
+    return indicator.defaults[key];
+  }
+
+  const step = param.step || 1;
+  const { min, max } = getIndicatorParamRange(indicatorId, key, settings);
+
+  return Math.min(max, Math.max(min, Math.round(number / step) * step));
+}
+
+/**
+ * Merge saved indicator settings over the defaults
+ * Saved params are clamped again, so settings saved out of range (or with
+ * MACD fast at or above slow) are corrected rather than plotted
+ * @param {Object} saved - config.indicators of the widget
+ * @returns {Object} Settings for every indicator, keyed by id
+ */
+export function getIndicatorSettings(saved = {}) {
+  return Object.fromEntries(
+    Object.values(INDICATORS).map((indicator) => {
+      const settings = { ...indicator.defaults, ...saved[indicator.id] };
+
+      indicator.params.forEach(({ key }) => {
+        settings[key] = clampIndicatorParam(indicator.id, key, settings[key]);
+      });
+
+      // Then move bounded params (e.g. MACD fast) under the param they are bounded by
+      indicator.params.filter(param => param.below).forEach(({ key }) => {
+        settings[key] = clampIndicatorParam(indicator.id, key, settings[key], settings);
+      });
+
+      return [indicator.id, settings];
+    })
+  );
+}
+
+// ============================================
+// CALCULATIONS
+// ============================================
+
+/**
+ * Simple moving average over a rolling window
+ */
+export function sma(values, period) {
+  let sum = 0;
+
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) sum -= values[index - period];
+    return index >= period - 1 ? sum / period : null;
+  });
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period
+ * Leading nulls in values (e.g. from another indicator) are skipped
+ */
+export function ema(values, period) {
+  const k = 2 / (period + 1);
+  const start = values.findIndex(value => value !== null);
+  const result = values.map(() => null);
+
+  if (start === -1 || values.length - start < period) return result;
+
+  let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = previous;
+
+  for (let i = start + period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+
+  return result;
+}
+
+/**
+ * Bollinger Bands: SMA plus and minus a multiple of the population standard deviation
+ */
+export function bollinger(values, period, stdDev) {
+  const middle = sma(values, period);
+
+  return middle.map((mean, index) => {
+    if (mean === null) return { upper: null, middle: null, lower: null };
+
+    const window = values.slice(index - period + 1, index + 1);
+    const variance = window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period;
+    const band = Math.sqrt(variance) * stdDev;
+
+    return { upper: mean + band, middle: mean, lower: mean - band };
+  });
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ */
+export function rsi(values, period) {
+  const result = values.map(() => null);
+  if (values.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  result[period] = toRsi();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+
+  return result;
+}
+
+/**
+ * MACD line (fast EMA minus slow EMA), its signal EMA and the histogram between them
+ */
+export function macd(values, fast, slow, signal) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signalLine = ema(line, signal);
+
+  return line.map((value, i) => ({
+    macd: value,
+    signal: signalLine[i],
+    histogram: value === null || signalLine[i] === null ? null : value - signalLine[i],
+  }));
+}
+
+/**
+ * VWAP anchored at the first candle shown, from the typical price
+ */
+export function vwap(candles) {
+  let priceVolume = 0;
+  let volume = 0;
+
+  return candles.map((candle) => {
+    priceVolume += ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+    volume += candle.volume;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+}
+
+/**
+ * Candles in time order with every enabled indicator attached
+ * @param {Array} candles - [{ timestamp, open, high, low, close, volume }]
+ * @param {Object} settings - From getIndicatorSettings
+ * @returns {Array} Candles plus price (the close) and sma, ema, bbUpper,
+ *   bbMiddle, bbLower, vwap, rsi, macd, macdSignal, macdHistogram when enabled
+ */
+export function applyIndicators(candles, settings) {
+  const sorted = [...candles].sort((a, b) => a.timestamp - b.timestamp);
+  const closes = sorted.map(candle => candle.close);
+  const { sma: smaSettings, ema: emaSettings, bollinger: bbSettings, vwap: vwapSettings, rsi: rsiSettings, macd: macdSettings } = settings;
+
+  const smaValues = smaSettings.enabled ? sma(closes, smaSettings.period) : null;
+  const emaValues = emaSettings.enabled ? ema(closes, emaSettings.period) : null;
+  const bands = bbSettings.enabled ? bollinger(closes, bbSettings.period, bbSettings.stdDev) : null;
+  const vwapValues = vwapSettings.enabled ? vwap(sorted) : null;
+  const rsiValues = rsiSettings.enabled ? rsi(closes, rsiSettings.period) : null;
+  const macdValues = macdSettings.enabled
+    ? macd(closes, macdSettings.fast, macdSettings.slow, macdSettings.signal)
+    : null;
+
+  return sorted.map((candle, i) => ({
+    ...candle,
+    price: candle.close,
+    ...(smaValues && { sma: smaValues[i] }),
+    ...(emaValues && { ema: emaValues[i] }),
+    ...(bands && { bbUpper: bands[i].upper, bbMiddle: bands[i].middle, bbLower: bands[i].lower }),
+    ...(vwapValues && { vwap: vwapValues[i] }),
+    ...(rsiValues && { rsi: rsiValues[i] }),
+    ...(macdValues && {
+      macd: macdValues[i].macd,
+      macdSignal: macdValues[i].signal,
+      macdHistogram: macdValues[i].histogram,
+    }),
+  }));
+}
@@ -0,0 +1,284 @@
+/**
+ * Layout Import/Export Utility
+ * Versioned JSON documents for backing up and restoring layouts
+ *
+ * Document shape (version 1):
+ * {
+ *   format: 'mybase-layouts',
+ *   version: 1,
+ *   exportedAt: ISO date,
+ *   layouts: [{ name, widgets: [{ type, x, y, w, h, config }] }]
+ * }
+ *
+ * Older documents are upgraded through MIGRATIONS before validation, so
+ * every version ever exported stays importable. Widget settings are checked
+ * against each widget's configSchema, like the settings form does.
+ */
+
+import { activeNetwork } from '@/config/networks';
+import { getWidget, getWidgetSize, normalizeWidgetType, validateConfigValue } from '@/lib/widgets';
+
+export const LAYOUT_FILE_FORMAT = 'mybase-layouts';
+export const LAYOUT_FILE_VERSION = 1;
+
+// Widget fields with their own slot in the document, or local-only metadata
+const WIDGET_FIELDS = ['id', 'type', 'x', 'y', 'w', 'h'];
+const LOCAL_ONLY_FIELDS = ['remoteId', 'createdAt', 'updatedAt'];
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each receives a document of that version and returns the next version
+ */
+const MIGRATIONS = {
+  // Version 0: raw localStorage value (`layouts_${userKey}`) or a single
+  // layout object, with flat widgets and camelCase widget types
+  0: (doc) => {
+    const layouts = Array.isArray(doc) ? doc : [doc];
+    return {
+      format: LAYOUT_FILE_FORMAT,
+      version: 1,
+      exportedAt: null,
+      layouts: layouts.map((layout) => ({
+        name: layout?.name,
+        widgets: (layout?.widgets || []).map(toDocumentWidget),
+      })),
+    };
+  },
+};
+
+/**
+ * Convert a local widget to its document form
+ * Widgets never moved on the grid have no position yet; the grid compacts
+ * them the same way on import
+ */
+const toDocumentWidget = (widget) => {
+  const config = Object.fromEntries(
+    Object.entries(widget || {}).filter(
+      ([key]) => !WIDGET_FIELDS.includes(key) && !LOCAL_ONLY_FIELDS.includes(key)
+    )
+  );
+  const size = getWidgetSize(widget?.type);
+  return {
+    type: widget?.type,
+    x: widget?.x ?? 0,
+    y: widget?.y ?? 0,
+    w: widget?.w ?? size.width,
+    h: widget?.h ?? size.height,
+    config,
+  };
+};
+
+const isGridNumber = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a widget's settings against its configSchema
+ * Out-of-range values are clamped; values that cannot be fixed (unknown
+ * options, networks or tokens) fall back to the widget's default, or are
+ * dropped when it has none. Settings outside the schema are kept as they are.
+ * @param {string} type - Registered widget type
+ * @param {Object} config - Widget settings
+ * @returns {Object} { config, corrections } - corrections: [{ field, reason }]
+ */
+export function validateWidgetConfig(type, config = {}) {
+  const widget = getWidget(type);
+  const validated = { ...config };
+  const corrections = [];
+
+  // Networks first, so token fields are checked against the corrected network
+  const fields = Object.entries(widget?.configSchema || {})
+    .sort(([, a], [, b]) => (b.type === 'network') - (a.type === 'network'));
+
+  fields.forEach(([key, field]) => {
+    if (validated[key] === undefined) return;
+
+    const context = { network: validated.network || activeNetwork.name };
+    const { value, error } = validateConfigValue(field, validated[key], context);
+
+    if (!error) {
+      validated[key] = value;
+      return;
+    }
+
+    // Clamped values pass a second check; anything else takes the default
+    const clamped = validateConfigValue(field, value, context);
+    if (!clamped.error) {
+      validated[key] = clamped.value;
+    } else if (widget.defaultConfig?.[key] !== undefined) {
+      validated[key] = widget.defaultConfig[key];
+    } else {
+      delete validated[key];
+    }
+
+    corrections.push({ field: key, reason: error });
+  });
+
+  return { config: validated, corrections };
+}
+
+/**
+ * Build an export document
+ * @param {Array} layouts - Layouts to export (one or many)
+ * @returns {Object} Versioned document
+ */
+export function createLayoutDocument(layouts) {
+  return {
+    format: LAYOUT_FILE_FORMAT,
+    version: LAYOUT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    layouts: layouts.map((layout) => ({
+      name: layout.name,
+      widgets: (layout.widgets || []).map(toDocumentWidget),
+    })),
+  };
+}
+
+/**
+ * Upgrade a parsed document to the current version
+ * @param {Object|Array} doc - Parsed JSON
+ * @returns {Object} { doc, migratedFrom } - Current-version document
+ */
+export function migrateLayoutDocument(doc) {
+  let version;
+
+  if (Array.isArray(doc) || (doc && doc.format === undefined && Array.isArray(doc.widgets))) {
+    version = 0;
+  } else if (doc?.format === LAYOUT_FILE_FORMAT && Number.isInteger(doc.version)) {
+    version = doc.version;
+  } else {
+    throw new Error('This file is not a layout export');
+  }
+
+  if (version > LAYOUT_FILE_VERSION) {
+    throw new Error(`This file was exported by a newer version (v${version}). Please update the app.`);
+  }
+
+  const migratedFrom = version < LAYOUT_FILE_VERSION ? version : null;
+  let current = doc;
+
+  while (version < LAYOUT_FILE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration available for layout files v${version}`);
+    }
+    current = migrate(current);
+    version = current.version;
+  }
+
+  return { doc: current, migratedFrom };
+}
+
+/**
+ * Parse, migrate and validate a layout file
+ * @param {string} text - File contents
+ * @returns {Object} { layouts, report } (see validateLayoutDocument)
+ */
+export function parseLayoutFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  return validateLayoutDocument(parsed);
+}
+
+/**
+ * Migrate and validate layouts from an untrusted source (a file, a share link)
+ * Invalid widgets are skipped; unknown widget types are kept (the grid shows
+ * a placeholder for them) and listed in the report, as are settings that had
+ * to be corrected. Widgets get new ids.
+ * @param {Object|Array} parsed - Document of any version, or local layouts
+ * @returns {Object} { layouts, report }
+ */
+export function validateLayoutDocument(parsed) {
+  const { doc, migratedFrom } = migrateLayoutDocument(parsed);
+
+  if (!Array.isArray(doc.layouts) || doc.layouts.length === 0) {
+    throw new Error('The file does not contain any layouts');
+  }
+
+  const unknownTypes = new Map();
+  const skipped = [];
+  const corrected = [];
+
+  const layouts = doc.layouts.map((layout, layoutIndex) => {
+    const name = typeof layout?.name === 'string' && layout.name.trim()
+      ? layout.name.trim()
+      : `Imported Dashboard ${layoutIndex + 1}`;
+
+    const widgets = [];
+    (Array.isArray(layout?.widgets) ? layout.widgets : []).forEach((widget, widgetIndex) => {
+      if (!widget || typeof widget.type !== 'string' || !widget.type) {
+        skipped.push({ layout: name, index: widgetIndex, reason: 'Missing widget type' });
+        return;
+      }
+      if (![widget.x, widget.y, widget.w, widget.h].every(isGridNumber) || widget.w === 0 || widget.h === 0) {
+        skipped.push({ layout: name, index: widgetIndex, reason: `Invalid grid position for ${widget.type}` });
+        return;
+      }
+      if (widget.config !== undefined && (typeof widget.config !== 'object' || Array.isArray(widget.config))) {
+        skipped.push({ layout: name, index: widgetIndex, reason: `Invalid config for ${widget.type}` });
+        return;
+      }
+
+      const type = normalizeWidgetType(widget.type);
+      const definition = getWidget(type);
+      if (!definition) {
+        const entry = unknownTypes.get(type) || { type, count: 0, layouts: [] };
+        entry.count += 1;
+        if (!entry.layouts.includes(name)) entry.layouts.push(name);
+        unknownTypes.set(type, entry);
+      }
+
+      const { config, corrections } = validateWidgetConfig(type, widget.config);
+      corrections.forEach(({ field, reason }) => {
+        corrected.push({ layout: name, index: widgetIndex, widget: definition.name, field, reason });
+      });
+
+      widgets.push({
+        ...config,
+        id: `widget-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        type,
+        x: widget.x,
+        y: widget.y,
+        w: widget.w,
+        h: widget.h,
+      });
+    });
+
+    return { name, widgets };
+  });
+
+  return {
+    layouts,
+    report: {
+      layoutCount: layouts.length,
+      widgetCount: layouts.reduce((sum, layout) => sum + layout.widgets.length, 0),
+      migratedFrom,
+      unknownTypes: Array.from(unknownTypes.values()),
+      skipped,
+      corrected,
+    },
+  };
+}
+
+/**
+ * Trigger a browser download of a layout document
+ * @param {Object} doc - Document from createLayoutDocument
+ * @param {string} filename - File name without extension
+ */
+export function downloadLayoutDocument(doc, filename) {
+  const safeName = filename.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layouts';
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${safeName}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,405 @@
+/**
+ * Layout Sync Utility
+ * Offline-first sync between localStorage layouts and Supabase
+ *
+ * Local layouts stay the source of truth for the UI. Edits mark a layout
+ * dirty in a persisted queue, and the queue is flushed to Supabase whenever
+ * the user is signed in and online. Layouts that were changed on another
+ * machine in the meantime are resolved with a ConflictStrategy.
+ *
+ * Live updates arrive through Supabase realtime (other devices) and a
+ * BroadcastChannel (other tabs on this device, signed in or not).
+ */
+
+import {
+  supabase,
+  getUserLayouts,
+  createLayout as createRemoteLayout,
+  updateLayout as updateRemoteLayout,
+  deleteLayout as deleteRemoteLayout,
+  addWidgetToLayout,
+  updateWidget,
+  deleteWidget,
+} from '@/lib/supabase';
+
+/**
+ * Conflict resolution strategies
+ */
+export const ConflictStrategy = {
+  LAST_WRITER_WINS: 'lastWriterWins', // Newest layout wins as a whole
+  MERGE: 'merge', // Newest version of each widget wins
+};
+
+// Widget fields stored in their own widget_settings columns
+const WIDGET_COLUMNS = ['type', 'x', 'y', 'w', 'h', 'remoteId', 'updatedAt', 'createdAt'];
+
+const toTime = (value) => (value ? Date.parse(value) : 0);
+
+/**
+ * Sync queue persistence
+ * The queue lists dirty local layout ids and remote ids deleted while offline
+ */
+const getQueueKey = (userId) => `layouts_sync_queue_${userId}`;
+
+export const loadSyncQueue = (userId) => {
+  try {
+    const stored = localStorage.getItem(getQueueKey(userId));
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      return { dirty: parsed.dirty || [], deleted: parsed.deleted || [] };
+    }
+  } catch (error) {
+    console.error('Error loading sync queue:', error);
+  }
+  return { dirty: [], deleted: [] };
+};
+
+/**
+ * Apply an update to the persisted queue
+ * @param {string} userId - User ID
+ * @param {Function} updater - Receives the queue and returns the next one
+ * @returns {Object} Updated queue
+ */
+export const updateSyncQueue = (userId, updater) => {
+  const queue = updater(loadSyncQueue(userId));
+  try {
+    localStorage.setItem(getQueueKey(userId), JSON.stringify(queue));
+  } catch (error) {
+    console.error('Error saving sync queue:', error);
+  }
+  return queue;
+};
+
+export const markLayoutDirty = (userId, layoutId) =>
+  updateSyncQueue(userId, (queue) => ({
+    ...queue,
+    dirty: queue.dirty.includes(layoutId) ? queue.dirty : [...queue.dirty, layoutId],
+  }));
+
+export const markLayoutDeleted = (userId, layout) =>
+  updateSyncQueue(userId, (queue) => ({
+    dirty: queue.dirty.filter(id => id !== layout.id),
+    deleted: layout.remoteId && !queue.deleted.includes(layout.remoteId)
+      ? [...queue.deleted, layout.remoteId]
+      : queue.deleted,
+  }));
+
+/**
+ * Stamp updatedAt on widgets that changed between two widget lists
+ * @param {Array} prevWidgets - Widgets before the edit
+ * @param {Array} nextWidgets - Widgets after the edit
+ * @returns {Object} { widgets, changed } - Stamped widgets and whether anything changed
+ */
+export const touchChangedWidgets = (prevWidgets = [], nextWidgets = []) => {
+  const now = new Date().toISOString();
+  const strip = ({ updatedAt, ...rest }) => JSON.stringify(rest);
+  const prevById = new Map(prevWidgets.map(w => [w.id, strip(w)]));
+  let changed = prevWidgets.length !== nextWidgets.length;
+
+  const widgets = nextWidgets.map((widget, index) => {
+    if (prevWidgets[index]?.id !== widget.id) changed = true;
+    if (prevById.get(widget.id) === strip(widget)) return widget;
+    changed = true;
+    return { ...widget, updatedAt: now };
+  });
+
+  return { widgets, changed };
+};
+
+/**
+ * Convert a local widget to addWidgetToLayout input
+ */
+const toRemoteWidget = (widget) => {
+  const config = Object.fromEntries(
+    Object.entries(widget).filter(([key]) => !WIDGET_COLUMNS.includes(key))
+  );
+  return {
+    widgetType: widget.type,
+    x: widget.x ?? 0,
+    y: widget.y ?? 0,
+    width: widget.w,
+    height: widget.h,
+    config,
+  };
+};
+
+/**
+ * Convert a widget_settings row to a local widget
+ */
+const fromRemoteWidget = (row) => ({
+  ...row.config,
+  id: row.config?.id || `widget-${row.id}`,
+  type: row.widget_type,
+  x: row.position_x,
+  y: row.position_y,
+  w: row.width,
+  h: row.height,
+  remoteId: row.id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Convert widget_settings (or template_widgets) rows to local widgets
+ * @param {Array} rows - Widget rows
+ * @returns {Array} Local widgets in grid order
+ */
+export const fromRemoteWidgets = (rows = []) =>
+  rows
+    .map(fromRemoteWidget)
+    .sort((a, b) => (a.y - b.y) || (a.x - b.x));
+
+/**
+ * Convert a layouts row (with widget_settings) to a local layout
+ * @param {Object} row - Row from getUserLayouts
+ * @returns {Object} Local layout
+ */
+export const fromRemoteLayout = (row) => ({
+  id: row.id,
+  remoteId: row.id,
+  name: row.name,
+  widgets: fromRemoteWidgets(row.widget_settings),
+  userId: row.user_id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  syncedAt: row.updated_at,
+});
+
+/**
+ * Resolve a layout edited both locally and remotely since the last sync
+ * @param {Object} local - Local layout
+ * @param {Object} remote - Remote layout (local shape)
+ * @param {string} strategy - ConflictStrategy value
+ * @returns {Object} { layout, remoteWins } - Resolved layout
+ */
+export const resolveConflict = (local, remote, strategy = ConflictStrategy.MERGE) => {
+  const localIsNewer = toTime(local.updatedAt) >= toTime(remote.updatedAt);
+
+  if (strategy === ConflictStrategy.LAST_WRITER_WINS) {
+    return localIsNewer
+      ? { layout: local, remoteWins: false }
+      : { layout: { ...remote, id: local.id }, remoteWins: true };
+  }
+
+  // Per-widget merge: keep the newest copy of every widget
+  const since = toTime(local.syncedAt);
+  const remoteById = new Map(remote.widgets.map(w => [w.id, w]));
+  const localIds = new Set(local.widgets.map(w => w.id));
+  const widgets = [];
+
+  local.widgets.forEach((widget) => {
+    const remoteWidget = remoteById.get(widget.id);
+    if (remoteWidget) {
+      widgets.push(toTime(widget.updatedAt) >= toTime(remoteWidget.updatedAt) ? widget : remoteWidget);
+    } else if (!widget.remoteId || toTime(widget.updatedAt) > since) {
+      // Added locally, or deleted remotely but edited here afterwards
+      widgets.push({ ...widget, remoteId: undefined });
+    }
+  });
+
+  remote.widgets.forEach((widget) => {
+    // Added remotely since the last sync (older ones were deleted locally)
+    if (!localIds.has(widget.id) && toTime(widget.createdAt) > since) {
+      widgets.push(widget);
+    }
+  });
+
+  return {
+    layout: {
+      ...local,
+      name: localIsNewer ? local.name : remote.name,
+      widgets,
+    },
+    remoteWins: false,
+  };
+};
+
+/**
+ * Merge freshly pulled remote layouts into local state
+ * Dirty layouts are kept as-is; their conflicts are resolved when pushed
+ * @param {Array} localLayouts - Current local layouts
+ * @param {Array} remoteRows - Rows from getUserLayouts
+ * @param {Object} queue - Sync queue
+ * @returns {Array} Merged layouts
+ */
+export const mergeRemoteLayouts = (localLayouts, remoteRows, queue) => {
+  const remoteById = new Map(remoteRows.map(row => [row.id, row]));
+  const matched = new Set();
+  const merged = [];
+
+  localLayouts.forEach((layout) => {
+    const isDirty = queue.dirty.includes(layout.id);
+
+    if (!layout.remoteId) {
+      // Drop the untouched default layout once remote layouts exist
+      if (isDirty || layout.widgets.length > 0 || remoteRows.length === 0) {
+        merged.push(layout);
+      }
+      return;
+    }
+
+    const row = remoteById.get(layout.remoteId);
+    if (row) matched.add(row.id);
+
+    if (isDirty) {
+      merged.push(layout);
+    } else if (row) {
+      merged.push({ ...fromRemoteLayout(row), id: layout.id });
+    }
+    // Clean layouts missing remotely were deleted on another machine
+  });
+
+  remoteRows.forEach((row) => {
+    if (!matched.has(row.id) && !queue.deleted.includes(row.id)) {
+      merged.push(fromRemoteLayout(row));
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Fetch all remote layouts for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Layout rows with widget_settings
+ */
+export const pullLayouts = (userId) => getUserLayouts(userId);
+
+/**
+ * Delete a remote layout
+ * @param {string} remoteId - Remote layout ID
+ */
+export const pushDeletion = (remoteId) => deleteRemoteLayout(remoteId);
+
+/**
+ * Push a local layout to Supabase, resolving conflicts first
+ * @param {string} userId - User ID
+ * @param {Object} layout - Local layout
+ * @param {Object|undefined} remoteRow - Current remote row, undefined if missing
+ * @param {string} strategy - ConflictStrategy value
+ * @returns {Promise<Object>} Synced layout with remote ids and syncedAt
+ */
+export const pushLayout = async (userId, layout, remoteRow, strategy) => {
+  // New layout, or deleted remotely after being edited here: (re)create it
+  if (!remoteRow) {
+    const created = await createRemoteLayout(userId, { name: layout.name });
+    const widgets = await Promise.all(
+      layout.widgets.map(async (widget) => {
+        const row = await addWidgetToLayout(created.id, toRemoteWidget(widget));
+        return { ...widget, remoteId: row.id };
+      })
+    );
+    return { ...layout, widgets, remoteId: created.id, syncedAt: created.updated_at };
+  }
+
+  let resolved = layout;
+  const remote = fromRemoteLayout(remoteRow);
+
+  if (toTime(remoteRow.updated_at) > toTime(layout.syncedAt)) {
+    const { layout: winner, remoteWins } = resolveConflict(layout, remote, strategy);
+    if (remoteWins) {
+      return winner;
+    }
+    resolved = winner;
+  }
+
+  const since = toTime(layout.syncedAt);
+  const remoteWidgetIds = new Set(remote.widgets.map(w => w.remoteId));
+  const keptIds = new Set(resolved.widgets.map(w => w.remoteId).filter(Boolean));
+
+  // Remove widgets deleted locally
+  await Promise.all(
+    remote.widgets
+      .filter(widget => !keptIds.has(widget.remoteId))
+      .map(widget => deleteWidget(widget.remoteId))
+  );
+
+  // Add new widgets and update the ones changed since the last sync
+  const widgets = await Promise.all(
+    resolved.widgets.map(async (widget) => {
+      const payload = toRemoteWidget(widget);
+
+      if (!widget.remoteId || !remoteWidgetIds.has(widget.remoteId)) {
+        const row = await addWidgetToLayout(remoteRow.id, payload);
+        return { ...widget, remoteId: row.id };
+      }
+
+      if (toTime(widget.updatedAt) > since) {
+        await updateWidget(widget.remoteId, {
+          position_x: payload.x,
+          position_y: payload.y,
+          width: payload.width,
+          height: payload.height,
+          config: payload.config,
+          updated_at: widget.updatedAt,
+        });
+      }
+      return widget;
+    })
+  );
+
+  const updated = await updateRemoteLayout(remoteRow.id, {
+    name: resolved.name,
+    updated_at: new Date().toISOString(),
+  });
+
+  return { ...resolved, widgets, remoteId: remoteRow.id, syncedAt: updated.updated_at };
+};
+
+/**
+ * Run a sync pass while holding a cross-tab lock, so two tabs never push
+ * the same queue at once (falls back to running directly without Web Locks)
+ * @param {string} userId - User ID
+ * @param {Function} fn - Async sync pass
+ * @returns {Promise<*>} Result of fn
+ */
+export const withSyncLock = (userId, fn) => {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(`layouts_sync_${userId}`, fn);
+  }
+  return fn();
+};
+
+/**
+ * Subscribe to remote layout changes through Supabase realtime
+ * Every push updates the layouts row, so widget edits surface here too
+ * @param {string} userId - User ID
+ * @param {Function} onChange - Called with the realtime payload
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToRemoteLayouts = (userId, onChange) => {
+  if (!supabase) return () => {};
+
+  const channel = supabase
+    .channel(`layouts:${userId}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'layouts', filter: `user_id=eq.${userId}` },
+      onChange
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+/**
+ * Share layout state between tabs on this device
+ * @param {string} userKey - User ID or 'guest'
+ * @param {Function} onMessage - Called with messages from other tabs
+ * @returns {Object} { post, close }
+ */
+export const createLayoutBroadcast = (userKey, onMessage) => {
+  if (typeof BroadcastChannel === 'undefined') {
+    return { post: () => {}, close: () => {} };
+  }
+
+  const channel = new BroadcastChannel(`layouts_${userKey}`);
+  channel.onmessage = (event) => onMessage(event.data);
+
+  return {
+    post: (message) => channel.postMessage(message),
+    close: () => channel.close(),
+  };
+};
@@ -2,21 +2,77 @@
  * Rate Limiter Utility
  * Implements token bucket algorithm for API rate limiting
  * Ensures we stay within free tier limits for all services
+ *
+ * Queued requests run by priority, so a visible widget goes ahead of
+ * background work, and can be cancelled with an AbortSignal while they
+ * wait. A 429 from the provider pauses the service for its Retry-After
+ * (or an exponential backoff with jitter) and the request is retried.
  */
 
 import { API_CONFIG } from '@/config/api-endpoints';
+import { apiConfig } from '@/config/apis';
+
+/**
+ * Request priorities (higher runs first)
+ */
+export const RequestPriority = {
+  HIGH: 2, // Visible widgets
+  NORMAL: 1,
+  LOW: 0, // Background refreshes and prefetches
+};
+
+// Longest pause after repeated 429s without a Retry-After
+const MAX_BACKOFF_DELAY = 60 * 1000; // 1 minute
+
+/**
+ * Error for a request cancelled through its AbortSignal
+ */
+function getAbortError(signal) {
+  return signal.reason || new DOMException('The request was aborted', 'AbortError');
+}
 
 // ============================================
 // RATE LIMITER CLASS
 // ============================================
 
 class RateLimiter {
-  constructor(maxRequests, timeWindow) {
+  constructor(maxRequests, timeWindow, storageKey = null) {
     this.maxRequests = maxRequests; // Max requests allowed
     this.timeWindow = timeWindow; // Time window in milliseconds
-    this.requests = []; // Array of request timestamps
-    this.queue = []; // Queue of pending requests
+    this.storageKey = storageKey; // Persists request timestamps across reloads
+    this.requests = this.loadRequests(); // Array of request timestamps
+    this.queue = []; // Queue of pending requests, highest priority first
     this.processing = false;
+    this.blockedUntil = 0; // No requests before this time (after a 429)
+    this.backoffAttempts = 0; // Consecutive 429s
+  }
+
+  /**
+   * Load request timestamps saved by a previous page load
+   */
+  loadRequests() {
+    if (!this.storageKey || typeof window === 'undefined') return [];
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      const now = Date.now();
+      return stored.filter(timestamp => now - timestamp < this.timeWindow);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Save request timestamps
+   */
+  saveRequests() {
+    if (!this.storageKey || typeof window === 'undefined') return;
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.requests));
+    } catch (e) {
+      // Persistence is best effort
+    }
   }
 
   /**
@@ -34,32 +90,53 @@ class RateLimiter {
    */
   canMakeRequest() {
     this.cleanup();
-    return this.requests.length < this.maxRequests;
+    return Date.now() >= this.blockedUntil && this.requests.length < this.maxRequests;
   }
 
   /**
    * Get time until next available slot
    */
   getTimeUntilNextSlot() {
-    if (this.canMakeRequest()) return 0;
-    
     this.cleanup();
-    if (this.canMakeRequest()) return 0;
+    
+    const blockedFor = Math.max(0, this.blockedUntil - Date.now());
+    if (this.requests.length < this.maxRequests) return blockedFor;
     
     // Calculate when the oldest request will expire
     const oldestRequest = this.requests[0];
     const timeUntilExpire = this.timeWindow - (Date.now() - oldestRequest);
-    return Math.max(0, timeUntilExpire);
+    return Math.max(blockedFor, timeUntilExpire);
   }
 
   /**
    * Wait for available slot
    */
   async waitForSlot() {
-    const waitTime = this.getTimeUntilNextSlot();
-    if (waitTime > 0) {
+    // A 429 while waiting can push the slot further out
+    let waitTime = this.getTimeUntilNextSlot();
+    while (waitTime > 0) {
       await new Promise(resolve => setTimeout(resolve, waitTime));
+      waitTime = this.getTimeUntilNextSlot();
+    }
+  }
+
+  /**
+   * Pause requests after the provider answered 429
+   * @param {number} retryAfter - Delay from the Retry-After header (ms), if any
+   * @returns {number} Delay applied (ms)
+   */
+  backoff(retryAfter) {
+    this.backoffAttempts += 1;
+    
+    let delay = retryAfter;
+    if (!(delay > 0)) {
+      // Exponential backoff with jitter: between half and all of base * 2^n
+      const ceiling = Math.min(MAX_BACKOFF_DELAY, apiConfig.retry.delay * 2 ** (this.backoffAttempts - 1));
+      delay = ceiling / 2 + Math.random() * (ceiling / 2);
     }
+    
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+    return delay;
   }
 
   /**
@@ -67,14 +144,58 @@ class RateLimiter {
    */
   recordRequest() {
     this.requests.push(Date.now());
+    this.saveRequests();
+  }
+
+  /**
+   * Add a request behind others of the same priority
+   * (or ahead of them when retrying)
+   */
+  enqueue(item, retry = false) {
+    const index = this.queue.findIndex(queued => (
+      retry ? queued.priority <= item.priority : queued.priority < item.priority
+    ));
+    
+    if (index === -1) {
+      this.queue.push(item);
+    } else {
+      this.queue.splice(index, 0, item);
+    }
   }
 
   /**
    * Execute a function with rate limiting
+   * @param {Function} fn - Request function; receives the AbortSignal
+   * @param {Object} options
+   * @param {number} options.priority - RequestPriority
+   * @param {AbortSignal} options.signal - Cancels the request while it is queued
    */
-  async execute(fn) {
+  async execute(fn, { priority = RequestPriority.NORMAL, signal } = {}) {
+    if (signal?.aborted) {
+      throw getAbortError(signal);
+    }
+    
     return new Promise((resolve, reject) => {
-      this.queue.push({ fn, resolve, reject });
+      const item = { fn, priority, signal, attempts: 0 };
+      
+      const onAbort = () => {
+        const index = this.queue.indexOf(item);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(getAbortError(signal));
+        }
+      };
+      
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      
+      item.resolve = settle(resolve);
+      item.reject = settle(reject);
+      signal?.addEventListener('abort', onAbort);
+      
+      this.enqueue(item);
       this.processQueue();
     });
   }
@@ -90,14 +211,30 @@ class RateLimiter {
     while (this.queue.length > 0) {
       await this.waitForSlot();
       
+      // Requests may have been cancelled while waiting
       const item = this.queue.shift();
+      if (!item) break;
+      
       this.recordRequest();
       
       try {
-        const result = await item.fn();
+        const result = await item.fn(item.signal);
+        this.backoffAttempts = 0;
         item.resolve(result);
       } catch (error) {
-        item.reject(error);
+        if (error?.status !== 429) {
+          item.reject(error);
+          continue;
+        }
+        
+        this.backoff(error.retryAfter);
+        
+        if (item.attempts < apiConfig.retry.attempts && !item.signal?.aborted) {
+          item.attempts += 1;
+          this.enqueue(item, true);
+        } else {
+          item.reject(error);
+        }
       }
     }
     
@@ -115,6 +252,7 @@ class RateLimiter {
       available: this.maxRequests - this.requests.length,
       queueLength: this.queue.length,
       nextSlotIn: this.getTimeUntilNextSlot(),
+      backoffUntil: this.blockedUntil > Date.now() ? this.blockedUntil : null,
     };
   }
 
@@ -123,8 +261,11 @@ class RateLimiter {
    */
   reset() {
     this.requests = [];
+    this.saveRequests();
     this.queue = [];
     this.processing = false;
+    this.blockedUntil = 0;
+    this.backoffAttempts = 0;
   }
 }
 
@@ -135,12 +276,16 @@ class RateLimiter {
 // Create rate limiters for each API service
 const rateLimiters = {};
 
+const RECENT_REQUESTS_KEY_PREFIX = 'rate_limit_';
+
 /**
  * Get or create rate limiter for a service
+ * A key may add a scope after a colon (e.g. 'baseRPC:optimism', see
+ * getServiceLimiterKey) to get its own limiter with the service's limits
  */
 function getRateLimiter(service) {
   if (!rateLimiters[service]) {
-    const config = API_CONFIG[service];
+    const config = API_CONFIG[service.split(':')[0]];
     if (!config) {
       throw new Error(`Unknown API service: ${service}`);
     }
@@ -149,7 +294,7 @@ function getRateLimiter(service) {
     // Convert requests per minute to time window
     const timeWindow = 60 * 1000; // 1 minute
     
-    rateLimiters[service] = new RateLimiter(rateLimit, timeWindow);
+    rateLimiters[service] = new RateLimiter(rateLimit, timeWindow, `${RECENT_REQUESTS_KEY_PREFIX}${service}`);
   }
   
   return rateLimiters[service];
@@ -161,10 +306,47 @@ function getRateLimiter(service) {
 
 /**
  * Execute an API call with rate limiting
+ * Throw createHttpError(...) from requestFn so 429s are retried after backoff
+ * @param {Object} options - { priority, signal }
  */
-export async function rateLimitedRequest(service, requestFn) {
+export async function rateLimitedRequest(service, requestFn, options = {}) {
   const limiter = getRateLimiter(service);
-  return limiter.execute(requestFn);
+  return limiter.execute(requestFn, options);
+}
+
+/**
+ * Pause a service after a 429 seen outside rateLimitedRequest
+ * @param {number} retryAfter - Delay from the Retry-After header (ms), if any
+ */
+export function reportRateLimited(service, retryAfter) {
+  const limiter = getRateLimiter(service);
+  return limiter.backoff(retryAfter);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an Error for a failed response, carrying its status and Retry-After
+ */
+export function createHttpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+  return error;
 }
 
 /**
@@ -249,17 +431,34 @@ export async function batchRateLimitedRequestsUnordered(service, requestFns) {
 
 const USAGE_KEY_PREFIX = 'api_usage_';
 
+// Share of the monthly budget that triggers a warning
+const NEAR_LIMIT_RATIO = 0.8;
+
+/**
+ * Whether a service has a numeric monthly budget
+ */
+function hasBudget(limit) {
+  return typeof limit === 'number' && Number.isFinite(limit);
+}
+
+/**
+ * Current usage month, e.g. '2025-06'
+ */
+export function getUsageMonth() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
 /**
  * Get usage key for a service and month
  */
 function getUsageKey(service) {
-  const now = new Date();
-  const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-  return `${USAGE_KEY_PREFIX}${service}_${month}`;
+  return `${USAGE_KEY_PREFIX}${service}_${getUsageMonth()}`;
 }
 
 /**
  * Track API usage (for monthly limits)
+ * Counts this browser's calls; the server counts its own (see lib/server/usage.js)
  */
 export function trackApiUsage(service) {
   if (typeof window === 'undefined') return;
@@ -302,9 +501,9 @@ export function isNearLimit(service) {
   const usage = getApiUsage(service);
   const limit = API_CONFIG[service].free.limit;
   
-  if (limit === Infinity) return false;
+  if (!hasBudget(limit)) return false;
   
-  return (usage / limit) > 0.8;
+  return (usage / limit) > NEAR_LIMIT_RATIO;
 }
 
 /**
@@ -314,11 +513,76 @@ export function hasExceededLimit(service) {
   const usage = getApiUsage(service);
   const limit = API_CONFIG[service].free.limit;
   
-  if (limit === Infinity) return false;
+  if (!hasBudget(limit)) return false;
   
   return usage >= limit;
 }
 
+/**
+ * Project a month's usage from the calls made so far this month
+ */
+function projectMonthlyUsage(used) {
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  
+  // Count at least a day so the first hours of a month don't inflate the pace
+  const elapsed = Math.max(now - monthStart, 24 * 60 * 60 * 1000);
+  
+  return Math.round(used * ((monthEnd - monthStart) / elapsed));
+}
+
+/**
+ * Project this month's usage from the pace so far
+ */
+export function getProjectedUsage(service) {
+  return projectMonthlyUsage(getApiUsage(service));
+}
+
+/**
+ * Usage report row for a service
+ * @param {Object} calls - { callsThisMinute, callsThisMonth }
+ * @returns {Object} Calls this minute and month, projection, budget and a
+ * status of 'ok', 'warning' or 'exceeded'
+ */
+export function createUsageRow(service, { callsThisMinute, callsThisMonth }) {
+  const config = API_CONFIG[service];
+  const { limit, rateLimit } = config.free;
+  const projected = projectMonthlyUsage(callsThisMonth);
+  const limited = hasBudget(limit);
+  
+  let status = 'ok';
+  if (limited && callsThisMonth >= limit) {
+    status = 'exceeded';
+  } else if (limited && (callsThisMonth / limit > NEAR_LIMIT_RATIO || projected > limit)) {
+    status = 'warning';
+  }
+  
+  return {
+    service,
+    name: config.name,
+    callsThisMinute,
+    rateLimit,
+    callsThisMonth,
+    projected,
+    limit,
+    percentage: limited ? (callsThisMonth / limit) * 100 : null,
+    projectedPercentage: limited ? (projected / limit) * 100 : null,
+    status,
+  };
+}
+
+/**
+ * Per-service usage report of this browser
+ * @returns {Object[]} One row per service (see createUsageRow)
+ */
+export function getUsageReport() {
+  return Object.keys(API_CONFIG).map(service => createUsageRow(service, {
+    callsThisMinute: getRateLimitStatus(service).requests,
+    callsThisMonth: getApiUsage(service),
+  }));
+}
+
 /**
  * Reset usage tracking (useful for testing)
  */
@@ -338,8 +602,9 @@ export function resetUsageTracking() {
 
 /**
  * Make an API request with rate limiting and usage tracking
+ * @param {Object} options - { priority, signal }, see rateLimitedRequest
  */
-export async function makeTrackedRequest(service, requestFn) {
+export async function makeTrackedRequest(service, requestFn, options = {}) {
   // Check if near/exceeded limit
   if (hasExceededLimit(service)) {
     throw new Error(`API limit exceeded for ${service}. Please try again next month.`);
@@ -351,7 +616,7 @@ export async function makeTrackedRequest(service, requestFn) {
   }
   
   // Execute with rate limiting
-  const result = await rateLimitedRequest(service, requestFn);
+  const result = await rateLimitedRequest(service, requestFn, options);
   
   // Track usage
   trackApiUsage(service);
@@ -364,7 +629,11 @@ export async function makeTrackedRequest(service, requestFn) {
 // ============================================
 
 export default {
+  RequestPriority,
   rateLimitedRequest,
+  reportRateLimited,
+  parseRetryAfter,
+  createHttpError,
   canMakeRequest,
   getRateLimitStatus,
   getAllRateLimitStatus,
@@ -377,6 +646,8 @@ export default {
   getAllApiUsage,
   isNearLimit,
   hasExceededLimit,
+  getProjectedUsage,
+  getUsageReport,
   resetUsageTracking,
   makeTrackedRequest,
 };
@@ -0,0 +1,57 @@
+/**
+ * JSON-RPC Utility
+ * Builds JSON-RPC callers over a transport, for single calls and batches
+ *
+ * The transport decides where requests go (the API gateway in the browser,
+ * the network's RPC on the server) and how they are rate limited. A batch is
+ * one HTTP request, so it takes one rate limiter slot for all of its calls.
+ */
+
+/**
+ * Error for a JSON-RPC error response
+ */
+function createRpcError(method, error) {
+  return new Error(`RPC Error (${method}): ${error?.message || 'no result'}`);
+}
+
+/**
+ * Create a JSON-RPC caller
+ * @param {Function} send - (payload) => Promise resolving to the parsed JSON response
+ * @returns {Function} call(method, params) resolving to the result, with
+ *   call.batch(requests, { allowErrors }) taking [{ method, params }] and
+ *   resolving to results in the same order. Without allowErrors any failed
+ *   call rejects the batch; with it, failed calls resolve to null.
+ */
+export function createRpcCaller(send) {
+  async function call(method, params = []) {
+    const data = await send({ jsonrpc: '2.0', method, params, id: 1 });
+
+    if (data.error) {
+      throw createRpcError(method, data.error);
+    }
+
+    return data.result;
+  }
+
+  call.batch = async (requests, { allowErrors = false } = {}) => {
+    if (requests.length === 0) return [];
+
+    const data = await send(requests.map(({ method, params = [] }, id) => ({ jsonrpc: '2.0', method, params, id })));
+
+    // A batch the RPC rejects as a whole comes back as a single error object
+    if (!Array.isArray(data)) {
+      throw createRpcError('batch', data.error);
+    }
+
+    const byId = new Map(data.map(item => [item.id, item]));
+
+    return requests.map(({ method }, id) => {
+      const item = byId.get(id);
+      if (item && !item.error) return item.result;
+      if (allowErrors) return null;
+      throw createRpcError(method, item?.error);
+    });
+  };
+
+  return call;
+}
@@ -0,0 +1,125 @@
+/**
+ * Share Link Utility
+ * Encodes a layout into a URL-safe id for /share/[id] links
+ *
+ * The layout travels inside the link itself (deflate-compressed when the
+ * browser supports CompressionStream), so sharing needs no backend and the
+ * recipient sees exactly the widgets that were shared.
+ */
+
+// Bump when the payload shape changes; decodeLayout rejects unknown versions
+const SHARE_VERSION = 1;
+
+// First character of an id tells how the payload is stored
+const COMPRESSED_PREFIX = 'z';
+const PLAIN_PREFIX = 'j';
+
+// Local-only widget fields that should not leak into shared links
+const PRIVATE_WIDGET_FIELDS = ['remoteId', 'createdAt', 'updatedAt'];
+
+const supportsCompression = () =>
+  typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/**
+ * Encode a layout into a share id
+ * @param {Object} layout - Layout with name and widgets
+ * @returns {Promise<string>} URL-safe share id
+ */
+export async function encodeLayout(layout) {
+  const payload = {
+    v: SHARE_VERSION,
+    name: layout.name,
+    widgets: (layout.widgets || []).map((widget) =>
+      Object.fromEntries(
+        Object.entries(widget).filter(([key]) => !PRIVATE_WIDGET_FIELDS.includes(key))
+      )
+    ),
+  };
+
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+  if (supportsCompression()) {
+    const compressed = await pipeThrough(bytes, new CompressionStream('deflate-raw'));
+    return COMPRESSED_PREFIX + toBase64Url(compressed);
+  }
+
+  return PLAIN_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * Decode a share id back into a layout
+ * @param {string} id - Share id from the URL
+ * @returns {Promise<Object>} { name, widgets }
+ */
+export async function decodeLayout(id) {
+  if (!id || id.length < 2) {
+    throw new Error('Invalid share link');
+  }
+
+  const prefix = id[0];
+  let bytes;
+
+  try {
+    bytes = fromBase64Url(decodeURIComponent(id.slice(1)));
+  } catch {
+    throw new Error('Invalid share link');
+  }
+
+  if (prefix === COMPRESSED_PREFIX) {
+    if (!supportsCompression()) {
+      throw new Error('This browser cannot open compressed share links');
+    }
+    try {
+      bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+    } catch {
+      throw new Error('Share link is corrupted');
+    }
+  } else if (prefix !== PLAIN_PREFIX) {
+    throw new Error('Invalid share link');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('Share link is corrupted');
+  }
+
+  if (payload?.v !== SHARE_VERSION || !Array.isArray(payload.widgets)) {
+    throw new Error('Unsupported share link version');
+  }
+
+  return {
+    name: typeof payload.name === 'string' ? payload.name : 'Shared Dashboard',
+    widgets: payload.widgets.filter((widget) => widget && widget.id && widget.type),
+  };
+}
+
+/**
+ * Build the full share URL for a layout
+ * @param {Object} layout - Layout to share
+ * @returns {Promise<string>} Absolute /share/[id] URL
+ */
+export async function buildShareUrl(layout) {
+  const id = await encodeLayout(layout);
+  return `${window.location.origin}/share/${id}`;
+}
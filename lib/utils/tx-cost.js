@@ -0,0 +1,57 @@
+/**
+ * Transaction Cost Utility
+ * Prices a transaction on an L2 as execution gas plus, on OP-stack chains,
+ * the L1 data fee charged for posting it to Ethereum
+ *
+ * L1 fee parameters come from the GasPriceOracle predeploy (see
+ * getL1FeeParams in lib/api/basescan.js) and follow the Fjord formula.
+ */
+
+// Fjord size estimate: intercept + coefficient * FastLZ size, scaled by 1e6
+const FJORD_INTERCEPT = -42585600;
+const FJORD_FASTLZ_COEF = 836500;
+const FJORD_MIN_TX_SIZE = 100;
+
+/**
+ * Estimate the L1 data fee of a transaction
+ * @param {Object} params - { l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar } (wei / raw scalars)
+ * @param {number} l1Size - FastLZ-compressed size of the signed transaction in bytes
+ * @returns {number} Fee in wei
+ */
+export function estimateL1Fee(params, l1Size) {
+  if (!params) return 0;
+
+  const estimatedSize = Math.max(
+    FJORD_MIN_TX_SIZE * 1e6,
+    FJORD_INTERCEPT + FJORD_FASTLZ_COEF * l1Size
+  );
+  const l1FeeScaled = params.baseFeeScalar * params.l1BaseFee * 16
+    + params.blobBaseFeeScalar * params.blobBaseFee;
+
+  return (estimatedSize * l1FeeScaled) / 1e12;
+}
+
+/**
+ * Estimate the full cost of a transaction
+ * @param {Object} options
+ * @param {string|number} options.gasPrice - L2 gas price in Gwei
+ * @param {Object} options.preset - Transaction preset from config/tx-presets.js
+ * @param {Object} options.l1FeeParams - Oracle parameters, or null off OP-stack chains
+ * @param {number} options.ethPrice - ETH price in USD, or null if unknown
+ * @returns {Object} { l2Fee, l1Fee, totalFee } in ETH, and { l2Usd, l1Usd, totalUsd } (null without a price)
+ */
+export function estimateTransactionCost({ gasPrice, preset, l1FeeParams, ethPrice }) {
+  const l2Fee = (parseFloat(gasPrice) || 0) * preset.gasLimit / 1e9;
+  const l1Fee = estimateL1Fee(l1FeeParams, preset.l1Size) / 1e18;
+  const totalFee = l2Fee + l1Fee;
+  const toUsd = (fee) => (ethPrice ? fee * ethPrice : null);
+
+  return {
+    l2Fee,
+    l1Fee,
+    totalFee,
+    l2Usd: toUsd(l2Fee),
+    l1Usd: toUsd(l1Fee),
+    totalUsd: toUsd(totalFee),
+  };
+}
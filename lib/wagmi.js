@@ -25,12 +25,27 @@ const getActiveChain = () => {
   return chainMap[activeNetwork.name] || base;
 };
 
+/**
+ * Every configured chain, with the active network first (wagmi's default)
+ */
+const getChains = () => {
+  const activeChain = getActiveChain();
+  return [activeChain, ...Object.values(chainMap).filter(chain => chain.id !== activeChain.id)];
+};
+
+/**
+ * Get the wagmi chain for a network name
+ */
+export const getChainForNetwork = (networkName) => {
+  return chainMap[networkName] || getActiveChain();
+};
+
 /**
  * Wagmi configuration optimized for Base with OnchainKit
  * Uses Coinbase Wallet as the primary connector (Base's recommended wallet)
  */
 export const config = createConfig({
-  chains: [getActiveChain()],
+  chains: getChains(),
   connectors: [
     // Coinbase Wallet
     coinbaseWallet({
@@ -53,15 +68,13 @@ export const config = createConfig({
     storage: cookieStorage,
   }),
   ssr: true,
-  transports: {
-    [getActiveChain().id]: http(),
-  },
+  transports: Object.fromEntries(getChains().map(chain => [chain.id, http()])),
 });
 
 /**
  * Get all supported chains
  */
-export const supportedChains = [getActiveChain()];
+export const supportedChains = getChains();
 
 /**
  * Check if a chain is supported
@@ -2,39 +2,53 @@
  * Widget Registry
  * Central registry for all dashboard widgets
  * 
- * Add new widgets here to make them available throughout the app
+ * Add new widgets here to make them available throughout the app.
+ * The widgets modal lists these entries and the dashboard grid resolves
+ * components through `getWidget`, so a widget only needs to be declared once.
  */
 
 import { lazy } from 'react';
+import { networks } from '@/config/networks';
+import { getNetworkTokens } from '@/config/tokens';
+import { DEFAULT_TX_PRESET, getTxPresetOptions } from '@/config/tx-presets';
+
+// Chain a widget reads from; left empty it follows the header's network
+const networkField = {
+  type: 'network',
+  label: 'Network',
+  description: 'Chain this widget reads from',
+};
 
 /**
  * Widget size definitions
+ * Expressed in grid units (12 columns, 240px rows)
  */
 export const widgetSizes = {
   small: {
-    width: 1,
+    width: 2,
     height: 1,
-    minWidth: 1,
+    minWidth: 2,
     minHeight: 1,
   },
   medium: {
-    width: 2,
+    width: 3,
     height: 2,
     minWidth: 2,
-    minHeight: 2,
+    minHeight: 1,
   },
   large: {
-    width: 4,
+    width: 6,
     height: 2,
-    minWidth: 3,
+    minWidth: 4,
     minHeight: 2,
   },
 };
 
 /**
  * Widget Registry
+ * Keyed by widget type (kebab-case, as stored in layouts).
  * Each widget must have:
- * - id: Unique identifier
+ * - id: Unique identifier (same as the registry key)
  * - name: Display name
  * - description: Short description
  * - icon: Icon (emoji or component)
@@ -43,30 +57,54 @@ export const widgetSizes = {
  * - defaultConfig: Default configuration object
  * - configSchema: Schema for widget settings UI
  * - category: Widget category for organization
+ *
+ * configSchema fields are rendered by CardSettingsForm in the card settings menu:
+ * - select: { label, options: [{ value, label }] }
+ * - boolean: { label, description? }
+ * - number: { label, min?, max?, step?, unit? }
+ * - tokenList: { label, min?, max? } - list of coingecko ids
+ * - network: { label } - network name, or empty to follow the header
+ * - token: { label } - token symbol from the widget network's token list
  */
 export const widgetRegistry = {
-  priceTracker: {
-    id: 'priceTracker',
+  'price-tracker': {
+    id: 'price-tracker',
     name: 'Price Tracker',
-    description: 'Real-time token prices with 24h change indicators',
+    description: 'Track real-time prices for one token or a watchlist',
     icon: '💰',
-    category: 'defi',
+    category: 'market',
     component: lazy(() => import('@/components/widgets/PriceTracker')),
     defaultSize: 'medium',
     defaultConfig: {
+      network: '',
+      mode: 'single',
       tokens: ['ethereum', 'usd-coin'],
-      refreshInterval: 30000, // 30 seconds
       showChart: true,
+      refreshInterval: 30000, // 30 seconds
       showChange: true,
+      showStats: true,
     },
     configSchema: {
+      network: networkField,
+      mode: {
+        type: 'select',
+        label: 'Display',
+        options: [
+          { value: 'single', label: 'Single token' },
+          { value: 'watchlist', label: 'Watchlist' },
+        ],
+      },
       tokens: {
         type: 'tokenList',
-        label: 'Tokens to track',
-        placeholder: 'Search tokens...',
+        label: 'Watchlist tokens',
         min: 1,
         max: 10,
       },
+      showChart: {
+        type: 'boolean',
+        label: 'Show sparklines',
+        description: '24h price trend next to each watchlist token',
+      },
       refreshInterval: {
         type: 'select',
         label: 'Refresh interval',
@@ -77,126 +115,171 @@ export const widgetRegistry = {
           { value: 300000, label: '5 minutes' },
         ],
       },
-      showChart: {
-        type: 'boolean',
-        label: 'Show mini chart',
-      },
       showChange: {
         type: 'boolean',
         label: 'Show 24h change',
       },
+      showStats: {
+        type: 'boolean',
+        label: 'Show market cap and volume',
+      },
     },
   },
 
-  portfolioChart: {
-    id: 'portfolioChart',
-    name: 'Portfolio Chart',
-    description: 'Visualize your wallet holdings',
-    icon: '📊',
-    category: 'portfolio',
-    component: lazy(() => import('@/components/widgets/PortfolioChart')),
-    defaultSize: 'large',
+  'price-chart': {
+    id: 'price-chart',
+    name: 'Price Chart',
+    description: 'Historical price charts with technical indicators',
+    icon: '📈',
+    category: 'market',
+    component: lazy(() => import('@/components/widgets/PriceChart')),
+    defaultSize: 'medium',
     defaultConfig: {
-      chartType: 'pie', // pie | bar | line
-      showValue: true,
-      showPercentage: true,
+      network: '',
+      timeRange: '7',
+      chartType: 'line', // line | candle
+      chartColor: 'primary',
+      showPriceInfo: true,
+      indicators: {}, // Per-indicator settings, see INDICATORS in lib/utils/indicators.js
     },
     configSchema: {
-      chartType: {
-        type: 'select',
-        label: 'Chart type',
-        options: [
-          { value: 'pie', label: 'Pie Chart' },
-          { value: 'bar', label: 'Bar Chart' },
-          { value: 'line', label: 'Line Chart' },
-        ],
-      },
-      showValue: {
-        type: 'boolean',
-        label: 'Show values',
-      },
-      showPercentage: {
+      network: networkField,
+      showPriceInfo: {
         type: 'boolean',
-        label: 'Show percentages',
+        label: 'Show current price and change',
       },
     },
   },
 
-  richListViewer: {
-    id: 'richListViewer',
-    name: 'Rich List',
-    description: 'Top wallets by holdings on the network',
-    icon: '👑',
-    category: 'analytics',
-    component: lazy(() => import('@/components/widgets/RichListViewer')),
+  'trending-tokens': {
+    id: 'trending-tokens',
+    name: 'Trending Tokens',
+    description: 'Top performing Base tokens by volume, price change, or market cap',
+    icon: '🔥',
+    category: 'market',
+    component: lazy(() => import('@/components/widgets/TrendingTokens')),
     defaultSize: 'medium',
     defaultConfig: {
+      network: '',
+      showVolume: true,
+      showMarketCap: false,
       limit: 10,
-      sortBy: 'balance', // balance | transactions | age
-      hideSmallBalances: true,
+      sortBy: 'volume', // volume, price_change, market_cap
     },
     configSchema: {
+      network: networkField,
       limit: {
         type: 'select',
-        label: 'Number of wallets',
+        label: 'Number of tokens',
         options: [
           { value: 5, label: 'Top 5' },
           { value: 10, label: 'Top 10' },
+          { value: 15, label: 'Top 15' },
           { value: 20, label: 'Top 20' },
-          { value: 50, label: 'Top 50' },
         ],
       },
       sortBy: {
         type: 'select',
         label: 'Sort by',
         options: [
-          { value: 'balance', label: 'Balance' },
-          { value: 'transactions', label: 'Transaction count' },
-          { value: 'age', label: 'Account age' },
+          { value: 'volume', label: '24h Volume' },
+          { value: 'price_change', label: '24h Price Change' },
+          { value: 'market_cap', label: 'Market Cap' },
         ],
       },
+      showVolume: {
+        type: 'boolean',
+        label: 'Show 24h volume',
+      },
+      showMarketCap: {
+        type: 'boolean',
+        label: 'Show market cap',
+      },
     },
   },
 
-  quickSwap: {
-    id: 'quickSwap',
-    name: 'Quick Swap',
-    description: 'Embedded DEX swap interface',
-    icon: '🔄',
-    category: 'defi',
-    component: lazy(() => import('@/components/widgets/QuickSwap')),
+  'fear-greed-index': {
+    id: 'fear-greed-index',
+    name: 'Fear & Greed Index',
+    description: 'Track crypto market sentiment with the Fear & Greed Index',
+    icon: '😨',
+    category: 'market',
+    component: lazy(() => import('@/components/widgets/FearGreedIndex')),
+    defaultSize: 'medium',
+    defaultConfig: {},
+    configSchema: {},
+  },
+
+  'gas-tracker': {
+    id: 'gas-tracker',
+    name: 'Gas Tracker',
+    description: 'Real-time gas prices, transaction costs including L1 fees, and best time indicator',
+    icon: '⛽',
+    category: 'network',
+    component: lazy(() => import('@/components/widgets/GasTracker')),
     defaultSize: 'medium',
     defaultConfig: {
-      defaultFrom: 'ETH',
-      defaultTo: 'USDC',
-      slippage: 0.5,
+      network: '',
+      showChart: true,
+      showHeatmap: true,
+      costPreset: DEFAULT_TX_PRESET,
+      refreshInterval: 15000, // 15 seconds
     },
     configSchema: {
-      slippage: {
-        type: 'number',
-        label: 'Slippage tolerance (%)',
-        min: 0.1,
-        max: 5,
-        step: 0.1,
+      network: networkField,
+      showChart: {
+        type: 'boolean',
+        label: 'Show historical chart',
+      },
+      showHeatmap: {
+        type: 'boolean',
+        label: 'Show hour-of-week heatmap',
+        description: 'Typical cost by day and hour, from gas history recorded on the server',
+      },
+      costPreset: {
+        type: 'select',
+        label: 'Estimate costs for',
+        options: getTxPresetOptions(),
+      },
+      refreshInterval: {
+        type: 'select',
+        label: 'Refresh interval',
+        options: [
+          { value: 10000, label: '10 seconds' },
+          { value: 15000, label: '15 seconds' },
+          { value: 30000, label: '30 seconds' },
+          { value: 60000, label: '1 minute' },
+        ],
       },
     },
   },
 
-  networkStats: {
-    id: 'networkStats',
+  'network-stats': {
+    id: 'network-stats',
     name: 'Network Stats',
     description: 'Network activity, gas prices, and TVL',
     icon: '📡',
-    category: 'analytics',
+    category: 'network',
     component: lazy(() => import('@/components/widgets/NetworkStats')),
     defaultSize: 'medium',
     defaultConfig: {
+      network: '',
+      mode: 'overview', // overview | comparison
       showGas: true,
       showTVL: true,
       showTransactions: true,
       refreshInterval: 60000, // 1 minute
     },
     configSchema: {
+      network: networkField,
+      mode: {
+        type: 'select',
+        label: 'Display',
+        options: [
+          { value: 'overview', label: 'Base overview' },
+          { value: 'comparison', label: 'Compare L2 TVL' },
+        ],
+      },
       showGas: {
         type: 'boolean',
         label: 'Show gas prices',
@@ -207,7 +290,7 @@ export const widgetRegistry = {
       },
       showTransactions: {
         type: 'boolean',
-        label: 'Show transaction count',
+        label: 'Show latest block',
       },
       refreshInterval: {
         type: 'select',
@@ -221,77 +304,120 @@ export const widgetRegistry = {
     },
   },
 
-  gasTracker: {
-    id: 'gasTracker',
-    name: 'Gas Tracker',
-    description: 'Real-time Base network gas prices with historical chart',
-    icon: '⛽',
-    category: 'analytics',
-    component: lazy(() => import('@/components/widgets/GasTracker')),
+  'rich-list-viewer': {
+    id: 'rich-list-viewer',
+    name: 'Rich List',
+    description: 'Top holders of a Base token, or known ETH addresses',
+    icon: '👑',
+    category: 'network',
+    component: lazy(() => import('@/components/widgets/RichListViewer')),
     defaultSize: 'medium',
     defaultConfig: {
-      showChart: true,
-      refreshInterval: 15000, // 15 seconds
+      network: '',
+      token: 'USDC',
+      limit: 10,
+      sortBy: 'balance', // balance | transactions
+      hideSmallBalances: true,
     },
     configSchema: {
-      showChart: {
-        type: 'boolean',
-        label: 'Show historical chart',
+      network: networkField,
+      token: {
+        type: 'token',
+        label: 'Token',
       },
-      refreshInterval: {
+      limit: {
         type: 'select',
-        label: 'Refresh interval',
+        label: 'Number of wallets',
         options: [
-          { value: 10000, label: '10 seconds' },
-          { value: 15000, label: '15 seconds' },
-          { value: 30000, label: '30 seconds' },
-          { value: 60000, label: '1 minute' },
+          { value: 5, label: 'Top 5' },
+          { value: 10, label: 'Top 10' },
+          { value: 20, label: 'Top 20' },
+          { value: 50, label: 'Top 50' },
         ],
       },
+      sortBy: {
+        type: 'select',
+        label: 'Sort by',
+        options: [
+          { value: 'balance', label: 'Balance' },
+          { value: 'transactions', label: 'Transaction count' },
+        ],
+      },
+      hideSmallBalances: {
+        type: 'boolean',
+        label: 'Hide small balances',
+        description: 'Hide holders worth less than $1,000',
+      },
     },
   },
 
-  trendingTokens: {
-    id: 'trendingTokens',
-    name: 'Trending Tokens',
-    description: 'Top performing tokens on Base network',
-    icon: '🔥',
-    category: 'analytics',
-    component: lazy(() => import('@/components/widgets/TrendingTokens')),
+  'quick-swap': {
+    id: 'quick-swap',
+    name: 'Quick Swap',
+    description: 'Swap Base tokens with live quotes',
+    icon: '🔄',
+    category: 'defi',
+    component: lazy(() => import('@/components/widgets/QuickSwap')),
     defaultSize: 'medium',
     defaultConfig: {
-      showVolume: true,
-      showMarketCap: false,
-      limit: 10,
-      sortBy: 'volume', // volume, price_change, market_cap
+      network: '',
+      defaultFrom: 'ETH',
+      defaultTo: 'USDC',
+      slippage: 0.5,
     },
     configSchema: {
-      limit: {
-        type: 'select',
-        label: 'Number of tokens',
-        options: [
-          { value: 5, label: 'Top 5' },
-          { value: 10, label: 'Top 10' },
-          { value: 15, label: 'Top 15' },
-          { value: 20, label: 'Top 20' },
-        ],
+      network: networkField,
+      defaultFrom: {
+        type: 'token',
+        label: 'Default sell token',
       },
-      sortBy: {
+      defaultTo: {
+        type: 'token',
+        label: 'Default buy token',
+      },
+      slippage: {
+        type: 'number',
+        label: 'Slippage tolerance',
+        min: 0.1,
+        max: 5,
+        step: 0.1,
+        unit: '%',
+      },
+    },
+  },
+
+  'portfolio-chart': {
+    id: 'portfolio-chart',
+    name: 'Portfolio Chart',
+    description: 'Visualize your wallet holdings',
+    icon: '📊',
+    category: 'portfolio',
+    component: lazy(() => import('@/components/widgets/PortfolioChart')),
+    defaultSize: 'large',
+    defaultConfig: {
+      network: '',
+      chartType: 'pie', // pie | bar | allocation
+      showValue: true,
+      showPercentage: true,
+    },
+    configSchema: {
+      network: networkField,
+      chartType: {
         type: 'select',
-        label: 'Sort by',
+        label: 'Chart type',
         options: [
-          { value: 'volume', label: '24h Volume' },
-          { value: 'price_change', label: '24h Price Change' },
-          { value: 'market_cap', label: 'Market Cap' },
+          { value: 'pie', label: 'Pie Chart' },
+          { value: 'bar', label: 'Bar Chart' },
+          { value: 'allocation', label: 'Allocation' },
         ],
       },
-      showVolume: {
+      showValue: {
         type: 'boolean',
-        label: 'Show 24h volume',
+        label: 'Show values',
       },
-      showMarketCap: {
+      showPercentage: {
         type: 'boolean',
-        label: 'Show market cap',
+        label: 'Show percentages',
       },
     },
   },
@@ -299,13 +425,20 @@ export const widgetRegistry = {
 
 /**
  * Widget categories for organization
+ * Categories without widgets are hidden from the widgets modal
  */
 export const widgetCategories = {
-  defi: {
-    id: 'defi',
-    name: 'DeFi',
-    icon: '💎',
-    description: 'DeFi and trading widgets',
+  market: {
+    id: 'market',
+    name: 'Market Data & Tokens',
+    icon: '📈',
+    description: 'Prices, charts and market sentiment',
+  },
+  network: {
+    id: 'network',
+    name: 'Network Statistics',
+    icon: '📡',
+    description: 'Network activity and gas prices',
   },
   portfolio: {
     id: 'portfolio',
@@ -313,11 +446,11 @@ export const widgetCategories = {
     icon: '💼',
     description: 'Track your holdings',
   },
-  analytics: {
-    id: 'analytics',
-    name: 'Analytics',
-    icon: '📈',
-    description: 'Network and market analytics',
+  defi: {
+    id: 'defi',
+    name: 'DeFi',
+    icon: '💎',
+    description: 'DeFi and trading widgets',
   },
   social: {
     id: 'social',
@@ -327,13 +460,24 @@ export const widgetCategories = {
   },
 };
 
+/**
+ * Normalize a widget type to its registry key
+ * Older layouts and defaults use camelCase ids (e.g. 'priceTracker')
+ * @param {string} type - Widget type or legacy ID
+ * @returns {string} Kebab-case widget type
+ */
+export const normalizeWidgetType = (type) => {
+  if (typeof type !== 'string') return '';
+  return type.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+};
+
 /**
  * Get a widget by ID
- * @param {string} id - Widget ID
+ * @param {string} id - Widget ID (kebab-case or legacy camelCase)
  * @returns {Object|null} Widget configuration
  */
 export const getWidget = (id) => {
-  return widgetRegistry[id] || null;
+  return widgetRegistry[normalizeWidgetType(id)] || null;
 };
 
 /**
@@ -372,8 +516,19 @@ export const getCategorizedWidgets = () => {
   return categorized;
 };
 
+/**
+ * Get the grid size preset for a widget type
+ * @param {string} widgetType - Widget type ID
+ * @returns {Object} Size preset from widgetSizes
+ */
+export const getWidgetSize = (widgetType) => {
+  const widget = getWidget(widgetType);
+  return widgetSizes[widget?.defaultSize] || widgetSizes.medium;
+};
+
 /**
  * Create a new widget instance with default config
+ * Widget settings are stored flat on the instance, next to its grid position
  * @param {string} widgetType - Widget type ID
  * @param {Object} overrides - Config overrides
  * @returns {Object} Widget instance
@@ -384,15 +539,92 @@ export const createWidgetInstance = (widgetType, overrides = {}) => {
   if (!widget) {
     throw new Error(`Widget type '${widgetType}' not found`);
   }
+
+  const size = getWidgetSize(widget.id);
   
   return {
-    id: `${widgetType}-${Date.now()}`,
-    type: widgetType,
-    size: widget.defaultSize,
-    config: {
-      ...widget.defaultConfig,
-      ...overrides,
-    },
+    id: `widget-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: widget.id,
+    title: widget.name,
+    description: widget.description,
+    w: size.width,
+    h: size.height,
+    ...widget.defaultConfig,
+    ...overrides,
   };
 };
 
+/**
+ * Validate a settings value against its configSchema field
+ * Numbers are clamped to min/max and snapped to step, lists are checked against min/max length
+ * @param {Object} field - Schema field definition
+ * @param {*} value - Raw value from the settings UI
+ * @param {Object} context - { network } the widget reads from, for token fields
+ * @returns {Object} { value, error } - Normalized value, or an error message when invalid
+ */
+export const validateConfigValue = (field, value, { network } = {}) => {
+  switch (field.type) {
+    case 'boolean':
+      return { value: Boolean(value), error: null };
+
+    case 'select': {
+      const option = field.options?.find(opt => String(opt.value) === String(value));
+      if (!option) {
+        return { value, error: `${field.label} must be one of the listed options` };
+      }
+      return { value: option.value, error: null };
+    }
+
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      if (Number.isNaN(number)) {
+        return { value, error: `${field.label} must be a number` };
+      }
+      if (field.min !== undefined && number < field.min) {
+        return { value: field.min, error: `${field.label} must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && number > field.max) {
+        return { value: field.max, error: `${field.label} must be at most ${field.max}` };
+      }
+      if (field.step) {
+        // Snap to the step grid, counted from min, and drop float noise
+        const origin = field.min ?? 0;
+        const decimals = (String(field.step).split('.')[1] || '').length;
+        const snapped = origin + Math.round((number - origin) / field.step) * field.step;
+        return { value: Number(snapped.toFixed(decimals)), error: null };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'network': {
+      if (!value) {
+        return { value: '', error: null };
+      }
+      if (!networks[value]) {
+        return { value, error: `${field.label} must be a supported network` };
+      }
+      return { value, error: null };
+    }
+
+    case 'token': {
+      if (!getNetworkTokens(network)[value]) {
+        return { value, error: `${field.label} must be a token on this network` };
+      }
+      return { value, error: null };
+    }
+
+    case 'tokenList': {
+      const list = Array.isArray(value) ? value : [];
+      if (field.min !== undefined && list.length < field.min) {
+        return { value: list, error: `Select at least ${field.min} token${field.min === 1 ? '' : 's'}` };
+      }
+      if (field.max !== undefined && list.length > field.max) {
+        return { value: list.slice(0, field.max), error: `Select at most ${field.max} tokens` };
+      }
+      return { value: list, error: null };
+    }
+
+    default:
+      return { value, error: null };
+  }
+};
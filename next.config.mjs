@@ -1,5 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  // API keys stay server-side (see config/api-endpoints.js); only expose
+  // whether the keys that features depend on are configured
+  env: {
+    NEXT_PUBLIC_ZEROX_ENABLED: process.env.ZEROX_API_KEY ? 'true' : 'false',
+    NEXT_PUBLIC_MORALIS_ENABLED: process.env.MORALIS_API_KEY || process.env.NEXT_PUBLIC_MORALIS_API_KEY ? 'true' : 'false',
+  },
   images: {
     remotePatterns: [
       {